@@ -1,4 +1,7 @@
-export = AggregateReducer;
+import { AsyncResult, Asyncness, InitializingReducer, Reducer, Resolved } from './types'
+
+export = AggregateReducer
+
 /**
  * @name AggregateReducer
  *
@@ -6,5 +9,68 @@ export = AggregateReducer;
  * ```coffeescript [specscript]
  * AggregateReducer(reducers Array<reducer function>) -> aggregateReducer function
  * ```
+ *
+ * @description
+ * Chain an array of reducers into a single reducer that threads the accumulator through each reducer in order.
  */
-declare function AggregateReducer(reducers: any): any;
+declare function AggregateReducer<A, T>(
+  reducers: readonly Reducer<A, T>[],
+): (accumulator: A, value: T) => A | Promise<A>
+
+type ReducerPair = readonly [
+  reducer: (accumulator: any, value: any, indexOrKey?: any, collection?: any) => any,
+  initialValue: any,
+]
+
+type ReducerEntry = ReducerPair | InitializingReducer<any, any, any, any>
+
+type ReducerEntries = readonly ReducerEntry[] | { readonly [key: string]: ReducerEntry }
+
+type EntryResult<E> =
+  E extends InitializingReducer<infer A, any, any, any> ? A
+    : E extends readonly [(...args: any[]) => infer R, any] ? Awaited<R>
+      : never
+
+type EntryReducerAsyncness<E> =
+  E extends InitializingReducer<any, any, infer R, any> ? Asyncness<R>
+    : E extends readonly [(...args: any[]) => infer R, any] ? Asyncness<R>
+      : never
+
+type EntryInitAsyncness<E> =
+  E extends InitializingReducer<any, any, any, infer I> ? Asyncness<I>
+    : E extends readonly [any, infer I] ? Asyncness<Resolved<I>>
+      : never
+
+type EntriesResult<P extends ReducerEntries> = {
+  -readonly [K in keyof P]: EntryResult<P[K]>
+}
+
+type EntryKeys<P extends ReducerEntries> = P extends readonly unknown[] ? number : keyof P
+
+declare namespace AggregateReducer {
+  /**
+   * @name AggregateReducer.all
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * AggregateReducer.all(
+   *   reducers Array<[reducer Reducer, initialValue Resolver|any]|Reducer>,
+   * ) -> allReducer Reducer
+   *
+   * AggregateReducer.all(
+   *   reducers Object<[reducer Reducer, initialValue Resolver|any]|Reducer>,
+   * ) -> allReducer Reducer
+   * ```
+   *
+   * @description
+   * Run an array or object of reducers, each with its own initial value or initialization step, in one pass over a collection. The accumulator of the returned reducer has the same shape as `reducers`, and its initialization step lets [reduce](/docs/reduce) omit the initial value.
+   */
+  function all<const P extends ReducerEntries>(
+    reducers: P,
+  ): InitializingReducer<
+    EntriesResult<P>,
+    any,
+    AsyncResult<EntryReducerAsyncness<P[EntryKeys<P>]>, EntriesResult<P>>,
+    AsyncResult<EntryInitAsyncness<P[EntryKeys<P>]>, EntriesResult<P>>
+  >
+}
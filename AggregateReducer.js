@@ -1,5 +1,16 @@
 const reducerConcat = require('./_internal/reducerConcat')
 const identity = require('./_internal/identity')
+const isArray = require('./_internal/isArray')
+const isPromise = require('./_internal/isPromise')
+const areAnyValuesPromises = require('./_internal/areAnyValuesPromises')
+const promiseAll = require('./_internal/promiseAll')
+const promiseObjectAll = require('./_internal/promiseObjectAll')
+const reduced = require('./_internal/reduced')
+const isReduced = require('./_internal/isReduced')
+const unreduced = require('./_internal/unreduced')
+const reducerComplete = require('./_internal/reducerComplete')
+const reducerStart = require('./_internal/reducerStart')
+const symbolReducerStart = require('./_internal/symbolReducerStart')
 
 /**
  * @name AggregateReducer
@@ -16,4 +27,182 @@ const AggregateReducer = function (reducers) {
   return reducers.reduce(reducerConcat, identity)
 }
 
+/**
+ * @name _mapShape
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _mapShape(shape Array, f (value any, index number)=>any) -> Array
+ * _mapShape(shape Object, f (value any, key string)=>any) -> Object
+ * ```
+ */
+const _mapShape = function (shape, f) {
+  if (isArray(shape)) {
+    const length = shape.length,
+      result = Array(length)
+    let index = -1
+    while (++index < length) {
+      result[index] = f(shape[index], index)
+    }
+    return result
+  }
+  const result = {}
+  for (const key in shape) {
+    result[key] = f(shape[key], key)
+  }
+  return result
+}
+
+/**
+ * @name _resolveShape
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _resolveShape(values Array<Promise|any>) -> Promise|Array
+ * _resolveShape(values Object<Promise|any>) -> Promise|Object
+ * ```
+ */
+const _resolveShape = function (values) {
+  if (!areAnyValuesPromises(values)) {
+    return values
+  }
+  return isArray(values) ? promiseAll(values) : promiseObjectAll(values)
+}
+
+/**
+ * @name _reducedIfAllReduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _reducedIfAllReduced(results Array|Object) -> Reduced|Array|Object
+ * ```
+ */
+const _reducedIfAllReduced = function (results) {
+  for (const key in results) {
+    if (!isReduced(results[key])) {
+      return results
+    }
+  }
+  return reduced(results)
+}
+
+/**
+ * @name _reducerPair
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _reducerPair(pair [reducer Reducer, initialValue any]) -> pair
+ * _reducerPair(reducer Reducer) -> [reducer, reducer['@@transducer/init']]
+ * ```
+ */
+const _reducerPair = reducerOrPair => typeof reducerOrPair == 'function'
+  ? [reducerOrPair, reducerOrPair['@@transducer/init']]
+  : reducerOrPair
+
+/**
+ * @name AggregateReducer.all
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Resolver = (collection Foldable)=>Promise|any
+ *
+ * AggregateReducer.all(
+ *   reducers Array<[reducer Reducer, initialValue Resolver|any]|Reducer>,
+ * ) -> allReducer Reducer
+ *
+ * AggregateReducer.all(
+ *   reducers Object<[reducer Reducer, initialValue Resolver|any]|Reducer>,
+ * ) -> allReducer Reducer
+ * ```
+ *
+ * @description
+ * Run several reducing operations in one pass over a collection. `AggregateReducer.all` takes an array or object of pairs of a reducer and its initial value, and returns a reducer whose accumulator is an array or object of the same shape with the result of each reducer. Each item of the reducing operation is passed to every reducer.
+ *
+ * The returned reducer carries its own initial value, so [reduce](/docs/reduce) needs no initial value for it. As with `reduce`, initial values that are functions are called with the collection.
+ *
+ * ```javascript [playground]
+ * const stats = AggregateReducer.all({
+ *   count: [count => count + 1, 0],
+ *   sum: [(sum, number) => sum + number, 0],
+ *   max: [(max, number) => number > max ? number : max, -Infinity],
+ * })
+ *
+ * console.log(
+ *   reduce([1, 5, 3], stats),
+ * ) // { count: 3, sum: 9, max: 5 }
+ * ```
+ *
+ * Reducers with an initialization step, like those of [Reducer](/docs/Reducer), may be passed on their own instead of in a pair.
+ *
+ * ```javascript [playground]
+ * const latencyStats = AggregateReducer.all({
+ *   mean: Reducer.mean(),
+ *   p99: Reducer.percentile(99),
+ * })
+ *
+ * console.log(
+ *   reduce([120, 80, 100], latencyStats),
+ * ) // { mean: 100, p99: 119.6 }
+ * ```
+ *
+ * Reducers may be asynchronous, in which case the reducers of an item are called concurrently and the reducing operation waits for all of them before the next item.
+ *
+ * ```javascript [playground]
+ * const numbers = async function* () {
+ *   yield 1; yield 2; yield 3
+ * }
+ *
+ * const saveAndSum = AggregateReducer.all([
+ *   [async (saved, number) => { console.log('saving', number); return saved + 1 }, 0],
+ *   [(sum, number) => sum + number, 0],
+ * ])
+ *
+ * reduce(numbers(), saveAndSum).then(console.log) // [3, 6]
+ * ```
+ *
+ * Once a reducer signals that its operation is complete, for example a reducer from [Transducer.take](/docs/Transducer.take), it is no longer called. The reducing operation ends early once every reducer is complete.
+ */
+AggregateReducer.all = function aggregateReducerAll(reducersOrPairs) {
+  const reducers = _mapShape(reducersOrPairs, _reducerPair)
+
+  const allReducer = function (results, item, indexOrKey, collection) {
+    const nextResults = _resolveShape(_mapShape(reducers, function reduceEach(pair, key) {
+      const result = results[key]
+      return isReduced(result) ? result : pair[0](result, item, indexOrKey, collection)
+    }))
+    return isPromise(nextResults)
+      ? nextResults.then(_reducedIfAllReduced)
+      : _reducedIfAllReduced(nextResults)
+  }
+
+  allReducer['@@transducer/init'] = function initAll(collection) {
+    return _resolveShape(_mapShape(reducers, function initEach(pair) {
+      const initialValue = pair[1]
+      return typeof initialValue == 'function' ? initialValue(collection) : initialValue
+    }))
+  }
+
+  allReducer['@@transducer/result'] = function completeAll(results) {
+    return _resolveShape(_mapShape(reducers, function completeEach(pair, key) {
+      return reducerComplete(pair[0], unreduced(results[key]))
+    }))
+  }
+
+  // each reducing operation starts the reducers with state between items anew
+  allReducer[symbolReducerStart] = function startAll() {
+    return aggregateReducerAll(_mapShape(reducers, function startEach(pair) {
+      return [reducerStart(pair[0]), pair[1]]
+    }))
+  }
+
+  return allReducer
+}
+
 module.exports = AggregateReducer
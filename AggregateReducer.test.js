@@ -1,5 +1,6 @@
 const assert = require('assert')
 const reduce = require('./reduce')
+const Transducer = require('./Transducer')
 const AggregateReducer = require('./AggregateReducer')
 
 describe('AggregateReducer', () => {
@@ -79,4 +80,92 @@ describe('AggregateReducer', () => {
     const identity = AggregateReducer([])
     assert.equal(1, identity(1))
   })
+
+  describe('AggregateReducer.all', () => {
+    const count = count => count + 1
+    const sum = (sum, number) => sum + number
+    const max = (max, number) => number > max ? number : max
+
+    it('Runs an object of reducers in one pass', async () => {
+      const stats = AggregateReducer.all({
+        count: [count, 0],
+        sum: [sum, 0],
+        max: [max, -Infinity],
+      })
+      assert.deepEqual(reduce([1, 5, 3], stats), { count: 3, sum: 9, max: 5 })
+      assert.deepEqual(reduce(stats)([2]), { count: 1, sum: 2, max: 2 })
+      assert.deepEqual(reduce([], stats), { count: 0, sum: 0, max: -Infinity })
+      assert.deepEqual(reduce([1, 2], stats, { count: 10, sum: 10, max: 10 }), { count: 12, sum: 13, max: 10 })
+    })
+
+    it('Runs an array of reducers over an async iterator', async () => {
+      const numbers = async function* () {
+        yield 1
+        yield 2
+        yield 3
+      }
+      let pulls = 0
+      const counted = async function* () {
+        for await (const number of numbers()) {
+          pulls += 1
+          yield number
+        }
+      }
+      const stats = AggregateReducer.all([
+        [async (total, number) => total + number, 0],
+        [count, 0],
+        [(numbers, number) => [...numbers, number], () => []],
+      ])
+      assert.deepEqual(await reduce(counted(), stats), [6, 3, [1, 2, 3]])
+      assert.strictEqual(pulls, 3)
+      assert.deepEqual(await reduce(numbers(), stats), [6, 3, [1, 2, 3]])
+    })
+
+    it('Resolves asynchronous initial values', async () => {
+      const stats = AggregateReducer.all({
+        length: [count, async collection => collection.length],
+        sum: [sum, Promise.resolve(0)],
+      })
+      assert.deepEqual(await reduce([1, 2], stats), { length: 4, sum: 3 })
+    })
+
+    it('Stops reducers that are complete', async () => {
+      const calls = []
+      const stats = AggregateReducer.all({
+        firstTwo: [Transducer.take(2)((numbers, number) => [...numbers, number]), () => []],
+        sum: [sum, 0],
+      })
+      assert.deepEqual(reduce([1, 2, 3, 4], stats), { firstTwo: [1, 2], sum: 10 })
+
+      const firstOnly = AggregateReducer.all([
+        [Transducer.take(1)((numbers, number) => {
+          calls.push(number)
+          return [...numbers, number]
+        }), () => []],
+      ])
+      assert.deepEqual(reduce([1, 2, 3], firstOnly), [[1]])
+      assert.deepEqual(calls, [1])
+      assert.deepEqual(reduce([4, 5], firstOnly), [[4]])
+      assert.deepEqual(calls, [1, 4])
+    })
+
+    it('Flushes stateful reducers on completion', async () => {
+      const concat = (array, item) => array.concat([item])
+      const stats = AggregateReducer.all({
+        pairs: [Transducer.chunk(2)(concat), () => []],
+        count: [count, 0],
+      })
+      assert.deepEqual(reduce([1, 2, 3], stats), { pairs: [[1, 2], [3]], count: 3 })
+    })
+
+    it('Rejects with the error of an asynchronous reducer', async () => {
+      const stats = AggregateReducer.all({
+        sum: [sum, 0],
+        failing: [async () => {
+          throw new Error('failed')
+        }, 0],
+      })
+      await assert.rejects(reduce([1, 2], stats), new Error('failed'))
+    })
+  })
 })
@@ -0,0 +1,93 @@
+import { InitializingReducer, PromiseResult } from './types'
+
+export = Reducer
+
+/**
+ * @name Reducer
+ *
+ * @description
+ * Reducers of common statistics for [reduce](/docs/reduce). Each reducer carries its own initial value and turns its accumulator into the statistic at the end of the reducing operation, so the accumulator type is the type of the statistic.
+ */
+declare namespace Reducer {
+  /**
+   * @name Reducer.count
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.count() -> countingReducer Reducer
+   * ```
+   */
+  function count(): InitializingReducer<number, unknown, number, number>
+
+  /**
+   * @name Reducer.sum
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.sum() -> summingReducer Reducer
+   * ```
+   */
+  function sum(): InitializingReducer<number, number, number, number>
+
+  /**
+   * @name Reducer.min
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.min() -> minReducer Reducer
+   * ```
+   */
+  function min(): InitializingReducer<number, number, number, number>
+
+  /**
+   * @name Reducer.max
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.max() -> maxReducer Reducer
+   * ```
+   */
+  function max(): InitializingReducer<number, number, number, number>
+
+  /**
+   * @name Reducer.mean
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.mean() -> meanReducer Reducer
+   * ```
+   */
+  function mean(): InitializingReducer<number, number, number, number>
+
+  /**
+   * @name Reducer.variance
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.variance(options? { sample: boolean }) -> varianceReducer Reducer
+   * ```
+   */
+  function variance(options?: { sample?: boolean }): InitializingReducer<number, number, number, number>
+
+  /**
+   * @name Reducer.percentile
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.percentile(percentage number) -> percentileReducer Reducer
+   * ```
+   */
+  function percentile(percentage: number): InitializingReducer<number, number, number, number>
+
+  /**
+   * @name Reducer.histogram
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * Reducer.histogram(bucketFn any=>Promise|any) -> histogramReducer Reducer
+   * ```
+   */
+  function histogram<T, B>(
+    bucketFn: (item: T) => B,
+  ): InitializingReducer<Map<Awaited<B>, number>, T, PromiseResult<B, Map<Awaited<B>, number>>, Map<Awaited<B>, number>>
+}
@@ -0,0 +1,290 @@
+const isPromise = require('./_internal/isPromise')
+const QuantileEstimator = require('./_internal/QuantileEstimator')
+const __ = require('./_internal/placeholder')
+const curry2 = require('./_internal/curry2')
+
+/**
+ * @name _InitializingReducer
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _InitializingReducer(
+ *   reducer Reducer,
+ *   init ()=>any,
+ *   complete? any=>any,
+ * ) -> reducer
+ * ```
+ *
+ * @description
+ * Give a reducer an initialization step and an optional completion step.
+ */
+const _InitializingReducer = function (reducer, init, complete) {
+  reducer['@@transducer/init'] = init
+  if (complete != null) {
+    reducer['@@transducer/result'] = complete
+  }
+  return reducer
+}
+
+/**
+ * @name Reducer
+ *
+ * @description
+ * Reducers of common statistics for [reduce](/docs/reduce). Each function of `Reducer` creates a reducer with an initialization step, so `reduce` needs no initial value for it, and a completion step that turns the accumulator into the statistic.
+ *
+ * ```javascript [playground]
+ * console.log(reduce([1, 2, 3, 4], Reducer.mean())) // 2.5
+ * ```
+ *
+ * The reducers work with every collection that `reduce` accepts, including iterators, async iterators and Maps, and run several at a time in one pass with [AggregateReducer.all](/docs/AggregateReducer.all).
+ */
+const Reducer = {}
+
+/**
+ * @name Reducer.count
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.count() -> countingReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that counts the items of the reducing operation.
+ *
+ * ```javascript [playground]
+ * console.log(reduce(new Map([['a', 1], ['b', 2]]), Reducer.count())) // 2
+ * ```
+ */
+Reducer.count = function reducerCount() {
+  return _InitializingReducer(function countingReducer(count) {
+    return count + 1
+  }, () => 0)
+}
+
+/**
+ * @name Reducer.sum
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.sum() -> summingReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that adds up the items of the reducing operation. The sum of no items is `0`.
+ *
+ * ```javascript [playground]
+ * console.log(reduce([1, 2, 3], Reducer.sum())) // 6
+ * ```
+ */
+Reducer.sum = function reducerSum() {
+  return _InitializingReducer(function summingReducer(sum, number) {
+    return sum + number
+  }, () => 0)
+}
+
+/**
+ * @name Reducer.min
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.min() -> minReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that finds the smallest item of the reducing operation. Like `Math.min`, the smallest of no items is `Infinity`.
+ *
+ * ```javascript [playground]
+ * console.log(reduce([3, 1, 2], Reducer.min())) // 1
+ * ```
+ */
+Reducer.min = function reducerMin() {
+  return _InitializingReducer(function minReducer(min, number) {
+    return number < min ? number : min
+  }, () => Infinity)
+}
+
+/**
+ * @name Reducer.max
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.max() -> maxReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that finds the largest item of the reducing operation. Like `Math.max`, the largest of no items is `-Infinity`.
+ *
+ * ```javascript [playground]
+ * console.log(reduce([3, 1, 2], Reducer.max())) // 3
+ * ```
+ */
+Reducer.max = function reducerMax() {
+  return _InitializingReducer(function maxReducer(max, number) {
+    return number > max ? number : max
+  }, () => -Infinity)
+}
+
+/**
+ * @name _welfordInit
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _welfordInit() -> moments { count: number, mean: number, m2: number }
+ * ```
+ */
+const _welfordInit = () => ({ count: 0, mean: 0, m2: 0 })
+
+/**
+ * @name _welfordReducer
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _welfordReducer(
+ *   moments { count: number, mean: number, m2: number },
+ *   number number,
+ * ) -> moments
+ * ```
+ *
+ * @description
+ * Update the running mean and sum of squared deviations with Welford's algorithm, which avoids the loss of precision of subtracting large sums.
+ */
+const _welfordReducer = function (moments, number) {
+  moments.count += 1
+  const delta = number - moments.mean
+  moments.mean += delta / moments.count
+  moments.m2 += delta * (number - moments.mean)
+  return moments
+}
+
+/**
+ * @name Reducer.mean
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.mean() -> meanReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that finds the arithmetic mean of the items of the reducing operation. The mean is updated at each item rather than divided from a sum, so it stays accurate for long streams of large numbers. The mean of no items is `NaN`.
+ *
+ * ```javascript [playground]
+ * console.log(reduce([1, 2, 3, 4], Reducer.mean())) // 2.5
+ * ```
+ */
+Reducer.mean = function reducerMean() {
+  return _InitializingReducer(
+    function meanReducer(moments, number) {
+      return _welfordReducer(moments, number)
+    },
+    _welfordInit,
+    moments => moments.count == 0 ? NaN : moments.mean,
+  )
+}
+
+/**
+ * @name Reducer.variance
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.variance(options? {
+ *   sample: boolean, # default false
+ * }) -> varianceReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that finds the population variance of the items of the reducing operation with Welford's online algorithm. With `sample: true`, finds the sample variance instead, which divides by one less than the number of items.
+ *
+ * ```javascript [playground]
+ * console.log(reduce([2, 4, 4, 4, 5, 5, 7, 9], Reducer.variance())) // 4
+ * console.log(reduce([1, 2, 3, 4], Reducer.variance({ sample: true }))) // 1.6666666666666667
+ * ```
+ *
+ * The population variance of no items and the sample variance of fewer than two items are `NaN`.
+ */
+Reducer.variance = function reducerVariance(options = {}) {
+  const correction = options.sample ? 1 : 0
+  return _InitializingReducer(
+    function varianceReducer(moments, number) {
+      return _welfordReducer(moments, number)
+    },
+    _welfordInit,
+    moments => moments.count <= correction ? NaN
+      : moments.m2 / (moments.count - correction),
+  )
+}
+
+/**
+ * @name Reducer.percentile
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.percentile(percentage number) -> percentileReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that estimates the `percentage`th percentile (from `0` to `100`) of the items of the reducing operation. The estimate uses the P² algorithm, which keeps five numbers rather than every item, so it suits unbounded async iterators. It is exact for up to five items and for the `0`th and `100`th percentiles. The percentile of no items is `NaN`.
+ *
+ * ```javascript [playground]
+ * const latencies = async function* () {
+ *   for (let i = 1; i <= 1000; i++) {
+ *     yield i
+ *   }
+ * }
+ *
+ * reduce(latencies(), Reducer.percentile(99)).then(console.log) // ~990
+ * ```
+ */
+Reducer.percentile = function reducerPercentile(percentage) {
+  const p = percentage / 100
+  return _InitializingReducer(
+    function percentileReducer(estimator, number) {
+      return estimator.push(number)
+    },
+    () => QuantileEstimator(p),
+    estimator => estimator.value(),
+  )
+}
+
+/**
+ * @name _histogramCount
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _histogramCount(histogram Map<any=>number>, bucket any) -> histogram
+ * ```
+ */
+const _histogramCount = function (histogram, bucket) {
+  const count = histogram.get(bucket)
+  histogram.set(bucket, count == null ? 1 : count + 1)
+  return histogram
+}
+
+/**
+ * @name Reducer.histogram
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Reducer.histogram(bucketFn any=>Promise|any) -> histogramReducer Reducer
+ * ```
+ *
+ * @description
+ * Creates a reducer that counts the items of the reducing operation in buckets by `bucketFn`. The result is a Map of each bucket to its count, in the order the buckets were first seen. `bucketFn` may be asynchronous.
+ *
+ * ```javascript [playground]
+ * const byTens = number => Math.floor(number / 10) * 10
+ *
+ * console.log(
+ *   reduce([3, 12, 17, 25, 1], Reducer.histogram(byTens)),
+ * ) // Map(3) { 0 => 2, 10 => 2, 20 => 1 }
+ * ```
+ */
+Reducer.histogram = function reducerHistogram(bucketFn) {
+  return _InitializingReducer(function histogramReducer(histogram, item) {
+    const bucket = bucketFn(item)
+    return isPromise(bucket)
+      ? bucket.then(curry2(_histogramCount, histogram, __))
+      : _histogramCount(histogram, bucket)
+  }, () => new Map())
+}
+
+module.exports = Reducer
@@ -0,0 +1,92 @@
+const assert = require('assert')
+const reduce = require('./reduce')
+const Transducer = require('./Transducer')
+const AggregateReducer = require('./AggregateReducer')
+const Reducer = require('./Reducer')
+
+describe('Reducer', () => {
+  const numbers = async function* () {
+    yield 2; yield 4; yield 4; yield 4; yield 5; yield 5; yield 7; yield 9
+  }
+
+  it('count, sum, min and max', async () => {
+    assert.strictEqual(reduce([1, 2, 3], Reducer.count()), 3)
+    assert.strictEqual(reduce([1, 2, 3], Reducer.sum()), 6)
+    assert.strictEqual(reduce([3, 1, 2], Reducer.min()), 1)
+    assert.strictEqual(reduce([3, 1, 2], Reducer.max()), 3)
+    assert.strictEqual(reduce([], Reducer.count()), 0)
+    assert.strictEqual(reduce([], Reducer.sum()), 0)
+    assert.strictEqual(reduce([], Reducer.min()), Infinity)
+    assert.strictEqual(reduce([], Reducer.max()), -Infinity)
+    assert.strictEqual(reduce(new Map([['a', 1], ['b', 2]]), Reducer.count()), 2)
+    assert.strictEqual(reduce(new Set([1, 2]).values(), Reducer.sum()), 3)
+    assert.strictEqual(await reduce(numbers(), Reducer.max()), 9)
+  })
+
+  it('mean', async () => {
+    assert.strictEqual(reduce([1, 2, 3, 4], Reducer.mean()), 2.5)
+    assert.strictEqual(await reduce(numbers(), Reducer.mean()), 5)
+    assert(Number.isNaN(reduce([], Reducer.mean())))
+    const mean = Reducer.mean()
+    assert.strictEqual(reduce([1, 2], mean), 1.5)
+    assert.strictEqual(reduce([3, 5], mean), 4)
+    assert.strictEqual(reduce(new Map([['a', 1e9 + 1], ['b', 1e9 + 3]]), Reducer.mean()), 1e9 + 2)
+  })
+
+  it('variance', async () => {
+    assert.strictEqual(reduce([2, 4, 4, 4, 5, 5, 7, 9], Reducer.variance()), 4)
+    assert.strictEqual(await reduce(numbers(), Reducer.variance({ sample: true })), 32 / 7)
+    assert.strictEqual(reduce([1e9 + 4, 1e9 + 7, 1e9 + 13, 1e9 + 16], Reducer.variance()), 22.5)
+    assert.strictEqual(reduce([5], Reducer.variance()), 0)
+    assert(Number.isNaN(reduce([5], Reducer.variance({ sample: true }))))
+    assert(Number.isNaN(reduce([], Reducer.variance())))
+  })
+
+  it('percentile', async () => {
+    assert.strictEqual(reduce([3, 1, 2], Reducer.percentile(50)), 2)
+    assert.strictEqual(reduce([1, 2, 3, 4], Reducer.percentile(50)), 2.5)
+    assert.strictEqual(reduce([120, 80, 100], Reducer.percentile(99)), 119.6)
+    assert(Number.isNaN(reduce([], Reducer.percentile(50))))
+
+    const shuffled = async function* () {
+      let seed = 1
+      for (let i = 0; i < 10000; i++) {
+        seed = (seed * 16807) % 2147483647
+        yield seed / 2147483647 * 100
+      }
+    }
+    const median = await reduce(shuffled(), Reducer.percentile(50))
+    assert(Math.abs(median - 50) < 1, `median ${median}`)
+    const p90 = await reduce(shuffled(), Reducer.percentile(90))
+    assert(Math.abs(p90 - 90) < 1, `p90 ${p90}`)
+
+    const sorted = Array.from({ length: 1000 }, (_, index) => index)
+    assert.strictEqual(reduce(sorted, Reducer.percentile(0)), 0)
+    assert.strictEqual(reduce(sorted, Reducer.percentile(100)), 999)
+  })
+
+  it('histogram', async () => {
+    const byTens = number => Math.floor(number / 10) * 10
+    assert.deepEqual(
+      reduce([3, 12, 17, 25, 1], Reducer.histogram(byTens)),
+      new Map([[0, 2], [10, 2], [20, 1]]),
+    )
+    assert.deepEqual(
+      await reduce(numbers(), Reducer.histogram(async number => number % 2 == 0 ? 'even' : 'odd')),
+      new Map([['even', 4], ['odd', 4]]),
+    )
+    assert.deepEqual(reduce([], Reducer.histogram(byTens)), new Map())
+  })
+
+  it('with transducers and AggregateReducer.all', async () => {
+    assert.strictEqual(reduce([1, 2, 3], Transducer.map(number => number * 2)(Reducer.mean())), 4)
+    assert.strictEqual(await reduce([1, 2, 3, 4], Transducer.filter(async number => number > 1)(Reducer.variance())), 2 / 3)
+    assert.deepEqual(await reduce(numbers(), AggregateReducer.all({
+      count: Reducer.count(),
+      mean: Reducer.mean(),
+      variance: Reducer.variance(),
+      range: [(range, number) => [Math.min(range[0], number), Math.max(range[1], number)], () => [Infinity, -Infinity]],
+    })), { count: 8, mean: 5, variance: 4, range: [2, 9] })
+    assert.strictEqual(reduce([1, 2, 3], Reducer.sum(), 10), 16)
+  })
+})
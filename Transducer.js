@@ -4,8 +4,24 @@ const reducerFilter = require('./_internal/reducerFilter')
 const reducerFlatMap = require('./_internal/reducerFlatMap')
 const reducerForEach = require('./_internal/reducerForEach')
 const reducerTryCatch = require('./_internal/reducerTryCatch')
+const reducerTake = require('./_internal/reducerTake')
+const reducerTakeWhile = require('./_internal/reducerTakeWhile')
+const reducerDrop = require('./_internal/reducerDrop')
+const reducerDropWhile = require('./_internal/reducerDropWhile')
+const reducerChunk = require('./_internal/reducerChunk')
+const reducerWindow = require('./_internal/reducerWindow')
+const reducerPartitionBy = require('./_internal/reducerPartitionBy')
+const reducerScan = require('./_internal/reducerScan')
+const reducerDedupe = require('./_internal/reducerDedupe')
+const reducerUniqBy = require('./_internal/reducerUniqBy')
+const reducerBufferTime = require('./_internal/reducerBufferTime')
+const reducerSampleTime = require('./_internal/reducerSampleTime')
+const reducerDebounceTime = require('./_internal/reducerDebounceTime')
+const Clock = require('./_internal/Clock')
+const identity = require('./_internal/identity')
 const curry2 = require('./_internal/curry2')
 const curry3 = require('./_internal/curry3')
+const curry4 = require('./_internal/curry4')
 const __ = require('./_internal/placeholder')
 
 /**
@@ -265,4 +281,537 @@ Transducer.tryCatch = function transducerTryCatch(transducerTryer, catcher) {
   return curry3(reducerTryCatch, __, transducerTryer, catcher)
 }
 
+/**
+ * @name Transducer.take
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.take(count number) -> takingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a taking transducer. A taking reducer passes on the first `count` items of the reducing operation, then signals that the operation is complete. [reduce](/docs/reduce) and [transform](/docs/transform) stop at the signal without pulling further items, so a taking transducer can end the transformation of an infinite iterator or async iterator. The source iterator is closed with its `.return` method.
+ *
+ * A taking reducer counts the items of each reducing operation of [reduce](/docs/reduce) and [transform](/docs/transform) separately, so the same reducer may be used for many operations, including concurrent operations and operations after one that threw.
+ *
+ * ```javascript [playground]
+ * const generateNaturals = function* () {
+ *   let number = 0
+ *   while (true) {
+ *     number += 1
+ *     yield number
+ *   }
+ * }
+ *
+ * console.log(
+ *   transform(generateNaturals(), compose([
+ *     Transducer.map(number => number ** 2),
+ *     Transducer.take(3),
+ *   ]), []),
+ * ) // [1, 4, 9]
+ * ```
+ *
+ * The signal follows the `@@transducer/reduced` protocol of other transducer libraries. Each use of `transform` or `reduce` applies the transducer anew, so the count starts over.
+ */
+Transducer.take = function transducerTake(count) {
+  return curry2(reducerTake, __, count)
+}
+
+/**
+ * @name Transducer.takeWhile
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.takeWhile(predicate function) -> takingWhileTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a transducer that takes items while they test truthy by the predicate. At the first item that tests falsy, the taking reducer signals that the reducing operation is complete, and [reduce](/docs/reduce) and [transform](/docs/transform) stop without pulling further items. It is possible to use an asynchronous predicate, however the reducing operation must support asynchronous execution.
+ *
+ * ```javascript [playground]
+ * const generateNaturals = async function* () {
+ *   let number = 0
+ *   while (true) {
+ *     number += 1
+ *     yield number
+ *   }
+ * }
+ *
+ * transform(
+ *   generateNaturals(),
+ *   Transducer.takeWhile(async number => number < 5),
+ *   [],
+ * ).then(console.log) // [1, 2, 3, 4]
+ * ```
+ */
+Transducer.takeWhile = function transducerTakeWhile(predicate) {
+  return curry2(reducerTakeWhile, __, predicate)
+}
+
+/**
+ * @name Transducer.drop
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.drop(count number) -> droppingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a dropping transducer. A dropping reducer skips the first `count` items of the reducing operation and passes on the rest.
+ *
+ * ```javascript [playground]
+ * console.log(
+ *   transform([1, 2, 3, 4, 5], Transducer.drop(2), []),
+ * ) // [3, 4, 5]
+ * ```
+ */
+Transducer.drop = function transducerDrop(count) {
+  return curry2(reducerDrop, __, count)
+}
+
+/**
+ * @name Transducer.dropWhile
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.dropWhile(predicate function) -> droppingWhileTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a transducer that drops items while they test truthy by the predicate. From the first item that tests falsy on, every item is passed on without testing it. It is possible to use an asynchronous predicate, however the reducing operation must support asynchronous execution.
+ *
+ * ```javascript [playground]
+ * console.log(
+ *   transform([1, 2, 3, 2, 1], Transducer.dropWhile(number => number < 3), []),
+ * ) // [3, 2, 1]
+ * ```
+ */
+Transducer.dropWhile = function transducerDropWhile(predicate) {
+  return curry2(reducerDropWhile, __, predicate)
+}
+
+/**
+ * @name Transducer.chunk
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.chunk(size number) -> chunkingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a chunking transducer. A chunking reducer groups the items of the reducing operation into arrays of `size` items and passes on each group. When the reducing operation ends, [reduce](/docs/reduce) and [transform](/docs/transform) flush the trailing group, which may have fewer than `size` items. `size` must be a positive integer, otherwise `Transducer.chunk` throws a RangeError.
+ *
+ * ```javascript [playground]
+ * const bulkWrite = async events => {
+ *   console.log('writing', events)
+ * }
+ *
+ * transform([1, 2, 3, 4, 5], compose([
+ *   Transducer.chunk(2),
+ *   Transducer.forEach(bulkWrite),
+ * ]), null)
+ * // writing [1, 2]
+ * // writing [3, 4]
+ * // writing [5]
+ * ```
+ *
+ * [transform](/docs/transform) extends an array with the items of each group. To collect the groups themselves, map each group into an array.
+ *
+ * ```javascript [playground]
+ * console.log(
+ *   transform([1, 2, 3, 4, 5], compose([
+ *     Transducer.chunk(2),
+ *     Transducer.map(group => [group]),
+ *   ]), []),
+ * ) // [[1, 2], [3, 4], [5]]
+ * ```
+ */
+Transducer.chunk = function transducerChunk(size) {
+  if (!(Number.isInteger(size) && size > 0)) {
+    throw new RangeError(`invalid size ${size}`)
+  }
+  return curry2(reducerChunk, __, size)
+}
+
+/**
+ * @name Transducer.window
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.window(size number, step number?) -> windowingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a windowing transducer. A windowing reducer groups the items of the reducing operation into sliding windows of `size` items, starting a new window every `step` items (default `1`), and passes on each window once it is full. When the reducing operation ends, [reduce](/docs/reduce) and [transform](/docs/transform) flush the last items that are in no full window, as the oldest window that is not full yet. Windows that are not full are otherwise not passed on. `size` and `step` must be positive integers, otherwise `Transducer.window` throws a RangeError.
+ *
+ * ```javascript [playground]
+ * console.log(
+ *   transform([1, 2, 3, 4, 5], compose([
+ *     Transducer.window(3, 2),
+ *     Transducer.map(window => [window]),
+ *   ]), []),
+ * ) // [[1, 2, 3], [3, 4, 5]]
+ *
+ * console.log(
+ *   transform([1, 2, 3, 4], compose([
+ *     Transducer.window(3, 2),
+ *     Transducer.map(window => [window]),
+ *   ]), []),
+ * ) // [[1, 2, 3], [3, 4]]
+ * ```
+ */
+Transducer.window = function transducerWindow(size, step = 1) {
+  if (!(Number.isInteger(size) && size > 0)) {
+    throw new RangeError(`invalid size ${size}`)
+  }
+  if (!(Number.isInteger(step) && step > 0)) {
+    throw new RangeError(`invalid step ${step}`)
+  }
+  return curry3(reducerWindow, __, size, step)
+}
+
+/**
+ * @name Transducer.partitionBy
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.partitionBy(keyFn function) -> partitioningTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a partitioning transducer. A partitioning reducer groups consecutive items of the reducing operation that have the same key by `keyFn`, and passes on each group once an item with a different key arrives. When the reducing operation ends, [reduce](/docs/reduce) and [transform](/docs/transform) flush the trailing group. It is possible to use an asynchronous `keyFn`, however the reducing operation must support asynchronous execution.
+ *
+ * ```javascript [playground]
+ * const isOdd = number => number % 2 == 1
+ *
+ * console.log(
+ *   transform([1, 3, 2, 4, 5], compose([
+ *     Transducer.partitionBy(isOdd),
+ *     Transducer.map(group => [group]),
+ *   ]), []),
+ * ) // [[1, 3], [2, 4], [5]]
+ * ```
+ */
+Transducer.partitionBy = function transducerPartitionBy(keyFn) {
+  return curry2(reducerPartitionBy, __, keyFn)
+}
+
+/**
+ * @name Transducer.scan
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.scan(
+ *   scanner (accumulation any, item any)=>Promise|any,
+ *   init any,
+ * ) -> scanningTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a scanning transducer. A scanning reducer accumulates the items of the reducing operation with `scanner`, starting from `init`, and passes on each intermediate accumulation.
+ *
+ * ```javascript [playground]
+ * const add = (a, b) => a + b
+ *
+ * console.log(
+ *   transform([1, 2, 3, 4], Transducer.scan(add, 0), []),
+ * ) // [1, 3, 6, 10]
+ * ```
+ *
+ * It is possible to use an asynchronous `scanner`, however the reducing operation must support asynchronous execution.
+ */
+Transducer.scan = function transducerScan(scanner, init) {
+  return curry3(reducerScan, __, scanner, init)
+}
+
+/**
+ * @name Transducer.dedupe
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.dedupe(keyFn function?) -> dedupingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a deduping transducer. A deduping reducer skips items of the reducing operation that are the same as the item before them. Items are compared with [SameValueZero](https://tc39.es/ecma262/#sec-samevaluezero), or by their keys if `keyFn` is supplied.
+ *
+ * ```javascript [playground]
+ * console.log(
+ *   transform([1, 1, 2, 2, 2, 1, 3], Transducer.dedupe(), []),
+ * ) // [1, 2, 1, 3]
+ *
+ * console.log(
+ *   transform(['a', 'A', 'b', 'B', 'a'], Transducer.dedupe(letter => letter.toLowerCase()), ''),
+ * ) // aba
+ * ```
+ *
+ * It is possible to use an asynchronous `keyFn`, however the reducing operation must support asynchronous execution.
+ */
+Transducer.dedupe = function transducerDedupe(keyFn = identity) {
+  return curry2(reducerDedupe, __, keyFn)
+}
+
+/**
+ * @name Transducer.uniqBy
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.uniqBy(keyFn function) -> uniqueTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a unique transducer. A unique reducer passes on only the first item of the reducing operation for each key by `keyFn`. Keys are compared with [SameValueZero](https://tc39.es/ecma262/#sec-samevaluezero).
+ *
+ * ```javascript [playground]
+ * const users = [
+ *   { id: 1, name: 'George' },
+ *   { id: 2, name: 'Jane' },
+ *   { id: 1, name: 'George Jr.' },
+ * ]
+ *
+ * console.log(
+ *   transform(users, compose([
+ *     Transducer.uniqBy(user => user.id),
+ *     Transducer.map(user => user.name),
+ *   ]), []),
+ * ) // ['George', 'Jane']
+ * ```
+ *
+ * It is possible to use an asynchronous `keyFn`, however the reducing operation must support asynchronous execution.
+ */
+Transducer.uniqBy = function transducerUniqBy(keyFn) {
+  return curry2(reducerUniqBy, __, keyFn)
+}
+
+/**
+ * @name Transducer.bufferTime
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.bufferTime(
+ *   ms number,
+ *   maxSize number?, # default Infinity
+ *   options {
+ *     now: ()=>number, # default Date.now
+ *     setTimeout: (callback ()=>(), ms number)=>(timer any), # default setTimeout
+ *     clearTimeout: (timer any)=>(), # default clearTimeout
+ *   }?,
+ * ) -> bufferingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a buffering transducer. A buffering reducer groups the items of the reducing operation that arrive within `ms` milliseconds of the first item of each group into arrays, and passes on each group once the group's time is up or once the group has `maxSize` items. When the reducing operation ends, [reduce](/docs/reduce) and [transform](/docs/transform) flush the trailing group.
+ *
+ * ```javascript [playground]
+ * const events = async function* () {
+ *   yield 'a'
+ *   yield 'b'
+ *   await new Promise(resolve => setTimeout(resolve, 200))
+ *   yield 'c'
+ * }
+ *
+ * transform(events(), compose([
+ *   Transducer.bufferTime(100),
+ *   Transducer.map(group => [group]),
+ * ]), []).then(console.log) // [['a', 'b'], ['c']]
+ * ```
+ *
+ * Time-based transducers read the time of each item from `options.now` and keep time with timers from `options.setTimeout` and `options.clearTimeout`, so a group whose time is up is passed on while the source is waiting for its next item, e.g. while a socket is idle. Supply these options to run on another clock, e.g. a fake clock in tests. The completion step of the reducing operation clears any pending timer.
+ *
+ * [reduce.pool](/docs/reduce.pool) and [transform.pool](/docs/transform.pool) reduce each item into a separate result, so time-based transducers run no timers there. A group whose time is up is passed on when the next item arrives or when the source ends.
+ */
+Transducer.bufferTime = function transducerBufferTime(
+  ms, maxSize = Infinity, options = {},
+) {
+  return curry4(reducerBufferTime, __, ms, maxSize, Clock(options))
+}
+
+/**
+ * @name Transducer.sampleTime
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.sampleTime(
+ *   ms number,
+ *   options {
+ *     now: ()=>number, # default Date.now
+ *     setTimeout: (callback ()=>(), ms number)=>(timer any), # default setTimeout
+ *     clearTimeout: (timer any)=>(), # default clearTimeout
+ *   }?,
+ * ) -> samplingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a sampling transducer. A sampling reducer divides the time of the reducing operation into periods of `ms` milliseconds, starting at the arrival of the first item, and passes on the last item of each period that has items. When the reducing operation ends, [reduce](/docs/reduce) and [transform](/docs/transform) flush the last item of the final period.
+ *
+ * ```javascript [playground]
+ * const positions = async function* () {
+ *   yield 1
+ *   yield 2
+ *   await new Promise(resolve => setTimeout(resolve, 200))
+ *   yield 3
+ *   yield 4
+ * }
+ *
+ * transform(positions(), Transducer.sampleTime(100), []).then(console.log) // [2, 4]
+ * ```
+ *
+ * Like [Transducer.bufferTime](/docs/Transducer.bufferTime), this transducer keeps time with timers, so the sample of a period is passed on at the end of the period. Supply `options.now`, `options.setTimeout` and `options.clearTimeout` to run on another clock.
+ */
+Transducer.sampleTime = function transducerSampleTime(ms, options = {}) {
+  return curry3(reducerSampleTime, __, ms, Clock(options))
+}
+
+/**
+ * @name Transducer.debounceTime
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reducer = (
+ *   accumulator any,
+ *   item any,
+ *   indexOrKey? number|string,
+ *   collection? Foldable,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * Transducer.debounceTime(
+ *   ms number,
+ *   options {
+ *     now: ()=>number, # default Date.now
+ *     setTimeout: (callback ()=>(), ms number)=>(timer any), # default setTimeout
+ *     clearTimeout: (timer any)=>(), # default clearTimeout
+ *   }?,
+ * ) -> debouncingTransducer Transducer
+ * ```
+ *
+ * @description
+ * Creates a debouncing transducer. A debouncing reducer passes on the items of the reducing operation that are not followed by another item within `ms` milliseconds. When the reducing operation ends, [reduce](/docs/reduce) and [transform](/docs/transform) flush the last item.
+ *
+ * ```javascript [playground]
+ * const keystrokes = async function* () {
+ *   yield 'r'
+ *   yield 'ru'
+ *   await new Promise(resolve => setTimeout(resolve, 200))
+ *   yield 'rub'
+ * }
+ *
+ * transform(keystrokes(), Transducer.debounceTime(100), []).then(console.log) // ['ru', 'rub']
+ * ```
+ *
+ * Like [Transducer.bufferTime](/docs/Transducer.bufferTime), this transducer keeps time with timers, so an item is passed on `ms` milliseconds after it arrives if no other item arrives in that time. Supply `options.now`, `options.setTimeout` and `options.clearTimeout` to run on another clock.
+ */
+Transducer.debounceTime = function transducerDebounceTime(ms, options = {}) {
+  return curry3(reducerDebounceTime, __, ms, Clock(options))
+}
+
 module.exports = Transducer
@@ -1,6 +1,7 @@
 require('./global')
 const Transducer = require('./Transducer')
 const assert = require('assert')
+const { Writable } = require('stream')
 
 describe('Transducer', () => {
   const ade = assert.deepEqual
@@ -151,4 +152,667 @@ describe('Transducer', () => {
     )
   })
 
+  describe('early termination', () => {
+    const generateNaturals = function* () {
+      let number = 0
+      while (true) {
+        number += 1
+        yield number
+      }
+    }
+    const asyncGenerateNaturals = async function* () {
+      let number = 0
+      while (true) {
+        number += 1
+        yield number
+      }
+    }
+
+    it('take transducer', async () => {
+      ade(transform([1, 2, 3, 4, 5], Transducer.take(3), []), [1, 2, 3])
+      ade(transform([1, 2], Transducer.take(3), []), [1, 2])
+      ade(transform([1, 2, 3], Transducer.take(0), []), [])
+      ade(transform(generateNaturals(), Transducer.take(3), []), [1, 2, 3])
+      ade(await transform(asyncGenerateNaturals(), Transducer.take(3), []), [1, 2, 3])
+      ase(transform(generateNaturals(), Transducer.take(3), ''), '123')
+      ade(transform({ a: 1, b: 2, c: 3 }, Transducer.take(2), []), [1, 2])
+      ade(transform(new Map([['a', 1], ['b', 2], ['c', 3]]), Transducer.take(2), []), [1, 2])
+      ase(reduce(generateNaturals(), Transducer.take(4)(add), 0), 10)
+      ase(await reduce([1, 2, 3, 4, 5], Transducer.take(2)(async (y, xi) => y + xi), 0), 3)
+    })
+
+    it('take transducer in a composition', async () => {
+      ade(transform(generateNaturals(), compose([
+        Transducer.filter(isOdd),
+        Transducer.map(number => number ** 2),
+        Transducer.take(3),
+      ]), []), [1, 9, 25])
+      ade(await transform(asyncGenerateNaturals(), compose([
+        Transducer.map(async number => number * 10),
+        Transducer.take(2),
+      ]), []), [10, 20])
+      ade(transform(generateNaturals(), compose([
+        Transducer.flatMap(number => [number, number]),
+        Transducer.take(3),
+      ]), []), [1, 1, 2])
+      ade(await transform(asyncGenerateNaturals(), compose([
+        Transducer.flatMap(async number => [number, -number]),
+        Transducer.take(3),
+      ]), []), [1, -1, 2])
+    })
+
+    it('take transducer counts anew for each reduction', async () => {
+      const takeTwo = Transducer.take(2)
+      ade(transform([1, 2, 3], takeTwo, []), [1, 2])
+      ade(transform([4, 5, 6], takeTwo, []), [4, 5])
+    })
+
+    it('take, drop and dropWhile reducers start anew when reused', async () => {
+      const takingReducer = Transducer.take(2)(add)
+      ase(reduce([1, 2, 3], takingReducer, 0), 3)
+      ase(reduce([1, 2, 3], takingReducer, 0), 3)
+      const composedReducer = compose([Transducer.map(number => number * 10), Transducer.take(1)])(add)
+      ase(reduce([1, 2], composedReducer, 0), 10)
+      ase(reduce([1, 2], composedReducer, 0), 10)
+      const droppingReducer = Transducer.drop(1)(add)
+      ase(reduce([1, 2, 3], droppingReducer, 0), 5)
+      ase(reduce([1, 2, 3], droppingReducer, 0), 5)
+      const droppingWhileReducer = Transducer.dropWhile(number => number < 2)(add)
+      ase(reduce([1, 2, 1], droppingWhileReducer, 0), 3)
+      ase(reduce([1, 2, 1], droppingWhileReducer, 0), 3)
+      ase(await reduce(asyncGenerateNaturals(), takingReducer, 0), 3)
+      ase(await reduce(asyncGenerateNaturals(), takingReducer, 0), 3)
+    })
+
+    it('take, drop and dropWhile reducers keep no state from operations that throw or run concurrently', async () => {
+      const checkedAdd = (sum, number) => {
+        if (typeof number != 'number') {
+          throw new TypeError(`${number} is not a number`)
+        }
+        return sum + number
+      }
+      const takingReducer = Transducer.take(2)(checkedAdd)
+      assert.throws(() => reduce([1, 'x', 3], takingReducer, 0), TypeError)
+      ase(reduce([1, 2, 3], takingReducer, 0), 3)
+      const droppingReducer = compose([
+        Transducer.map(number => number),
+        Transducer.drop(1),
+      ])(checkedAdd)
+      assert.throws(() => reduce([1, 'x', 3], droppingReducer, 0), TypeError)
+      ase(reduce([1, 2, 3], droppingReducer, 0), 5)
+      const droppingWhileReducer = Transducer.dropWhile(number => number < 2)(checkedAdd)
+      assert.throws(() => reduce([2, 'x'], droppingWhileReducer, 0), TypeError)
+      ase(reduce([1, 2, 1], droppingWhileReducer, 0), 3)
+
+      const slowly = async function* (numbers) {
+        for (const number of numbers) {
+          await new Promise(resolve => setImmediate(resolve))
+          yield number
+        }
+      }
+      ade(await Promise.all([
+        reduce(slowly([1, 2, 3]), takingReducer, 0),
+        reduce(slowly([10, 20, 30]), takingReducer, 0),
+      ]), [3, 30])
+      ade(await Promise.all([
+        reduce(slowly([1, 2, 3]), droppingReducer, 0),
+        reduce(slowly([10, 20, 30]), droppingReducer, 0),
+      ]), [5, 50])
+      const tryingReducer = Transducer.tryCatch(Transducer.take(1), () => 0)(add)
+      ade(await Promise.all([
+        reduce(slowly([1, 2]), tryingReducer, 0),
+        reduce(slowly([10, 20]), tryingReducer, 0),
+      ]), [1, 10])
+    })
+
+    it('take transducer closes the source iterator', async () => {
+      let closed = 0
+      const numbers = function* () {
+        try {
+          yield 1
+          yield 2
+          yield 3
+        } finally {
+          closed += 1
+        }
+      }
+      const asyncNumbers = async function* () {
+        try {
+          yield 1
+          yield 2
+          yield 3
+        } finally {
+          closed += 1
+        }
+      }
+      ade(transform(numbers(), Transducer.take(2), []), [1, 2])
+      ase(closed, 1)
+      ade(await transform(asyncNumbers(), Transducer.take(2), []), [1, 2])
+      ase(closed, 2)
+      ade(await transform(numbers(), compose([
+        Transducer.map(async number => number),
+        Transducer.take(1),
+      ]), []), [1])
+      ase(closed, 3)
+    })
+
+    it('take transducer with transform.pool and reduce.pool', async () => {
+      ade(await transform.pool(
+        asyncGenerateNaturals(),
+        3,
+        compose([Transducer.map(async number => number * 2), Transducer.take(3)]),
+        [],
+      ), [2, 4, 6])
+      ase(reduce.pool(generateNaturals(), 2, Transducer.take(3), add, 0), 6)
+    })
+
+    it('takeWhile transducer', async () => {
+      ade(transform(generateNaturals(), Transducer.takeWhile(number => number < 4), []), [1, 2, 3])
+      ade(await transform(
+        asyncGenerateNaturals(),
+        Transducer.takeWhile(async number => number < 3),
+        [],
+      ), [1, 2])
+      ade(transform([1, 2, 5, 1], Transducer.takeWhile(number => number < 3), []), [1, 2])
+      ade(transform([5, 1], Transducer.takeWhile(number => number < 3), []), [])
+    })
+
+    it('drop transducer', async () => {
+      ade(transform([1, 2, 3, 4, 5], Transducer.drop(2), []), [3, 4, 5])
+      ade(transform([1, 2], Transducer.drop(3), []), [])
+      ade(transform(generateNaturals(), compose([
+        Transducer.drop(2),
+        Transducer.take(2),
+      ]), []), [3, 4])
+    })
+
+    it('dropWhile transducer', async () => {
+      ade(transform([1, 2, 3, 2, 1], Transducer.dropWhile(number => number < 3), []), [3, 2, 1])
+      ade(await transform(
+        [1, 2, 3, 2, 1],
+        Transducer.dropWhile(async number => number < 3),
+        [],
+      ), [3, 2, 1])
+      ade(await transform(asyncGenerateNaturals(), compose([
+        Transducer.dropWhile(number => number < 5),
+        Transducer.take(2),
+      ]), []), [5, 6])
+    })
+  })
+
+  describe('stateful windowing', () => {
+    const asGroups = transducer => compose([
+      transducer,
+      Transducer.map(group => [group]),
+    ])
+
+    it('chunk transducer', async () => {
+      ade(transform([1, 2, 3, 4, 5], asGroups(Transducer.chunk(2)), []), [[1, 2], [3, 4], [5]])
+      ade(transform([1, 2, 3, 4], asGroups(Transducer.chunk(2)), []), [[1, 2], [3, 4]])
+      ade(transform([], asGroups(Transducer.chunk(2)), []), [])
+      ade(transform([1, 2, 3], Transducer.chunk(2), []), [1, 2, 3])
+      ade(reduce([1, 2, 3], Transducer.chunk(2)((groups, group) => groups.concat([group])), []), [[1, 2], [3]])
+      const numbers = async function* () {
+        yield 1
+        yield 2
+        yield 3
+      }
+      ade(await transform(numbers(), asGroups(Transducer.chunk(2)), []), [[1, 2], [3]])
+    })
+
+    it('chunk transducer into strings, streams and .concat targets', async () => {
+      ase(transform('abcde', compose([
+        Transducer.chunk(2),
+        Transducer.map(group => `${group.join('')}|`),
+      ]), ''), 'ab|cd|e|')
+
+      const written = []
+      const stream = new Writable({
+        objectMode: true,
+        write(chunk, encoding, callback) {
+          written.push(chunk)
+          callback()
+        },
+      })
+      transform([1, 2, 3], compose([
+        Transducer.chunk(2),
+        Transducer.map(group => group.join(',')),
+      ]), stream)
+      await new Promise(resolve => setImmediate(resolve))
+      ade(written, ['1,2', '3'])
+
+      const Concatenable = function (items) {
+        this.items = items
+      }
+      Concatenable.prototype.concat = function (item) {
+        return new Concatenable([...this.items, item])
+      }
+      ade(transform([1, 2, 3], Transducer.chunk(2), new Concatenable([])).items, [[1, 2], [3]])
+    })
+
+    it('chunk transducer flushes through other transducers', async () => {
+      ade(await transform([1, 2, 3, 4, 5], compose([
+        Transducer.filter(isOdd),
+        Transducer.chunk(2),
+        Transducer.map(async group => [group.map(number => number * 10)]),
+      ]), []), [[10, 30], [50]])
+      ade(await transform([1, 2, 3, 4, 5], compose([
+        Transducer.map(async number => number),
+        Transducer.chunk(2),
+        Transducer.map(group => [group]),
+      ]), []), [[1, 2], [3, 4], [5]])
+      ade(transform([1, 2, 3, 4, 5], Transducer.tryCatch(asGroups(Transducer.chunk(3)), () => {}), []), [[1, 2, 3], [4, 5]])
+      ade(transform([1, 2, 3, 4, 5], compose([
+        Transducer.take(3),
+        asGroups(Transducer.chunk(2)),
+      ]), []), [[1, 2], [3]])
+      ade(transform([1, 2, 3, 4, 5], compose([
+        Transducer.chunk(2),
+        Transducer.take(2),
+        Transducer.map(group => [group]),
+      ]), []), [[1, 2], [3, 4]])
+      ade(transform([1, 2, 3], compose([
+        Transducer.flatMap(number => [number, number]),
+        asGroups(Transducer.chunk(4)),
+      ]), []), [[1, 1, 2, 2], [3, 3]])
+    })
+
+    it('chunk transducer with transform.pool', async () => {
+      ade(await transform.pool([1, 2, 3, 4, 5], 2, compose([
+        Transducer.map(async number => number * 2),
+        asGroups(Transducer.chunk(2)),
+      ]), []), [[2, 4], [6, 8], [10]])
+      ade(await reduce.pool(
+        [1, 2, 3],
+        2,
+        Transducer.chunk(2),
+        (groups, group) => groups.concat([group]),
+        [],
+      ), [[1, 2], [3]])
+    })
+
+    it('window transducer', async () => {
+      ade(transform([1, 2, 3, 4], asGroups(Transducer.window(2)), []), [[1, 2], [2, 3], [3, 4]])
+      ade(transform([1, 2, 3, 4, 5], asGroups(Transducer.window(3, 2)), []), [[1, 2, 3], [3, 4, 5]])
+      ade(transform([1, 2, 3, 4], asGroups(Transducer.window(3, 2)), []), [[1, 2, 3], [3, 4]])
+      ade(transform([1, 2, 3, 4, 5], asGroups(Transducer.window(2, 3)), []), [[1, 2], [4, 5]])
+      ade(transform([1, 2, 3, 4], asGroups(Transducer.window(2, 3)), []), [[1, 2], [4]])
+      ade(transform([1, 2, 3], asGroups(Transducer.window(2, 3)), []), [[1, 2]])
+      ade(transform([1], asGroups(Transducer.window(3)), []), [[1]])
+      ade(transform([], asGroups(Transducer.window(3)), []), [])
+
+      const windowing = Transducer.window(2)((windows, window) => windows.concat([window]))
+      ade(reduce([1, 2, 3], windowing, []), [[1, 2], [2, 3]])
+      ade(reduce([4, 5, 6], windowing, []), [[4, 5], [5, 6]])
+      ade(reduce([7], windowing, []), [[7]])
+    })
+
+    it('chunk, window and partitionBy reducers keep no state from operations that throw or run concurrently', async () => {
+      const checkedConcat = (groups, group) => {
+        if (group.includes('x')) {
+          throw new TypeError('x is not allowed')
+        }
+        return [...groups, group]
+      }
+      const chunkingReducer = Transducer.chunk(2)(checkedConcat)
+      assert.throws(() => reduce([1, 'x', 3], chunkingReducer, []), TypeError)
+      ade(reduce([1, 2, 3], chunkingReducer, []), [[1, 2], [3]])
+      const windowingReducer = Transducer.window(2)(checkedConcat)
+      assert.throws(() => reduce([1, 'x', 3], windowingReducer, []), TypeError)
+      ade(reduce([1, 2, 3], windowingReducer, []), [[1, 2], [2, 3]])
+      const partitioningReducer = Transducer.partitionBy(isOdd)(checkedConcat)
+      assert.throws(() => reduce([1, 'x', 2], partitioningReducer, []), TypeError)
+      ade(reduce([2, 1, 3], partitioningReducer, []), [[2], [1, 3]])
+
+      const slowly = async function* (items) {
+        for (const item of items) {
+          await new Promise(resolve => setImmediate(resolve))
+          yield item
+        }
+      }
+      ade(await Promise.all([
+        reduce(slowly([1, 2, 3]), chunkingReducer, []),
+        reduce(slowly([4, 5, 6]), chunkingReducer, []),
+      ]), [[[1, 2], [3]], [[4, 5], [6]]])
+      ade(await Promise.all([
+        reduce(slowly([1, 2, 3]), windowingReducer, []),
+        reduce(slowly([4, 5, 6]), windowingReducer, []),
+      ]), [[[1, 2], [2, 3]], [[4, 5], [5, 6]]])
+      ade(await Promise.all([
+        reduce(slowly([1, 3, 2]), partitioningReducer, []),
+        reduce(slowly([5, 4, 6]), partitioningReducer, []),
+      ]), [[[1, 3], [2]], [[5], [4, 6]]])
+    })
+
+    it('chunk and window transducers throw a RangeError for sizes and steps that are not positive integers', async () => {
+      assert.throws(() => Transducer.chunk(0), new RangeError('invalid size 0'))
+      assert.throws(() => Transducer.chunk(1.5), new RangeError('invalid size 1.5'))
+      assert.throws(() => Transducer.chunk(Infinity), new RangeError('invalid size Infinity'))
+      assert.throws(() => Transducer.window(-1), new RangeError('invalid size -1'))
+      assert.throws(() => Transducer.window(2, 0), new RangeError('invalid step 0'))
+      assert.throws(() => Transducer.window(2, NaN), new RangeError('invalid step NaN'))
+    })
+
+    it('partitionBy transducer', async () => {
+      ade(transform([1, 3, 2, 4, 5], asGroups(Transducer.partitionBy(isOdd)), []), [[1, 3], [2, 4], [5]])
+      ade(await transform(
+        ['a', 'ab', 'b', 'abc'],
+        asGroups(Transducer.partitionBy(async string => string.length)),
+        [],
+      ), [['a'], ['ab'], ['b'], ['abc']])
+      ade(transform([NaN, NaN, 1], asGroups(Transducer.partitionBy(number => number)), []), [[NaN, NaN], [1]])
+      ade(transform([], asGroups(Transducer.partitionBy(isOdd)), []), [])
+    })
+  })
+
+  describe('running state', () => {
+    it('scan transducer', async () => {
+      ade(transform([1, 2, 3, 4], Transducer.scan(add, 0), []), [1, 3, 6, 10])
+      ade(transform([], Transducer.scan(add, 0), []), [])
+      ade(await transform([1, 2, 3], Transducer.scan(async (total, number) => total + number, 10), []), [11, 13, 16])
+      ade(await transform([1, 2, 3, 4], compose([
+        Transducer.scan(add, 0),
+        Transducer.takeWhile(async total => total < 6),
+      ]), []), [1, 3])
+      const runningTotals = Transducer.scan(add, 0)
+      ade(transform([1, 2], runningTotals, []), [1, 3])
+      ade(transform([1, 2], runningTotals, []), [1, 3])
+    })
+
+    it('dedupe transducer', async () => {
+      ade(transform([1, 1, 2, 2, 2, 1, 3], Transducer.dedupe(), []), [1, 2, 1, 3])
+      ade(transform([NaN, NaN, 0, -0], Transducer.dedupe(), []), [NaN, 0])
+      ase(transform('aAbBa', Transducer.dedupe(letter => letter.toLowerCase()), ''), 'aba')
+      ade(await transform(
+        [1, 3, 2, 4, 5],
+        Transducer.dedupe(async number => isOdd(number)),
+        [],
+      ), [1, 2, 5])
+      ade(transform([undefined, undefined, null], Transducer.dedupe(), []), [undefined, null])
+    })
+
+    it('uniqBy transducer', async () => {
+      const users = [
+        { id: 1, name: 'George' },
+        { id: 2, name: 'Jane' },
+        { id: 1, name: 'George Jr.' },
+      ]
+      ade(transform(users, compose([
+        Transducer.uniqBy(user => user.id),
+        Transducer.map(user => user.name),
+      ]), []), ['George', 'Jane'])
+      ade(await transform(users, compose([
+        Transducer.uniqBy(async user => user.id),
+        Transducer.map(user => user.name),
+      ]), []), ['George', 'Jane'])
+      ade(transform([NaN, 1, NaN, 0, -0], Transducer.uniqBy(number => number), []), [NaN, 1, 0])
+      const uniqIds = Transducer.uniqBy(user => user.id)
+      ase(transform(users, uniqIds, []).length, 2)
+      ase(transform(users, uniqIds, []).length, 2)
+    })
+
+    it('scan, dedupe and uniqBy reducers start anew when reused', async () => {
+      const concatReducer = (array, item) => [...array, item]
+      const scanningReducer = Transducer.scan(add, 0)(concatReducer)
+      ade(reduce([1, 2], scanningReducer, []), [1, 3])
+      ade(reduce([1, 2], scanningReducer, []), [1, 3])
+      const dedupingReducer = Transducer.dedupe()(concatReducer)
+      ade(reduce([1, 1, 2], dedupingReducer, []), [1, 2])
+      ade(reduce([2, 2, 3], dedupingReducer, []), [2, 3])
+      const uniqueReducer = compose([
+        Transducer.uniqBy(number => number),
+        Transducer.map(number => number * 10),
+      ])(concatReducer)
+      ade(reduce([1, 2, 1], uniqueReducer, []), [10, 20])
+      ade(reduce([1, 2, 1], uniqueReducer, []), [10, 20])
+    })
+
+    it('scan, dedupe and uniqBy reducers keep no state from operations that throw or run concurrently', async () => {
+      const checkedConcat = (array, item) => {
+        if (item == 'x') {
+          throw new TypeError('x is not allowed')
+        }
+        return [...array, item]
+      }
+      const dedupingReducer = Transducer.dedupe()(checkedConcat)
+      assert.throws(() => reduce([1, 'x'], dedupingReducer, []), TypeError)
+      ade(reduce([1, 1, 2], dedupingReducer, []), [1, 2])
+      const uniqueReducer = Transducer.uniqBy(item => item)(checkedConcat)
+      assert.throws(() => reduce([1, 2, 'x'], uniqueReducer, []), TypeError)
+      ade(reduce([2, 1, 2], uniqueReducer, []), [2, 1])
+      const summingReducer = Transducer.scan(add, 0)((array, item) => {
+        if (item > 5) {
+          throw new RangeError(`${item} is too large`)
+        }
+        return [...array, item]
+      })
+      assert.throws(() => reduce([4, 3], summingReducer, []), RangeError)
+      ade(reduce([1, 2], summingReducer, []), [1, 3])
+
+      const slowly = async function* (items) {
+        for (const item of items) {
+          await new Promise(resolve => setImmediate(resolve))
+          yield item
+        }
+      }
+      ade(await Promise.all([
+        reduce(slowly([1, 2]), summingReducer, []),
+        reduce(slowly([2, 1]), summingReducer, []),
+      ]), [[1, 3], [2, 3]])
+      ade(await Promise.all([
+        reduce(slowly([1, 2, 1, 2]), dedupingReducer, []),
+        reduce(slowly([1, 2, 1, 2]), dedupingReducer, []),
+      ]), [[1, 2, 1, 2], [1, 2, 1, 2]])
+      ade(await Promise.all([
+        reduce(slowly([1, 2, 1]), uniqueReducer, []),
+        reduce(slowly([2, 1, 3]), uniqueReducer, []),
+      ]), [[1, 2], [2, 1, 3]])
+    })
+  })
+
+  describe('time-based transducers', () => {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+    const Clock = function () {
+      this.time = 0
+      this.timers = []
+      this.now = () => this.time
+      this.setTimeout = (callback, ms) => {
+        const timer = { time: this.time + ms, callback }
+        this.timers.push(timer)
+        return timer
+      }
+      this.clearTimeout = timer => {
+        this.timers = this.timers.filter(pendingTimer => pendingTimer !== timer)
+      }
+      this.advance = time => {
+        let dueTimers = this.timers.filter(timer => timer.time <= time)
+        while (dueTimers.length > 0) {
+          const nextTimer = dueTimers.reduce((earliest, timer) => timer.time < earliest.time ? timer : earliest)
+          this.timers = this.timers.filter(timer => timer !== nextTimer)
+          this.time = nextTimer.time
+          nextTimer.callback()
+          dueTimers = this.timers.filter(timer => timer.time <= time)
+        }
+        this.time = time
+      }
+    }
+
+    const timedItems = async function* (clock, entries) {
+      for (const [time, item] of entries) {
+        clock.advance(time)
+        yield item
+      }
+    }
+
+    const asGroups = transducer => compose([
+      transducer,
+      Transducer.map(group => [group]),
+    ])
+
+    it('bufferTime transducer', async () => {
+      const clock = new Clock()
+      ade(await transform(timedItems(clock, [
+        [0, 1], [40, 2], [99, 3], [100, 4], [150, 5], [300, 6],
+      ]), asGroups(Transducer.bufferTime(100, Infinity, clock)), []), [[1, 2, 3], [4, 5], [6]])
+      ade(await transform(timedItems(clock, [
+        [0, 1], [10, 2], [20, 3], [30, 4], [200, 5],
+      ]), asGroups(Transducer.bufferTime(100, 2, clock)), []), [[1, 2], [3, 4], [5]])
+      ade(await transform(timedItems(clock, []), asGroups(Transducer.bufferTime(100, 2, clock)), []), [])
+      ade(await transform(timedItems(clock, [
+        [0, 1], [10, 2], [200, 3], [210, 4], [400, 5],
+      ]), compose([
+        Transducer.bufferTime(100, Infinity, clock),
+        Transducer.take(2),
+        Transducer.map(async group => [group]),
+      ]), []), [[1, 2], [3, 4]])
+    })
+
+    it('bufferTime transducer with Date.now', async () => {
+      const items = async function* () {
+        yield 1
+        yield 2
+        await sleep(120)
+        yield 3
+      }
+      ade(await transform(items(), asGroups(Transducer.bufferTime(100)), []), [[1, 2], [3]])
+    })
+
+    it('sampleTime transducer', async () => {
+      const clock = new Clock()
+      ade(await transform(timedItems(clock, [
+        [0, 1], [50, 2], [100, 3], [120, 4], [350, 5], [360, 6],
+      ]), Transducer.sampleTime(100, clock), []), [2, 4, 6])
+      ade(await transform(timedItems(clock, [
+        [0, 1], [100, 2], [200, 3],
+      ]), Transducer.sampleTime(100, clock), []), [1, 2, 3])
+      ade(await transform(timedItems(clock, []), Transducer.sampleTime(100, clock), []), [])
+    })
+
+    it('debounceTime transducer', async () => {
+      const clock = new Clock()
+      ade(await transform(timedItems(clock, [
+        [0, 'r'], [50, 'ru'], [140, 'rub'], [300, 'rubi'], [350, 'rubic'], [400, 'rubico'],
+      ]), Transducer.debounceTime(100, clock), []), ['rub', 'rubico'])
+      ade(await transform(timedItems(clock, [
+        [0, 1], [100, 2], [200, 3],
+      ]), Transducer.debounceTime(100, clock), []), [1, 2, 3])
+      ade(await transform(timedItems(clock, [
+        [0, 1], [100, 2], [200, 3],
+      ]), compose([
+        Transducer.debounceTime(100, clock),
+        Transducer.take(1),
+      ]), []), [1])
+      ade(await transform(timedItems(clock, []), Transducer.debounceTime(100, clock), []), [])
+    })
+
+    it('time-based transducers pass on items when their time is up while the source is idle', async () => {
+      const passedWhileIdle = async function (transducer) {
+        const clock = new Clock()
+        const passed = []
+        const snapshots = []
+        const items = async function* () {
+          yield 1
+          clock.advance(500)
+          snapshots.push([...passed])
+          yield 2
+          snapshots.push([...passed])
+        }
+        const result = await transform(items(), compose([
+          transducer(clock),
+          Transducer.map(item => {
+            passed.push(item)
+            return [item]
+          }),
+        ]), [])
+        ase(clock.timers.length, 0)
+        return [snapshots, result]
+      }
+      ade(
+        await passedWhileIdle(clock => Transducer.bufferTime(100, Infinity, clock)),
+        [[[[1]], [[1]]], [[1], [2]]],
+      )
+      ade(
+        await passedWhileIdle(clock => Transducer.sampleTime(100, clock)),
+        [[[1], [1]], [1, 2]],
+      )
+      ade(
+        await passedWhileIdle(clock => Transducer.debounceTime(100, clock)),
+        [[[1], [1]], [1, 2]],
+      )
+    })
+
+    it('sampleTime transducer samples each period that has items', async () => {
+      const clock = new Clock()
+      ade(await transform(timedItems(clock, [
+        [0, 1], [50, 2], [150, 3], [420, 4],
+      ]), Transducer.sampleTime(100, clock), []), [2, 3, 4])
+      ase(clock.timers.length, 0)
+    })
+
+    it('time-based transducers reduce items flushed by a timer into the result of the reducing operation', async () => {
+      const clock = new Clock()
+      const add = async (total, number) => total + number
+      ase(await reduce(timedItems(clock, [
+        [0, 1], [200, 2], [210, 3],
+      ]), Transducer.debounceTime(100, clock)(add), 0), 4)
+      ase(await reduce(timedItems(clock, [
+        [0, 1], [10, 2], [200, 3], [450, 4],
+      ]), compose([
+        Transducer.bufferTime(100, Infinity, clock),
+        Transducer.map(group => group.length),
+      ])(add), 0), 4)
+      ade(await transform(timedItems(clock, [
+        [0, 1], [200, 2], [400, 3],
+      ]), compose([
+        Transducer.debounceTime(100, clock),
+        Transducer.take(1),
+      ]), []), [1])
+      await assert.rejects(transform(timedItems(clock, [
+        [0, 1], [200, 2],
+      ]), compose([
+        Transducer.debounceTime(100, clock),
+        Transducer.map(() => {
+          throw new Error('flush')
+        }),
+      ]), []), new Error('flush'))
+    })
+
+    it('time-based transducers run no timers in reduce.pool and transform.pool', async () => {
+      const clock = new Clock()
+      let timerCount = 0
+      const setTimeout = clock.setTimeout
+      clock.setTimeout = (callback, ms) => {
+        timerCount += 1
+        return setTimeout(callback, ms)
+      }
+      ade(await transform.pool(timedItems(clock, [
+        [0, 1], [40, 2], [150, 3], [300, 4],
+      ]), 2, asGroups(Transducer.bufferTime(100, Infinity, clock)), []), [[1, 2], [3], [4]])
+      ade(await transform.pool(timedItems(clock, [
+        [0, 1], [200, 2], [210, 3],
+      ]), 2, Transducer.debounceTime(100, clock), []), [1, 3])
+      ase(timerCount, 0)
+    })
+
+    it('time-based transducers keep time with setTimeout by default', async () => {
+      const passed = []
+      const snapshots = []
+      const items = async function* () {
+        yield 1
+        await sleep(120)
+        snapshots.push([...passed])
+        yield 2
+      }
+      const result = await transform(items(), compose([
+        Transducer.debounceTime(50),
+        Transducer.map(item => {
+          passed.push(item)
+          return [item]
+        }),
+      ]), [])
+      ade(snapshots, [[1]])
+      ade(result, [1, 2])
+    })
+  })
 })
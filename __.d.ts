@@ -1,2 +1,14 @@
-export = __;
-import __ = require("./_internal/placeholder");
+export = __
+
+/**
+ * @name __
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * __ Symbol(placeholder)
+ * ```
+ *
+ * @description
+ * A placeholder for an argument of [curry](/docs/curry).
+ */
+declare const __: unique symbol
@@ -0,0 +1,63 @@
+const isPromise = require('./isPromise')
+const noop = require('./noop')
+const iteratorClose = require('./iteratorClose')
+const promiseAbortable = require('./promiseAbortable')
+const abortSignalReason = require('./abortSignalReason')
+const symbolAsyncIterator = require('./symbolAsyncIterator')
+
+/**
+ * @name _asyncIteratorAbort
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _asyncIteratorAbort(asyncIterator AsyncIterator) -> ()
+ * ```
+ */
+const _asyncIteratorAbort = function (asyncIterator) {
+  const closing = iteratorClose(asyncIterator)
+  if (isPromise(closing)) {
+    closing.catch(noop)
+  }
+}
+
+/**
+ * @name AbortableAsyncIterator
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * abortableAsyncIterator = new AbortableAsyncIterator(
+ *   asyncIterator AsyncIterator<T>,
+ *   signal AbortSignal,
+ * ) -> abortableAsyncIterator AsyncIterator<T>
+ *
+ * abortableAsyncIterator.next() -> Promise<{ value: T, done: boolean }>
+ * ```
+ *
+ * @description
+ * Wrap an async iterator so that pulling from it rejects with the abort reason once `signal` is aborted. On abort, the source async iterator is closed with `.return` and no further items are pulled from it.
+ */
+const AbortableAsyncIterator = (asyncIterator, signal) => ({
+  [symbolAsyncIterator]() {
+    return this
+  },
+  async next() {
+    if (signal.aborted) {
+      _asyncIteratorAbort(asyncIterator)
+      throw abortSignalReason(signal)
+    }
+    try {
+      return await promiseAbortable(asyncIterator.next(), signal)
+    } catch (error) {
+      if (signal.aborted) {
+        _asyncIteratorAbort(asyncIterator)
+      }
+      throw error
+    }
+  },
+  async return(value) {
+    await iteratorClose(asyncIterator)
+    return { value, done: true }
+  },
+})
+
+module.exports = AbortableAsyncIterator
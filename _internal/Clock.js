@@ -0,0 +1,28 @@
+/**
+ * @name Clock
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Clock(options {
+ *   now?: ()=>number,
+ *   setTimeout?: (callback ()=>(), ms number)=>(timer any),
+ *   clearTimeout?: (timer any)=>(),
+ * }) -> clock { now, setTimeout, clearTimeout }
+ * ```
+ *
+ * @description
+ * The clock of a time-based transducer, reading the time from `options.now` and running timers with `options.setTimeout` and `options.clearTimeout`. Each function defaults to the global one.
+ */
+const Clock = function (options) {
+  return {
+    now: options.now == null ? Date.now : options.now,
+    setTimeout: options.setTimeout == null
+      ? (callback, ms) => setTimeout(callback, ms)
+      : options.setTimeout,
+    clearTimeout: options.clearTimeout == null
+      ? timer => clearTimeout(timer)
+      : options.clearTimeout,
+  }
+}
+
+module.exports = Clock
@@ -1,2 +0,0 @@
-export = ComparisonOperator;
-declare function ComparisonOperator(comparator: any): (...args: any[]) => any;
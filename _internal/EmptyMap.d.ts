@@ -1,2 +1,2 @@
 export = EmptyMap;
-declare function EmptyMap(): any;
+declare const EmptyMap: () => Map<any, any>;
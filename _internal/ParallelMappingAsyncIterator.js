@@ -0,0 +1,53 @@
+const WorkerPool = require('./WorkerPool')
+const PoolMappingAsyncIterator = require('./PoolMappingAsyncIterator')
+const symbolAsyncIterator = require('./symbolAsyncIterator')
+
+/**
+ * @name ParallelMappingAsyncIterator
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * parallelMappingAsyncIterator = new ParallelMappingAsyncIterator(
+ *   asyncIterator AsyncIterator,
+ *   workers number,
+ *   modulePathOrFn string|function,
+ *   transfer boolean,
+ * ) -> parallelMappingAsyncIterator AsyncIterator
+ *
+ * parallelMappingAsyncIterator.next() -> Promise<{ value: any, done: boolean }>
+ * ```
+ *
+ * @description
+ * A [PoolMappingAsyncIterator](/docs/PoolMappingAsyncIterator) in order that maps the items of `asyncIterator` on a [WorkerPool](/docs/WorkerPool) of `workers` worker threads. The worker threads are terminated once the iterator is done, rejects, or is returned.
+ */
+const ParallelMappingAsyncIterator = function (
+  asyncIterator, workers, modulePathOrFn, transfer,
+) {
+  const pool = WorkerPool(workers, modulePathOrFn, transfer)
+  const iterator = PoolMappingAsyncIterator(asyncIterator, workers, pool.run, true)
+
+  return {
+    [symbolAsyncIterator]() {
+      return this
+    },
+
+    next() {
+      return iterator.next().then(function onIteration(iteration) {
+        if (iteration.done) {
+          pool.terminate()
+        }
+        return iteration
+      }, function onError(error) {
+        pool.terminate()
+        throw error
+      })
+    },
+
+    return(value) {
+      pool.terminate()
+      return iterator.return(value)
+    },
+  }
+}
+
+module.exports = ParallelMappingAsyncIterator
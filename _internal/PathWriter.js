@@ -0,0 +1,120 @@
+const isObject = require('./isObject')
+const isPersistent = require('./isPersistent')
+const getPathEntry = require('./getPathEntry')
+const setPathEntry = require('./setPathEntry')
+const copyPathContainer = require('./copyPathContainer')
+const resolveSetPathKey = require('./resolveSetPathKey')
+
+/**
+ * @name _emptyPathContainer
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _emptyPathContainer(segment string|number) -> Array|Object
+ * ```
+ *
+ * @description
+ * An array if the next segment of a path is an index, otherwise an object.
+ */
+const _emptyPathContainer = segment => typeof segment == 'number' ? [] : {}
+
+/**
+ * @name _setPersistentPath
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _setPersistentPath(
+ *   persistent PersistentObject,
+ *   pathArray Array<string|number>,
+ *   index number,
+ *   value any,
+ * ) -> PersistentObject
+ * ```
+ *
+ * @description
+ * Set the value at the rest of a path after `index` in a [PersistentObject](/docs/PersistentObject), with `.set` on each persistent object along the path and a [PathWriter](/docs/PathWriter) for the rest of the path in any other container.
+ */
+const _setPersistentPath = function (persistent, pathArray, index, value) {
+  const key = pathArray[index]
+  if (index == pathArray.length - 1) {
+    return persistent.set(key, value)
+  }
+  const nested = persistent.get(key)
+  if (isPersistent(nested)) {
+    return persistent.set(key, _setPersistentPath(nested, pathArray, index + 1, value))
+  }
+  const pathWriter = PathWriter(
+    isObject(nested) ? nested : _emptyPathContainer(pathArray[index + 1]))
+  pathWriter.set(pathArray.slice(index + 1), value)
+  return persistent.set(key, pathWriter.result())
+}
+
+/**
+ * @name PathWriter
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * pathWriter = PathWriter(obj Object|Array|Map|Set|PersistentObject)
+ *
+ * pathWriter.set(pathArray Array<string|number>, value any) -> ()
+ * pathWriter.result() -> Object|Array|Map|Set|PersistentObject
+ * ```
+ *
+ * @description
+ * Set values at several paths of a copy of `obj`, copying each container along the paths at most once. Missing or non-object values along a path are replaced like in [setByPath](/docs/setByPath), and an empty path is ignored.
+ *
+ * Values set at a path are not copied, so a later path through a value that was set copies the value first. A [PersistentObject](/docs/PersistentObject) along a path is not copied, but replaced by the result of its `.set`.
+ */
+const PathWriter = function (obj) {
+  let result = isPersistent(obj) ? obj : copyPathContainer(obj)
+  const copies = new Map() // copied container => Map { key => copied nested container }
+
+  return {
+    set(pathArray, value) {
+      const lastIndex = pathArray.length - 1
+      if (lastIndex < 0) {
+        return
+      }
+      if (isPersistent(result)) {
+        result = _setPersistentPath(result, pathArray, 0, value)
+        return
+      }
+      let nested = result
+      let index = -1
+      while (++index < lastIndex) {
+        const pathKey = resolveSetPathKey(nested, pathArray[index])
+        if (!copies.has(nested)) {
+          copies.set(nested, new Map())
+        }
+        const nestedCopies = copies.get(nested)
+        if (!nestedCopies.has(pathKey)) {
+          const existingNextNested = getPathEntry(nested, pathKey)
+          if (isPersistent(existingNextNested)) {
+            setPathEntry(
+              nested,
+              pathKey,
+              _setPersistentPath(existingNextNested, pathArray, index + 1, value),
+            )
+            return
+          }
+          const nextNested = isObject(existingNextNested) ? copyPathContainer(existingNextNested)
+            : _emptyPathContainer(pathArray[index + 1])
+          setPathEntry(nested, pathKey, nextNested)
+          nestedCopies.set(pathKey, nextNested)
+        }
+        nested = nestedCopies.get(pathKey)
+      }
+      const lastKey = resolveSetPathKey(nested, pathArray[lastIndex])
+      setPathEntry(nested, lastKey, value)
+      if (copies.has(nested)) {
+        copies.get(nested).delete(lastKey)
+      }
+    },
+
+    result() {
+      return result
+    },
+  }
+}
+
+module.exports = PathWriter
@@ -0,0 +1,413 @@
+const symbolPersistent = require('./symbolPersistent')
+const symbolIterator = require('./symbolIterator')
+const isArray = require('./isArray')
+
+// 5 bits of the hash of a key per level of the trie
+const SHIFT = 5
+const MASK = 31
+
+/**
+ * @name _hashKey
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _hashKey(key string) -> hash number
+ * ```
+ *
+ * @description
+ * The 32 bit FNV-1a hash of a string.
+ */
+const _hashKey = function (key) {
+  let hash = 0x811c9dc5
+  const length = key.length
+  let index = -1
+  while (++index < length) {
+    hash = Math.imul(hash ^ key.charCodeAt(index), 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * @name _bitCount
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _bitCount(bits number) -> count number
+ * ```
+ */
+const _bitCount = function (bits) {
+  bits -= (bits >>> 1) & 0x55555555
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333)
+  bits = (bits + (bits >>> 4)) & 0x0f0f0f0f
+  return Math.imul(bits, 0x01010101) >>> 24
+}
+
+/**
+ * @name _Leaf
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * new _Leaf(hash number, key string, value any, order number) -> _Leaf
+ * ```
+ *
+ * @description
+ * An entry of a persistent object. `order` is the insertion order of the key.
+ */
+const _Leaf = function (hash, key, value, order) {
+  this.hash = hash
+  this.key = key
+  this.value = value
+  this.order = order
+}
+
+/**
+ * @name _BitmapNode
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * new _BitmapNode(bitmap number, children Array<_Leaf|_BitmapNode|_CollisionNode>) -> _BitmapNode
+ * ```
+ *
+ * @description
+ * A node of the trie with a child for each bit set in `bitmap`, in the order of the bits.
+ */
+const _BitmapNode = function (bitmap, children) {
+  this.bitmap = bitmap
+  this.children = children
+}
+
+/**
+ * @name _CollisionNode
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * new _CollisionNode(hash number, leaves Array<_Leaf>) -> _CollisionNode
+ * ```
+ *
+ * @description
+ * The leaves of different keys with the same hash.
+ */
+const _CollisionNode = function (hash, leaves) {
+  this.hash = hash
+  this.leaves = leaves
+}
+
+const emptyRoot = new _BitmapNode(0, [])
+
+/**
+ * @name _arrayReplace
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _arrayReplace(array Array, index number, item any) -> Array
+ * ```
+ */
+const _arrayReplace = function (array, index, item) {
+  const result = array.slice()
+  result[index] = item
+  return result
+}
+
+/**
+ * @name _arrayInsert
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _arrayInsert(array Array, index number, item any) -> Array
+ * ```
+ */
+const _arrayInsert = function (array, index, item) {
+  const result = array.slice(0, index)
+  result.push(item)
+  let arrayIndex = index - 1
+  while (++arrayIndex < array.length) {
+    result.push(array[arrayIndex])
+  }
+  return result
+}
+
+/**
+ * @name _arrayRemove
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _arrayRemove(array Array, index number) -> Array
+ * ```
+ */
+const _arrayRemove = function (array, index) {
+  const result = array.slice(0, index)
+  let arrayIndex = index
+  while (++arrayIndex < array.length) {
+    result.push(array[arrayIndex])
+  }
+  return result
+}
+
+/**
+ * @name _nodeFind
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _nodeFind(
+ *   node _BitmapNode|_CollisionNode,
+ *   shift number,
+ *   hash number,
+ *   key string,
+ * ) -> leaf _Leaf|undefined
+ * ```
+ */
+const _nodeFind = function (node, shift, hash, key) {
+  while (node instanceof _BitmapNode) {
+    const bit = 1 << ((hash >>> shift) & MASK)
+    if ((node.bitmap & bit) == 0) {
+      return undefined
+    }
+    const child = node.children[_bitCount(node.bitmap & (bit - 1))]
+    if (child instanceof _Leaf) {
+      return child.key === key ? child : undefined
+    }
+    node = child
+    shift += SHIFT
+  }
+  return node.leaves.find(leaf => leaf.key === key)
+}
+
+/**
+ * @name _mergeLeaves
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _mergeLeaves(leaf _Leaf, otherLeaf _Leaf, shift number) -> _BitmapNode|_CollisionNode
+ * ```
+ *
+ * @description
+ * The node at `shift` of two leaves of different keys.
+ */
+const _mergeLeaves = function (leaf, otherLeaf, shift) {
+  if (leaf.hash === otherLeaf.hash) {
+    return new _CollisionNode(leaf.hash, [leaf, otherLeaf])
+  }
+  const fragment = (leaf.hash >>> shift) & MASK
+  const otherFragment = (otherLeaf.hash >>> shift) & MASK
+  if (fragment == otherFragment) {
+    return new _BitmapNode(1 << fragment, [_mergeLeaves(leaf, otherLeaf, shift + SHIFT)])
+  }
+  return new _BitmapNode(
+    (1 << fragment) | (1 << otherFragment),
+    fragment < otherFragment ? [leaf, otherLeaf] : [otherLeaf, leaf])
+}
+
+/**
+ * @name _nodeSet
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _nodeSet(node _BitmapNode|_CollisionNode, shift number, leaf _Leaf) -> _BitmapNode|_CollisionNode
+ * ```
+ *
+ * @description
+ * A new node with `leaf` added, or replacing the leaf of the same key. Nodes that are not on the path to the leaf are shared with `node`.
+ */
+const _nodeSet = function (node, shift, leaf) {
+  if (node instanceof _CollisionNode) {
+    const index = node.leaves.findIndex(existing => existing.key === leaf.key)
+    return new _CollisionNode(node.hash, index == -1
+      ? [...node.leaves, leaf]
+      : _arrayReplace(node.leaves, index, leaf))
+  }
+  const bit = 1 << ((leaf.hash >>> shift) & MASK)
+  const index = _bitCount(node.bitmap & (bit - 1))
+  if ((node.bitmap & bit) == 0) {
+    return new _BitmapNode(node.bitmap | bit, _arrayInsert(node.children, index, leaf))
+  }
+  const child = node.children[index]
+  const nextChild = child instanceof _Leaf
+    ? child.key === leaf.key ? leaf : _mergeLeaves(child, leaf, shift + SHIFT)
+    : _nodeSet(child, shift + SHIFT, leaf)
+  return new _BitmapNode(node.bitmap, _arrayReplace(node.children, index, nextChild))
+}
+
+/**
+ * @name _nodeDelete
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _nodeDelete(
+ *   node _BitmapNode|_CollisionNode,
+ *   shift number,
+ *   hash number,
+ *   key string,
+ * ) -> _BitmapNode|_CollisionNode|_Leaf|null
+ * ```
+ *
+ * @description
+ * A new node without the leaf of an existing key, a single remaining leaf, or `null` if no leaves remain.
+ */
+const _nodeDelete = function (node, shift, hash, key) {
+  if (node instanceof _CollisionNode) {
+    const leaves = node.leaves.filter(leaf => leaf.key !== key)
+    return leaves.length == 1 ? leaves[0] : new _CollisionNode(node.hash, leaves)
+  }
+  const bit = 1 << ((hash >>> shift) & MASK)
+  const index = _bitCount(node.bitmap & (bit - 1))
+  const child = node.children[index]
+  const nextChild = child instanceof _Leaf ? null : _nodeDelete(child, shift + SHIFT, hash, key)
+  if (nextChild != null) {
+    return new _BitmapNode(node.bitmap, _arrayReplace(node.children, index, nextChild))
+  }
+  if (node.bitmap == bit) {
+    return null
+  }
+  return new _BitmapNode(node.bitmap ^ bit, _arrayRemove(node.children, index))
+}
+
+/**
+ * @name _nodeLeaves
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _nodeLeaves(node _BitmapNode|_CollisionNode, result Array<_Leaf>) -> result
+ * ```
+ */
+const _nodeLeaves = function (node, result) {
+  const children = node instanceof _CollisionNode ? node.leaves : node.children
+  for (const child of children) {
+    if (child instanceof _Leaf) {
+      result.push(child)
+    } else {
+      _nodeLeaves(child, result)
+    }
+  }
+  return result
+}
+
+/**
+ * @name _compareLeafOrder
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _compareLeafOrder(leaf _Leaf, otherLeaf _Leaf) -> number
+ * ```
+ */
+const _compareLeafOrder = (leaf, otherLeaf) => leaf.order - otherLeaf.order
+
+/**
+ * @name PersistentObject
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * new PersistentObject() -> PersistentObject
+ *
+ * persistentObject.size -> number
+ * persistentObject.get(key string) -> any
+ * persistentObject.has(key string) -> boolean
+ * persistentObject.set(key string, value any) -> PersistentObject
+ * persistentObject.delete(key string) -> PersistentObject
+ * persistentObject.keys() -> Array<string>
+ * persistentObject.values() -> Array
+ * persistentObject.entries() -> Array<[key string, value any]>
+ * persistentObject.toJSON() -> Object
+ * ```
+ *
+ * @description
+ * An immutable object of string keys, stored in a [hash array mapped trie](https://en.wikipedia.org/wiki/Hash_array_mapped_trie). `.set` and `.delete` return a new persistent object that shares every node of the trie except the nodes on the path to the key, so an update copies at most 32 entries on each of about `log32(size)` levels instead of every key.
+ *
+ * Keys are converted to strings like the keys of an object, and are listed in insertion order, without the ordering of integer keys of objects. `.set` with the same value as the value at a key and `.delete` of a missing key return the same persistent object.
+ *
+ * `.toJSON` converts a persistent object and any persistent objects nested in its values, arrays and plain objects to plain objects, so a persistent object is serialized by `JSON.stringify` like a plain object.
+ */
+const PersistentObject = function (root, size, nextOrder) {
+  this.root = root == null ? emptyRoot : root
+  this.size = size == null ? 0 : size
+  this.nextOrder = nextOrder == null ? 0 : nextOrder
+}
+
+PersistentObject.prototype[symbolPersistent] = true
+
+PersistentObject.prototype.get = function get(key) {
+  const stringKey = String(key)
+  const leaf = _nodeFind(this.root, 0, _hashKey(stringKey), stringKey)
+  return leaf == null ? undefined : leaf.value
+}
+
+PersistentObject.prototype.has = function has(key) {
+  const stringKey = String(key)
+  return _nodeFind(this.root, 0, _hashKey(stringKey), stringKey) != null
+}
+
+PersistentObject.prototype.set = function set(key, value) {
+  const stringKey = String(key)
+  const hash = _hashKey(stringKey)
+  const existing = _nodeFind(this.root, 0, hash, stringKey)
+  if (existing != null && existing.value === value) {
+    return this
+  }
+  const leaf = new _Leaf(hash, stringKey, value, existing == null ? this.nextOrder : existing.order)
+  return new PersistentObject(
+    _nodeSet(this.root, 0, leaf),
+    existing == null ? this.size + 1 : this.size,
+    existing == null ? this.nextOrder + 1 : this.nextOrder)
+}
+
+PersistentObject.prototype.delete = function _delete(key) {
+  const stringKey = String(key)
+  const hash = _hashKey(stringKey)
+  if (_nodeFind(this.root, 0, hash, stringKey) == null) {
+    return this
+  }
+  const root = _nodeDelete(this.root, 0, hash, stringKey)
+  return new PersistentObject(root, this.size - 1, this.nextOrder)
+}
+
+PersistentObject.prototype.entries = function entries() {
+  return _nodeLeaves(this.root, []).sort(_compareLeafOrder)
+    .map(leaf => [leaf.key, leaf.value])
+}
+
+PersistentObject.prototype.keys = function keys() {
+  return this.entries().map(entry => entry[0])
+}
+
+PersistentObject.prototype.values = function values() {
+  return this.entries().map(entry => entry[1])
+}
+
+PersistentObject.prototype[symbolIterator] = function* entriesIterator() {
+  yield* this.entries()
+}
+
+PersistentObject.prototype.toJSON = function toJSON() {
+  return toPlain(this)
+}
+
+/**
+ * @name toPlain
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * toPlain(value any) -> any
+ * ```
+ *
+ * @description
+ * Convert persistent objects in a value, its arrays and its plain objects to plain objects.
+ */
+const toPlain = function (value) {
+  if (isArray(value)) {
+    return value.map(toPlain)
+  }
+  if (value == null) {
+    return value
+  }
+  if (value[symbolPersistent] === true || value.constructor == Object) {
+    const result = {}
+    for (const [key, item] of value[symbolPersistent] === true ? value.entries() : Object.entries(value)) {
+      result[key] = toPlain(item)
+    }
+    return result
+  }
+  return value
+}
+
+PersistentObject.toPlain = toPlain
+
+module.exports = PersistentObject
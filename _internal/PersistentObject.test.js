@@ -0,0 +1,79 @@
+const assert = require('assert')
+const PersistentObject = require('./PersistentObject')
+
+describe('PersistentObject', () => {
+  it('sets, gets and deletes keys without changing the original', async () => {
+    const empty = new PersistentObject()
+    const object = empty.set('a', 1).set('b', 2)
+    assert.strictEqual(empty.size, 0)
+    assert.strictEqual(object.size, 2)
+    assert.strictEqual(object.get('a'), 1)
+    assert.strictEqual(object.get('c'), undefined)
+    assert.strictEqual(object.has('b'), true)
+    const deleted = object.delete('a')
+    assert.strictEqual(deleted.has('a'), false)
+    assert.strictEqual(object.has('a'), true)
+    assert.strictEqual(deleted.size, 1)
+  })
+
+  it('returns the same object for a set of the same value or a delete of a missing key', async () => {
+    const object = new PersistentObject().set('a', 1)
+    assert.strictEqual(object.set('a', 1), object)
+    assert.strictEqual(object.delete('b'), object)
+  })
+
+  it('stringifies keys', async () => {
+    const object = new PersistentObject().set(1, 'a')
+    assert.strictEqual(object.get('1'), 'a')
+    assert.deepEqual(object.keys(), ['1'])
+  })
+
+  it('keeps insertion order', async () => {
+    const object = new PersistentObject()
+      .set('b', 1)
+      .set('a', 2)
+      .set('c', 3)
+      .delete('a')
+      .set('a', 4)
+      .set('b', 5)
+    assert.deepEqual(object.entries(), [['b', 5], ['c', 3], ['a', 4]])
+    assert.deepEqual([...object], [['b', 5], ['c', 3], ['a', 4]])
+    assert.deepEqual(object.values(), [5, 3, 4])
+  })
+
+  it('keys with colliding hashes', async () => {
+    // '7yzx' and 'e6ad' have the same hash
+    const object = new PersistentObject()
+      .set('7yzx', 1)
+      .set('e6ad', 2)
+    assert.strictEqual(object.get('7yzx'), 1)
+    assert.strictEqual(object.get('e6ad'), 2)
+    assert.strictEqual(object.set('e6ad', 3).get('7yzx'), 1)
+    const deleted = object.delete('7yzx')
+    assert.strictEqual(deleted.has('7yzx'), false)
+    assert.strictEqual(deleted.get('e6ad'), 2)
+    assert.strictEqual(deleted.delete('e6ad').size, 0)
+  })
+
+  it('many keys', async () => {
+    let object = new PersistentObject()
+    for (let i = 0; i < 5000; i++) {
+      object = object.set(`key${i}`, i)
+    }
+    assert.strictEqual(object.size, 5000)
+    for (let i = 0; i < 5000; i += 2) {
+      object = object.delete(`key${i}`)
+    }
+    assert.strictEqual(object.size, 2500)
+    assert.strictEqual(object.get('key4999'), 4999)
+    assert.strictEqual(object.has('key4998'), false)
+    assert.deepEqual(object.keys().slice(0, 2), ['key1', 'key3'])
+  })
+
+  it('toJSON and toPlain', async () => {
+    const object = new PersistentObject().set('a', new PersistentObject().set('b', [1]))
+    assert.deepEqual(object.toJSON(), { a: { b: [1] } })
+    assert.deepEqual(PersistentObject.toPlain({ c: [object] }), { c: [{ a: { b: [1] } }] })
+    assert.strictEqual(JSON.stringify(object), '{"a":{"b":[1]}}')
+  })
+})
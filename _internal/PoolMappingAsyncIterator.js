@@ -0,0 +1,155 @@
+const NextIteration = require('./NextIteration')
+const isPromise = require('./isPromise')
+const noop = require('./noop')
+const iteratorClose = require('./iteratorClose')
+const symbolAsyncIterator = require('./symbolAsyncIterator')
+
+/**
+ * @name PoolMappingAsyncIterator
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * poolMappingAsyncIterator = new PoolMappingAsyncIterator(
+ *   asyncIterator AsyncIterator<T>,
+ *   concurrency number,
+ *   mapper T=>Promise|any,
+ *   ordered boolean,
+ * ) -> poolMappingAsyncIterator AsyncIterator
+ *
+ * poolMappingAsyncIterator.next() -> Promise<{ value: any, done: boolean }>
+ * ```
+ *
+ * @description
+ * Map an async iterator with up to `concurrency` items pulled from `asyncIterator` but not yet consumed. Items are pulled from `asyncIterator` one at a time, and their mapper calls run concurrently. With `ordered`, mapped items are produced in the order of `asyncIterator`, otherwise in the order that their mapper calls settle.
+ *
+ * The first error from `asyncIterator` or `mapper` rejects a call to `.next` and closes `asyncIterator`. Calls to `.next` after the error or after `.return` resolve to a done iteration.
+ */
+const PoolMappingAsyncIterator = function (
+  asyncIterator, concurrency, mapper, ordered,
+) {
+  const items = [] // pulled items, in the order of asyncIterator if ordered, otherwise in the order they settle
+  const consumers = [] // resolvers of .next calls that wait for an item to settle
+  let pulling = Promise.resolve()
+  let pulledCount = 0
+  let settledCount = 0
+  let sourceDone = false
+  let finished = false
+
+  const finish = function () {
+    finished = true
+    items.length = 0
+    while (consumers.length > 0) {
+      consumers.shift()({ value: undefined, done: true })
+    }
+  }
+
+  const mapIteration = function (iteration) {
+    if (iteration.done) {
+      return iteration
+    }
+    const mapped = mapper(iteration.value)
+    return isPromise(mapped) ? mapped.then(NextIteration) : NextIteration(mapped)
+  }
+
+  const onItemSettled = function (item, iteration) {
+    settledCount += 1
+    if (finished) {
+      return
+    }
+    if (iteration == null || !iteration.done) {
+      if (consumers.length > 0) {
+        consumers.shift()(consume(item))
+      } else {
+        items.push(item)
+      }
+    }
+    if (sourceDone && settledCount == pulledCount) {
+      while (consumers.length > 0) {
+        consumers.shift()({ value: undefined, done: true })
+      }
+    } else if (consumers.length > 0) {
+      fill()
+    }
+  }
+
+  const pull = function () {
+    const iteration = pulling.then(function pullNext() {
+      return sourceDone ? { value: undefined, done: true } : asyncIterator.next()
+    })
+    pulling = iteration.then(function onIteration(iteration) {
+      if (iteration.done) {
+        sourceDone = true
+      }
+    }, function onError() {
+      sourceDone = true
+    })
+    const item = iteration.then(mapIteration)
+    item.catch(noop)
+    pulledCount += 1
+    if (ordered) {
+      items.push(item)
+    } else {
+      item.then(function onResolved(iteration) {
+        onItemSettled(item, iteration)
+      }, function onRejected() {
+        onItemSettled(item, null)
+      })
+    }
+  }
+
+  const fill = function () {
+    if (sourceDone) {
+      return
+    }
+    let occupied = ordered ? items.length : pulledCount - settledCount + items.length
+    while (occupied < concurrency) {
+      pull()
+      occupied += 1
+    }
+  }
+
+  const consume = function (item) {
+    return item.catch(function onError(error) {
+      if (!finished) {
+        finish()
+        const closing = iteratorClose(asyncIterator)
+        if (isPromise(closing)) {
+          closing.catch(noop)
+        }
+      }
+      throw error
+    })
+  }
+
+  return {
+    [symbolAsyncIterator]() {
+      return this
+    },
+
+    next() {
+      if (finished) {
+        return Promise.resolve({ value: undefined, done: true })
+      }
+      fill()
+      if (items.length > 0) {
+        return consume(items.shift())
+      }
+      if (ordered || (sourceDone && settledCount == pulledCount)) {
+        return Promise.resolve({ value: undefined, done: true })
+      }
+      return new Promise(function executor(resolve) {
+        consumers.push(resolve)
+      })
+    },
+
+    async return(value) {
+      if (!finished) {
+        finish()
+        await iteratorClose(asyncIterator)
+      }
+      return { value, done: true }
+    },
+  }
+}
+
+module.exports = PoolMappingAsyncIterator
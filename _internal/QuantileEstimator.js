@@ -0,0 +1,108 @@
+/**
+ * @name _exactQuantile
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _exactQuantile(sorted Array<number>, p number) -> number
+ * ```
+ */
+const _exactQuantile = function (sorted, p) {
+  if (sorted.length == 0) {
+    return NaN
+  }
+  const rank = p * (sorted.length - 1)
+  const lowerIndex = Math.floor(rank)
+  const upperIndex = Math.ceil(rank)
+  const lower = sorted[lowerIndex]
+  return lower + (rank - lowerIndex) * (sorted[upperIndex] - lower)
+}
+
+/**
+ * @name QuantileEstimator
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * quantileEstimator = new QuantileEstimator(p number)
+ *
+ * quantileEstimator.push(number) -> quantileEstimator
+ * quantileEstimator.value() -> number
+ * ```
+ *
+ * @description
+ * Estimate the `p`-quantile (`0 <= p <= 1`) of a stream of numbers in constant memory with the P² algorithm of Jain and Chlamtac. The estimate keeps five markers at the minimum, the `p/2`, `p` and `(1 + p)/2` quantiles and the maximum, and adjusts the markers with piecewise-parabolic interpolation as numbers arrive. The value is exact for up to five numbers and for the minimum and maximum.
+ *
+ * See: https://www.cse.wustl.edu/~jain/papers/ftp/psqr.pdf
+ */
+const QuantileEstimator = function (p) {
+  const heights = []
+  let count = 0
+  const positions = [0, 1, 2, 3, 4]
+  const desiredPositions = [0, 2 * p, 4 * p, 2 + 2 * p, 4]
+  const increments = [0, p / 2, p, (1 + p) / 2, 1]
+
+  const parabolic = function (i, d) {
+    const [previous, position, next] = [positions[i - 1], positions[i], positions[i + 1]]
+    return heights[i] + d / (next - previous) * (
+      (position - previous + d) * (heights[i + 1] - heights[i]) / (next - position)
+      + (next - position - d) * (heights[i] - heights[i - 1]) / (position - previous))
+  }
+
+  const linear = function (i, d) {
+    return heights[i] + d * (heights[i + d] - heights[i]) / (positions[i + d] - positions[i])
+  }
+
+  const adjust = function (i) {
+    const offset = desiredPositions[i] - positions[i]
+    if (
+      (offset >= 1 && positions[i + 1] - positions[i] > 1)
+      || (offset <= -1 && positions[i - 1] - positions[i] < -1)
+    ) {
+      const d = Math.sign(offset)
+      const height = parabolic(i, d)
+      heights[i] = heights[i - 1] < height && height < heights[i + 1] ? height : linear(i, d)
+      positions[i] += d
+    }
+  }
+
+  return {
+    push(number) {
+      count += 1
+      if (count <= 5) {
+        heights.push(number)
+        heights.sort((a, b) => a - b)
+        return this
+      }
+      let cell = 0
+      if (number < heights[0]) {
+        heights[0] = number
+      } else if (number >= heights[4]) {
+        heights[4] = number
+        cell = 3
+      } else {
+        while (number >= heights[cell + 1]) {
+          cell += 1
+        }
+      }
+      let i = -1
+      while (++i < 5) {
+        if (i > cell) {
+          positions[i] += 1
+        }
+        desiredPositions[i] += increments[i]
+      }
+      adjust(1)
+      adjust(2)
+      adjust(3)
+      return this
+    },
+
+    value() {
+      if (count <= 5) {
+        return _exactQuantile(heights, p)
+      }
+      return p == 0 ? heights[0] : p == 1 ? heights[4] : heights[2]
+    },
+  }
+}
+
+module.exports = QuantileEstimator
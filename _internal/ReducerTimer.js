@@ -0,0 +1,97 @@
+const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const noop = require('./noop')
+
+/**
+ * @name ReducerTimer
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Clock = {
+ *   now: ()=>number,
+ *   setTimeout?: (callback ()=>(), ms number)=>(timer any),
+ *   clearTimeout?: (timer any)=>(),
+ * }
+ *
+ * type Step = (result any)=>Promise|any
+ *
+ * ReducerTimer(clock Clock) -> reducerTimer {
+ *   reduce: (result any, step Step)=>Promise|any,
+ *   schedule: (ms number, flush Step)=>(),
+ *   cancel: ()=>(),
+ *   complete: (result any, step Step)=>Promise|any,
+ * }
+ * ```
+ *
+ * @description
+ * Run the steps of a time-based reducer, flushing items it holds with `flush` once `ms` milliseconds are up, between the items of the reducing operation.
+ *
+ * The reducing operation passes the result of each item to the next item, so `reduce` and `complete` run their step on the result of any flush since the last item instead. A flush is skipped once the result is [reduced](/docs/reduced), and an error thrown by a flush rejects the result.
+ *
+ * Without `clock.setTimeout`, `schedule` does nothing and items are flushed only by the steps of the reducer.
+ */
+const ReducerTimer = function (clock) {
+  const setTimer = clock.setTimeout
+  const clearTimer = clock.clearTimeout
+  const isTimed = typeof setTimer == 'function'
+  let timer = null
+  let latest = null
+  let isFlushed = false
+
+  const accumulator = result => isFlushed ? latest : result
+
+  const runStep = function (result, step) {
+    return isReduced(result) ? result : step(result)
+  }
+
+  const cancel = function () {
+    if (timer != null) {
+      clearTimer(timer)
+      timer = null
+    }
+  }
+
+  const reduce = function (result, step) {
+    const current = accumulator(result)
+    latest = isPromise(current)
+      ? current.then(resolved => runStep(resolved, step))
+      : runStep(current, step)
+    isFlushed = false
+    return latest
+  }
+
+  const schedule = function (ms, flush) {
+    cancel()
+    if (!isTimed) {
+      return
+    }
+    timer = setTimer(function flushOnTime() {
+      timer = null
+      let flushed = null
+      try {
+        flushed = isPromise(latest)
+          ? latest.then(resolved => runStep(resolved, flush))
+          : runStep(latest, flush)
+      } catch (error) {
+        flushed = Promise.reject(error)
+      }
+      if (isPromise(flushed)) {
+        flushed.catch(noop)
+      }
+      latest = flushed
+      isFlushed = true
+    }, ms)
+  }
+
+  const complete = function (result, step) {
+    cancel()
+    const current = accumulator(result)
+    latest = null
+    isFlushed = false
+    return isPromise(current) ? current.then(step) : step(current)
+  }
+
+  return { reduce, schedule, cancel, complete }
+}
+
+module.exports = ReducerTimer
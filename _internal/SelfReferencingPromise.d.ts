@@ -7,4 +7,4 @@ export = SelfReferencingPromise;
  * SelfReferencingPromise(basePromise Promise<T>) -> Promise<[T, basePromise]>
  * ```
  */
-declare function SelfReferencingPromise(basePromise: any): any;
+declare const SelfReferencingPromise: (basePromise: any) => any;
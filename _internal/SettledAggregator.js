@@ -0,0 +1,97 @@
+const isPromise = require('./isPromise')
+const settle = require('./settle')
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const curry4 = require('./curry4')
+
+/**
+ * @name _aggregatorValue
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _aggregatorValue(
+ *   failures Array<{ position: number, key: any, reason: any }>,
+ *   position number,
+ *   key any,
+ *   record SettledRecord,
+ * ) -> value any
+ * ```
+ *
+ * @description
+ * The value of a fulfilled record, or `undefined` after adding a rejected record to `failures`.
+ */
+const _aggregatorValue = function (failures, position, key, record) {
+  if (record.status == 'rejected') {
+    failures.push({ position, key, reason: record.reason })
+    return undefined
+  }
+  return record.value
+}
+
+/**
+ * @name _aggregatorCheck
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _aggregatorCheck(
+ *   failures Array<{ position: number, key: any, reason: any }>,
+ *   result any,
+ * ) -> result
+ * ```
+ *
+ * @description
+ * Throw an `AggregateError` of `failures` in the order of their positions if there are any, otherwise return `result`. The `keys` property of the error lists the index or key of each failure.
+ */
+const _aggregatorCheck = function (failures, result) {
+  if (failures.length == 0) {
+    return result
+  }
+  failures.sort((a, b) => a.position - b.position)
+  const error = new AggregateError(
+    failures.map(failure => failure.reason),
+    `${failures.length} failed - ${failures.map(failure => `${String(failure.key)}: ${
+      failure.reason instanceof Error ? failure.reason.message : String(failure.reason)}`).join('; ')}`,
+  )
+  error.keys = failures.map(failure => failure.key)
+  throw error
+}
+
+/**
+ * @name SettledAggregator
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * aggregator = new SettledAggregator()
+ *
+ * aggregator.settle(resolverOrValue function|Promise|any, args Array, key any)
+ *   -> value Promise|any
+ * aggregator.check(result Promise|any) -> result
+ * ```
+ *
+ * @description
+ * Collect the failures of the items of an operation, e.g. the mapper calls of [map.settled.aggregate](/docs/map.settled.aggregate), into one `AggregateError`.
+ *
+ * `.settle` records the outcome of an item like [settle](/docs/settle) and returns its value, never throwing or rejecting. Items are counted in the order they are settled, which orders the failures. `.check` throws or rejects with an `AggregateError` of every failure once `result` resolves, if there were any.
+ */
+const SettledAggregator = function () {
+  const failures = []
+  let position = -1
+
+  return {
+    settle(resolverOrValue, args, key) {
+      position += 1
+      const record = settle(resolverOrValue, args)
+      return isPromise(record)
+        ? record.then(curry4(_aggregatorValue, failures, position, key, __))
+        : _aggregatorValue(failures, position, key, record)
+    },
+
+    check(result) {
+      return isPromise(result)
+        ? result.then(curry2(_aggregatorCheck, failures, __))
+        : _aggregatorCheck(failures, result)
+    },
+  }
+}
+
+module.exports = SettledAggregator
@@ -0,0 +1,23 @@
+/**
+ * @name TimeoutError
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * new TimeoutError(ms number) -> error TimeoutError
+ *
+ * error.name -> 'TimeoutError'
+ * error.ms -> number
+ * ```
+ *
+ * @description
+ * The error a step rejects with when it does not settle within `ms` milliseconds.
+ */
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Operation timed out after ${ms}ms`)
+    this.name = 'TimeoutError'
+    this.ms = ms
+  }
+}
+
+module.exports = TimeoutError
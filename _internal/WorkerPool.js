@@ -0,0 +1,207 @@
+const nodeRequire = require('./nodeRequire')
+const transferList = require('./transferList')
+
+/**
+ * @name _workerMain
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _workerMain(
+ *   workerRequire function,
+ *   transferList any=>Array<ArrayBuffer>,
+ *   mapper function|null,
+ * ) -> ()
+ * ```
+ *
+ * @description
+ * The entry point of a worker thread of a [WorkerPool](/docs/WorkerPool). The worker maps each item posted to it and posts back `{ value }`, or `{ error, isError }` if the mapper throws or rejects. If `mapper` is `null`, the worker loads it from `workerData.modulePath`.
+ *
+ * This function is serialized into the source of the worker thread, so it must not reference any other module.
+ */
+const _workerMain = function (workerRequire, transferList, mapper) {
+  const { parentPort, workerData } = workerRequire('worker_threads')
+  const loaded = mapper == null ? workerRequire(workerData.modulePath) : mapper
+  const f = typeof loaded == 'function' ? loaded : loaded.default
+  if (typeof f != 'function') {
+    throw new TypeError(`${workerData.modulePath} does not export a function`)
+  }
+  parentPort.on('message', async function onItem(item) {
+    try {
+      const value = await f(item)
+      parentPort.postMessage({ value }, workerData.transfer ? transferList(value) : [])
+    } catch (error) {
+      const isError = error instanceof Error
+      parentPort.postMessage({
+        error: isError
+          ? { name: error.name, message: error.message, stack: error.stack }
+          : error,
+        isError,
+      })
+    }
+  })
+}
+
+/**
+ * @name _reviveError
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _reviveError(error { name: string, message: string, stack: string }) -> Error
+ * ```
+ */
+const _reviveError = function (error) {
+  const revived = new Error(error.message)
+  revived.name = error.name
+  revived.stack = error.stack
+  return revived
+}
+
+/**
+ * @name _resolveModulePath
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _resolveModulePath(modulePath string) -> resolvedPath string
+ * ```
+ *
+ * @description
+ * Resolve a module path or specifier, e.g. `'./mapper.js'` or `'lodash/toUpper'`, as `require` would from the current working directory. A path that does not resolve, e.g. `'mapper.js'`, is resolved as a file path from the current working directory.
+ */
+const _resolveModulePath = function (modulePath) {
+  try {
+    return nodeRequire.resolve(modulePath, { paths: [process.cwd()] })
+  } catch (_error) {
+    return nodeRequire('path').resolve(modulePath)
+  }
+}
+
+/**
+ * @name WorkerPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * workerPool = new WorkerPool(
+ *   size number,
+ *   modulePathOrFn string|function,
+ *   transfer boolean,
+ * )
+ *
+ * workerPool.run(item any) -> Promise
+ * workerPool.terminate() -> Promise<>
+ * ```
+ *
+ * @description
+ * Run a mapper on up to `size` [worker threads](https://nodejs.org/api/worker_threads.html), one item per worker thread at a time. The mapper is the export of the module `modulePathOrFn`, a path or package specifier resolved from the current working directory, or the function `modulePathOrFn`, which is serialized into the source of each worker thread. Worker threads start when items arrive, and do not keep the process alive while they are idle. `.terminate` stops every worker thread, and the runs of items that have not finished do not settle.
+ *
+ * With `transfer`, binary items and results are transferred between threads rather than copied, see [transferList](/docs/transferList).
+ *
+ * An error thrown by the mapper rejects the run of the item with an `Error` of the same name, message and stack. If a worker thread fails, e.g. the module does not load, the run of its item rejects with the error and the next item starts a new worker thread. If a worker thread exits without an error, e.g. the mapper calls `process.exit`, the run of its item rejects with an `Error` of the exit code.
+ */
+const WorkerPool = function (size, modulePathOrFn, transfer) {
+  if (nodeRequire == null) {
+    throw new TypeError('worker threads are not supported in this environment')
+  }
+  const { Worker } = nodeRequire('worker_threads')
+  const isModulePath = typeof modulePathOrFn == 'string'
+  const modulePath = isModulePath ? _resolveModulePath(modulePathOrFn) : null
+  const source = `(${_workerMain})(require, ${transferList}, ${
+    isModulePath ? 'null' : modulePathOrFn})`
+  const workers = new Set()
+  const runningTasks = new Map() // worker => task
+  const idleWorkers = []
+  const tasks = [] // { item, resolve, reject } not yet posted to a worker
+  let terminated = false
+
+  const dispatch = function () {
+    if (terminated) {
+      return
+    }
+    while (tasks.length > 0) {
+      if (idleWorkers.length == 0 && workers.size < size) {
+        spawn()
+      }
+      if (idleWorkers.length == 0) {
+        return
+      }
+      const worker = idleWorkers.shift()
+      const task = tasks.shift()
+      runningTasks.set(worker, task)
+      worker.ref()
+      worker.postMessage(task.item, transfer ? transferList(task.item) : [])
+    }
+  }
+
+  const release = function (worker) {
+    runningTasks.delete(worker)
+    if (terminated) {
+      return
+    }
+    worker.unref()
+    idleWorkers.push(worker)
+    dispatch()
+  }
+
+  const remove = function (worker, error) {
+    const task = runningTasks.get(worker)
+    workers.delete(worker)
+    runningTasks.delete(worker)
+    const idleIndex = idleWorkers.indexOf(worker)
+    if (idleIndex != -1) {
+      idleWorkers.splice(idleIndex, 1)
+    }
+    if (task != null) {
+      task.reject(error)
+    }
+    dispatch()
+  }
+
+  const spawn = function () {
+    const worker = new Worker(source, {
+      eval: true,
+      workerData: { modulePath, transfer },
+    })
+    workers.add(worker)
+    worker.on('message', function onResult(result) {
+      const task = runningTasks.get(worker)
+      if (task == null) { // the pool was terminated while the item ran
+        return
+      }
+      if (result.isError == null) {
+        task.resolve(result.value)
+      } else {
+        task.reject(result.isError ? _reviveError(result.error) : result.error)
+      }
+      release(worker)
+    })
+    worker.on('error', function onError(error) {
+      remove(worker, error)
+    })
+    worker.on('exit', function onExit(exitCode) {
+      if (workers.has(worker)) { // not already removed by an error or terminate
+        remove(worker, new Error(`worker thread exited with code ${exitCode}`))
+      }
+    })
+    worker.unref()
+    idleWorkers.push(worker)
+  }
+
+  return {
+    run(item) {
+      return new Promise(function executor(resolve, reject) {
+        tasks.push({ item, resolve, reject })
+        dispatch()
+      })
+    },
+
+    terminate() {
+      terminated = true
+      idleWorkers.length = 0
+      runningTasks.clear()
+      const terminating = [...workers].map(worker => worker.terminate())
+      workers.clear()
+      return Promise.all(terminating)
+    },
+  }
+}
+
+module.exports = WorkerPool
@@ -0,0 +1,36 @@
+const assert = require('assert')
+const WorkerPool = require('./WorkerPool')
+
+describe('WorkerPool', () => {
+  it('replaces a worker thread that exits while running an item', async () => {
+    const pool = WorkerPool(1, number => {
+      if (number == 1) {
+        process.exit(3) // eslint-disable-line no-process-exit
+      }
+      return number * 2
+    }, false)
+    try {
+      const exited = pool.run(1)
+      const next = pool.run(2)
+      await assert.rejects(exited, new Error('worker thread exited with code 3'))
+      assert.strictEqual(await next, 4)
+      assert.strictEqual(await pool.run(3), 6)
+    } finally {
+      await pool.terminate()
+    }
+  })
+
+  it('settles nothing after terminate', async () => {
+    const pool = WorkerPool(1, number => number, false)
+    assert.strictEqual(await pool.run(1), 1)
+    let isSettled = false
+    pool.run(2).then(() => {
+      isSettled = true
+    }, () => {
+      isSettled = true
+    })
+    await pool.terminate()
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.strictEqual(isSettled, false)
+  })
+})
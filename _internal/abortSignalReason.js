@@ -0,0 +1,21 @@
+/**
+ * @name abortSignalReason
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * abortSignalReason(signal AbortSignal) -> reason any
+ * ```
+ *
+ * @description
+ * Get the reason an abort signal was aborted with. Environments that do not support `signal.reason` get an `Error` named `AbortError`.
+ */
+const abortSignalReason = function (signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason
+  }
+  const error = new Error('This operation was aborted')
+  error.name = 'AbortError'
+  return error
+}
+
+module.exports = abortSignalReason
@@ -1,11 +0,0 @@
-export = add;
-/**
- * @name add
- *
- * @synopsis
- * add (a any, b any) -> a + b
- *
- * @description
- * `+` two things
- */
-declare function add(a: any, b: any): any;
@@ -10,4 +10,4 @@ export = always;
  * @description
  * Create a function that always returns a value.
  */
-declare function always(value: any): () => any;
+declare const always: (value: any) => () => any;
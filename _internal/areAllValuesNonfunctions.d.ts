@@ -1,10 +0,0 @@
-export = areAllValuesNonfunctions;
-/**
- * @name areAllValuesNonfunctions
- *
- * @synopsis
- * ```coffeescript [specscript]
- * areAllValuesNonfunctions(values Array<function|value>) -> boolean
- * ```
- */
-declare function areAllValuesNonfunctions(values: any): boolean;
@@ -1,10 +0,0 @@
-export = areAnyValuesPromises;
-/**
- * @name areAnyValuesPromises
- *
- * @synopsis
- * ```coffeescript [specscript]
- * areAnyValuesPromises(values Array) -> boolean
- * ```
- */
-declare function areAnyValuesPromises(values: any): boolean;
@@ -1,10 +0,0 @@
-export = arrayEvery;
-/**
- * @name arrayEvery
- *
- * @synopsis
- * ```coffeescript [specscript]
- * arrayEvery(array Array, predicate ...any=>boolean) -> boolean
- * ```
- */
-declare function arrayEvery(array: any, predicate: any): any;
@@ -0,0 +1,59 @@
+const isPromise = require('./isPromise')
+
+/**
+ * @name arrayEverySeriesAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayEverySeriesAsync(
+ *   array Array,
+ *   predicate any=>Promise|boolean,
+ *   index number,
+ * ) -> Promise<boolean>
+ * ```
+ */
+const arrayEverySeriesAsync = async function (array, predicate, index) {
+  const length = array.length
+  while (++index < length) {
+    let predication = predicate(array[index])
+    if (isPromise(predication)) {
+      predication = await predication
+    }
+    if (!predication) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * @name arrayEverySeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayEverySeries(array Array, predicate any=>Promise|boolean) -> Promise|boolean
+ * ```
+ *
+ * @description
+ * Test a predicate on each item of an array one at a time, returning false at the first item that tests falsy. The predicate is not called on the remaining items.
+ */
+const arrayEverySeries = function (array, predicate) {
+  const length = array.length
+  let index = -1
+  while (++index < length) {
+    const predication = predicate(array[index])
+    if (isPromise(predication)) {
+      return predication.then(function continueEvery(resolvedPredication) {
+        return resolvedPredication
+          ? arrayEverySeriesAsync(array, predicate, index)
+          : false
+      })
+    }
+    if (!predication) {
+      return false
+    }
+  }
+  return true
+}
+
+module.exports = arrayEverySeries
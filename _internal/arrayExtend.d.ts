@@ -1,13 +0,0 @@
-export = arrayExtend;
-/**
- * @name arrayExtend
- *
- * @synopsis
- * ```coffeescript [specscript]
- * arrayExtend(array Array, values Array) -> array
- * ```
- *
- * @description
- * Extend an array with values.
- */
-declare function arrayExtend(array: any, values: any): any;
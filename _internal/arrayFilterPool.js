@@ -0,0 +1,86 @@
+const tapSync = require('./tapSync')
+const isPromise = require('./isPromise')
+const promiseAll = require('./promiseAll')
+const promiseRace = require('./promiseRace')
+const curry4 = require('./curry4')
+const __ = require('./placeholder')
+const arrayFilterByConditions = require('./arrayFilterByConditions')
+
+/**
+ * @name arrayFilterPoolAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayFilterPoolAsync<
+ *   T any,
+ *   array Array<T>,
+ *   concurrency number,
+ *   predicate (T, index number, array)=>Promise|boolean,
+ *   conditions Array<Promise|boolean>,
+ *   index number,
+ *   promises Set<Promise>,
+ * >(array, concurrency, predicate, conditions, index, promises)
+ *   -> Promise<Array<T>>
+ * ```
+ *
+ * @description
+ * Test each item of an array with a predicate with limited concurrency, returning a Promise of an array of the items that tested truthy.
+ */
+const arrayFilterPoolAsync = async function (
+  array, concurrency, predicate, conditions, index, promises,
+) {
+  const arrayLength = array.length
+  while (++index < arrayLength) {
+    if (promises.size >= concurrency) {
+      await promiseRace(promises)
+    }
+    const condition = predicate(array[index], index, array)
+    if (isPromise(condition)) {
+      const selfDeletingPromise = condition.then(
+        tapSync(() => promises.delete(selfDeletingPromise)))
+      promises.add(selfDeletingPromise)
+      conditions[index] = selfDeletingPromise
+    } else {
+      conditions[index] = condition
+    }
+  }
+  return promiseAll(conditions).then(
+    curry4(arrayFilterByConditions, array, [], -1, __))
+}
+
+/**
+ * @name arrayFilterPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayFilterPool<T any>(
+ *   array Array<T>,
+ *   concurrency number,
+ *   predicate (T, index number, array)=>Promise|boolean,
+ * ) -> Promise|Array<T>
+ * ```
+ *
+ * @description
+ * Test each item of an array with a predicate with limited concurrency, returning an array of the items that tested truthy. The order of the items is preserved.
+ */
+const arrayFilterPool = function (array, concurrency, predicate) {
+  const arrayLength = array.length,
+    conditions = Array(arrayLength)
+  let index = -1
+  while (++index < arrayLength) {
+    const condition = predicate(array[index], index, array)
+    if (isPromise(condition)) {
+      const promises = new Set(),
+        selfDeletingPromise = condition.then(
+          tapSync(() => promises.delete(selfDeletingPromise)))
+      promises.add(selfDeletingPromise)
+      conditions[index] = selfDeletingPromise
+      return arrayFilterPoolAsync(
+        array, concurrency, predicate, conditions, index, promises)
+    }
+    conditions[index] = condition
+  }
+  return arrayFilterByConditions(array, [], -1, conditions)
+}
+
+module.exports = arrayFilterPool
@@ -0,0 +1,73 @@
+const isPromise = require('./isPromise')
+
+/**
+ * @name arrayFilterSeriesAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayFilterSeriesAsync<
+ *   T any,
+ *   array Array<T>,
+ *   predicate (T, index number, array)=>Promise|boolean,
+ *   result Array<T>,
+ *   index number,
+ * >(array, predicate, result, index) -> Promise<result>
+ * ```
+ *
+ * @description
+ * Test each item of an array in series with a predicate, returning a Promise of an array of the items that tested truthy. `predicate` may be asynchronous.
+ */
+const arrayFilterSeriesAsync = async function (
+  array, predicate, result, index,
+) {
+  const arrayLength = array.length
+  while (++index < arrayLength) {
+    const item = array[index]
+    let shouldIncludeItem = predicate(item, index, array)
+    if (isPromise(shouldIncludeItem)) {
+      shouldIncludeItem = await shouldIncludeItem
+    }
+    if (shouldIncludeItem) {
+      result.push(item)
+    }
+  }
+  return result
+}
+
+/**
+ * @name arrayFilterSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayFilterSeries<T any>(
+ *   array Array<T>,
+ *   predicate (T, index number, array)=>Promise|boolean,
+ * ) -> filteredInSeries Promise|Array<T>
+ * ```
+ *
+ * @description
+ * Test each item of an array in series with a predicate, returning an array of the items that tested truthy. The order of the items is preserved.
+ */
+const arrayFilterSeries = function (array, predicate) {
+  const arrayLength = array.length,
+    result = []
+  let index = -1
+  while (++index < arrayLength) {
+    const item = array[index],
+      shouldIncludeItem = predicate(item, index, array)
+    if (isPromise(shouldIncludeItem)) {
+      return shouldIncludeItem.then(function continueFilter(resolved) {
+        if (resolved) {
+          result.push(item)
+        }
+        return arrayFilterSeriesAsync(array, predicate, result, index)
+      })
+    }
+    if (shouldIncludeItem) {
+      result.push(item)
+    }
+  }
+  return result
+}
+
+module.exports = arrayFilterSeries
@@ -12,4 +12,4 @@ export = arrayFind;
  * arrayFind(array, predicate) -> result
  * ```
  */
-declare function arrayFind(array: any, predicate: any): any;
+declare const arrayFind: (array: any, predicate: any) => any;
@@ -0,0 +1,24 @@
+const isPromise = require('./isPromise')
+const arrayFlatten = require('./arrayFlatten')
+const arrayMapPool = require('./arrayMapPool')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name arrayFlatMapPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayFlatMapPool(array Array, concurrency number, flatMapper function) -> Promise|Array
+ * ```
+ *
+ * @description
+ * Apply a flatMapper with limited concurrency to each item of an array, flattening the result for each item fully, in the order of the items, into a new array.
+ */
+const arrayFlatMapPool = function (array, concurrency, flatMapper) {
+  const monadArray = arrayMapPool(array, concurrency, flatMapperFlattening(flatMapper, arrayFlatten))
+  return isPromise(monadArray)
+    ? monadArray.then(arrayFlatten)
+    : arrayFlatten(monadArray)
+}
+
+module.exports = arrayFlatMapPool
@@ -0,0 +1,24 @@
+const isPromise = require('./isPromise')
+const arrayFlatten = require('./arrayFlatten')
+const arrayMapSeries = require('./arrayMapSeries')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name arrayFlatMapSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayFlatMapSeries(array Array, flatMapper function) -> Promise|Array
+ * ```
+ *
+ * @description
+ * Apply a flatMapper in series to each item of an array, flattening the result for each item fully, in the order of the items, into a new array.
+ */
+const arrayFlatMapSeries = function (array, flatMapper) {
+  const monadArray = arrayMapSeries(array, flatMapperFlattening(flatMapper, arrayFlatten))
+  return isPromise(monadArray)
+    ? monadArray.then(arrayFlatten)
+    : arrayFlatten(monadArray)
+}
+
+module.exports = arrayFlatMapSeries
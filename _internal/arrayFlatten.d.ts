@@ -17,4 +17,4 @@ export = arrayFlatten;
  * >(array) -> Array<T>
  * ```
  */
-declare function arrayFlatten(array: any): any;
+declare const arrayFlatten: (array: any) => any[] | Promise<any>;
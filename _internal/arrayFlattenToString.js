@@ -0,0 +1,28 @@
+const funcConcat = require('./funcConcat')
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const arrayFlatten = require('./arrayFlatten')
+const arrayJoin = require('./arrayJoin')
+
+/**
+ * @name arrayFlattenToString
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * Stream<T> = { read: ()=>T, write: T=>() }
+ * Monad<T> = Array<T>|String<T>|Set<T>
+ *   |TypedArray<T>|Stream<T>|Iterator<Promise|T>
+ *   |{ chain: T=>Monad<T> }|{ flatMap: T=>Monad<T> }|Object<T>
+ * Reducer<T> = (any, T)=>Promise|any
+ * Foldable<T> = Iterable<T>|AsyncIterable<T>|{ reduce: Reducer<T> }|Object<T>
+ *
+ * arrayFlattenToString<T>(
+ *   array Array<Monad<T>|Foldable<T>|T>,
+ * ) -> String<T>
+ * ```
+ */
+const arrayFlattenToString = funcConcat(
+  arrayFlatten,
+  curry2(arrayJoin, __, ''))
+
+module.exports = arrayFlattenToString
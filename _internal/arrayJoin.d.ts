@@ -1,13 +0,0 @@
-export = arrayJoin;
-/**
- * @name arrayJoin
- *
- * @synopsis
- * ```coffeescript [specscript]
- * arrayJoin(array Array, delimiter string) -> string
- * ```
- *
- * @description
- * Call `.join` on an array.
- */
-declare function arrayJoin(array: any, delimiter: any): any;
@@ -0,0 +1,36 @@
+const WorkerPool = require('./WorkerPool')
+const promiseAll = require('./promiseAll')
+
+/**
+ * @name arrayMapParallel
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayMapParallel(
+ *   array Array,
+ *   workers number,
+ *   modulePathOrFn string|function,
+ *   transfer boolean,
+ * ) -> Promise<Array>
+ * ```
+ *
+ * @description
+ * Map the items of an array on a [WorkerPool](/docs/WorkerPool) of `workers` worker threads, in order. The worker threads are terminated once every item is mapped or at the first error.
+ */
+const arrayMapParallel = function (array, workers, modulePathOrFn, transfer) {
+  const pool = WorkerPool(workers, modulePathOrFn, transfer)
+  const arrayLength = array.length,
+    promises = Array(arrayLength)
+  let index = -1
+  while (++index < arrayLength) {
+    promises[index] = pool.run(array[index])
+  }
+  return promiseAll(promises).then(function onMapped(result) {
+    return pool.terminate().then(() => result)
+  }, function onError(error) {
+    pool.terminate()
+    throw error
+  })
+}
+
+module.exports = arrayMapParallel
@@ -0,0 +1,97 @@
+const isPromise = require('./isPromise')
+const promiseAll = require('./promiseAll')
+const rateLimitDelay = require('./rateLimitDelay')
+const sleep = require('./sleep')
+const objectSet = require('./objectSet')
+
+/**
+ * @name arrayMapRateAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayMapRateAsync<
+ *   T any,
+ *   array Array<T>,
+ *   rate number,
+ *   f (T, index number, array)=>Promise|any,
+ *   result Array,
+ *   index number,
+ *   dispatchTimes Array<number>,
+ * >(array, rate, f, result, index, dispatchTimes) -> Promise<result>
+ * ```
+ *
+ * @description
+ * Apply a function `f` to each item of an array, dispatching at most `rate` calls per second, returning a Promise of an array of results.
+ *
+ * Every promise returned by `f` is handled as soon as it is dispatched, so that a rejection while the next dispatch waits does not go unhandled. After a rejection, no more items are dispatched and the returned promise rejects with the error.
+ */
+const arrayMapRateAsync = async function (
+  array, rate, f, result, index, dispatchTimes,
+) {
+  const arrayLength = array.length
+  let isRejected = false,
+    rejection = null
+  const onRejection = function (error) {
+    if (!isRejected) {
+      isRejected = true
+      rejection = error
+    }
+  }
+  let dispatchedIndex = -1
+  while (++dispatchedIndex <= index) {
+    if (isPromise(result[dispatchedIndex])) {
+      result[dispatchedIndex].catch(onRejection)
+    }
+  }
+
+  while (++index < arrayLength) {
+    const delay = rateLimitDelay(dispatchTimes, rate, index)
+    if (delay > 0) {
+      await sleep(delay)
+    }
+    if (isRejected) {
+      throw rejection
+    }
+    objectSet(dispatchTimes, index % rate, Date.now())
+    const resultItem = f(array[index], index, array)
+    if (isPromise(resultItem)) {
+      resultItem.catch(onRejection)
+    }
+    result[index] = resultItem
+  }
+  return promiseAll(result)
+}
+
+/**
+ * @name arrayMapRate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arrayMapRate(array Array, rate number, f function) -> Promise|Array
+ * ```
+ *
+ * @description
+ * Apply a function `f` to each item of an array, dispatching at most `rate` calls per second, returning an array of results ordered the same as the array.
+ */
+const arrayMapRate = function (array, rate, f) {
+  const arrayLength = array.length,
+    result = Array(arrayLength),
+    dispatchTimes = []
+  let index = -1,
+    isAsync = false
+  while (++index < arrayLength) {
+    if (index >= rate) {
+      return arrayMapRateAsync(
+        array, rate, f, result, index - 1, dispatchTimes)
+    }
+    dispatchTimes[index] = Date.now()
+    const resultItem = f(array[index], index, array)
+    if (isPromise(resultItem)) {
+      isAsync = true
+    }
+    result[index] = resultItem
+  }
+  return isAsync ? promiseAll(result) : result
+}
+
+module.exports = arrayMapRate
@@ -8,4 +8,4 @@ export = arrayPush;
  *   value any
  * ) -> array
  */
-declare function arrayPush(array: any, value: any): any;
+declare const arrayPush: (array: any, value: any) => any;
@@ -1,4 +1,6 @@
 const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const unreduced = require('./unreduced')
 const __ = require('./placeholder')
 const curry4 = require('./curry4')
 
@@ -16,19 +18,19 @@ const curry4 = require('./curry4')
  * ```
  *
  * @description
- * Execute a reducer for each item of an array, returning a Promise of a single value.
+ * Execute a reducer for each item of an array, returning a Promise of a single value. Stops early once the reducer returns a [reduced](/docs/reduced) accumulator.
  */
 const arrayReduceAsync = async function (
   array, reducer, result, index,
 ) {
   const length = array.length
-  while (++index < length) {
+  while (!isReduced(result) && ++index < length) {
     result = reducer(result, array[index], index, array)
     if (isPromise(result)) {
       result = await result
     }
   }
-  return result
+  return unreduced(result)
 }
 
 /**
@@ -42,6 +44,9 @@ const arrayReduceAsync = async function (
  *   result any,
  * ) -> Promise|result
  * ```
+ *
+ * @description
+ * Stops early once the reducer returns a [reduced](/docs/reduced) accumulator.
  */
 const arrayReduce = function (array, reducer, result) {
   const arrayLength = array.length
@@ -54,6 +59,9 @@ const arrayReduce = function (array, reducer, result) {
     if (isPromise(result)) {
       return result.then(curry4(arrayReduceAsync, array, reducer, __, index))
     }
+    if (isReduced(result)) {
+      return unreduced(result)
+    }
   }
   return result
 }
@@ -10,4 +10,4 @@ export = arraySome;
  * ) -> boolean
  * ```
  */
-declare function arraySome(array: any, predicate: any): boolean | Promise<boolean>;
+declare const arraySome: (array: any, predicate: any) => boolean | Promise<boolean>;
@@ -0,0 +1,59 @@
+const isPromise = require('./isPromise')
+
+/**
+ * @name arraySomeSeriesAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arraySomeSeriesAsync(
+ *   array Array,
+ *   predicate any=>Promise|boolean,
+ *   index number,
+ * ) -> Promise<boolean>
+ * ```
+ */
+const arraySomeSeriesAsync = async function (array, predicate, index) {
+  const length = array.length
+  while (++index < length) {
+    let predication = predicate(array[index])
+    if (isPromise(predication)) {
+      predication = await predication
+    }
+    if (predication) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * @name arraySomeSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * arraySomeSeries(array Array, predicate any=>Promise|boolean) -> Promise|boolean
+ * ```
+ *
+ * @description
+ * Test a predicate on each item of an array one at a time, returning true at the first item that tests truthy. The predicate is not called on the remaining items.
+ */
+const arraySomeSeries = function (array, predicate) {
+  const length = array.length
+  let index = -1
+  while (++index < length) {
+    const predication = predicate(array[index])
+    if (isPromise(predication)) {
+      return predication.then(function continueSome(resolvedPredication) {
+        return resolvedPredication
+          ? true
+          : arraySomeSeriesAsync(array, predicate, index)
+      })
+    }
+    if (predication) {
+      return true
+    }
+  }
+  return false
+}
+
+module.exports = arraySomeSeries
@@ -0,0 +1,34 @@
+const isPromise = require('./isPromise')
+const iteratorClose = require('./iteratorClose')
+
+/**
+ * @name asyncIteratorEverySeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * asyncIteratorEverySeries(
+ *   asyncIterator AsyncIterator,
+ *   predicate any=>Promise|boolean,
+ * ) -> Promise<boolean>
+ * ```
+ *
+ * @description
+ * Test a predicate on each item of an async iterator one at a time, returning false at the first item that tests falsy. The async iterator is then closed with `.return` and no further items are pulled.
+ */
+const asyncIteratorEverySeries = async function (asyncIterator, predicate) {
+  let iteration = await asyncIterator.next()
+  while (!iteration.done) {
+    let predication = predicate(iteration.value)
+    if (isPromise(predication)) {
+      predication = await predication
+    }
+    if (!predication) {
+      await iteratorClose(asyncIterator)
+      return false
+    }
+    iteration = await asyncIterator.next()
+  }
+  return true
+}
+
+module.exports = asyncIteratorEverySeries
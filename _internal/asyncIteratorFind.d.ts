@@ -9,4 +9,4 @@ export = asyncIteratorFind;
  *
  * asyncIteratorFind(asyncIterator, predicate) -> Promise|T|undefined
  */
-declare function asyncIteratorFind(asyncIterator: any, predicate: any): Promise<any>;
+declare const asyncIteratorFind: (asyncIterator: any, predicate: any) => Promise<any>;
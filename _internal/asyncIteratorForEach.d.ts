@@ -14,4 +14,4 @@ export = asyncIteratorForEach;
  * @description
  * Execute a callback function for each item of an async iterator
  */
-declare function asyncIteratorForEach(asyncIterator: any, callback: any): Promise<any>;
+declare const asyncIteratorForEach: (asyncIterator: any, callback: any) => Promise<any>;
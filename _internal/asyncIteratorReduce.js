@@ -1,3 +1,7 @@
+const isReduced = require('./isReduced')
+const unreduced = require('./unreduced')
+const iteratorClose = require('./iteratorClose')
+
 /**
  * @name asyncIteratorReduce
  *
@@ -9,6 +13,9 @@
  *   result any,
  * ) -> result any
  * ```
+ *
+ * @description
+ * Stops early once the reducer returns a [reduced](/docs/reduced) accumulator, closing the async iterator with `.return`.
  */
 const asyncIteratorReduce = async function (asyncIterator, reducer, result) {
   let iteration = await asyncIterator.next()
@@ -22,6 +29,10 @@ const asyncIteratorReduce = async function (asyncIterator, reducer, result) {
 
   while (!iteration.done) {
     result = await reducer(result, iteration.value)
+    if (isReduced(result)) {
+      await iteratorClose(asyncIterator)
+      return unreduced(result)
+    }
     iteration = await asyncIterator.next()
   }
   return result
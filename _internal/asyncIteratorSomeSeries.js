@@ -0,0 +1,34 @@
+const isPromise = require('./isPromise')
+const iteratorClose = require('./iteratorClose')
+
+/**
+ * @name asyncIteratorSomeSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * asyncIteratorSomeSeries(
+ *   asyncIterator AsyncIterator,
+ *   predicate any=>Promise|boolean,
+ * ) -> Promise<boolean>
+ * ```
+ *
+ * @description
+ * Test a predicate on each item of an async iterator one at a time, returning true at the first item that tests truthy. The async iterator is then closed with `.return` and no further items are pulled.
+ */
+const asyncIteratorSomeSeries = async function (asyncIterator, predicate) {
+  let iteration = await asyncIterator.next()
+  while (!iteration.done) {
+    let predication = predicate(iteration.value)
+    if (isPromise(predication)) {
+      predication = await predication
+    }
+    if (predication) {
+      await iteratorClose(asyncIterator)
+      return true
+    }
+    iteration = await asyncIterator.next()
+  }
+  return false
+}
+
+module.exports = asyncIteratorSomeSeries
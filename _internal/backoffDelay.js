@@ -0,0 +1,27 @@
+/**
+ * @name backoffDelay
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * backoffDelay(
+ *   options {
+ *     delay: number,
+ *     factor: number,
+ *     maxDelay: number,
+ *     jitter: boolean,
+ *   },
+ *   attempt number,
+ * ) -> delay number
+ * ```
+ *
+ * @description
+ * Get the number of milliseconds to wait after a failed attempt before the next attempt. The delay grows by `factor` after each attempt up to `maxDelay`. With `jitter`, the delay is a random number between zero and the computed delay.
+ */
+const backoffDelay = function (options, attempt) {
+  const delay = Math.min(
+    options.delay * (options.factor ** (attempt - 1)),
+    options.maxDelay)
+  return options.jitter ? Math.random() * delay : delay
+}
+
+module.exports = backoffDelay
@@ -1,16 +0,0 @@
-export = binaryExtend;
-/**
- * @name binaryExtend
- *
- * @synopsis
- * ```coffeescript [specscript]
- * binaryExtend(
- *   typedArray TypedArray,
- *   array Array|TypedArray|any,
- * ) -> concatenatedTypedArray
- * ```
- *
- * @description
- * Types branching for _binaryExtend
- */
-declare function binaryExtend(typedArray: any, array: any): any;
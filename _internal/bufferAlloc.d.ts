@@ -1,8 +0,0 @@
-export = bufferAlloc;
-/**
- * @name bufferAlloc
- *
- * @synopsis
- * Dereferenced `Buffer.alloc` or noop
- */
-declare const bufferAlloc: any;
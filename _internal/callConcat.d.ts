@@ -1,8 +0,0 @@
-export = callConcat;
-/**
- * @name callConcat
- *
- * @synopsis
- * callConcat(object Object, values any) -> object.concat(values)
- */
-declare function callConcat(object: any, values: any): any;
@@ -14,4 +14,4 @@ export = callPropUnary;
  * @description
  * Call a property function on a value with a single argument.
  */
-declare function callPropUnary(value: any, property: any, arg0: any): any;
+declare const callPropUnary: (value: any, property: any, arg0: any) => any;
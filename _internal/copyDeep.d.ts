@@ -1,13 +0,0 @@
-export = copyDeep;
-/**
- * @name copyDeep
- *
- * @synopsis
- * ```coffeescript [specscript]
- * copyDeep(value Array|Object) -> deepCopy Array|Object
- * ```
- *
- * @catchphrase
- * Deep copy objects or arrays.
- */
-declare function copyDeep(value: any): any;
@@ -1,36 +1,37 @@
 const isArray = require('./isArray')
 
-// objectCopyDeep(array Array) -> copied Array
-const objectCopyDeep = function (object) {
+// _copyDeepItem(item any, ancestors Map<object, object>) -> copied any
+const _copyDeepItem = function (item, ancestors) {
+  if (isArray(item)) {
+    return ancestors.has(item) ? ancestors.get(item) : arrayCopyDeep(item, ancestors)
+  }
+  if (item != null && item.constructor == Object) {
+    return ancestors.has(item) ? ancestors.get(item) : objectCopyDeep(item, ancestors)
+  }
+  return item
+}
+
+// objectCopyDeep(object Object, ancestors Map<object, object>) -> copied Object
+const objectCopyDeep = function (object, ancestors) {
   const result = {}
+  ancestors.set(object, result)
   for (const key in object) {
-    const item = object[key]
-    if (isArray(item)) {
-      result[key] = arrayCopyDeep(item)
-    } else if (item != null && item.constructor == Object) {
-      result[key] = objectCopyDeep(item)
-    } else {
-      result[key] = item
-    }
+    result[key] = _copyDeepItem(object[key], ancestors)
   }
+  ancestors.delete(object)
   return result
 }
 
-// arrayCopyDeep(array Array) -> copied Array
-const arrayCopyDeep = function (array) {
+// arrayCopyDeep(array Array, ancestors Map<object, object>) -> copied Array
+const arrayCopyDeep = function (array, ancestors) {
   const length = array.length,
     result = []
+  ancestors.set(array, result)
   let index = -1
   while (++index < length) {
-    const item = array[index]
-    if (isArray(item)) {
-      result[index] = arrayCopyDeep(item)
-    } else if (item != null && item.constructor == Object) {
-      result[index] = objectCopyDeep(item)
-    } else {
-      result[index] = item
-    }
+    result[index] = _copyDeepItem(array[index], ancestors)
   }
+  ancestors.delete(array)
   return result
 }
 
@@ -44,18 +45,12 @@ const arrayCopyDeep = function (array) {
  *
  * @catchphrase
  * Deep copy objects or arrays.
+ *
+ * @description
+ * An array or object referenced more than once is copied once per reference. A circular reference, i.e. a reference to an array or object that contains it, refers to the copy of that array or object, so the copy is circular like the original.
  */
 const copyDeep = function (value) {
-  if (isArray(value)) {
-    return arrayCopyDeep(value)
-  }
-  if (value == null) {
-    return value
-  }
-  if (value.constructor == Object) {
-    return objectCopyDeep(value)
-  }
-  return value
+  return _copyDeepItem(value, new Map())
 }
 
 module.exports = copyDeep
@@ -0,0 +1,76 @@
+const isArray = require('./isArray')
+const symbolCopy = require('./symbolCopy')
+
+/**
+ * @name _hasInternalSlots
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _hasInternalSlots(value Object) -> boolean
+ * ```
+ *
+ * @description
+ * Is a value a built-in object whose state is not in its properties, so that a copy by properties does not work like the original.
+ */
+const _hasInternalSlots = value => value instanceof Date
+  || value instanceof RegExp
+  || value instanceof ArrayBuffer
+  || ArrayBuffer.isView(value)
+  || value instanceof Promise
+  || value instanceof WeakMap
+  || value instanceof WeakSet
+
+/**
+ * @name copyPathContainer
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * copyPathContainer(container Object|Array|Map|Set) -> copied Object|Array|Map|Set
+ * ```
+ *
+ * @description
+ * Shallow copy a container along a path. Maps, Sets and class instances keep their prototype. Class instances are copied by their own enumerable properties, so private fields and other internal state are not copied, unless the instance has a [symbolCopy](/docs/symbolCopy) method that returns its copy.
+ *
+ * ```javascript
+ * class User {
+ *   #name
+ *
+ *   constructor(name) {
+ *     this.#name = name
+ *   }
+ *
+ *   [Symbol.for('rubico.copy')]() {
+ *     return new User(this.#name)
+ *   }
+ * }
+ *
+ * copyPathContainer(new User('a')) instanceof User // true
+ * ```
+ *
+ * Built-in objects with internal state, e.g. Dates, RegExps and typed arrays, cannot be copied by properties, and throw a TypeError.
+ */
+const copyPathContainer = function (container) {
+  if (isArray(container)) {
+    return container.slice()
+  }
+  if (container.constructor == Object) {
+    return { ...container }
+  }
+  if (typeof container[symbolCopy] == 'function') {
+    return container[symbolCopy]()
+  }
+  if (_hasInternalSlots(container)) {
+    throw new TypeError(
+      `cannot copy ${Object.prototype.toString.call(container)} along a path`)
+  }
+  const prototype = Object.getPrototypeOf(container)
+  const copy = container instanceof Map ? new Map(container)
+    : container instanceof Set ? new Set(container)
+    : Object.create(prototype)
+  if (Object.getPrototypeOf(copy) != prototype) {
+    Object.setPrototypeOf(copy, prototype)
+  }
+  return Object.assign(copy, container)
+}
+
+module.exports = copyPathContainer
@@ -18,4 +18,4 @@ export = curry2;
  *
  * Note: exactly one argument must be the placeholder
  */
-declare function curry2(baseFunc: any, arg0: any, arg1: any): (arg0: any) => any;
+declare const curry2: (baseFunc: any, arg0: any, arg1: any) => (arg0: any) => any;
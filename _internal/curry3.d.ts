@@ -19,4 +19,4 @@ export = curry3;
  *
  * Note: exactly one argument must be the placeholder
  */
-declare function curry3(baseFunc: any, arg0: any, arg1: any, arg2: any): (arg0: any) => any;
+declare const curry3: (baseFunc: any, arg0: any, arg1: any, arg2: any) => (arg0: any) => any;
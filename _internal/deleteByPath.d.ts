@@ -1,13 +0,0 @@
-export = deleteByPath;
-/**
- * @name deleteByPath
- *
- * @synopsis
- * ```coffeescript [specscript]
- * deleteByPath<
- *   object any,
- *   path string|number|Array<string|number>,
- * >(value, path) -> ()
- * ```
- */
-declare function deleteByPath(object: any, path: any): any;
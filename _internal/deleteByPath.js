@@ -1,5 +1,37 @@
-const getByPath = require('./getByPath')
 const propertyPathToArray = require('./propertyPathToArray')
+const resolvePathKey = require('./resolvePathKey')
+const isWildcardPath = require('./isWildcardPath')
+const pathMatches = require('./pathMatches')
+const isPersistent = require('./isPersistent')
+const copyDeep = require('./copyDeep')
+
+/**
+ * @name _deletePersistentByPath
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _deletePersistentByPath(
+ *   persistent PersistentObject,
+ *   pathArray Array<string|number>,
+ * ) -> PersistentObject
+ * ```
+ *
+ * @description
+ * Delete the value at a path of a [PersistentObject](/docs/PersistentObject), with `.delete` and `.set` on each persistent object along the path. Any other container along the path is deep copied with [copyDeep](/docs/copyDeep) before the value is deleted from the copy.
+ */
+const _deletePersistentByPath = function (persistent, pathArray) {
+  const key = pathArray[0]
+  if (pathArray.length == 1) {
+    return persistent.delete(key)
+  }
+  const nested = persistent.get(key)
+  if (nested == null) {
+    return persistent
+  }
+  return persistent.set(key, isPersistent(nested)
+    ? _deletePersistentByPath(nested, pathArray.slice(1))
+    : deleteByPath(copyDeep(nested), pathArray.slice(1)))
+}
 
 /**
  * @name deleteByPath
@@ -9,28 +41,51 @@ const propertyPathToArray = require('./propertyPathToArray')
  * deleteByPath<
  *   object any,
  *   path string|number|Array<string|number>,
- * >(value, path) -> ()
+ * >(object, path) -> object
  * ```
+ *
+ * @description
+ * Delete the value at a path of an object in place. For a path with `*` or `**` segments, deletes every match.
+ *
+ * A [PersistentObject](/docs/PersistentObject) is not changed in place, so the result is a new persistent object if `object` is a persistent object, and a persistent object along the path is replaced in its parent by a new persistent object.
  */
 const deleteByPath = function (object, path) {
   if (object == null) {
-    return undefined
+    return object
   }
-  const pathArray = propertyPathToArray(path),
-    lengthMinusOne = pathArray.length - 1
+  const pathArray = propertyPathToArray(path)
+  if (isWildcardPath(pathArray)) {
+    let result = object
+    for (const [matchPath] of pathMatches(object, pathArray)) {
+      if (matchPath.length > 0) {
+        result = deleteByPath(result, matchPath)
+      }
+    }
+    return result
+  }
+  if (isPersistent(object)) {
+    return pathArray.length == 0 ? object : _deletePersistentByPath(object, pathArray)
+  }
+  const lengthMinusOne = pathArray.length - 1
   let index = -1,
     result = object
   while (++index < lengthMinusOne) {
-    result = result[pathArray[index]]
-    if (result == null) {
-      return undefined
+    const key = resolvePathKey(result, pathArray[index])
+    const nested = result[key]
+    if (nested == null) {
+      return object
+    }
+    if (isPersistent(nested)) {
+      result[key] = _deletePersistentByPath(nested, pathArray.slice(index + 1))
+      return object
     }
+    result = nested
   }
-  const property = pathArray[index]
+  const property = resolvePathKey(result, pathArray[index])
   if (result != null && property in result) {
     delete result[property]
   }
-  return undefined
+  return object
 }
 
 module.exports = deleteByPath
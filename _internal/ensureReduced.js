@@ -0,0 +1,17 @@
+const isReduced = require('./isReduced')
+const reduced = require('./reduced')
+
+/**
+ * @name ensureReduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * ensureReduced(value Reduced|any) -> Reduced
+ * ```
+ *
+ * @description
+ * Wrap a value with [reduced](/docs/reduced) unless it is already wrapped.
+ */
+const ensureReduced = value => isReduced(value) ? value : reduced(value)
+
+module.exports = ensureReduced
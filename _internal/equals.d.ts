@@ -1,10 +0,0 @@
-export = equals;
-/**
- * @name equals
- *
- * @synopsis
- * ```coffeescript [specscript]
- * equals(left any, right any) -> boolean
- * ```
- */
-declare function equals(left: any, right: any): boolean;
@@ -0,0 +1,26 @@
+const isPromise = require('./isPromise')
+
+/**
+ * @name flatMapperFlattening
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * flatMapperFlattening(
+ *   flatMapper (...args)=>Promise|Monad,
+ *   flatten Array<Monad>=>Promise|Monad,
+ * ) -> flatteningFlatMapper (...args)=>Promise|Monad
+ * ```
+ *
+ * @description
+ * Create a flatMapper that flattens each of its results as a one-item array with `flatten`. A series or pool of the flatMapper keeps the execution for an item pending until its result is fully read, so results read over time like async iterables and streams are read one after another in the order of the items.
+ */
+const flatMapperFlattening = function (flatMapper, flatten) {
+  return function flatteningFlatMapper(...args) {
+    const monad = flatMapper(...args)
+    return isPromise(monad)
+      ? monad.then(result => flatten([result]))
+      : flatten([monad])
+  }
+}
+
+module.exports = flatMapperFlattening
@@ -14,4 +14,4 @@ export = funcConcat;
  * ) -> pipedFunction ...args=>Promise|result
  * ```
  */
-declare function funcConcat(funcA: any, funcB: any): (...args: any[]) => any;
+declare const funcConcat: (funcA: any, funcB: any) => (...args: any[]) => any;
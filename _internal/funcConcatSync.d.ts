@@ -14,4 +14,4 @@ export = funcConcatSync;
  * ) -> pipedFunction ...args=>result
  * ```
  */
-declare function funcConcatSync(funcA: any, funcB: any): (...args: any[]) => any;
+declare const funcConcatSync: (funcA: any, funcB: any) => (...args: any[]) => any;
@@ -1,10 +0,0 @@
-export = functionArrayAll;
-/**
- * @name functionArrayAll
- *
- * @synopsis
- * ```coffeescript [specscript]
- * functionArrayAll(funcs Array<function>, args Array) -> Promise|Array
- * ```
- */
-declare function functionArrayAll(funcs: any, args: any): any;
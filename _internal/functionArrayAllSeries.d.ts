@@ -1,10 +0,0 @@
-export = functionArrayAllSeries;
-/**
- * @name functionArrayAllSeries
- *
- * @synopsis
- * ```coffeescript [specscript]
- * functionArrayAllSeries(funcs Array<function>, args Array) -> Promise|Array
- * ```
- */
-declare function functionArrayAllSeries(funcs: any, args: any): any;
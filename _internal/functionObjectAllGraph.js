@@ -0,0 +1,157 @@
+const isArray = require('./isArray')
+const isPromise = require('./isPromise')
+const hasOwn = require('./hasOwn')
+
+/**
+ * @name _graphCycle
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _graphCycle(
+ *   dependencies Object<Array<string>>,
+ *   key string,
+ *   states Object<'visiting'|'visited'>,
+ *   path Array<string>,
+ * ) -> cycle Array<string>|null
+ * ```
+ *
+ * @description
+ * Find a cycle of dependencies reachable from `key` by depth-first search, returning the keys of the cycle from its first key back around to it, or `null`.
+ */
+const _graphCycle = function (dependencies, key, states, path) {
+  if (states[key] == 'visited') {
+    return null
+  }
+  if (states[key] == 'visiting') {
+    return [...path.slice(path.indexOf(key)), key]
+  }
+  states[key] = 'visiting'
+  path.push(key)
+  for (const dependency of dependencies[key]) {
+    const cycle = _graphCycle(dependencies, dependency, states, path)
+    if (cycle != null) {
+      return cycle
+    }
+  }
+  path.pop()
+  states[key] = 'visited'
+  return null
+}
+
+/**
+ * @name functionObjectAllGraph
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Task = function|[dependencies Array<string>, function]|Promise|any
+ *
+ * functionObjectAllGraph(tasks Object<Task>, args Array) -> Promise|Object
+ * ```
+ *
+ * @description
+ * Run an object of tasks with dependencies on each other, starting each task as soon as its dependencies resolve. A task function is called with the results of its dependencies in order, followed by `args`. Tasks that are not functions or arrays are values that resolve as they are.
+ *
+ * Throws a TypeError for a dependency that is not a task or a cycle of dependencies before any task runs. Returns an object of the results in the order of `tasks`, or a promise of it if any task returns a promise.
+ */
+const functionObjectAllGraph = function (tasks, args) {
+  const keys = Object.keys(tasks),
+    dependencies = {},
+    resolvers = {},
+    dependents = {},
+    numPending = {}
+  for (const key of keys) {
+    const task = tasks[key]
+    dependencies[key] = isArray(task) ? task[0] : []
+    resolvers[key] = isArray(task) ? task[1] : task
+    dependents[key] = []
+  }
+  for (const key of keys) {
+    for (const dependency of dependencies[key]) {
+      if (!hasOwn(dependencies, dependency)) {
+        throw new TypeError(`unknown dependency ${dependency} of ${key}`)
+      }
+      dependents[dependency].push(key)
+    }
+    numPending[key] = dependencies[key].length
+  }
+  const states = {}
+  for (const key of keys) {
+    const cycle = _graphCycle(dependencies, key, states, [])
+    if (cycle != null) {
+      throw new TypeError(`cycle of dependencies ${cycle.join(' -> ')}`)
+    }
+  }
+
+  const values = {},
+    ready = keys.filter(key => numPending[key] == 0)
+  let numUnresolved = keys.length,
+    isFailed = false,
+    resolveGraph = null,
+    rejectGraph = null
+
+  const result = function () {
+    const object = {}
+    for (const key of keys) {
+      object[key] = values[key]
+    }
+    return object
+  }
+
+  const resolveTask = function (key, value) {
+    values[key] = value
+    numUnresolved -= 1
+    for (const dependent of dependents[key]) {
+      numPending[dependent] -= 1
+      if (numPending[dependent] == 0) {
+        ready.push(dependent)
+      }
+    }
+  }
+
+  const rejectTask = function (error) {
+    isFailed = true
+    if (rejectGraph != null) {
+      rejectGraph(error)
+    }
+  }
+
+  const runReady = function () {
+    while (ready.length > 0) {
+      if (isFailed) {
+        return
+      }
+      const key = ready.shift()
+      const resolver = resolvers[key]
+      const value = typeof resolver == 'function'
+        ? resolver(...dependencies[key].map(dependency => values[dependency]), ...args)
+        : resolver
+      if (isPromise(value)) {
+        value.then(function onTaskResolved(resolved) {
+          resolveTask(key, resolved)
+          runReady()
+        }).catch(rejectTask)
+      } else {
+        resolveTask(key, value)
+      }
+    }
+    if (numUnresolved == 0 && resolveGraph != null) {
+      resolveGraph(result())
+    }
+  }
+
+  try {
+    runReady()
+  } catch (error) {
+    isFailed = true
+    throw error
+  }
+  if (numUnresolved == 0) {
+    return result()
+  }
+  return new Promise(function executor(resolve, reject) {
+    resolveGraph = resolve
+    rejectGraph = reject
+  })
+}
+
+module.exports = functionObjectAllGraph
@@ -13,6 +13,21 @@ const arrayReduce = require('./arrayReduce')
 const objectReduce = require('./objectReduce')
 const mapReduce = require('./mapReduce')
 const reducerConcat = require('./reducerConcat')
+const isPromise = require('./isPromise')
+const unreduced = require('./unreduced')
+
+/**
+ * @name _reducerApply
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _reducerApply(reducer Reducer, result any, item any) -> Promise|any
+ * ```
+ */
+const _reducerApply = function (reducer, result, item) {
+  const nextResult = reducer(result, item)
+  return isPromise(nextResult) ? nextResult.then(unreduced) : unreduced(nextResult)
+}
 
 /**
  * @name genericReduce
@@ -45,7 +60,7 @@ const genericReduce = function (collection, reducer, result) {
   if (collection == null) {
     return result === undefined
       ? curry2(reducer, collection, __)
-      : reducer(result, collection)
+      : _reducerApply(reducer, result, collection)
   }
 
   if (collection.constructor == Map) {
@@ -73,7 +88,7 @@ const genericReduce = function (collection, reducer, result) {
   }
   return result === undefined
     ? curry2(reducer, collection, __)
-    : reducer(result, collection)
+    : _reducerApply(reducer, result, collection)
 }
 
 module.exports = genericReduce
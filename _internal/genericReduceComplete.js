@@ -0,0 +1,25 @@
+const genericReduce = require('./genericReduce')
+const reducerComplete = require('./reducerComplete')
+const reducerStart = require('./reducerStart')
+
+/**
+ * @name genericReduceComplete
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * genericReduceComplete(
+ *   collection Foldable,
+ *   reducer Reducer,
+ *   result any,
+ * ) -> Promise|any
+ * ```
+ *
+ * @description
+ * [genericReduce](/docs/genericReduce) with a started reducer, see [reducerStart](/docs/reducerStart), followed by the completion step of the started reducer.
+ */
+const genericReduceComplete = function (collection, reducer, result) {
+  const startedReducer = reducerStart(reducer)
+  return reducerComplete(startedReducer, genericReduce(collection, startedReducer, result))
+}
+
+module.exports = genericReduceComplete
@@ -0,0 +1,337 @@
+const isArray = require('./isArray')
+const isPromise = require('./isPromise')
+const noop = require('./noop')
+const arrayPush = require('./arrayPush')
+const objectValues = require('./objectValues')
+const genericReduceComplete = require('./genericReduceComplete')
+const reducerComplete = require('./reducerComplete')
+const __ = require('./placeholder')
+const curry3 = require('./curry3')
+const iteratorReduce = require('./iteratorReduce')
+const symbolIterator = require('./symbolIterator')
+const symbolAsyncIterator = require('./symbolAsyncIterator')
+const isReduced = require('./isReduced')
+const unreduced = require('./unreduced')
+const ensureReduced = require('./ensureReduced')
+const preservingReduced = require('./preservingReduced')
+const iteratorClose = require('./iteratorClose')
+const symbolReducerStart = require('./symbolReducerStart')
+const reducerStart = require('./reducerStart')
+const inheritCompletion = require('./inheritCompletion')
+
+/**
+ * @name _Collector
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Collector = (outputs Array, item any)=>Promise|Array
+ *
+ * _Collector(transducer Transducer) -> Collector
+ * ```
+ *
+ * @description
+ * Create the collector of a reducing operation, which runs the transducer on an item, pushing the values it outputs for the item onto a new array.
+ *
+ * If the transducer has reducers with state between items, see [reducerStart](/docs/reducerStart), the items reach the first of them in the order of the items: an item waits there until every item before it is done. Only the reducers of the transducer before the first stateful reducer run on items concurrently, so the outputs are the same as those of a reduction without concurrency.
+ */
+const _Collector = function (transducer) {
+  const collector = transducer(arrayPush)
+  if (typeof collector[symbolReducerStart] != 'function') {
+    return collector
+  }
+  const itemIndexes = new WeakMap()
+  const isItemDone = []
+  const waiting = []
+  let itemCount = 0
+  let doneCount = 0
+
+  const markDone = function (index) {
+    isItemDone[index] = true
+    while (isItemDone[doneCount]) {
+      doneCount += 1
+    }
+    let waitingIndex = 0
+    while (waitingIndex < waiting.length) {
+      if (waiting[waitingIndex].index <= doneCount) {
+        waiting[waitingIndex].resolve()
+        waiting.splice(waitingIndex, 1)
+      } else {
+        waitingIndex += 1
+      }
+    }
+  }
+
+  const gate = function (reducer) {
+    const gatedReducer = function (outputs, item) {
+      const index = itemIndexes.get(outputs)
+      if (index === undefined || index <= doneCount) {
+        return reducer(outputs, item)
+      }
+      return new Promise(function wait(resolve) {
+        waiting.push({ index, resolve })
+      }).then(() => reducer(outputs, item))
+    }
+    return inheritCompletion(gatedReducer, reducer)
+  }
+
+  const startedCollector = reducerStart(collector, gate)
+  const orderedCollector = function (outputs, item) {
+    const index = itemCount
+    itemCount += 1
+    itemIndexes.set(outputs, index)
+    let collected = null
+    try {
+      collected = startedCollector(outputs, item)
+    } catch (error) {
+      markDone(index)
+      throw error
+    }
+    if (isPromise(collected)) {
+      collected.then(() => markDone(index), () => markDone(index))
+    } else {
+      markDone(index)
+    }
+    return collected
+  }
+  return inheritCompletion(orderedCollector, startedCollector)
+}
+
+/**
+ * @name _foldOutputs
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _foldOutputs(
+ *   outputs Reduced|Array,
+ *   reducer Reducer,
+ *   result any,
+ * ) -> Promise|Reduced|any
+ * ```
+ *
+ * @description
+ * Fold the outputs of an item into the result with the reducer. The result is [reduced](/docs/reduced) if either the transducer or the reducer signaled that the reduction is complete.
+ */
+const _foldOutputs = function (outputs, reducer, result) {
+  if (isReduced(outputs)) {
+    const folded = iteratorReduce(
+      unreduced(outputs)[symbolIterator](), preservingReduced(reducer), result)
+    return isPromise(folded) ? folded.then(ensureReduced) : ensureReduced(folded)
+  }
+  return iteratorReduce(outputs[symbolIterator](), preservingReduced(reducer), result)
+}
+
+/**
+ * @name _reducePoolAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Collector = (outputs Array, item any)=>Promise|Array
+ *
+ * _reducePoolAsync(
+ *   iterator Iterator|AsyncIterator,
+ *   concurrency number,
+ *   collector Collector,
+ *   reducer Reducer,
+ *   result Promise|any,
+ *   pending Array<Promise|Array>,
+ * ) -> Promise<result>
+ * ```
+ *
+ * @description
+ * Run the collector on up to `concurrency` items of an iterator at a time, folding the outputs of each item into the result with the reducer in the order of the items. Stops early once the result is [reduced](/docs/reduced), closing the iterator with `.return`.
+ */
+const _reducePoolAsync = async function (
+  iterator, concurrency, collector, reducer, result, pending,
+) {
+  if (isPromise(result)) {
+    result = await result
+  }
+  if (isReduced(result)) {
+    await iteratorClose(iterator)
+    return unreduced(result)
+  }
+  let iteration = await iterator.next()
+  while (!iteration.done) {
+    if (pending.length >= concurrency) {
+      result = await _foldOutputs(await pending.shift(), reducer, result)
+      if (isReduced(result)) {
+        await iteratorClose(iterator)
+        return unreduced(result)
+      }
+    }
+    const outputs = collector([], iteration.value)
+    if (isPromise(outputs)) {
+      outputs.catch(noop)
+    }
+    pending.push(outputs)
+    iteration = await iterator.next()
+  }
+  while (pending.length > 0) {
+    result = await _foldOutputs(await pending.shift(), reducer, result)
+    if (isReduced(result)) {
+      return unreduced(result)
+    }
+  }
+  return result
+}
+
+/**
+ * @name _reducePoolAsyncSeed
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _reducePoolAsyncSeed(
+ *   asyncIterator AsyncIterator,
+ *   concurrency number,
+ *   collector Collector,
+ *   reducer Reducer,
+ * ) -> Promise
+ * ```
+ *
+ * @description
+ * [_reducePoolAsync](/docs/_reducePoolAsync) without an initial value. Like [reduce](/docs/reduce), the first item is the initial value as is.
+ */
+const _reducePoolAsyncSeed = async function (
+  asyncIterator, concurrency, collector, reducer,
+) {
+  const iteration = await asyncIterator.next()
+  if (iteration.done) {
+    return undefined
+  }
+  return _reducePoolAsync(
+    asyncIterator, concurrency, collector, reducer, iteration.value, [])
+}
+
+/**
+ * @name _iteratorReducePool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _iteratorReducePool(
+ *   iterator Iterator,
+ *   concurrency number,
+ *   collector Collector,
+ *   reducer Reducer,
+ *   result any,
+ * ) -> Promise|result
+ * ```
+ */
+const _iteratorReducePool = function (
+  iterator, concurrency, collector, reducer, result,
+) {
+  let iteration = iterator.next()
+  if (result === undefined) {
+    if (iteration.done) {
+      return result
+    }
+    result = iteration.value
+    iteration = iterator.next()
+  }
+  while (!iteration.done) {
+    const outputs = collector([], iteration.value)
+    if (isPromise(outputs)) {
+      outputs.catch(noop)
+      return _reducePoolAsync(
+        iterator, concurrency, collector, reducer, result, [outputs])
+    }
+    result = _foldOutputs(outputs, reducer, result)
+    if (isPromise(result)) {
+      return _reducePoolAsync(
+        iterator, concurrency, collector, reducer, result, [])
+    }
+    if (isReduced(result)) {
+      iteratorClose(iterator)
+      return unreduced(result)
+    }
+    iteration = iterator.next()
+  }
+  return result
+}
+
+/**
+ * @name _reducePoolComplete
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _reducePoolComplete(
+ *   collector Collector,
+ *   reducer Reducer,
+ *   result Promise|any,
+ * ) -> Promise|any
+ * ```
+ *
+ * @description
+ * Fold the values flushed by the completion step of the collector into the result, then call the completion step of the reducer.
+ */
+const _reducePoolComplete = function (collector, reducer, result) {
+  if (isPromise(result)) {
+    return result.then(curry3(_reducePoolComplete, collector, reducer, __))
+  }
+  const outputs = reducerComplete(collector, [])
+  return isPromise(outputs)
+    ? outputs.then(curry3(genericReduceComplete, __, reducer, result))
+    : genericReduceComplete(outputs, reducer, result)
+}
+
+/**
+ * @name genericReducePool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Foldable = Array|Object|Map|Iterator|AsyncIterator
+ *
+ * type Reducer = (accumulator any, value any)=>Promise|any
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * genericReducePool(
+ *   collection Foldable,
+ *   concurrency number,
+ *   transducer Transducer,
+ *   reducer Reducer,
+ *   result any,
+ * ) -> result Promise|any
+ * ```
+ *
+ * @description
+ * Reduce a collection with a transducer and a reducer, running the transducer on up to `concurrency` items at a time. The values output by the transducer for each item are folded into the result with the reducer in the order of the items.
+ *
+ * Items reach reducers of the transducer that keep state between items, like those of [Transducer.take](/docs/Transducer.take) or [Transducer.scan](/docs/Transducer.scan), in the order of the items, see [_Collector](/docs/_Collector).
+ *
+ * Without an initial value, the first item of the collection is the initial value as is, like in [reduce](/docs/reduce).
+ *
+ * Collections that are only foldable by their own `.reduce` method are reduced without concurrency.
+ */
+const genericReducePool = function (
+  collection, concurrency, transducer, reducer, result,
+) {
+  if (collection == null) {
+    return genericReduceComplete(collection, transducer(reducer), result)
+  }
+  const collector = _Collector(transducer)
+  if (isArray(collection)) {
+    return _reducePoolComplete(collector, reducer, _iteratorReducePool(
+      collection[symbolIterator](), concurrency, collector, reducer, result))
+  }
+  if (collection.constructor == Map) {
+    return _reducePoolComplete(collector, reducer, _iteratorReducePool(
+      collection.values(), concurrency, collector, reducer, result))
+  }
+  if (typeof collection[symbolIterator] == 'function') {
+    return _reducePoolComplete(collector, reducer, _iteratorReducePool(
+      collection[symbolIterator](), concurrency, collector, reducer, result))
+  }
+  if (typeof collection[symbolAsyncIterator] == 'function') {
+    const asyncIterator = collection[symbolAsyncIterator]()
+    return _reducePoolComplete(collector, reducer, result === undefined
+      ? _reducePoolAsyncSeed(asyncIterator, concurrency, collector, reducer)
+      : _reducePoolAsync(asyncIterator, concurrency, collector, reducer, result, []))
+  }
+  if (collection.constructor == Object) {
+    return _reducePoolComplete(collector, reducer, _iteratorReducePool(
+      objectValues(collection)[symbolIterator](), concurrency, collector, reducer, result))
+  }
+  return genericReduceComplete(collection, transducer(reducer), result)
+}
+
+module.exports = genericReducePool
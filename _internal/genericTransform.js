@@ -8,7 +8,7 @@ const curry3 = require('./curry3')
 const always = require('./always')
 const noop = require('./noop')
 const add = require('./add')
-const genericReduce = require('./genericReduce')
+const genericReduceComplete = require('./genericReduceComplete')
 const objectAssign = require('./objectAssign')
 const arrayExtend = require('./arrayExtend')
 const binaryExtend = require('./binaryExtend')
@@ -34,7 +34,7 @@ const callConcat = require('./callConcat')
  * Reduce a value, always returning the initial accum
  */
 const identityTransform = function (collection, transducer, accum) {
-  const nil = genericReduce(collection, transducer(noop), null)
+  const nil = genericReduceComplete(collection, transducer(noop), null)
   return isPromise(nil) ? nil.then(always(accum)) : accum
 }
 
@@ -56,10 +56,10 @@ const identityTransform = function (collection, transducer, accum) {
  */
 const genericTransform = function (collection, transducer, accum) {
   if (isArray(accum)) {
-    return genericReduce(collection, transducer(arrayExtend), accum)
+    return genericReduceComplete(collection, transducer(arrayExtend), accum)
   }
   if (isBinary(accum)) {
-    const intermediateArray = genericReduce(collection, transducer(arrayExtend), [])
+    const intermediateArray = genericReduceComplete(collection, transducer(arrayExtend), [])
     return isPromise(intermediateArray)
       ? intermediateArray.then(curry2(binaryExtend, accum, __))
       : binaryExtend(accum, intermediateArray)
@@ -70,22 +70,22 @@ const genericTransform = function (collection, transducer, accum) {
 
   const constructor = accum.constructor
   if (typeof accum == 'string' || constructor == String) {
-    const result = genericReduce(collection, transducer(arrayExtend), [accum])
+    const result = genericReduceComplete(collection, transducer(arrayExtend), [accum])
     return isPromise(result)
       ? result.then(curry3(callPropUnary, __, 'join', ''))
       : result.join('')
   }
   if (typeof accum.concat == 'function') {
-    return genericReduce(collection, transducer(callConcat), accum)
+    return genericReduceComplete(collection, transducer(callConcat), accum)
   }
   if (typeof accum.write == 'function') {
-    return genericReduce(collection, transducer(streamExtend), accum)
+    return genericReduceComplete(collection, transducer(streamExtend), accum)
   }
   if (constructor == Set) {
-    return genericReduce(collection, transducer(setExtend), accum)
+    return genericReduceComplete(collection, transducer(setExtend), accum)
   }
   if (constructor == Object) {
-    return genericReduce(collection, transducer(objectAssign), accum)
+    return genericReduceComplete(collection, transducer(objectAssign), accum)
   }
   return identityTransform(collection, transducer, accum)
 }
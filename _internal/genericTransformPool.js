@@ -0,0 +1,100 @@
+const isPromise = require('./isPromise')
+const isArray = require('./isArray')
+const isBinary = require('./isBinary')
+const callPropUnary = require('./callPropUnary')
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const curry3 = require('./curry3')
+const always = require('./always')
+const noop = require('./noop')
+const genericReducePool = require('./genericReducePool')
+const objectAssign = require('./objectAssign')
+const arrayExtend = require('./arrayExtend')
+const binaryExtend = require('./binaryExtend')
+const streamExtend = require('./streamExtend')
+const setExtend = require('./setExtend')
+const callConcat = require('./callConcat')
+
+/**
+ * @name identityTransformPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * identityTransformPool(
+ *   collection any,
+ *   concurrency number,
+ *   transducer function,
+ *   accum any,
+ * ) -> Promise|accum
+ * ```
+ */
+const identityTransformPool = function (
+  collection, concurrency, transducer, accum,
+) {
+  const nil = genericReducePool(collection, concurrency, transducer, noop, null)
+  return isPromise(nil) ? nil.then(always(accum)) : accum
+}
+
+/**
+ * @name genericTransformPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Foldable = Iterable|AsyncIterable|{ reduce: (any, any)=>any }|Object
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * type Semigroup = Array|String|Set|TypedArray|{ concat: function }|{ write: function }|Object
+ *
+ * genericTransformPool(
+ *   collection Foldable,
+ *   concurrency number,
+ *   transducer Transducer,
+ *   accum Semigroup,
+ * ) -> result Promise|Semigroup
+ * ```
+ *
+ * @description
+ * `genericTransform` that runs the transducer on up to `concurrency` items at a time, extending the accumulator in the order of the items.
+ */
+const genericTransformPool = function (
+  collection, concurrency, transducer, accum,
+) {
+  if (isArray(accum)) {
+    return genericReducePool(collection, concurrency, transducer, arrayExtend, accum)
+  }
+  if (isBinary(accum)) {
+    const intermediateArray = genericReducePool(
+      collection, concurrency, transducer, arrayExtend, [])
+    return isPromise(intermediateArray)
+      ? intermediateArray.then(curry2(binaryExtend, accum, __))
+      : binaryExtend(accum, intermediateArray)
+  }
+  if (accum == null) {
+    return identityTransformPool(collection, concurrency, transducer, accum)
+  }
+
+  const constructor = accum.constructor
+  if (typeof accum == 'string' || constructor == String) {
+    const result = genericReducePool(
+      collection, concurrency, transducer, arrayExtend, [accum])
+    return isPromise(result)
+      ? result.then(curry3(callPropUnary, __, 'join', ''))
+      : result.join('')
+  }
+  if (typeof accum.concat == 'function') {
+    return genericReducePool(collection, concurrency, transducer, callConcat, accum)
+  }
+  if (typeof accum.write == 'function') {
+    return genericReducePool(collection, concurrency, transducer, streamExtend, accum)
+  }
+  if (constructor == Set) {
+    return genericReducePool(collection, concurrency, transducer, setExtend, accum)
+  }
+  if (constructor == Object) {
+    return genericReducePool(collection, concurrency, transducer, objectAssign, accum)
+  }
+  return identityTransformPool(collection, concurrency, transducer, accum)
+}
+
+module.exports = genericTransformPool
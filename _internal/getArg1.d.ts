@@ -5,4 +5,4 @@ export = getArg1;
  * @synopsis
  * getArg1(arg0 any, arg1 any) -> arg1
  */
-declare function getArg1(arg0: any, arg1: any): any;
+declare const getArg1: (arg0: any, arg1: any) => any;
@@ -1,4 +1,8 @@
 const propertyPathToArray = require('./propertyPathToArray')
+const resolvePathKey = require('./resolvePathKey')
+const getPathEntry = require('./getPathEntry')
+const isWildcardPath = require('./isWildcardPath')
+const pathMatches = require('./pathMatches')
 
 /**
  * @name getByPath
@@ -10,14 +14,20 @@ const propertyPathToArray = require('./propertyPathToArray')
  *   path string|number|Array<string|number>,
  * >(value, path) -> valueAtPath any
  * ```
+ *
+ * @description
+ * Negative indices count from the end of arrays. Maps and Sets along the path are read by [getPathEntry](/docs/getPathEntry). For a path with `*` or `**` segments, returns an array of every match in the order of [pathMatches](/docs/pathMatches).
  */
 const getByPath = function (value, path) {
   const propertyPathArray = propertyPathToArray(path),
     length = propertyPathArray.length
+  if (isWildcardPath(propertyPathArray)) {
+    return pathMatches(value, propertyPathArray).map(match => match[1])
+  }
   let index = -1,
     result = value
   while (++index < length) {
-    result = result[propertyPathArray[index]]
+    result = getPathEntry(result, resolvePathKey(result, propertyPathArray[index]))
     if (result == null) {
       return undefined
     }
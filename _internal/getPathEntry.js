@@ -0,0 +1,30 @@
+const isPersistent = require('./isPersistent')
+
+/**
+ * @name getPathEntry
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * getPathEntry(container Object|Array|Map|Set|PersistentObject, key any) -> value any
+ * ```
+ *
+ * @description
+ * Read one segment of a path. A Map or a [PersistentObject](/docs/PersistentObject) is read with `.get`, and a Set has each of its members at the member itself. Any other container is read as a property.
+ *
+ * ```javascript
+ * getPathEntry({ a: 1 }, 'a') // 1
+ * getPathEntry(new Map([['a', 1]]), 'a') // 1
+ * getPathEntry(new Set(['a']), 'a') // 'a'
+ * ```
+ */
+const getPathEntry = function (container, key) {
+  if (container instanceof Map || isPersistent(container)) {
+    return container.get(key)
+  }
+  if (container instanceof Set) {
+    return container.has(key) ? key : undefined
+  }
+  return container[key]
+}
+
+module.exports = getPathEntry
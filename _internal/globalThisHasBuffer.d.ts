@@ -1,11 +0,0 @@
-export = globalThisHasBuffer;
-/**
- * @name globalThisHasBuffer
- *
- * @synopsis
- * globalThisHasBuffer boolean
- *
- * @description
- * Is there a global `Buffer`
- */
-declare const globalThisHasBuffer: boolean;
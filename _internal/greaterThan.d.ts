@@ -1,10 +0,0 @@
-export = greaterThan;
-/**
- * @name greaterThan
- *
- * @synopsis
- * ```coffeescript [specscript]
- * greaterThan(left any, right any) -> boolean
- * ```
- */
-declare function greaterThan(left: any, right: any): boolean;
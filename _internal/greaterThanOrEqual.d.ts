@@ -1,10 +0,0 @@
-export = greaterThanOrEqual;
-/**
- * @name greaterThanOrEqual
- *
- * @synopsis
- * ```coffeescript [specscript]
- * greaterThanOrEqual(left any, right any) -> boolean
- * ```
- */
-declare function greaterThanOrEqual(left: any, right: any): boolean;
@@ -8,4 +8,4 @@ export = identity;
  * @description
  * Returns the first argument
  */
-declare function identity(value: any): any;
+declare const identity: (value: any) => any;
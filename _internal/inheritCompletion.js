@@ -0,0 +1,40 @@
+const symbolReducerStart = require('./symbolReducerStart')
+const reducerStart = require('./reducerStart')
+
+/**
+ * @name inheritCompletion
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * inheritCompletion(
+ *   reducer Reducer,
+ *   downstreamReducer Reducer,
+ *   wrap? Reducer=>Reducer,
+ * ) -> reducer
+ * ```
+ *
+ * @description
+ * Give a reducer the completion step of the reducer it reduces into, so that a [reducerComplete](/docs/reducerComplete) of the outermost reducer of a transducer composition reaches every stateful reducer of the composition.
+ *
+ * The reducer also takes the initialization step of the reducer it reduces into, since both reducers share an accumulator.
+ *
+ * If the reducer it reduces into has state between items, the reducer starts anew, see [reducerStart](/docs/reducerStart), as `wrap` of a started reducer it reduces into. `wrap` creates the reducer around another reducer it reduces into.
+ */
+const inheritCompletion = function (reducer, downstreamReducer, wrap) {
+  const complete = downstreamReducer['@@transducer/result']
+  if (typeof complete == 'function') {
+    reducer['@@transducer/result'] = complete
+  }
+  const init = downstreamReducer['@@transducer/init']
+  if (typeof init == 'function') {
+    reducer['@@transducer/init'] = init
+  }
+  if (typeof wrap == 'function' && typeof downstreamReducer[symbolReducerStart] == 'function') {
+    reducer[symbolReducerStart] = function startWrapped(gate) {
+      return wrap(reducerStart(downstreamReducer, gate))
+    }
+  }
+  return reducer
+}
+
+module.exports = inheritCompletion
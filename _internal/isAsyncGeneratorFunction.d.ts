@@ -1,11 +0,0 @@
-export = isAsyncGeneratorFunction;
-/**
- * @name isAsyncGeneratorFunction
- *
- * @synopsis
- * isAsyncGeneratorFunction(value any) -> boolean
- *
- * @description
- * Determine whether a value is an async generator function.
- */
-declare function isAsyncGeneratorFunction(value: any): boolean;
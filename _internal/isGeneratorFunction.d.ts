@@ -1,11 +0,0 @@
-export = isGeneratorFunction;
-/**
- * @name isGeneratorFunction
- *
- * @synopsis
- * isGeneratorFunction(value any) -> boolean
- *
- * @description
- * Determine whether a value is a generator function.
- */
-declare function isGeneratorFunction(value: any): boolean;
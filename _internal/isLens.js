@@ -0,0 +1,16 @@
+const symbolLens = require('./symbolLens')
+
+/**
+ * @name isLens
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * isLens(value any) -> boolean
+ * ```
+ *
+ * @description
+ * Is a value a lens made by [lens](/docs/lens).
+ */
+const isLens = value => value != null && value[symbolLens] === true
+
+module.exports = isLens
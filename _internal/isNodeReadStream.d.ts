@@ -1,11 +0,0 @@
-export = isNodeReadStream;
-/**
- * @name isNodeReadStream
- *
- * @synopsis
- * isNodeReadStream(value any) -> boolean
- *
- * @description
- * Determine whether a value is a Node.js Readable Stream.
- */
-declare function isNodeReadStream(value: any): boolean;
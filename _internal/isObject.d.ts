@@ -8,4 +8,4 @@ export = isObject;
  * @description
  * Determine whether a value is an object. Note that Arrays are also objects in JS.
  */
-declare function isObject(value: any): boolean;
+declare const isObject: (value: any) => boolean;
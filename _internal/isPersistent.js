@@ -0,0 +1,16 @@
+const symbolPersistent = require('./symbolPersistent')
+
+/**
+ * @name isPersistent
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * isPersistent(value any) -> boolean
+ * ```
+ *
+ * @description
+ * Is a value a [PersistentObject](/docs/PersistentObject).
+ */
+const isPersistent = value => value != null && value[symbolPersistent] === true
+
+module.exports = isPersistent
@@ -8,4 +8,4 @@ export = isPromise;
  * @description
  * Determine whether a value is a promise.
  */
-declare function isPromise(value: any): boolean;
+declare const isPromise: (value: any) => boolean;
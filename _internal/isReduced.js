@@ -0,0 +1,14 @@
+/**
+ * @name isReduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * isReduced(value any) -> boolean
+ * ```
+ *
+ * @description
+ * Determine whether a value is an accumulator wrapped by [reduced](/docs/reduced).
+ */
+const isReduced = value => value != null && value['@@transducer/reduced'] === true
+
+module.exports = isReduced
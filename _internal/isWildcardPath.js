@@ -0,0 +1,27 @@
+const symbolPathWildcard = require('./symbolPathWildcard')
+const symbolPathRecursive = require('./symbolPathRecursive')
+
+/**
+ * @name isWildcardPath
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * isWildcardPath(pathArray Array<string|number|symbol>) -> boolean
+ * ```
+ *
+ * @description
+ * Does a path array contain a `*` or `**` segment.
+ */
+const isWildcardPath = function (pathArray) {
+  const length = pathArray.length
+  let index = -1
+  while (++index < length) {
+    const segment = pathArray[index]
+    if (segment == symbolPathWildcard || segment == symbolPathRecursive) {
+      return true
+    }
+  }
+  return false
+}
+
+module.exports = isWildcardPath
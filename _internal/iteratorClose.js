@@ -0,0 +1,19 @@
+/**
+ * @name iteratorClose
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * iteratorClose(iterator Iterator|AsyncIterator) -> Promise|any
+ * ```
+ *
+ * @description
+ * Signal to an iterator or async iterator that no further items will be pulled by calling its `.return` method if it has one.
+ */
+const iteratorClose = function (iterator) {
+  if (typeof iterator.return == 'function') {
+    return iterator.return()
+  }
+  return undefined
+}
+
+module.exports = iteratorClose
@@ -1,12 +0,0 @@
-export = iteratorEvery;
-/**
- * @name iteratorEvery
- *
- * @synopsis
- * ```coffeescript [specscript]
- * iteratorEvery(iterator Iterator, predicate ...any=>boolean) -> boolean
- * ```
- *
- * @TODO use .next() calls
- */
-declare function iteratorEvery(iterator: any, predicate: any): any;
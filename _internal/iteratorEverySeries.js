@@ -0,0 +1,64 @@
+const isPromise = require('./isPromise')
+const iteratorClose = require('./iteratorClose')
+
+/**
+ * @name iteratorEverySeriesAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * iteratorEverySeriesAsync(
+ *   iterator Iterator,
+ *   predicate any=>Promise|boolean,
+ * ) -> Promise<boolean>
+ * ```
+ */
+const iteratorEverySeriesAsync = async function (iterator, predicate) {
+  let iteration = iterator.next()
+  while (!iteration.done) {
+    let predication = predicate(iteration.value)
+    if (isPromise(predication)) {
+      predication = await predication
+    }
+    if (!predication) {
+      iteratorClose(iterator)
+      return false
+    }
+    iteration = iterator.next()
+  }
+  return true
+}
+
+/**
+ * @name iteratorEverySeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * iteratorEverySeries(iterator Iterator, predicate any=>Promise|boolean) -> Promise|boolean
+ * ```
+ *
+ * @description
+ * Test a predicate on each item of an iterator one at a time, returning false at the first item that tests falsy. The iterator is then closed with `.return` and no further items are pulled.
+ */
+const iteratorEverySeries = function (iterator, predicate) {
+  let iteration = iterator.next()
+  while (!iteration.done) {
+    const predication = predicate(iteration.value)
+    if (isPromise(predication)) {
+      return predication.then(function continueEvery(resolvedPredication) {
+        if (!resolvedPredication) {
+          iteratorClose(iterator)
+          return false
+        }
+        return iteratorEverySeriesAsync(iterator, predicate)
+      })
+    }
+    if (!predication) {
+      iteratorClose(iterator)
+      return false
+    }
+    iteration = iterator.next()
+  }
+  return true
+}
+
+module.exports = iteratorEverySeries
@@ -9,4 +9,4 @@ export = iteratorFind;
  *
  * iteratorFind(iterator, predicate) -> Promise|T|undefined
  */
-declare function iteratorFind(iterator: any, predicate: any): any;
+declare const iteratorFind: (iterator: any, predicate: any) => any;
@@ -1,6 +1,22 @@
 const __ = require('./placeholder')
 const curry3 = require('./curry3')
 const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const unreduced = require('./unreduced')
+const iteratorClose = require('./iteratorClose')
+
+/**
+ * @name _iteratorReduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _iteratorReduced(iterator Iterator, result Reduced) -> any
+ * ```
+ */
+const _iteratorReduced = function (iterator, result) {
+  iteratorClose(iterator)
+  return unreduced(result)
+}
 
 /**
  * @name iteratorReduceAsync
@@ -16,21 +32,23 @@ const isPromise = require('./isPromise')
  * ```
  *
  * @description
- * Execute a reducer for each item of an iterator or async iterator, returning a promise of a single value.
+ * Execute a reducer for each item of an iterator or async iterator, returning a promise of a single value. Stops early once the reducer returns a [reduced](/docs/reduced) accumulator, closing the iterator with `.return`.
  */
 const iteratorReduceAsync = async function (
   iterator, reducer, result,
 ) {
-  let iteration = iterator.next()
-  if (iteration.done) {
-    return result
+  if (isReduced(result)) {
+    return _iteratorReduced(iterator, result)
   }
-
+  let iteration = iterator.next()
   while (!iteration.done) {
     result = reducer(result, iteration.value)
     if (isPromise(result)) {
       result = await result
     }
+    if (isReduced(result)) {
+      return _iteratorReduced(iterator, result)
+    }
     iteration = iterator.next()
   }
   return result
@@ -50,7 +68,7 @@ const iteratorReduceAsync = async function (
  * ```
  *
  * @description
- * Execute a reducer for each item of an iterator, returning a single value.
+ * Execute a reducer for each item of an iterator, returning a single value. Stops early once the reducer returns a [reduced](/docs/reduced) accumulator, closing the iterator with `.return`.
  */
 const iteratorReduce = function (iterator, reducer, result) {
   let iteration = iterator.next()
@@ -66,6 +84,9 @@ const iteratorReduce = function (iterator, reducer, result) {
     if (isPromise(result)) {
       return result.then(curry3(iteratorReduceAsync, iterator, reducer, __))
     }
+    if (isReduced(result)) {
+      return _iteratorReduced(iterator, result)
+    }
     iteration = iterator.next()
   }
   return result
@@ -0,0 +1,64 @@
+const isPromise = require('./isPromise')
+const iteratorClose = require('./iteratorClose')
+
+/**
+ * @name iteratorSomeSeriesAsync
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * iteratorSomeSeriesAsync(
+ *   iterator Iterator,
+ *   predicate any=>Promise|boolean,
+ * ) -> Promise<boolean>
+ * ```
+ */
+const iteratorSomeSeriesAsync = async function (iterator, predicate) {
+  let iteration = iterator.next()
+  while (!iteration.done) {
+    let predication = predicate(iteration.value)
+    if (isPromise(predication)) {
+      predication = await predication
+    }
+    if (predication) {
+      iteratorClose(iterator)
+      return true
+    }
+    iteration = iterator.next()
+  }
+  return false
+}
+
+/**
+ * @name iteratorSomeSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * iteratorSomeSeries(iterator Iterator, predicate any=>Promise|boolean) -> Promise|boolean
+ * ```
+ *
+ * @description
+ * Test a predicate on each item of an iterator one at a time, returning true at the first item that tests truthy. The iterator is then closed with `.return` and no further items are pulled.
+ */
+const iteratorSomeSeries = function (iterator, predicate) {
+  let iteration = iterator.next()
+  while (!iteration.done) {
+    const predication = predicate(iteration.value)
+    if (isPromise(predication)) {
+      return predication.then(function continueSome(resolvedPredication) {
+        if (resolvedPredication) {
+          iteratorClose(iterator)
+          return true
+        }
+        return iteratorSomeSeriesAsync(iterator, predicate)
+      })
+    }
+    if (predication) {
+      iteratorClose(iterator)
+      return true
+    }
+    iteration = iterator.next()
+  }
+  return false
+}
+
+module.exports = iteratorSomeSeries
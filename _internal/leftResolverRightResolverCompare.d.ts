@@ -1,2 +0,0 @@
-export = leftResolverRightResolverCompare;
-declare function leftResolverRightResolverCompare(args: any, comparator: any, left: any, right: any): any;
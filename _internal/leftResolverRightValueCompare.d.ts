@@ -1,2 +0,0 @@
-export = leftResolverRightValueCompare;
-declare function leftResolverRightValueCompare(args: any, comparator: any, left: any, right: any): any;
@@ -1,2 +0,0 @@
-export = leftValueRightResolverCompare;
-declare function leftValueRightResolverCompare(args: any, comparator: any, left: any, right: any): any;
@@ -1,10 +0,0 @@
-export = lessThan;
-/**
- * @name lessThan
- *
- * @synopsis
- * ```coffeescript [specscript]
- * lessThan(left any, right any) -> boolean
- * ```
- */
-declare function lessThan(left: any, right: any): boolean;
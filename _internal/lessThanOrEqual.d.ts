@@ -1,10 +0,0 @@
-export = lessThanOrEqual;
-/**
- * @name lessThanOrEqual
- *
- * @synopsis
- * ```coffeescript [specscript]
- * lessThanOrEqual(left any, right any) -> boolean
- * ```
- */
-declare function lessThanOrEqual(left: any, right: any): boolean;
@@ -0,0 +1,25 @@
+const isPromise = require('./isPromise')
+const arrayFilterPool = require('./arrayFilterPool')
+const mapPickKeys = require('./mapPickKeys')
+
+/**
+ * @name mapFilterPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * mapFilterPool(map Map, concurrency number, predicate function) -> Promise|Map
+ * ```
+ *
+ * @description
+ * Test each value of a map with a predicate with limited concurrency, returning a map of the entries whose values tested truthy. The order of the entries is preserved.
+ */
+const mapFilterPool = function (map, concurrency, predicate) {
+  const keys = arrayFilterPool([...map.keys()], concurrency, function testKey(key) {
+    return predicate(map.get(key), key, map)
+  })
+  return isPromise(keys)
+    ? keys.then(keys => mapPickKeys(map, keys))
+    : mapPickKeys(map, keys)
+}
+
+module.exports = mapFilterPool
@@ -0,0 +1,25 @@
+const isPromise = require('./isPromise')
+const arrayFilterSeries = require('./arrayFilterSeries')
+const mapPickKeys = require('./mapPickKeys')
+
+/**
+ * @name mapFilterSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * mapFilterSeries(map Map, predicate function) -> Promise|Map
+ * ```
+ *
+ * @description
+ * Test each value of a map in series with a predicate, returning a map of the entries whose values tested truthy. The order of the entries is preserved.
+ */
+const mapFilterSeries = function (map, predicate) {
+  const keys = arrayFilterSeries([...map.keys()], function testKey(key) {
+    return predicate(map.get(key), key, map)
+  })
+  return isPromise(keys)
+    ? keys.then(keys => mapPickKeys(map, keys))
+    : mapPickKeys(map, keys)
+}
+
+module.exports = mapFilterSeries
@@ -1,13 +0,0 @@
-export = mapFrom;
-/**
- * @name mapFrom
- *
- * @synopsis
- * ```coffeescript [specscript]
- * mapFrom(object Object) -> Map
- * ```
- *
- * @description
- * Create a new Map from an object.
- */
-declare function mapFrom(object: any): any;
@@ -0,0 +1,43 @@
+const isPromise = require('./isPromise')
+const arrayMapRate = require('./arrayMapRate')
+
+/**
+ * @name _mapFromKeysValues
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _mapFromKeysValues(keys Array, values Array) -> Map
+ * ```
+ */
+const _mapFromKeysValues = function (keys, values) {
+  const result = new Map(),
+    keysLength = keys.length
+  let index = -1
+  while (++index < keysLength) {
+    result.set(keys[index], values[index])
+  }
+  return result
+}
+
+/**
+ * @name mapMapRate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * mapMapRate(m Map, rate number, f function) -> Promise|Map
+ * ```
+ *
+ * @description
+ * Apply a function `f` to each value of a map `m`, dispatching at most `rate` calls per second, returning a map of results with the same keys in the same order.
+ */
+const mapMapRate = function (m, rate, f) {
+  const keys = [...m.keys()]
+  const values = arrayMapRate(keys, rate, function mapKey(key) {
+    return f(m.get(key), key, m)
+  })
+  return isPromise(values)
+    ? values.then(values => _mapFromKeysValues(keys, values))
+    : _mapFromKeysValues(keys, values)
+}
+
+module.exports = mapMapRate
@@ -1,4 +1,5 @@
 const isPromise = require('./isPromise')
+const __ = require('./placeholder')
 const curry3 = require('./curry3')
 const thunkify3 = require('./thunkify3')
 const mapSet = require('./mapSet')
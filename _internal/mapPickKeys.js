@@ -0,0 +1,23 @@
+/**
+ * @name mapPickKeys
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * mapPickKeys(map Map, keys Array) -> Map
+ * ```
+ *
+ * @description
+ * Create a new Map of the entries of a Map at the given keys, in the order of the keys.
+ */
+const mapPickKeys = function (map, keys) {
+  const result = new Map(),
+    keysLength = keys.length
+  let index = -1
+  while (++index < keysLength) {
+    const key = keys[index]
+    result.set(key, map.get(key))
+  }
+  return result
+}
+
+module.exports = mapPickKeys
@@ -1,4 +1,6 @@
 const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const unreduced = require('./unreduced')
 const __ = require('./placeholder')
 const curry4 = require('./curry4')
 
@@ -18,11 +20,17 @@ const curry4 = require('./curry4')
 const mapReduceAsync = async function (
   map, reducer, result, mapEntriesIter,
 ) {
+  if (isReduced(result)) {
+    return unreduced(result)
+  }
   for (const [key, value] of mapEntriesIter) {
     result = reducer(result, value, key, map)
     if (isPromise(result)) {
       result = await result
     }
+    if (isReduced(result)) {
+      return unreduced(result)
+    }
   }
   return result
 }
@@ -54,6 +62,9 @@ const mapReduce = function (map, reducer, result) {
       return result.then(curry4(
         mapReduceAsync, map, reducer, __, mapEntriesIter))
     }
+    if (isReduced(result)) {
+      return unreduced(result)
+    }
   }
   return result
 }
@@ -1,10 +0,0 @@
-export = mapSet;
-/**
- * @name mapSet
- *
- * @synopsis
- * ```coffeescript [specscript]
- * mapSet(source Map, key any, value any) -> source
- * ```
- */
-declare function mapSet(source: any, key: any, value: any): any;
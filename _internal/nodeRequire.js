@@ -0,0 +1,14 @@
+/**
+ * @name nodeRequire
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * nodeRequire(id string) -> module any
+ * ```
+ *
+ * @description
+ * The CommonJS `require` of Node.js, or `null` outside of CommonJS. Modules that need Node.js builtins, e.g. `worker_threads`, require them through this alias when they are called rather than when they are loaded, so that rubico still loads in the browser and the build does not try to inline the builtins.
+ */
+const nodeRequire = typeof require == 'function' ? require : null
+
+module.exports = nodeRequire
@@ -1,10 +0,0 @@
-export = nonfunctionsConditional;
-/**
- * @name nonfunctionsConditional
- *
- * @synopsis
- * ```coffeescript [specscript]
- * nonfunctionsConditional(array Array<value>, index number) -> boolean
- * ```
- */
-declare function nonfunctionsConditional(array: any, index: any): any;
@@ -8,4 +8,4 @@ export = noop;
  * @description
  * Takes nothing, returns `undefined`
  */
-declare function noop(): void;
+declare const noop: () => void;
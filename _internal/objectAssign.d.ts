@@ -12,4 +12,9 @@ export = objectAssign;
  * @description
  * Dereferenced `Object.assign`
  */
-declare const objectAssign: any;
+declare const objectAssign: {
+    <T extends {}, U>(target: T, source: U): T & U;
+    <T extends {}, U, V>(target: T, source1: U, source2: V): T & U & V;
+    <T extends {}, U, V, W>(target: T, source1: U, source2: V, source3: W): T & U & V & W;
+    (target: object, ...sources: any[]): any;
+};
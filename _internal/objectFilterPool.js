@@ -0,0 +1,26 @@
+const isPromise = require('./isPromise')
+const objectKeys = require('./objectKeys')
+const arrayFilterPool = require('./arrayFilterPool')
+const objectPickKeys = require('./objectPickKeys')
+
+/**
+ * @name objectFilterPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * objectFilterPool(object Object, concurrency number, predicate function) -> Promise|Object
+ * ```
+ *
+ * @description
+ * Test each value of an object with a predicate with limited concurrency, returning an object of the entries whose values tested truthy.
+ */
+const objectFilterPool = function (object, concurrency, predicate) {
+  const keys = arrayFilterPool(objectKeys(object), concurrency, function testKey(key) {
+    return predicate(object[key], key, object)
+  })
+  return isPromise(keys)
+    ? keys.then(keys => objectPickKeys(object, keys))
+    : objectPickKeys(object, keys)
+}
+
+module.exports = objectFilterPool
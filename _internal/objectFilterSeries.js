@@ -0,0 +1,26 @@
+const isPromise = require('./isPromise')
+const objectKeys = require('./objectKeys')
+const arrayFilterSeries = require('./arrayFilterSeries')
+const objectPickKeys = require('./objectPickKeys')
+
+/**
+ * @name objectFilterSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * objectFilterSeries(object Object, predicate function) -> Promise|Object
+ * ```
+ *
+ * @description
+ * Test each value of an object in series with a predicate, returning an object of the entries whose values tested truthy.
+ */
+const objectFilterSeries = function (object, predicate) {
+  const keys = arrayFilterSeries(objectKeys(object), function testKey(key) {
+    return predicate(object[key], key, object)
+  })
+  return isPromise(keys)
+    ? keys.then(keys => objectPickKeys(object, keys))
+    : objectPickKeys(object, keys)
+}
+
+module.exports = objectFilterSeries
@@ -0,0 +1,24 @@
+const isPromise = require('./isPromise')
+const objectMapPool = require('./objectMapPool')
+const objectFlatten = require('./objectFlatten')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name objectFlatMapPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * objectFlatMapPool(object Object, concurrency number, flatMapper function) -> Promise|Object
+ * ```
+ *
+ * @description
+ * Apply a flatMapper with limited concurrency to each value of an object, flattening the result for each item fully, in the order of the items, into a new object.
+ */
+const objectFlatMapPool = function (object, concurrency, flatMapper) {
+  const monadObject = objectMapPool(object, concurrency, flatMapperFlattening(flatMapper, objectFlatten))
+  return isPromise(monadObject)
+    ? monadObject.then(objectFlatten)
+    : objectFlatten(monadObject)
+}
+
+module.exports = objectFlatMapPool
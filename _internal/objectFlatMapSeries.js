@@ -0,0 +1,24 @@
+const isPromise = require('./isPromise')
+const objectMapSeries = require('./objectMapSeries')
+const objectFlatten = require('./objectFlatten')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name objectFlatMapSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * objectFlatMapSeries(object Object, flatMapper function) -> Promise|Object
+ * ```
+ *
+ * @description
+ * Apply a flatMapper in series to each value of an object, flattening the result for each item fully, in the order of the items, into a new object.
+ */
+const objectFlatMapSeries = function (object, flatMapper) {
+  const monadObject = objectMapSeries(object, flatMapperFlattening(flatMapper, objectFlatten))
+  return isPromise(monadObject)
+    ? monadObject.then(objectFlatten)
+    : objectFlatten(monadObject)
+}
+
+module.exports = objectFlatMapSeries
@@ -18,4 +18,4 @@ export = objectFlatten;
  *
  * @TODO change objectAssign to objectDeepAssign
  */
-declare function objectFlatten(object: any): any;
+declare const objectFlatten: (object: any) => {};
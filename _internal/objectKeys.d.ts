@@ -8,4 +8,7 @@ export = objectKeys;
  * @description
  * Dereferenced `Object.keys`
  */
-declare const objectKeys: (o: object) => string[];
+declare const objectKeys: {
+    (o: object): string[];
+    (o: {}): string[];
+};
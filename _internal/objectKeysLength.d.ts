@@ -7,4 +7,4 @@ export = objectKeysLength;
  * objectKeysLength(object Object) -> number
  * ```
  */
-declare function objectKeysLength(object: any): number;
+declare const objectKeysLength: (object: any) => number;
@@ -0,0 +1,44 @@
+const isPromise = require('./isPromise')
+const objectKeys = require('./objectKeys')
+const arrayMapRate = require('./arrayMapRate')
+
+/**
+ * @name _objectFromKeysValues
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _objectFromKeysValues(keys Array<string>, values Array) -> Object
+ * ```
+ */
+const _objectFromKeysValues = function (keys, values) {
+  const result = {},
+    keysLength = keys.length
+  let index = -1
+  while (++index < keysLength) {
+    result[keys[index]] = values[index]
+  }
+  return result
+}
+
+/**
+ * @name objectMapRate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * objectMapRate(o Object, rate number, f function) -> Promise|Object
+ * ```
+ *
+ * @description
+ * Apply a function `f` to each value of an object, dispatching at most `rate` calls per second, returning an object of results.
+ */
+const objectMapRate = function (o, rate, f) {
+  const keys = objectKeys(o)
+  const values = arrayMapRate(keys, rate, function mapKey(key) {
+    return f(o[key], key, o)
+  })
+  return isPromise(values)
+    ? values.then(values => _objectFromKeysValues(keys, values))
+    : _objectFromKeysValues(keys, values)
+}
+
+module.exports = objectMapRate
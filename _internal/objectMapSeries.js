@@ -1,4 +1,5 @@
 const isPromise = require('./isPromise')
+const __ = require('./placeholder')
 const curry3 = require('./curry3')
 const thunkify4 = require('./thunkify4')
 const objectSet = require('./objectSet')
@@ -0,0 +1,23 @@
+/**
+ * @name objectPickKeys
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * objectPickKeys(object Object, keys Array<string>) -> Object
+ * ```
+ *
+ * @description
+ * Create a new object of the properties of an object at the given keys, in the order of the keys.
+ */
+const objectPickKeys = function (object, keys) {
+  const result = {},
+    keysLength = keys.length
+  let index = -1
+  while (++index < keysLength) {
+    const key = keys[index]
+    result[key] = object[key]
+  }
+  return result
+}
+
+module.exports = objectPickKeys
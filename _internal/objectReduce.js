@@ -1,4 +1,6 @@
 const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const unreduced = require('./unreduced')
 const __ = require('./placeholder')
 const curry5 = require('./curry5')
 const objectKeys = require('./objectKeys')
@@ -17,14 +19,14 @@ const objectKeys = require('./objectKeys')
  */
 const objectReduceAsync = async function (object, reducer, result, keys, index) {
   const keysLength = keys.length
-  while (++index < keysLength) {
+  while (!isReduced(result) && ++index < keysLength) {
     const key = keys[index]
     result = reducer(result, object[key], key, object)
     if (isPromise(result)) {
       result = await result
     }
   }
-  return result
+  return unreduced(result)
 }
 
 /**
@@ -52,6 +54,9 @@ const objectReduce = function (object, reducer, result) {
     if (isPromise(result)) {
       return result.then(curry5(objectReduceAsync, object, reducer, __, keys, index))
     }
+    if (isReduced(result)) {
+      return unreduced(result)
+    }
   }
   return result
 }
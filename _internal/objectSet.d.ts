@@ -1,14 +0,0 @@
-export = objectSet;
-/**
- * @name objectSet
- *
- * @synopsis
- * ```coffeescript [specscript]
- * objectSet(
- *   object Object,
- *   property string,
- *   value any,
- * ) -> object
- * ```
- */
-declare function objectSet(object: any, property: any, value: any): any;
@@ -1,11 +0,0 @@
-export = objectToString;
-/**
- * @name objectToString
- *
- * @synopsis
- * objectToString(value any) -> string
- *
- * @description
- * Get the tag of an object
- */
-declare function objectToString(value: any): any;
@@ -8,4 +8,9 @@ export = objectValues;
  * @description
  * Dereferenced `Object.values`
  */
-declare const objectValues: any;
+declare const objectValues: {
+    <T>(o: {
+        [s: string]: T;
+    } | ArrayLike<T>): T[];
+    (o: {}): any[];
+};
@@ -0,0 +1,113 @@
+const isArray = require('./isArray')
+const resolvePathKey = require('./resolvePathKey')
+const getPathEntry = require('./getPathEntry')
+const isPersistent = require('./isPersistent')
+const symbolPathWildcard = require('./symbolPathWildcard')
+const symbolPathRecursive = require('./symbolPathRecursive')
+
+/**
+ * @name _pathChildren
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _pathChildren(value any) -> keys Array
+ * ```
+ *
+ * @description
+ * The indices of an array, the keys of a Map or a [PersistentObject](/docs/PersistentObject), or the own enumerable keys of any other object except a Set, which `*` and `**` select.
+ */
+const _pathChildren = function (value) {
+  if (isArray(value) || value instanceof Map) {
+    return [...value.keys()]
+  }
+  if (isPersistent(value)) {
+    return value.keys()
+  }
+  if (typeof value == 'object' && !(value instanceof Set)) {
+    return Object.keys(value)
+  }
+  return []
+}
+
+/**
+ * @name _pathMatches
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _pathMatches(
+ *   value any,
+ *   pathArray Array<string|number|symbol>,
+ *   pathIndex number,
+ *   path Array<string|number>,
+ *   result Array<[path Array<string|number>, value any]>,
+ *   ancestors WeakSet<object>|undefined,
+ * ) -> result
+ * ```
+ *
+ * @description
+ * `ancestors` are the objects that the current `**` segment is descending through, which the descent does not enter again.
+ */
+const _pathMatches = function (value, pathArray, pathIndex, path, result, ancestors) {
+  if (pathIndex == pathArray.length) {
+    if (value !== undefined) {
+      result.push([path, value])
+    }
+    return result
+  }
+  if (value == null) {
+    return result
+  }
+  const segment = pathArray[pathIndex]
+  if (segment == symbolPathWildcard) {
+    for (const key of _pathChildren(value)) {
+      _pathMatches(getPathEntry(value, key), pathArray, pathIndex + 1, [...path, key], result)
+    }
+    return result
+  }
+  if (segment == symbolPathRecursive) {
+    const descending = ancestors == null ? new WeakSet() : ancestors
+    if (descending.has(value)) { // a cycle
+      return result
+    }
+    _pathMatches(value, pathArray, pathIndex + 1, path, result)
+    if (typeof value == 'object' || typeof value == 'function') {
+      descending.add(value)
+    }
+    for (const key of _pathChildren(value)) {
+      _pathMatches(
+        getPathEntry(value, key),
+        pathArray,
+        pathIndex,
+        [...path, key],
+        result,
+        descending,
+      )
+    }
+    descending.delete(value)
+    return result
+  }
+  const key = resolvePathKey(value, segment)
+  return _pathMatches(getPathEntry(value, key), pathArray, pathIndex + 1, [...path, key], result)
+}
+
+/**
+ * @name pathMatches
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * pathMatches(
+ *   value any,
+ *   pathArray Array<string|number|symbol>,
+ * ) -> matches Array<[path Array<string|number>, valueAtPath any]>
+ * ```
+ *
+ * @description
+ * Find the values of `value` at a path with `*` and `**` segments, with the concrete path of each. `*` selects every index of an array, key of a Map or own enumerable key of an object, and `**` selects a value and every value nested in it through arrays, Maps and objects. Sets are not searched by `*` or `**`. Values that are `undefined` do not match. `**` does not descend into a value that it is already descending through, so circular references are matched once, on their first path.
+ *
+ * Matches are in depth-first order: a value comes before the values nested in it, indices in ascending order, Map keys in insertion order, and other keys in the order of `Object.keys`.
+ */
+const pathMatches = function (value, pathArray) {
+  return _pathMatches(value, pathArray, 0, [], [])
+}
+
+module.exports = pathMatches
@@ -1,2 +1,2 @@
 export = __;
-declare const __: any;
+declare const __: unique symbol;
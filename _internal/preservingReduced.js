@@ -0,0 +1,33 @@
+const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const reduced = require('./reduced')
+
+/**
+ * @name _preserveReduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _preserveReduced(value Reduced|any) -> Reduced|any
+ * ```
+ */
+const _preserveReduced = value => isReduced(value) ? reduced(value) : value
+
+/**
+ * @name preservingReduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * preservingReduced(reducer Reducer) -> preservingReducer Reducer
+ * ```
+ *
+ * @description
+ * Wrap a reducer for use in a nested reduction. The nested reduction unwraps one level of [reduced](/docs/reduced), so a reduced accumulator from the reducer is wrapped a second time to signal the outer reduction as well.
+ */
+const preservingReduced = reducer => function preservingReducer(result, item) {
+  const nextResult = reducer(result, item)
+  return isPromise(nextResult)
+    ? nextResult.then(_preserveReduced)
+    : _preserveReduced(nextResult)
+}
+
+module.exports = preservingReduced
@@ -0,0 +1,36 @@
+const noop = require('./noop')
+const abortSignalReason = require('./abortSignalReason')
+
+/**
+ * @name promiseAbortable
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * promiseAbortable(promise Promise, signal AbortSignal) -> Promise
+ * ```
+ *
+ * @description
+ * Create a promise that settles the same as `promise`, or rejects with the abort reason as soon as `signal` is aborted.
+ *
+ * A rejection caused by the abort is marked as handled so that in-flight operations aborted at the same time do not raise unhandled rejections.
+ */
+const promiseAbortable = function (promise, signal) {
+  let abortablePromise = null
+  abortablePromise = new Promise(function executor(resolve, reject) {
+    const onAbort = function () {
+      abortablePromise.catch(noop)
+      reject(abortSignalReason(signal))
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise.then(function onResolved(value) {
+      signal.removeEventListener('abort', onAbort)
+      resolve(value)
+    }, function onRejected(error) {
+      signal.removeEventListener('abort', onAbort)
+      reject(error)
+    })
+  })
+  return abortablePromise
+}
+
+module.exports = promiseAbortable
@@ -8,4 +8,7 @@ export = promiseAll;
  * @description
  * Dereferenced Promise.all
  */
-declare const promiseAll: any;
+declare const promiseAll: {
+    <T>(values: Iterable<T | PromiseLike<T>>): Promise<Awaited<T>[]>;
+    <T extends readonly unknown[] | []>(values: T): Promise<{ -readonly [P in keyof T]: Awaited<T[P]>; }>;
+};
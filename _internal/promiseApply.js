@@ -0,0 +1,19 @@
+/**
+ * @name promiseApply
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * promiseApply<
+ *   args ...any,
+ *   func ...args=>Promise|any,
+ * >(func, args) -> Promise
+ * ```
+ *
+ * @description
+ * Apply arguments to a function and get a promise of the result. A synchronous throw rejects the promise.
+ */
+const promiseApply = (func, args) => new Promise(function executor(resolve) {
+  resolve(func(...args))
+})
+
+module.exports = promiseApply
@@ -1,13 +0,0 @@
-export = promiseObjectAll;
-/**
- * @name promiseObjectAll
- *
- * @synopsis
- * ```coffeescript [specscript]
- * promiseObjectAll(object<Promise|any>) -> Promise<object>
- * ```
- *
- * @description
- * Like `Promise.all` but for objects.
- */
-declare function promiseObjectAll(object: any): any;
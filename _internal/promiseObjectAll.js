@@ -5,10 +5,10 @@ const isPromise = require('./isPromise')
  *
  * @synopsis
  * ```coffeescript [specscript]
- * promiseObjectAllExecutor(resolve function) -> ()
+ * promiseObjectAllExecutor(resolve function, reject function) -> ()
  * ```
  */
-const promiseObjectAllExecutor = object => function executor(resolve) {
+const promiseObjectAllExecutor = object => function executor(resolve, reject) {
   const result = {}
   let numPromises = 0
   for (const key in object) {
@@ -21,7 +21,7 @@ const promiseObjectAllExecutor = object => function executor(resolve) {
         if (numPromises == 0) {
           resolve(result)
         }
-      })(key))
+      })(key), reject)
     } else {
       result[key] = value
     }
@@ -40,7 +40,7 @@ const promiseObjectAllExecutor = object => function executor(resolve) {
  * ```
  *
  * @description
- * Like `Promise.all` but for objects.
+ * Like `Promise.all` but for objects. Rejects with the first rejection of a value.
  */
 const promiseObjectAll = object => new Promise(promiseObjectAllExecutor(object))
 
@@ -8,4 +8,7 @@ export = promiseRace;
  * @description
  * Dereferenced Promise.race
  */
-declare const promiseRace: any;
+declare const promiseRace: {
+    <T>(values: Iterable<T | PromiseLike<T>>): Promise<Awaited<T>>;
+    <T extends readonly unknown[] | []>(values: T): Promise<Awaited<T[number]>>;
+};
@@ -0,0 +1,35 @@
+/**
+ * @name promiseTimeout
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * promiseTimeout(
+ *   promise Promise,
+ *   ms number,
+ *   onTimeout ()=>Promise|any,
+ * ) -> Promise
+ * ```
+ *
+ * @description
+ * Create a promise that settles the same as `promise`, or settles with the result of `onTimeout` if `promise` does not settle within `ms` milliseconds. The timer is cleared as soon as either settles.
+ */
+const promiseTimeout = function (promise, ms, onTimeout) {
+  return new Promise(function executor(resolve, reject) {
+    const timer = setTimeout(function onTimer() {
+      try {
+        resolve(onTimeout())
+      } catch (error) {
+        reject(error)
+      }
+    }, ms)
+    promise.then(function onResolved(value) {
+      clearTimeout(timer)
+      resolve(value)
+    }, function onRejected(error) {
+      clearTimeout(timer)
+      reject(error)
+    })
+  })
+}
+
+module.exports = promiseTimeout
@@ -1,10 +0,0 @@
-export = propertyPathToArray;
-/**
- * @name propertyPathToArray
- *
- * @synopsis
- * ```coffeescript [specscript]
- * propertyPathToArray(path string|number|Array<string|number>) -> Array
- * ```
- */
-declare function propertyPathToArray(path: any): any;
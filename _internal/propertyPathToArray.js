@@ -1,36 +1,126 @@
 const isArray = require('./isArray')
 const memoizeCappedUnary = require('./memoizeCappedUnary')
+const symbolPathWildcard = require('./symbolPathWildcard')
+const symbolPathRecursive = require('./symbolPathRecursive')
 
-// a[0].b.c
-const pathDelimiters = /[.|[|\]]+/
+// -1, 0, 12
+const integerPattern = /^-?(?:0|[1-9]\d*)$/
+
+/**
+ * @name _pathSegment
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _pathSegment(text string, isLiteral boolean) -> segment string|number|symbol
+ * ```
+ *
+ * @description
+ * An unquoted, unescaped integer segment is an index, and `*` and `**` are wildcards. Any other segment is a key.
+ */
+const _pathSegment = function (text, isLiteral) {
+  if (isLiteral) {
+    return text
+  }
+  if (text == '*') {
+    return symbolPathWildcard
+  }
+  if (text == '**') {
+    return symbolPathRecursive
+  }
+  return integerPattern.test(text) ? Number(text) : text
+}
 
 /**
  * @name parsePropertyPath
  *
  * @synopsis
  * ```coffeescript [specscript]
- * parsePropertyPath(pathString string) -> Array<string>
+ * parsePropertyPath(pathString string) -> Array<string|number|symbol>
  * ```
  *
- * @note
- * a[0].b.c
- * a.0.b[0][1].c
+ * @description
+ * Split a path string into keys and indices.
+ *
+ *  * `.` and brackets delimit segments - `a[0].b.c`, `a.0.b[0][1].c`
+ *  * a quoted segment in brackets is a key as it is - `a["b.c"]['[d]']`
+ *  * a backslash escapes the next character - `a\.b`, `a["say \"hi\""]`
+ *  * an unquoted, unescaped integer is an index, which may be negative to count from the end of an array - `a[-1]`, `a.-1`
+ *  * an unquoted, unescaped `*` or `**` is a wildcard, see [symbolPathWildcard](/docs/symbolPathWildcard) and [symbolPathRecursive](/docs/symbolPathRecursive) - `orders[*].id`, `**.password`
+ *
+ * Empty unquoted segments are skipped, and unterminated brackets and stray right brackets are treated as delimiters.
  */
 const parsePropertyPath = function (pathString) {
-  const pathStringLastIndex = pathString.length - 1,
-    firstChar = pathString[0],
-    lastChar = pathString[pathStringLastIndex],
-    isFirstCharLeftBracket = firstChar == '[',
-    isLastCharRightBracket = lastChar == ']'
-
-  if (isFirstCharLeftBracket && isLastCharRightBracket) {
-    return pathString.slice(1, pathStringLastIndex).split(pathDelimiters)
-  } else if (isFirstCharLeftBracket) {
-    return pathString.slice(1).split(pathDelimiters)
-  } else if (isLastCharRightBracket) {
-    return pathString.slice(0, pathStringLastIndex).split(pathDelimiters)
+  const result = [],
+    length = pathString.length
+  let index = 0,
+    segment = '',
+    hasSegment = false,
+    isLiteral = false
+
+  while (index < length) {
+    const char = pathString[index]
+    if (char == '\\') {
+      segment += pathString.slice(index + 1, index + 2)
+      hasSegment = true
+      isLiteral = true
+      index += 2
+    } else if (char == '.' || char == ']') {
+      if (hasSegment) {
+        result.push(_pathSegment(segment, isLiteral))
+      }
+      segment = ''
+      hasSegment = false
+      isLiteral = false
+      index += 1
+    } else if (char == '[') {
+      if (hasSegment) {
+        result.push(_pathSegment(segment, isLiteral))
+      }
+      segment = ''
+      hasSegment = false
+      isLiteral = false
+      index += 1
+      const quote = pathString[index]
+      if (quote == '"' || quote == '\'') {
+        index += 1
+        while (index < length && pathString[index] != quote) {
+          if (pathString[index] == '\\') {
+            index += 1
+          }
+          segment += pathString.slice(index, index + 1)
+          index += 1
+        }
+        result.push(segment)
+        segment = ''
+        while (index < length && pathString[index] != ']') {
+          index += 1
+        }
+      } else {
+        while (index < length && pathString[index] != ']') {
+          if (pathString[index] == '\\') {
+            index += 1
+            isLiteral = true
+          }
+          segment += pathString.slice(index, index + 1)
+          index += 1
+        }
+        if (segment.length > 0) {
+          result.push(_pathSegment(segment, isLiteral))
+        }
+        segment = ''
+        isLiteral = false
+      }
+      index += 1
+    } else {
+      segment += char
+      hasSegment = true
+      index += 1
+    }
+  }
+  if (hasSegment) {
+    result.push(_pathSegment(segment, isLiteral))
   }
-  return pathString.split(pathDelimiters)
+  return result
 }
 
 // memoized version of parsePropertyPath, max cache size 500
@@ -41,11 +131,17 @@ const memoizedCappedParsePropertyPath = memoizeCappedUnary(parsePropertyPath, 50
  *
  * @synopsis
  * ```coffeescript [specscript]
- * propertyPathToArray(path string|number|Array<string|number>) -> Array
+ * propertyPathToArray(path string|number|Array<string|number>) -> Array<string|number|symbol>
  * ```
+ *
+ * @description
+ * The keys and indices of a path. Path strings are parsed by [parsePropertyPath](/docs/parsePropertyPath) into one cache shared by every operator that takes a path. Numbers in an array path are indices, and strings in an array path are keys as they are. The empty path string is the key `''`.
  */
 const propertyPathToArray = path => isArray(path) ? path
+  : path === '' ? ['']
   : typeof path == 'string' ? memoizedCappedParsePropertyPath(path)
   : [path]
 
+propertyPathToArray.cache = memoizedCappedParsePropertyPath.cache
+
 module.exports = propertyPathToArray
@@ -0,0 +1,23 @@
+/**
+ * @name rateLimitDelay
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * rateLimitDelay(
+ *   dispatchTimes Array<number>,
+ *   rate number,
+ *   count number,
+ * ) -> delay number
+ * ```
+ *
+ * @description
+ * Get the number of milliseconds to wait before the dispatch numbered `count` so that no more than `rate` dispatches occur within any one second. `dispatchTimes` is a ring buffer of the last `rate` dispatch times, indexed by `count % rate`.
+ */
+const rateLimitDelay = function (dispatchTimes, rate, count) {
+  if (count < rate) {
+    return 0
+  }
+  return dispatchTimes[count % rate] + 1000 - Date.now()
+}
+
+module.exports = rateLimitDelay
@@ -0,0 +1,22 @@
+/**
+ * @name reduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Reduced = {
+ *   '@@transducer/reduced': true,
+ *   '@@transducer/value': any,
+ * }
+ *
+ * reduced(value any) -> Reduced
+ * ```
+ *
+ * @description
+ * Wrap an accumulator to signal that a reduction is complete. The wrapper follows the transducer protocol shared by other libraries, so it is recognized across separately bundled copies of rubico.
+ */
+const reduced = value => ({
+  '@@transducer/reduced': true,
+  '@@transducer/value': value,
+})
+
+module.exports = reduced
@@ -1,10 +0,0 @@
-export = reducerAllSync;
-/**
- * @name reducerAllSync
- *
- * @synopsis
- * ```coffeescript [specscript]
- * reducerAllSync(predicate any=> boolean, result boolean, item any) -> boolean
- * ```
- */
-declare function reducerAllSync(predicate: any, result: any, item: any): any;
@@ -0,0 +1,90 @@
+const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const reducerFlush = require('./reducerFlush')
+const statefulReducer = require('./statefulReducer')
+const ReducerTimer = require('./ReducerTimer')
+const __ = require('./placeholder')
+const curry3 = require('./curry3')
+
+/**
+ * @name reducerBufferTime
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerBufferTime<
+ *   T any,
+ *   reducer (any, Array<T>)=>Promise|any,
+ * >(
+ *   reducer,
+ *   ms number,
+ *   maxSize number,
+ *   clock { now: ()=>number, setTimeout?: function, clearTimeout?: function },
+ * ) -> bufferingReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Group the items of a reducer's operation into arrays of the items that arrive within `ms` milliseconds of the first item of each group, passing each group to the reducer once the group's time is up or once the group has `maxSize` items. Arrival times are read from `clock.now`, and the time of each group is kept with a timer from `clock.setTimeout`, see [ReducerTimer](/docs/ReducerTimer). The completion step of the buffering reducer passes the trailing group.
+ *
+ * A reducing operation started with a gate, like that of [reduce.pool](/docs/reduce.pool), reduces the items of a pool into separate results, so the buffering reducer runs no timers there and passes on a group whose time is up when the next item arrives.
+ */
+const reducerBufferTime = function (reducer, ms, maxSize, clock) {
+  const timer = ReducerTimer(clock)
+  let buffer = []
+  let bufferStart = 0
+
+  const flushBuffer = function (result) {
+    if (buffer.length == 0) {
+      return result
+    }
+    const fullBuffer = buffer
+    buffer = []
+    return reducer(result, fullBuffer)
+  }
+
+  const bufferItem = function (result, item, time) {
+    if (isReduced(result)) {
+      return result
+    }
+    if (buffer.length == 0) {
+      bufferStart = time
+      timer.schedule(ms, flushBuffer)
+    }
+    buffer.push(item)
+    if (buffer.length < maxSize) {
+      return result
+    }
+    timer.cancel()
+    return flushBuffer(result)
+  }
+
+  const addItem = function (result, item, time) {
+    if (buffer.length == 0 || time - bufferStart < ms) {
+      return bufferItem(result, item, time)
+    }
+    timer.cancel()
+    const nextResult = flushBuffer(result)
+    return isPromise(nextResult)
+      ? nextResult.then(curry3(bufferItem, __, item, time))
+      : bufferItem(nextResult, item, time)
+  }
+
+  const bufferingReducer = function (result, item) {
+    return timer.reduce(result, curry3(addItem, __, item, clock.now()))
+  }
+
+  statefulReducer(bufferingReducer, reducer, function startBufferTime(startedReducer, gate) {
+    const startedClock = typeof gate == 'function' ? { now: clock.now } : clock
+    return reducerBufferTime(startedReducer, ms, maxSize, startedClock)
+  })
+  bufferingReducer['@@transducer/result'] = function flushTrailingBuffer(result) {
+    return timer.complete(result, function flushBuffers(current) {
+      const trailingBuffers = buffer.length == 0 ? [] : [buffer]
+      buffer = []
+      return reducerFlush(reducer, current, trailingBuffers)
+    })
+  }
+
+  return bufferingReducer
+}
+
+module.exports = reducerBufferTime
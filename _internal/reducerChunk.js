@@ -0,0 +1,42 @@
+const reducerFlush = require('./reducerFlush')
+const statefulReducer = require('./statefulReducer')
+const curry2 = require('./curry2')
+const __ = require('./placeholder')
+
+/**
+ * @name reducerChunk
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerChunk<
+ *   T any,
+ *   reducer (any, Array<T>)=>Promise|any,
+ * >(reducer, size number) -> chunkingReducer (any, T)=>any
+ * ```
+ *
+ * @description
+ * Group the items of a reducer's operation into arrays of `size` items, passing each full group to the reducer. The completion step of the chunking reducer passes the trailing group, which may have fewer than `size` items.
+ */
+const reducerChunk = function (reducer, size) {
+  let group = []
+
+  const chunkingReducer = function (result, item) {
+    group.push(item)
+    if (group.length < size) {
+      return result
+    }
+    const fullGroup = group
+    group = []
+    return reducer(result, fullGroup)
+  }
+
+  statefulReducer(chunkingReducer, reducer, curry2(reducerChunk, __, size))
+  chunkingReducer['@@transducer/result'] = function flushChunk(result) {
+    const trailingGroups = group.length == 0 ? [] : [group]
+    return reducerFlush(reducer, result, trailingGroups)
+  }
+
+  return chunkingReducer
+}
+
+module.exports = reducerChunk
@@ -0,0 +1,22 @@
+const isPromise = require('./isPromise')
+
+/**
+ * @name reducerComplete
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerComplete(reducer Reducer, result Promise|any) -> Promise|any
+ * ```
+ *
+ * @description
+ * Call the completion step of a reducer on the result of a reducing operation. Stateful reducers use the completion step to flush the items they hold, e.g. the trailing group of [Transducer.chunk](/docs/Transducer.chunk). The completion step is the `'@@transducer/result'` property of the reducer, following the protocol of other transducer libraries. Reducers without a completion step return the result as is.
+ */
+const reducerComplete = function (reducer, result) {
+  const complete = reducer['@@transducer/result']
+  if (typeof complete != 'function') {
+    return result
+  }
+  return isPromise(result) ? result.then(complete) : complete(result)
+}
+
+module.exports = reducerComplete
@@ -0,0 +1,87 @@
+const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const reducerFlush = require('./reducerFlush')
+const statefulReducer = require('./statefulReducer')
+const ReducerTimer = require('./ReducerTimer')
+const __ = require('./placeholder')
+const curry3 = require('./curry3')
+
+/**
+ * @name reducerDebounceTime
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerDebounceTime<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ * >(
+ *   reducer,
+ *   ms number,
+ *   clock { now: ()=>number, setTimeout?: function, clearTimeout?: function },
+ * ) -> debouncingReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Pass the items of a reducer's operation to the reducer only if no other item arrives within `ms` milliseconds after them, once those `ms` milliseconds are up. Arrival times are read from `clock.now`, and the time after each item is kept with a timer from `clock.setTimeout`, see [ReducerTimer](/docs/ReducerTimer). The completion step of the debouncing reducer passes the last item.
+ *
+ * A reducing operation started with a gate, like that of [reduce.pool](/docs/reduce.pool), reduces the items of a pool into separate results, so the debouncing reducer runs no timers there and passes on an item when the next item arrives late enough.
+ */
+const reducerDebounceTime = function (reducer, ms, clock) {
+  const timer = ReducerTimer(clock)
+  let hasPending = false
+  let pending = null
+  let pendingTime = 0
+
+  const flushPending = function (result) {
+    if (!hasPending) {
+      return result
+    }
+    const settledItem = pending
+    hasPending = false
+    pending = null
+    return reducer(result, settledItem)
+  }
+
+  const holdPending = function (result, item, time) {
+    if (isReduced(result)) {
+      return result
+    }
+    hasPending = true
+    pending = item
+    pendingTime = time
+    timer.schedule(ms, flushPending)
+    return result
+  }
+
+  const addItem = function (result, item, time) {
+    if (!hasPending || time - pendingTime < ms) {
+      return holdPending(result, item, time)
+    }
+    timer.cancel()
+    const nextResult = flushPending(result)
+    return isPromise(nextResult)
+      ? nextResult.then(curry3(holdPending, __, item, time))
+      : holdPending(nextResult, item, time)
+  }
+
+  const debouncingReducer = function (result, item) {
+    return timer.reduce(result, curry3(addItem, __, item, clock.now()))
+  }
+
+  statefulReducer(debouncingReducer, reducer, function startDebounceTime(startedReducer, gate) {
+    const startedClock = typeof gate == 'function' ? { now: clock.now } : clock
+    return reducerDebounceTime(startedReducer, ms, startedClock)
+  })
+  debouncingReducer['@@transducer/result'] = function flushTrailingPending(result) {
+    return timer.complete(result, function flushItems(current) {
+      const trailingItems = hasPending ? [pending] : []
+      hasPending = false
+      pending = null
+      return reducerFlush(reducer, current, trailingItems)
+    })
+  }
+
+  return debouncingReducer
+}
+
+module.exports = reducerDebounceTime
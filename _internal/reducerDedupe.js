@@ -0,0 +1,44 @@
+const isPromise = require('./isPromise')
+const sameValueZero = require('./sameValueZero')
+const __ = require('./placeholder')
+const curry3 = require('./curry3')
+const curry2 = require('./curry2')
+const statefulReducer = require('./statefulReducer')
+
+/**
+ * @name reducerDedupe
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerDedupe<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ *   keyFn T=>Promise|any,
+ * >(reducer, keyFn) -> dedupingReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Pass items of a reducer's operation to the reducer unless their key is the same as the key of the item before them. Keys are compared with [SameValueZero](https://tc39.es/ecma262/#sec-samevaluezero). `keyFn` may be asynchronous.
+ */
+const reducerDedupe = function (reducer, keyFn) {
+  let hasPrevious = false
+  let previousKey = null
+
+  const dedupe = function (key, result, item) {
+    if (hasPrevious && sameValueZero(key, previousKey)) {
+      return result
+    }
+    hasPrevious = true
+    previousKey = key
+    return reducer(result, item)
+  }
+
+  return statefulReducer(function dedupingReducer(result, item) {
+    const key = keyFn(item)
+    return isPromise(key)
+      ? key.then(curry3(dedupe, __, result, item))
+      : dedupe(key, result, item)
+  }, reducer, curry2(reducerDedupe, __, keyFn))
+}
+
+module.exports = reducerDedupe
@@ -0,0 +1,30 @@
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const statefulReducer = require('./statefulReducer')
+
+/**
+ * @name reducerDrop
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerDrop<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ * >(reducer, count number) -> droppingReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Skip the first `count` items of a reducer's operation, passing the rest to the reducer.
+ */
+const reducerDrop = function (reducer, count) {
+  let dropped = 0
+  return statefulReducer(function droppingReducer(result, item) {
+    if (dropped < count) {
+      dropped += 1
+      return result
+    }
+    return reducer(result, item)
+  }, reducer, curry2(reducerDrop, __, count))
+}
+
+module.exports = reducerDrop
@@ -0,0 +1,44 @@
+const curry3 = require('./curry3')
+const __ = require('./placeholder')
+const isPromise = require('./isPromise')
+const curry2 = require('./curry2')
+const statefulReducer = require('./statefulReducer')
+
+/**
+ * @name reducerDropWhile
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerDropWhile<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ *   predicate T=>Promise|boolean,
+ * >(reducer, predicate) -> droppingWhileReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Skip items of a reducer's operation while they test truthy by the predicate. From the first item that tests falsy on, pass every item to the reducer without testing it. `predicate` may be asynchronous.
+ */
+const reducerDropWhile = function (reducer, predicate) {
+  let dropping = true
+
+  const dropOrReduce = function (shouldDrop, result, item) {
+    if (shouldDrop) {
+      return result
+    }
+    dropping = false
+    return reducer(result, item)
+  }
+
+  return statefulReducer(function droppingWhileReducer(result, item) {
+    if (!dropping) {
+      return reducer(result, item)
+    }
+    const shouldDrop = predicate(item)
+    return isPromise(shouldDrop)
+      ? shouldDrop.then(curry3(dropOrReduce, __, result, item))
+      : dropOrReduce(shouldDrop, result, item)
+  }, reducer, curry2(reducerDropWhile, __, predicate))
+}
+
+module.exports = reducerDropWhile
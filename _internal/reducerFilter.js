@@ -4,6 +4,8 @@ const thunkify2 = require('./thunkify2')
 const thunkConditional = require('./thunkConditional')
 const isPromise = require('./isPromise')
 const always = require('./always')
+const curry2 = require('./curry2')
+const inheritCompletion = require('./inheritCompletion')
 
 /**
  * @name reducerFilter
@@ -24,7 +26,7 @@ const always = require('./always')
  */
 const reducerFilter = (
   reducer, predicate,
-) => function filteringReducer(result, item) {
+) => inheritCompletion(function filteringReducer(result, item) {
   const shouldInclude = predicate(item)
   return isPromise(shouldInclude)
     ? shouldInclude.then(curry3(
@@ -33,6 +35,6 @@ const reducerFilter = (
       thunkify2(reducer, result, item),
       always(result)))
     : shouldInclude ? reducer(result, item) : result
-}
+}, reducer, curry2(reducerFilter, __, predicate))
 
 module.exports = reducerFilter
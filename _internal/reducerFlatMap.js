@@ -2,6 +2,9 @@ const curry3 = require('./curry3')
 const __ = require('./placeholder')
 const isPromise = require('./isPromise')
 const genericReduce = require('./genericReduce')
+const preservingReduced = require('./preservingReduced')
+const curry2 = require('./curry2')
+const inheritCompletion = require('./inheritCompletion')
 
 /**
  * @name reducerFlatMap
@@ -23,11 +26,11 @@ const genericReduce = require('./genericReduce')
  */
 const reducerFlatMap = (
   reducer, flatMapper,
-) => function flatMappingReducer(result, value) {
+) => inheritCompletion(function flatMappingReducer(result, value) {
   const monad = flatMapper(value)
   return isPromise(monad)
-    ? monad.then(curry3(genericReduce, __, reducer, result))
-    : genericReduce(monad, reducer, result)
-}
+    ? monad.then(curry3(genericReduce, __, preservingReduced(reducer), result))
+    : genericReduce(monad, preservingReduced(reducer), result)
+}, reducer, curry2(reducerFlatMap, __, flatMapper))
 
 module.exports = reducerFlatMap
@@ -0,0 +1,46 @@
+const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const unreduced = require('./unreduced')
+const reducerComplete = require('./reducerComplete')
+const __ = require('./placeholder')
+const curry4 = require('./curry4')
+
+/**
+ * @name _reducerFlushFrom
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _reducerFlushFrom(
+ *   reducer Reducer,
+ *   items Array,
+ *   index number,
+ *   result any,
+ * ) -> Promise|any
+ * ```
+ */
+const _reducerFlushFrom = function (reducer, items, index, result) {
+  const length = items.length
+  while (index < length && !isReduced(result)) {
+    result = reducer(result, items[index])
+    index += 1
+    if (isPromise(result)) {
+      return result.then(curry4(_reducerFlushFrom, reducer, items, index, __))
+    }
+  }
+  return reducerComplete(reducer, unreduced(result))
+}
+
+/**
+ * @name reducerFlush
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerFlush(reducer Reducer, result any, items Array) -> Promise|any
+ * ```
+ *
+ * @description
+ * Reduce the items held by a stateful reducer into the result at the end of a reducing operation, then call the completion step of the reducer.
+ */
+const reducerFlush = (reducer, result, items) => _reducerFlushFrom(reducer, items, 0, result)
+
+module.exports = reducerFlush
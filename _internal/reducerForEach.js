@@ -1,5 +1,8 @@
 const isPromise = require('./isPromise')
 const thunkify2 = require('./thunkify2')
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const inheritCompletion = require('./inheritCompletion')
 
 /**
  * @name reducerForEach
@@ -19,12 +22,12 @@ const thunkify2 = require('./thunkify2')
  */
 const reducerForEach = (
   reducer, callback,
-) => function executingForEach(result, item) {
+) => inheritCompletion(function executingForEach(result, item) {
   const operation = callback(item)
   if (isPromise(operation)) {
     return operation.then(thunkify2(reducer, result, item))
   }
   return reducer(result, item)
-}
+}, reducer, curry2(reducerForEach, __, callback))
 
 module.exports = reducerForEach
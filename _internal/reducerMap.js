@@ -1,6 +1,7 @@
 const isPromise = require('./isPromise')
 const __ = require('./placeholder')
 const curry2 = require('./curry2')
+const inheritCompletion = require('./inheritCompletion')
 
 /**
  * @name reducerMap
@@ -21,11 +22,11 @@ const curry2 = require('./curry2')
  */
 const reducerMap = (
   reducer, mapper,
-) => function mappingReducer(result, reducerItem) {
+) => inheritCompletion(function mappingReducer(result, reducerItem) {
   const mappingReducerItem = mapper(reducerItem)
   return isPromise(mappingReducerItem)
     ? mappingReducerItem.then(curry2(reducer, result, __))
     : reducer(result, mappingReducerItem)
-}
+}, reducer, curry2(reducerMap, __, mapper))
 
 module.exports = reducerMap
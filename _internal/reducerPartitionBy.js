@@ -0,0 +1,56 @@
+const isPromise = require('./isPromise')
+const sameValueZero = require('./sameValueZero')
+const reducerFlush = require('./reducerFlush')
+const __ = require('./placeholder')
+const curry3 = require('./curry3')
+const curry2 = require('./curry2')
+const statefulReducer = require('./statefulReducer')
+
+/**
+ * @name reducerPartitionBy
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerPartitionBy<
+ *   T any,
+ *   reducer (any, Array<T>)=>Promise|any,
+ *   keyFn T=>Promise|any,
+ * >(reducer, keyFn) -> partitioningReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Group consecutive items of a reducer's operation with the same key into arrays, passing each group to the reducer once an item with a different key arrives. Keys are compared with [SameValueZero](https://tc39.es/ecma262/#sec-samevaluezero). `keyFn` may be asynchronous. The completion step of the partitioning reducer passes the trailing group.
+ */
+const reducerPartitionBy = function (reducer, keyFn) {
+  let group = []
+  let groupKey = null
+
+  const partition = function (key, result, item) {
+    if (group.length == 0 || sameValueZero(key, groupKey)) {
+      groupKey = key
+      group.push(item)
+      return result
+    }
+    const fullGroup = group
+    group = [item]
+    groupKey = key
+    return reducer(result, fullGroup)
+  }
+
+  const partitioningReducer = function (result, item) {
+    const key = keyFn(item)
+    return isPromise(key)
+      ? key.then(curry3(partition, __, result, item))
+      : partition(key, result, item)
+  }
+
+  statefulReducer(partitioningReducer, reducer, curry2(reducerPartitionBy, __, keyFn))
+  partitioningReducer['@@transducer/result'] = function flushPartition(result) {
+    const trailingGroups = group.length == 0 ? [] : [group]
+    return reducerFlush(reducer, result, trailingGroups)
+  }
+
+  return partitioningReducer
+}
+
+module.exports = reducerPartitionBy
@@ -0,0 +1,100 @@
+const isPromise = require('./isPromise')
+const isReduced = require('./isReduced')
+const reducerFlush = require('./reducerFlush')
+const statefulReducer = require('./statefulReducer')
+const ReducerTimer = require('./ReducerTimer')
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const curry3 = require('./curry3')
+
+/**
+ * @name reducerSampleTime
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerSampleTime<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ * >(
+ *   reducer,
+ *   ms number,
+ *   clock { now: ()=>number, setTimeout?: function, clearTimeout?: function },
+ * ) -> samplingReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Divide the time of a reducer's operation into periods of `ms` milliseconds starting at the arrival of the first item, and pass the last item of each period to the reducer at the end of the period. Arrival times are read from `clock.now`, and the end of each period is kept with a timer from `clock.setTimeout`, see [ReducerTimer](/docs/ReducerTimer). The completion step of the sampling reducer passes the last item of the final period.
+ *
+ * A reducing operation started with a gate, like that of [reduce.pool](/docs/reduce.pool), reduces the items of a pool into separate results, so the sampling reducer runs no timers there and passes on the sample of a period when an item of a later period arrives.
+ */
+const reducerSampleTime = function (reducer, ms, clock) {
+  const timer = ReducerTimer(clock)
+  let hasSample = false
+  let sample = null
+  let periodEnd = null
+
+  const flushSample = function (result) {
+    if (!hasSample) {
+      return result
+    }
+    const lastSample = sample
+    hasSample = false
+    sample = null
+    return reducer(result, lastSample)
+  }
+
+  const endPeriod = function (result) {
+    if (hasSample) {
+      periodEnd += ms
+      timer.schedule(ms, endPeriod)
+    }
+    return flushSample(result)
+  }
+
+  const holdSample = function (result, item) {
+    if (isReduced(result)) {
+      return result
+    }
+    hasSample = true
+    sample = item
+    return result
+  }
+
+  const addItem = function (result, item, time) {
+    if (periodEnd == null) {
+      periodEnd = time + ms
+      timer.schedule(ms, endPeriod)
+    }
+    if (time < periodEnd) {
+      return holdSample(result, item)
+    }
+    periodEnd += ms * (Math.floor((time - periodEnd) / ms) + 1)
+    timer.schedule(periodEnd - time, endPeriod)
+    const nextResult = flushSample(result)
+    return isPromise(nextResult)
+      ? nextResult.then(curry2(holdSample, __, item))
+      : holdSample(nextResult, item)
+  }
+
+  const samplingReducer = function (result, item) {
+    return timer.reduce(result, curry3(addItem, __, item, clock.now()))
+  }
+
+  statefulReducer(samplingReducer, reducer, function startSampleTime(startedReducer, gate) {
+    const startedClock = typeof gate == 'function' ? { now: clock.now } : clock
+    return reducerSampleTime(startedReducer, ms, startedClock)
+  })
+  samplingReducer['@@transducer/result'] = function flushTrailingSample(result) {
+    return timer.complete(result, function flushSamples(current) {
+      const trailingSamples = hasSample ? [sample] : []
+      hasSample = false
+      sample = null
+      periodEnd = null
+      return reducerFlush(reducer, current, trailingSamples)
+    })
+  }
+
+  return samplingReducer
+}
+
+module.exports = reducerSampleTime
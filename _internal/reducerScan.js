@@ -0,0 +1,39 @@
+const isPromise = require('./isPromise')
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const curry3 = require('./curry3')
+const statefulReducer = require('./statefulReducer')
+
+/**
+ * @name reducerScan
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerScan<
+ *   T any,
+ *   reducer (any, any)=>Promise|any,
+ *   scanner (accumulation any, T)=>Promise|any,
+ *   init any,
+ * >(reducer, scanner, init) -> scanningReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Accumulate the items of a reducer's operation with a scanner starting from `init`, passing each intermediate accumulation to the reducer. `scanner` may be asynchronous.
+ */
+const reducerScan = function (reducer, scanner, init) {
+  let accumulation = init
+
+  const accumulate = function (result, nextAccumulation) {
+    accumulation = nextAccumulation
+    return reducer(result, nextAccumulation)
+  }
+
+  return statefulReducer(function scanningReducer(result, item) {
+    const nextAccumulation = scanner(accumulation, item)
+    return isPromise(nextAccumulation)
+      ? nextAccumulation.then(curry2(accumulate, result, __))
+      : accumulate(result, nextAccumulation)
+  }, reducer, curry3(reducerScan, __, scanner, init))
+}
+
+module.exports = reducerScan
@@ -0,0 +1,23 @@
+const symbolReducerStart = require('./symbolReducerStart')
+
+/**
+ * @name reducerStart
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Gate = Reducer=>Reducer
+ *
+ * reducerStart(reducer Reducer, gate? Gate) -> startedReducer Reducer
+ * ```
+ *
+ * @description
+ * Start a reducing operation with a reducer. A reducer with state between items returns a new reducer with fresh state from its [symbolReducerStart](/docs/symbolReducerStart) method, so that reducing operations with the same reducer, including concurrent operations and operations after one that threw, do not share state. Any other reducer is returned as it is.
+ *
+ * With a `gate`, each started reducer with state between items is returned as `gate` of itself, so that a concurrent reducing operation like [reduce.pool](/docs/reduce.pool) can control the order in which the items reach it.
+ */
+const reducerStart = function (reducer, gate) {
+  const start = reducer[symbolReducerStart]
+  return typeof start == 'function' ? start(gate) : reducer
+}
+
+module.exports = reducerStart
@@ -0,0 +1,39 @@
+const isPromise = require('./isPromise')
+const reduced = require('./reduced')
+const ensureReduced = require('./ensureReduced')
+const __ = require('./placeholder')
+const curry2 = require('./curry2')
+const statefulReducer = require('./statefulReducer')
+
+/**
+ * @name reducerTake
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerTake<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ * >(reducer, count number) -> takingReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Pass the first `count` items of a reducer's operation to the reducer, then signal with [reduced](/docs/reduced) that the operation is complete.
+ */
+const reducerTake = function (reducer, count) {
+  let taken = 0
+  return statefulReducer(function takingReducer(result, item) {
+    if (taken >= count) {
+      return reduced(result)
+    }
+    taken += 1
+    const nextResult = reducer(result, item)
+    if (taken < count) {
+      return nextResult
+    }
+    return isPromise(nextResult)
+      ? nextResult.then(ensureReduced)
+      : ensureReduced(nextResult)
+  }, reducer, curry2(reducerTake, __, count))
+}
+
+module.exports = reducerTake
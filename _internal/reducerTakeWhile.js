@@ -0,0 +1,39 @@
+const curry3 = require('./curry3')
+const __ = require('./placeholder')
+const thunkify2 = require('./thunkify2')
+const thunkConditional = require('./thunkConditional')
+const isPromise = require('./isPromise')
+const always = require('./always')
+const reduced = require('./reduced')
+const curry2 = require('./curry2')
+const inheritCompletion = require('./inheritCompletion')
+
+/**
+ * @name reducerTakeWhile
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerTakeWhile<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ *   predicate T=>Promise|boolean,
+ * >(reducer, predicate) -> takingWhileReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Pass items of a reducer's operation to the reducer while they test truthy by the predicate. At the first item that tests falsy, signal with [reduced](/docs/reduced) that the operation is complete. `predicate` may be asynchronous.
+ */
+const reducerTakeWhile = (
+  reducer, predicate,
+) => inheritCompletion(function takingWhileReducer(result, item) {
+  const shouldTake = predicate(item)
+  return isPromise(shouldTake)
+    ? shouldTake.then(curry3(
+      thunkConditional,
+      __,
+      thunkify2(reducer, result, item),
+      always(reduced(result))))
+    : shouldTake ? reducer(result, item) : reduced(result)
+}, reducer, curry2(reducerTakeWhile, __, predicate))
+
+module.exports = reducerTakeWhile
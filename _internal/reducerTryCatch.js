@@ -2,6 +2,9 @@ const isPromise = require('./isPromise')
 const __ = require('./placeholder')
 const curry5 = require('./curry5')
 const curry2 = require('./curry2')
+const inheritCompletion = require('./inheritCompletion')
+const symbolReducerStart = require('./symbolReducerStart')
+const reducerStart = require('./reducerStart')
 
 /**
  * @name _reducerTryCatchErrorHandler
@@ -38,7 +41,7 @@ const _reducerTryCatchErrorHandler = function (
  */
 const reducerTryCatch = function (reducer, transducerTryer, catcher) {
   const finalReducer = transducerTryer(reducer)
-  return function errorHandlingReducer(accum, item) {
+  const errorHandlingReducer = function (accum, item) {
     try {
       const ret = finalReducer(accum, item)
       return isPromise(ret) ? ret.catch(curry5(
@@ -50,6 +53,15 @@ const reducerTryCatch = function (reducer, transducerTryer, catcher) {
       )
     }
   }
+  inheritCompletion(errorHandlingReducer, finalReducer)
+  if (typeof finalReducer[symbolReducerStart] == 'function') {
+    errorHandlingReducer[symbolReducerStart] = function startTryCatch(gate) {
+      const startedReducer = reducerTryCatch(
+        reducerStart(reducer, gate), transducerTryer, catcher)
+      return typeof gate == 'function' ? gate(startedReducer) : startedReducer
+    }
+  }
+  return errorHandlingReducer
 }
 
 module.exports = reducerTryCatch
@@ -0,0 +1,41 @@
+const isPromise = require('./isPromise')
+const __ = require('./placeholder')
+const curry3 = require('./curry3')
+const curry2 = require('./curry2')
+const statefulReducer = require('./statefulReducer')
+
+/**
+ * @name reducerUniqBy
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerUniqBy<
+ *   T any,
+ *   reducer (any, T)=>Promise|any,
+ *   keyFn T=>Promise|any,
+ * >(reducer, keyFn) -> uniqueReducer (any, T)=>Promise|any
+ * ```
+ *
+ * @description
+ * Pass items of a reducer's operation to the reducer only the first time their key is seen. Keys are compared with [SameValueZero](https://tc39.es/ecma262/#sec-samevaluezero). `keyFn` may be asynchronous.
+ */
+const reducerUniqBy = function (reducer, keyFn) {
+  const seenKeys = new Set()
+
+  const uniq = function (key, result, item) {
+    if (seenKeys.has(key)) {
+      return result
+    }
+    seenKeys.add(key)
+    return reducer(result, item)
+  }
+
+  return statefulReducer(function uniqueReducer(result, item) {
+    const key = keyFn(item)
+    return isPromise(key)
+      ? key.then(curry3(uniq, __, result, item))
+      : uniq(key, result, item)
+  }, reducer, curry2(reducerUniqBy, __, keyFn))
+}
+
+module.exports = reducerUniqBy
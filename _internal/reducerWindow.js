@@ -0,0 +1,49 @@
+const reducerFlush = require('./reducerFlush')
+const statefulReducer = require('./statefulReducer')
+const curry3 = require('./curry3')
+const __ = require('./placeholder')
+
+/**
+ * @name reducerWindow
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * reducerWindow<
+ *   T any,
+ *   reducer (any, Array<T>)=>Promise|any,
+ * >(reducer, size number, step number) -> windowingReducer (any, T)=>any
+ * ```
+ *
+ * @description
+ * Group the items of a reducer's operation into sliding windows of `size` items, starting a window every `step` items. Each window is passed to the reducer once it is full. The completion step of the windowing reducer passes the oldest window that is not full yet only if it has items that are in no full window, so that every item in a window is passed in at least one window. Each reducing operation starts with no windows, see [reducerStart](/docs/reducerStart).
+ */
+const reducerWindow = function (reducer, size, step) {
+  const windows = []
+  let index = 0
+  let passedIndex = 0 // the items before this index are in a full window
+
+  const windowingReducer = function (result, item) {
+    if (index % step == 0) {
+      windows.push([])
+    }
+    index += 1
+    for (const openWindow of windows) {
+      openWindow.push(item)
+    }
+    if (windows.length == 0 || windows[0].length < size) {
+      return result
+    }
+    passedIndex = index
+    return reducer(result, windows.shift())
+  }
+
+  statefulReducer(windowingReducer, reducer, curry3(reducerWindow, __, size, step))
+  windowingReducer['@@transducer/result'] = function flushWindows(result) {
+    const trailingWindows = windows.length > 0 && index > passedIndex ? [windows[0]] : []
+    return reducerFlush(reducer, result, trailingWindows)
+  }
+
+  return windowingReducer
+}
+
+module.exports = reducerWindow
@@ -0,0 +1,33 @@
+const isArray = require('./isArray')
+
+/**
+ * @name resolvePathKey
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * resolvePathKey(container any, key any) -> resolvedKey any
+ * ```
+ *
+ * @description
+ * Resolve a negative index of a path against an array, counting from the end of the array. An index that is not a key of a Map resolves to the same key as a string if the Map has that key, since indices in path strings are parsed as numbers. Any other key is returned as it is.
+ *
+ * ```javascript
+ * resolvePathKey([1, 2, 3], -1) // 2
+ * resolvePathKey({}, -1) // -1
+ * resolvePathKey(new Map([['1', 'a']]), 1) // '1'
+ * ```
+ */
+const resolvePathKey = function (container, key) {
+  if (typeof key != 'number') {
+    return key
+  }
+  if (key < 0 && isArray(container)) {
+    return container.length + key
+  }
+  if (container instanceof Map && !container.has(key) && container.has(String(key))) {
+    return String(key)
+  }
+  return key
+}
+
+module.exports = resolvePathKey
@@ -0,0 +1,61 @@
+const isArray = require('./isArray')
+const resolvePathKey = require('./resolvePathKey')
+
+/**
+ * @name _isStringKeyedMap
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _isStringKeyedMap(container any) -> boolean
+ * ```
+ *
+ * @description
+ * Is a value a non-empty Map whose keys are all strings.
+ */
+const _isStringKeyedMap = function (container) {
+  if (!(container instanceof Map) || container.size == 0) {
+    return false
+  }
+  for (const key of container.keys()) {
+    if (typeof key != 'string') {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * @name resolveSetPathKey
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * resolveSetPathKey(container Object|Array|Map|Set, key any) -> resolvedKey any
+ * ```
+ *
+ * @description
+ * Resolve a key of a path to set with [resolvePathKey](/docs/resolvePathKey), throwing a RangeError if a negative index is before the start of an array.
+ *
+ * An index that is an existing key of a Map, as a number or as a string, resolves to that key. Since indices in path strings are parsed as numbers, a new index of a Map whose keys are all strings is set as a string key. A new index of any other Map, including an empty Map or a Map with keys of mixed types, is set as a number key.
+ *
+ * ```javascript
+ * resolveSetPathKey(new Map([['1', 'a']]), 2) // '2'
+ * resolveSetPathKey(new Map([[1, 'a']]), 2) // 2
+ * resolveSetPathKey(new Map([['1', 'a'], [2, 'b']]), 1) // '1'
+ * resolveSetPathKey(new Map([['1', 'a'], [2, 'b']]), 3) // 3
+ * ```
+ */
+const resolveSetPathKey = function (container, key) {
+  const resolvedKey = resolvePathKey(container, key)
+  if (typeof resolvedKey != 'number') {
+    return resolvedKey
+  }
+  if (resolvedKey < 0 && isArray(container)) {
+    throw new RangeError(`index ${key} out of range for array of length ${container.length}`)
+  }
+  if (_isStringKeyedMap(container) && !container.has(resolvedKey)) {
+    return String(resolvedKey)
+  }
+  return resolvedKey
+}
+
+module.exports = resolveSetPathKey
@@ -10,4 +10,4 @@ export = sameValueZero;
  * @description
  * Determine if two values are the same value. [SameValueZero](http://ecma-international.org/ecma-262/7.0/#sec-samevaluezero).
  */
-declare function sameValueZero(left: any, right: any): boolean;
+declare const sameValueZero: (left: any, right: any) => boolean;
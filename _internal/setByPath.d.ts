@@ -1,14 +0,0 @@
-export = setByPath;
-/**
- * @name setByPath
- *
- * @synopsis
- * ```coffeescript [specscript]
- * setByPath<
- *   obj any,
- *   value any,
- *   path string|number|Array<string|number>,
- * >(obj, value, path) -> obj any
- * ```
- */
-declare function setByPath(obj: any, value: any, path: any): any;
@@ -1,6 +1,46 @@
-const isArray = require('./isArray')
 const isObject = require('./isObject')
 const propertyPathToArray = require('./propertyPathToArray')
+const resolveSetPathKey = require('./resolveSetPathKey')
+const isWildcardPath = require('./isWildcardPath')
+const pathMatches = require('./pathMatches')
+const getPathEntry = require('./getPathEntry')
+const setPathEntry = require('./setPathEntry')
+const copyPathContainer = require('./copyPathContainer')
+const PathWriter = require('./PathWriter')
+const isPersistent = require('./isPersistent')
+
+/**
+ * @name _setByMatches
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _setByMatches(obj Object|Array|Map|Set, value any, pathArray Array<string|number|symbol>) -> result Object|Array|Map|Set
+ * ```
+ *
+ * @description
+ * Set the value at every match of a path with `*` or `**` segments, copying each container along the paths of the matches once.
+ */
+const _setByMatches = function (obj, value, pathArray) {
+  const pathWriter = PathWriter(obj)
+  for (const [matchPath] of pathMatches(obj, pathArray)) {
+    pathWriter.set(matchPath, value)
+  }
+  return pathWriter.result()
+}
+
+/**
+ * @name _setByPathWriter
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _setByPathWriter(obj Object|PersistentObject, value any, pathArray Array<string|number>) -> result Object|PersistentObject
+ * ```
+ */
+const _setByPathWriter = function (obj, value, pathArray) {
+  const pathWriter = PathWriter(obj)
+  pathWriter.set(pathArray, value)
+  return pathWriter.result()
+}
 
 /**
  * @name setByPath
@@ -13,6 +53,13 @@ const propertyPathToArray = require('./propertyPathToArray')
  *   path string|number|Array<string|number>,
  * >(obj, value, path) -> obj any
  * ```
+ *
+ * @description
+ * Copy each container along the path and set the value at the end of the path. Maps and Sets along the path are updated by [setPathEntry](/docs/setPathEntry), and copies of Maps, Sets and class instances keep their prototype, see [copyPathContainer](/docs/copyPathContainer). A missing or non-object value along the path is replaced by an array if the next segment of the path is an index, otherwise by an object. Negative indices count from the end of arrays.
+ *
+ * A [PersistentObject](/docs/PersistentObject) along the path is not copied, but replaced by the result of its `.set`, see [PathWriter](/docs/PathWriter).
+ *
+ * For a path with `*` or `**` segments, sets the value at every existing match of the path, see [pathMatches](/docs/pathMatches).
  */
 
 const setByPath = function (obj, value, path) {
@@ -20,20 +67,35 @@ const setByPath = function (obj, value, path) {
     return obj
   }
   const pathArray = propertyPathToArray(path)
+  if (isWildcardPath(pathArray)) {
+    return _setByMatches(obj, value, pathArray)
+  }
+  if (isPersistent(obj)) {
+    return _setByPathWriter(obj, value, pathArray)
+  }
   const pathLength = pathArray.length
   const lastIndex = pathLength - 1
-  const result = { ...obj }
+  const result = copyPathContainer(obj)
   let nested = result
   let index = -1
   while (++index < pathLength){
-    const pathKey = pathArray[index]
+    const pathKey = resolveSetPathKey(nested, pathArray[index])
     if (index == lastIndex){
-      nested[pathKey] = value
+      setPathEntry(nested, pathKey, value)
     } else {
-      const existingNextNested = nested[pathKey]
-      const nextNested = isArray(existingNextNested)
-        ? existingNextNested.slice() : { ...existingNextNested }
-      nested[pathKey] = nextNested
+      const existingNextNested = getPathEntry(nested, pathKey)
+      if (isPersistent(existingNextNested)) {
+        setPathEntry(
+          nested,
+          pathKey,
+          _setByPathWriter(existingNextNested, value, pathArray.slice(index + 1)),
+        )
+        return result
+      }
+      const nextNested = isObject(existingNextNested) ? copyPathContainer(existingNextNested)
+        : typeof pathArray[index + 1] == 'number' ? []
+        : {}
+      setPathEntry(nested, pathKey, nextNested)
       nested = nextNested
     }
   }
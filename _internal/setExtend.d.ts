@@ -1,12 +0,0 @@
-export = setExtend;
-/**
- * @name setExtend
- *
- * @synopsis
- * ```coffeescript [specscript]
- * setExtend(set, values Set|any) -> set
- * ```
- *
- * @related arrayExtend
- */
-declare function setExtend(set: any, values: any): any;
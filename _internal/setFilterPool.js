@@ -0,0 +1,24 @@
+const isPromise = require('./isPromise')
+const arrayFilterPool = require('./arrayFilterPool')
+
+/**
+ * @name setFilterPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * setFilterPool(set Set, concurrency number, predicate function) -> Promise|Set
+ * ```
+ *
+ * @description
+ * Test each item of a set with a predicate with limited concurrency, returning a set of the items that tested truthy.
+ */
+const setFilterPool = function (set, concurrency, predicate) {
+  const items = arrayFilterPool([...set], concurrency, function testItem(item) {
+    return predicate(item, item, set)
+  })
+  return isPromise(items)
+    ? items.then(items => new Set(items))
+    : new Set(items)
+}
+
+module.exports = setFilterPool
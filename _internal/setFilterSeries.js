@@ -0,0 +1,24 @@
+const isPromise = require('./isPromise')
+const arrayFilterSeries = require('./arrayFilterSeries')
+
+/**
+ * @name setFilterSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * setFilterSeries(set Set, predicate function) -> Promise|Set
+ * ```
+ *
+ * @description
+ * Test each item of a set in series with a predicate, returning a set of the items that tested truthy.
+ */
+const setFilterSeries = function (set, predicate) {
+  const items = arrayFilterSeries([...set], function testItem(item) {
+    return predicate(item, item, set)
+  })
+  return isPromise(items)
+    ? items.then(items => new Set(items))
+    : new Set(items)
+}
+
+module.exports = setFilterSeries
@@ -0,0 +1,35 @@
+const isPromise = require('./isPromise')
+const arrayMapPool = require('./arrayMapPool')
+const arrayFlatten = require('./arrayFlatten')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name _arrayFlattenToSet
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _arrayFlattenToSet(array Array<Array>) -> Set
+ * ```
+ */
+const _arrayFlattenToSet = array => new Set(arrayFlatten(array))
+
+/**
+ * @name setFlatMapPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * setFlatMapPool(set Set, concurrency number, flatMapper function) -> Promise|Set
+ * ```
+ *
+ * @description
+ * Apply a flatMapper with limited concurrency to each item of a set, flattening the result for each item fully, in the order of the items, into a new set.
+ */
+const setFlatMapPool = function (set, concurrency, flatMapper) {
+  const monadArray = arrayMapPool([...set], concurrency, flatMapperFlattening(
+    item => flatMapper(item, item, set), arrayFlatten))
+  return isPromise(monadArray)
+    ? monadArray.then(_arrayFlattenToSet)
+    : _arrayFlattenToSet(monadArray)
+}
+
+module.exports = setFlatMapPool
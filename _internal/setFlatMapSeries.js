@@ -0,0 +1,25 @@
+const isPromise = require('./isPromise')
+const setMapSeries = require('./setMapSeries')
+const setFlatten = require('./setFlatten')
+const arrayFlatten = require('./arrayFlatten')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name setFlatMapSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * setFlatMapSeries(set Set, flatMapper function) -> Promise|Set
+ * ```
+ *
+ * @description
+ * Apply a flatMapper in series to each item of a set, flattening the result for each item fully, in the order of the items, into a new set.
+ */
+const setFlatMapSeries = function (set, flatMapper) {
+  const monadSet = setMapSeries(set, flatMapperFlattening(flatMapper, arrayFlatten))
+  return isPromise(monadSet)
+    ? monadSet.then(setFlatten)
+    : setFlatten(monadSet)
+}
+
+module.exports = setFlatMapSeries
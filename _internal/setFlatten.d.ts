@@ -16,4 +16,4 @@ export = setFlatten;
  * ) -> flattened Set<T>
  * ```
  */
-declare function setFlatten(set: any): any;
+declare const setFlatten: (set: any) => Promise<Set<any>> | Set<any>;
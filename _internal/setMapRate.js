@@ -0,0 +1,24 @@
+const isPromise = require('./isPromise')
+const arrayMapRate = require('./arrayMapRate')
+
+/**
+ * @name setMapRate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * setMapRate(s Set, rate number, f function) -> Promise|Set
+ * ```
+ *
+ * @description
+ * Apply a function `f` to each item of a set `s`, dispatching at most `rate` calls per second, returning a set of results in the iteration order of `s`.
+ */
+const setMapRate = function (s, rate, f) {
+  const result = arrayMapRate([...s], rate, function mapItem(item) {
+    return f(item, item, s)
+  })
+  return isPromise(result)
+    ? result.then(result => new Set(result))
+    : new Set(result)
+}
+
+module.exports = setMapRate
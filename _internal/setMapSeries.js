@@ -1,4 +1,5 @@
 const isPromise = require('./isPromise')
+const __ = require('./placeholder')
 const curry2 = require('./curry2')
 const thunkify3 = require('./thunkify3')
 const setAdd = require('./setAdd')
@@ -0,0 +1,30 @@
+/**
+ * @name setPathEntry
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * setPathEntry(container Object|Array|Map|Set, key any, value any) -> ()
+ * ```
+ *
+ * @description
+ * Write one segment of a path in place, the counterpart of [getPathEntry](/docs/getPathEntry). A Map is written with `.set`. In a Set, the member `key` is replaced by `value` in the same position, or `value` is added if `key` is not a member. Any other container is written as a property.
+ */
+const setPathEntry = function (container, key, value) {
+  if (container instanceof Map) {
+    container.set(key, value)
+  } else if (container instanceof Set) {
+    if (container.has(key)) {
+      const members = [...container]
+      container.clear()
+      for (const member of members) {
+        container.add(member === key ? value : member)
+      }
+    } else {
+      container.add(value)
+    }
+  } else {
+    container[key] = value
+  }
+}
+
+module.exports = setPathEntry
@@ -0,0 +1,54 @@
+const isPromise = require('./isPromise')
+
+/**
+ * @name _settleFulfilled
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _settleFulfilled(value any) -> record { status: 'fulfilled', value: any }
+ * ```
+ */
+const _settleFulfilled = value => ({ status: 'fulfilled', value })
+
+/**
+ * @name _settleRejected
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _settleRejected(reason any) -> record { status: 'rejected', reason: any }
+ * ```
+ */
+const _settleRejected = reason => ({ status: 'rejected', reason })
+
+/**
+ * @name settle
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type SettledRecord = { status: 'fulfilled', value: any }
+ *   |{ status: 'rejected', reason: any }
+ *
+ * settle(
+ *   resolverOrValue function|Promise|any,
+ *   args Array,
+ * ) -> record Promise<SettledRecord>|SettledRecord
+ * ```
+ *
+ * @description
+ * Record the outcome of calling `resolverOrValue` with `args`, or of `resolverOrValue` itself if it is not a function, like `Promise.allSettled` records the outcome of a promise. A thrown error or a rejected promise is recorded rather than thrown, so the result never throws or rejects.
+ */
+const settle = function (resolverOrValue, args) {
+  let result = resolverOrValue
+  if (typeof resolverOrValue == 'function') {
+    try {
+      result = resolverOrValue(...args)
+    } catch (error) {
+      return _settleRejected(error)
+    }
+  }
+  return isPromise(result)
+    ? result.then(_settleFulfilled, _settleRejected)
+    : _settleFulfilled(result)
+}
+
+module.exports = settle
@@ -1,2 +0,0 @@
-export = sha256;
-declare function sha256(value: any): any;
@@ -1,10 +0,0 @@
-export = sleep;
-/**
- * @name sleep
- *
- * @synopsis
- * ```coffeescript [specscript]
- * sleep(time number) -> promiseThatResolvesAfterTime Promise
- * ```
- */
-declare function sleep(time: any): any;
@@ -11,4 +11,4 @@ export = spread2;
  * >(func) -> spreading2 ([arg0, arg1])=>func(arg0, arg1)
  * ```
  */
-declare function spread2(func: any): ([arg0, arg1]: [any, any]) => any;
+declare const spread2: (func: any) => ([arg0, arg1]: [any, any]) => any;
@@ -0,0 +1,29 @@
+const symbolReducerStart = require('./symbolReducerStart')
+const reducerStart = require('./reducerStart')
+const inheritCompletion = require('./inheritCompletion')
+
+/**
+ * @name statefulReducer
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * statefulReducer(
+ *   reducer Reducer,
+ *   downstreamReducer Reducer,
+ *   wrap (Reducer, gate Gate|undefined)=>Reducer,
+ * ) -> reducer
+ * ```
+ *
+ * @description
+ * [inheritCompletion](/docs/inheritCompletion) for a reducer that keeps state between items. The reducer starts each reducing operation, see [reducerStart](/docs/reducerStart), as `wrap` of a started reducer it reduces into, so that `wrap` creates the state of the reducer anew. A `gate` passed to the start is passed to `wrap` as well, and is applied to the started reducer.
+ */
+const statefulReducer = function (reducer, downstreamReducer, wrap) {
+  inheritCompletion(reducer, downstreamReducer)
+  reducer[symbolReducerStart] = function startStateful(gate) {
+    const startedReducer = wrap(reducerStart(downstreamReducer, gate), gate)
+    return typeof gate == 'function' ? gate(startedReducer) : startedReducer
+  }
+  return reducer
+}
+
+module.exports = statefulReducer
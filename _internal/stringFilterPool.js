@@ -0,0 +1,25 @@
+const isPromise = require('./isPromise')
+const curry3 = require('./curry3')
+const __ = require('./placeholder')
+const arrayFilterPool = require('./arrayFilterPool')
+const callPropUnary = require('./callPropUnary')
+
+/**
+ * @name stringFilterPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * stringFilterPool(string string, concurrency number, predicate function) -> Promise|string
+ * ```
+ *
+ * @description
+ * Test each character of a string with a predicate with limited concurrency, returning a string of the characters that tested truthy.
+ */
+const stringFilterPool = function (string, concurrency, predicate) {
+  const filteredCharactersArray = arrayFilterPool(string, concurrency, predicate)
+  return isPromise(filteredCharactersArray)
+    ? filteredCharactersArray.then(curry3(callPropUnary, __, 'join', ''))
+    : filteredCharactersArray.join('')
+}
+
+module.exports = stringFilterPool
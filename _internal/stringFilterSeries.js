@@ -0,0 +1,25 @@
+const isPromise = require('./isPromise')
+const curry3 = require('./curry3')
+const __ = require('./placeholder')
+const arrayFilterSeries = require('./arrayFilterSeries')
+const callPropUnary = require('./callPropUnary')
+
+/**
+ * @name stringFilterSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * stringFilterSeries(string string, predicate function) -> Promise|string
+ * ```
+ *
+ * @description
+ * Test each character of a string in series with a predicate, returning a string of the characters that tested truthy.
+ */
+const stringFilterSeries = function (string, predicate) {
+  const filteredCharactersArray = arrayFilterSeries(string, predicate)
+  return isPromise(filteredCharactersArray)
+    ? filteredCharactersArray.then(curry3(callPropUnary, __, 'join', ''))
+    : filteredCharactersArray.join('')
+}
+
+module.exports = stringFilterSeries
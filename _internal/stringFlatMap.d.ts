@@ -1,22 +0,0 @@
-export = stringFlatMap;
-/**
- * @name stringFlatMap
- *
- * @synopsis
- * ```coffeescript [specscript]
- * Stream<T> = { read: ()=>T, write: T=>() }
- * Monad<T> = Array<T>|String<T>|Set<T>
- *   |TypedArray<T>|Stream<T>|Iterator<Promise|T>
- *   |{ chain: T=>Monad<T> }|{ flatMap: T=>Monad<T> }|Object<T>
- * Reducer<T> = (any, T)=>Promise|any
- * Foldable<T> = Iterable<T>|AsyncIterable<T>|{ reduce: Reducer<T> }|Object<T>
- *
- * stringFlatMap<T>(
- *   string String<T>,
- *   flatMapper T=>Promise|Monad<T>|Foldable<T>|T,
- * ) -> Promise|String<T>
- * ```
- *
- * @related arrayFlatMap
- */
-declare function stringFlatMap(string: any, flatMapper: any): any;
@@ -0,0 +1,25 @@
+const isPromise = require('./isPromise')
+const arrayMapPool = require('./arrayMapPool')
+const arrayFlattenToString = require('./arrayFlattenToString')
+const arrayFlatten = require('./arrayFlatten')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name stringFlatMapPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * stringFlatMapPool(string string, concurrency number, flatMapper function) -> Promise|string
+ * ```
+ *
+ * @description
+ * Apply a flatMapper with limited concurrency to each character of a string, flattening the result for each item fully, in the order of the items, into a new string.
+ */
+const stringFlatMapPool = function (string, concurrency, flatMapper) {
+  const monadArray = arrayMapPool(string, concurrency, flatMapperFlattening(flatMapper, arrayFlatten))
+  return isPromise(monadArray)
+    ? monadArray.then(arrayFlattenToString)
+    : arrayFlattenToString(monadArray)
+}
+
+module.exports = stringFlatMapPool
@@ -0,0 +1,25 @@
+const isPromise = require('./isPromise')
+const arrayMapSeries = require('./arrayMapSeries')
+const arrayFlattenToString = require('./arrayFlattenToString')
+const arrayFlatten = require('./arrayFlatten')
+const flatMapperFlattening = require('./flatMapperFlattening')
+
+/**
+ * @name stringFlatMapSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * stringFlatMapSeries(string string, flatMapper function) -> Promise|string
+ * ```
+ *
+ * @description
+ * Apply a flatMapper in series to each character of a string, flattening the result for each item fully, in the order of the items, into a new string.
+ */
+const stringFlatMapSeries = function (string, flatMapper) {
+  const monadArray = arrayMapSeries(string, flatMapperFlattening(flatMapper, arrayFlatten))
+  return isPromise(monadArray)
+    ? monadArray.then(arrayFlattenToString)
+    : arrayFlattenToString(monadArray)
+}
+
+module.exports = stringFlatMapSeries
@@ -8,4 +8,4 @@ export = symbolAsyncIterator;
  * @description
  * Dereferenced `Symbol.asyncIterator`
  */
-declare const symbolAsyncIterator: any;
+declare const symbolAsyncIterator: symbol;
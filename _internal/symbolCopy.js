@@ -0,0 +1,12 @@
+/**
+ * @name symbolCopy
+ *
+ * @synopsis
+ * symbolCopy = Symbol.for('rubico.copy')
+ *
+ * @description
+ * The method of a class instance that returns a copy of the instance, for [set](/docs/set) and other operators that copy the containers along a path. Classes with private fields or other internal state define it, since a copy by own properties does not keep that state. The symbol is in the global symbol registry so that classes can define the method without importing rubico.
+ */
+const symbolCopy = Symbol.for('rubico.copy')
+
+module.exports = symbolCopy
@@ -8,4 +8,4 @@ export = symbolIterator;
  * @description
  * Dereferenced `Symbol.iterator`
  */
-declare const symbolIterator: any;
+declare const symbolIterator: symbol;
@@ -0,0 +1,12 @@
+/**
+ * @name symbolLens
+ *
+ * @synopsis
+ * symbolLens = Symbol.for('rubico.lens')
+ *
+ * @description
+ * The property that marks a lens made by [lens](/docs/lens). The symbol is in the global symbol registry so that a lens from one bundle is recognized by the operators of another.
+ */
+const symbolLens = Symbol.for('rubico.lens')
+
+module.exports = symbolLens
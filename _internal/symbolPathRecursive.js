@@ -0,0 +1,12 @@
+/**
+ * @name symbolPathRecursive
+ *
+ * @synopsis
+ * symbolPathRecursive = Symbol('**')
+ *
+ * @description
+ * The `**` segment of a path, which selects a value and every value nested in it through arrays, Maps and objects.
+ */
+const symbolPathRecursive = Symbol('**')
+
+module.exports = symbolPathRecursive
@@ -0,0 +1,12 @@
+/**
+ * @name symbolPathWildcard
+ *
+ * @synopsis
+ * symbolPathWildcard = Symbol('*')
+ *
+ * @description
+ * The `*` segment of a path, which selects every index of an array, key of a Map or own key of an object.
+ */
+const symbolPathWildcard = Symbol('*')
+
+module.exports = symbolPathWildcard
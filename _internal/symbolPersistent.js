@@ -0,0 +1,12 @@
+/**
+ * @name symbolPersistent
+ *
+ * @synopsis
+ * symbolPersistent = Symbol.for('rubico.persistent')
+ *
+ * @description
+ * The property that marks a [PersistentObject](/docs/PersistentObject). The symbol is in the global symbol registry so that a persistent object from one bundle is recognized by the operators of another.
+ */
+const symbolPersistent = Symbol.for('rubico.persistent')
+
+module.exports = symbolPersistent
@@ -0,0 +1,12 @@
+/**
+ * @name symbolReducerStart
+ *
+ * @synopsis
+ * symbolReducerStart = Symbol.for('rubico.reducerStart')
+ *
+ * @description
+ * The method of a reducer with state between items, e.g. a reducer of [Transducer.take](/docs/Transducer.take), that returns a new reducer with fresh state for one reducing operation, see [reducerStart](/docs/reducerStart). The symbol is in the global symbol registry so that reducers from different bundles of rubico start each other.
+ */
+const symbolReducerStart = Symbol.for('rubico.reducerStart')
+
+module.exports = symbolReducerStart
@@ -14,4 +14,4 @@ export = thunkConditional;
  * @description
  * Like the conditional operator `a ? b : c` but for thunks.
  */
-declare function thunkConditional(conditionalExpression: any, thunkOnTruthy: any, thunkOnFalsy: any): any;
+declare const thunkConditional: (conditionalExpression: any, thunkOnTruthy: any, thunkOnFalsy: any) => any;
@@ -13,4 +13,4 @@ export = thunkify1;
  * @description
  * Create a thunk from a function and one argument.
  */
-declare function thunkify1(func: any, arg0: any): () => any;
+declare const thunkify1: (func: any, arg0: any) => () => any;
@@ -14,4 +14,4 @@ export = thunkify2;
  * @description
  * Create a thunk from a function and two arguments.
  */
-declare function thunkify2(func: any, arg0: any, arg1: any): () => any;
+declare const thunkify2: (func: any, arg0: any, arg1: any) => () => any;
@@ -15,4 +15,4 @@ export = thunkify3;
  * @description
  * Create a thunk from a function and three arguments.
  */
-declare function thunkify3(func: any, arg0: any, arg1: any, arg2: any): () => any;
+declare const thunkify3: (func: any, arg0: any, arg1: any, arg2: any) => () => any;
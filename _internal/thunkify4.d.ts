@@ -16,4 +16,4 @@ export = thunkify4;
  * @description
  * Create a thunk from a function and four arguments.
  */
-declare function thunkify4(func: any, arg0: any, arg1: any, arg2: any, arg3: any): () => any;
+declare const thunkify4: (func: any, arg0: any, arg1: any, arg2: any, arg3: any) => () => any;
@@ -17,4 +17,4 @@ export = thunkify5;
  * @description
  * Create a thunk from a function and five arguments.
  */
-declare function thunkify5(func: any, arg0: any, arg1: any, arg2: any, arg3: any, arg4: any): () => any;
+declare const thunkify5: (func: any, arg0: any, arg1: any, arg2: any, arg3: any, arg4: any) => () => any;
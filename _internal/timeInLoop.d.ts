@@ -18,7 +18,7 @@ export = timeInLoop;
  *
  * Reference: https://gist.github.com/funfunction/91b5876a5f562e1e352aed0fcabc3858
  */
-declare function timeInLoop(description: any, loopCount: any, fn: any, options?: {}): {
+declare const timeInLoop: (description: any, loopCount: any, fn: any, options?: {}) => {
     description: any;
     loopCount: any;
     duration: number;
@@ -16,7 +16,7 @@ export = timeInLoopAsync;
  * timeInLoop.async('async hello', 1e6, async () => 'hello') // async hello: 1e+6: 116.006ms
  * ```
  */
-declare function timeInLoopAsync(description: any, loopCount: any, fn: any, options?: {}): Promise<{
+declare const timeInLoopAsync: (description: any, loopCount: any, fn: any, options?: {}) => Promise<{
     description: any;
     loopCount: any;
     duration: number;
@@ -0,0 +1,29 @@
+/**
+ * @name transferList
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * transferList(value any) -> Array<ArrayBuffer>
+ * ```
+ *
+ * @description
+ * The `ArrayBuffer` of a binary value that may be transferred rather than copied to another thread with `postMessage`. Typed arrays and Buffers are transferred only if they span their whole `ArrayBuffer`, so that small Buffers from the shared Buffer pool of Node.js are copied.
+ *
+ * This function is also serialized into the source of worker threads, so it must not reference any other module.
+ */
+const transferList = function (value) {
+  if (value instanceof ArrayBuffer) {
+    return [value]
+  }
+  if (
+    ArrayBuffer.isView(value)
+    && value.buffer instanceof ArrayBuffer
+    && value.byteOffset == 0
+    && value.byteLength == value.buffer.byteLength
+  ) {
+    return [value.buffer]
+  }
+  return []
+}
+
+module.exports = transferList
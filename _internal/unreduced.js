@@ -0,0 +1,16 @@
+const isReduced = require('./isReduced')
+
+/**
+ * @name unreduced
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * unreduced(value Reduced|any) -> any
+ * ```
+ *
+ * @description
+ * Get the accumulator wrapped by [reduced](/docs/reduced), or the value itself if it is not wrapped.
+ */
+const unreduced = value => isReduced(value) ? value['@@transducer/value'] : value
+
+module.exports = unreduced
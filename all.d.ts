@@ -1,100 +1,238 @@
-export = all;
+import {
+  AllResult, AllSettledResult, AnyFunction, ArgsAsyncness, AsyncResult, AwaitedArgs,
+  FirstFunctionArgs, GraphResolvers, GraphResult, GraphTask, HasFunction, ResolvedValues, SettledValues, ValuesAsyncness,
+} from './types'
+
+export = all
+
 /**
  * @name all
  *
  * @synopsis
  * ```coffeescript [specscript]
- * all(...args, funcsArray Array<function>) -> result Promise|Array
+ * all(values Promise|Array<Promise|any>) -> result Promise|Array
+ * all(values Promise|Object<Promise|any>) -> result Promise|Object
  *
- * all(funcsArray Array<function>)(...args) -> result Promise|Array
+ * all(...args, resolversOrValues Array<function|Promise|any>) -> result Promise|Array
+ * all(resolversOrValues Array<function|Promise|any>)(...args) -> result Promise|Array
  *
- * all(...args, funcsObject Object<function>) -> result Promise|Object
- *
- * all(funcsObject Object<function>)(...args) -> result Promise|Object
+ * all(...args, resolversOrValues Object<function|Promise|any>) -> result Promise|Object
+ * all(resolversOrValues Object<function|Promise|any>)(...args) -> result Promise|Object
  * ```
  *
  * @description
- * Function executor and composer. Accepts either an array of functions or an object of functions as the values. Calls each function of the provided array or object in parallel with the provided arguments. Returns either an array or object of the results of the function executions.
- *
- * ```javascript [playground]
- * const createArrayOfGreetingsFor = all([
- *   name => `Hi ${name}`,
- *   name => `Hey ${name}`,
- *   name => `Hello ${name}`,
- * ])
- *
- * const arrayOfGreetingsForFred = createArrayOfGreetingsFor('Fred')
- *
- * console.log(arrayOfGreetingsForFred)
- * // ['Hi Fred', 'Hey Fred', 'Hello Fred']
- *
- * const createObjectOfGreetingsFor = all({
- *   hi: name => `Hi ${name}`,
- *   hey: name => `Hey ${name}`,
- *   hello: name => `Hello ${name}`,
- * })
- *
- * const objectOfGreetingsForJane = createObjectOfGreetingsFor('Jane')
- *
- * console.log(objectOfGreetingsForJane)
- * // { hi: 'Hi Jane', hey: 'Hey Jane', hello: 'Hello Jane' }
- * ```
- *
- * `all` can simultaneously compose objects and handle promises.
- *
- * ```javascript [playground]
- * const identity = value => value
- *
- * const userbase = new Map()
- * userbase.set('1', { _id: 1, name: 'George' })
- *
- * const getUserByID = async id => userbase.get(id)
- *
- * const getAndLogUserById = pipe([
- *   all({
- *     id: identity,
- *     user: getUserByID,
- *   }),
- *   tap(({ id, user }) => {
- *     console.log(`Got user ${JSON.stringify(user)} by id ${id}`)
- *   }),
- * ])
- *
- * getAndLogUserById('1') // Got user {"_id":1,"name":"George"} by id 1
- * ```
- *
- * @execution concurrent
+ * Resolve an array or object of values, or call an array or object of functions with the same arguments and resolve their results into an array or object of the same shape.
  */
-declare function all(...args: any[]): any;
+declare function all<V extends readonly unknown[] | []>(
+  resolversOrValues: V,
+): HasFunction<V> extends true
+  ? (...args: FirstFunctionArgs<V>) => AllResult<V>
+  : AllResult<V>
+
+declare function all<V extends { readonly [key: string]: unknown }>(
+  resolversOrValues: V,
+): HasFunction<V> extends true
+  ? (...args: FirstFunctionArgs<V>) => AllResult<V>
+  : AllResult<V>
+
+declare function all<V extends readonly unknown[] | { readonly [key: string]: unknown }>(
+  values: Promise<V>,
+): Promise<ResolvedValues<V>>
+
+declare function all<
+  A extends [unknown, ...unknown[]],
+  V extends readonly ((...args: AwaitedArgs<A>) => unknown)[] | [],
+>(...args: [...A, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, ResolvedValues<V>>
+
+declare function all<
+  A extends [unknown, ...unknown[]],
+  V extends { readonly [key: string]: (...args: AwaitedArgs<A>) => unknown },
+>(...args: [...A, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, ResolvedValues<V>>
+
 declare namespace all {
+  /**
+   * @name all.series
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * all.series(...args, funcsArray Array<function>) -> result Promise|Array
+   *
+   * all.series(funcsArray Array<function>)(...args) -> result Promise|Array
+   * ```
+   */
+  function series<V extends readonly AnyFunction[] | []>(
+    funcs: V,
+  ): (...args: FirstFunctionArgs<V>) => AllResult<V>
+
+  function series<
+    A extends [unknown, ...unknown[]],
+    V extends readonly ((...args: AwaitedArgs<A>) => unknown)[] | [],
+  >(...args: [...A, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, ResolvedValues<V>>
+
+  /**
+   * @name all.pool
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * all.pool(...args, concurrency number, resolversOrValues Array<function|Promise|any>)
+   *   -> result Promise|Array
+   * all.pool(concurrency number, resolversOrValues Array<function|Promise|any>)(...args)
+   *   -> result Promise|Array
+   *
+   * all.pool(...args, concurrency number, resolversOrValues Object<function|Promise|any>)
+   *   -> result Promise|Object
+   * all.pool(concurrency number, resolversOrValues Object<function|Promise|any>)(...args)
+   *   -> result Promise|Object
+   * ```
+   *
+   * @description
+   * [all](/docs/all) with at most `concurrency` resolver functions running at a time.
+   */
+  function pool<V extends readonly unknown[] | []>(
+    concurrency: number,
+    resolversOrValues: V,
+  ): (...args: FirstFunctionArgs<V>) => AllResult<V>
+
+  function pool<V extends { readonly [key: string]: unknown }>(
+    concurrency: number,
+    resolversOrValues: V,
+  ): (...args: FirstFunctionArgs<V>) => AllResult<V>
+
+  function pool<
+    A extends [unknown, ...unknown[]],
+    V extends readonly ((...args: AwaitedArgs<A>) => unknown)[] | [],
+  >(...args: [...A, number, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, ResolvedValues<V>>
+
+  function pool<
+    A extends [unknown, ...unknown[]],
+    V extends { readonly [key: string]: (...args: AwaitedArgs<A>) => unknown },
+  >(...args: [...A, number, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, ResolvedValues<V>>
+
+  /**
+   * @name all.graph
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Task = (...dependencyResults, ...args)=>Promise|any
+   *   |[dependencies Array<string>, (...dependencyResults, ...args)=>Promise|any]
+   *
+   * all.graph(...args, tasks Object<Task>) -> result Promise|Object
+   *
+   * all.graph(tasks Object<Task>)(...args) -> result Promise|Object
+   * ```
+   *
+   * @description
+   * Run an object of named tasks, starting each task as soon as the tasks it depends on resolve. Throws a TypeError for an unknown dependency or a cycle of dependencies.
+   */
+  function graph<T extends { readonly [key: string]: GraphTask }>(
+    tasks: T,
+  ): (...args: any[]) => GraphResult<T>
+
+  function graph<
+    A extends [unknown, ...unknown[]],
+    T extends { readonly [key: string]: GraphTask },
+  >(...args: [...A, T]): AsyncResult<
+    ArgsAsyncness<A> | ValuesAsyncness<GraphResolvers<T>>,
+    ResolvedValues<GraphResolvers<T>>
+  >
+
+  /**
+   * @name all.settled
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type SettledRecord = { status: 'fulfilled', value: any }|{ status: 'rejected', reason: any }
+   *
+   * all.settled(values Promise|Array<Promise|any>) -> result Promise|Array<SettledRecord>
+   * all.settled(values Promise|Object<Promise|any>) -> result Promise|Object<SettledRecord>
+   *
+   * all.settled(...args, resolversOrValues Array<function|Promise|any>)
+   *   -> result Promise|Array<SettledRecord>
+   * all.settled(resolversOrValues Array<function|Promise|any>)(...args)
+   *   -> result Promise|Array<SettledRecord>
+   *
+   * all.settled(...args, resolversOrValues Object<function|Promise|any>)
+   *   -> result Promise|Object<SettledRecord>
+   * all.settled(resolversOrValues Object<function|Promise|any>)(...args)
+   *   -> result Promise|Object<SettledRecord>
+   * ```
+   *
+   * @description
+   * [all](/docs/all) that records the outcome of each resolver function or value like `Promise.allSettled` rather than rejecting on the first error.
+   */
+  function settled<V extends readonly unknown[] | []>(
+    resolversOrValues: V,
+  ): HasFunction<V> extends true
+    ? (...args: FirstFunctionArgs<V>) => AllSettledResult<V>
+    : AllSettledResult<V>
+
+  function settled<V extends { readonly [key: string]: unknown }>(
+    resolversOrValues: V,
+  ): HasFunction<V> extends true
+    ? (...args: FirstFunctionArgs<V>) => AllSettledResult<V>
+    : AllSettledResult<V>
+
+  function settled<V extends readonly unknown[] | { readonly [key: string]: unknown }>(
+    values: Promise<V>,
+  ): Promise<SettledValues<V>>
+
+  function settled<
+    A extends [unknown, ...unknown[]],
+    V extends readonly ((...args: AwaitedArgs<A>) => unknown)[] | [],
+  >(...args: [...A, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, SettledValues<V>>
+
+  function settled<
+    A extends [unknown, ...unknown[]],
+    V extends { readonly [key: string]: (...args: AwaitedArgs<A>) => unknown },
+  >(...args: [...A, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, SettledValues<V>>
+
+  namespace settled {
     /**
-     * @name all.series
+     * @name all.settled.aggregate
      *
      * @synopsis
      * ```coffeescript [specscript]
-     * all.series(...args, funcsArray Array<function>) -> result Promise|Array
+     * all.settled.aggregate(values Promise|Array<Promise|any>) -> result Promise|Array
+     * all.settled.aggregate(values Promise|Object<Promise|any>) -> result Promise|Object
      *
-     * all.series(funcsArray Array<function>)(...args) -> result Promise|Array
-     * ```
-     *
-     * @description
-     * `all` with serial execution.
+     * all.settled.aggregate(...args, resolversOrValues Array<function|Promise|any>)
+     *   -> result Promise|Array
+     * all.settled.aggregate(resolversOrValues Array<function|Promise|any>)(...args)
+     *   -> result Promise|Array
      *
-     * ```javascript [playground]
-     * const sleep = ms => () => new Promise(resolve => setTimeout(resolve, ms))
-     *
-     * all.series([
-     *   greeting => console.log(greeting + ' world'),
-     *   sleep(1000),
-     *   greeting => console.log(greeting + ' mom'),
-     *   sleep(1000),
-     *   greeting => console.log(greeting + ' goodbye'),
-     * ])('hello') // hello world
-     *             // hello mom
-     *             // hello goodbye
+     * all.settled.aggregate(...args, resolversOrValues Object<function|Promise|any>)
+     *   -> result Promise|Object
+     * all.settled.aggregate(resolversOrValues Object<function|Promise|any>)(...args)
+     *   -> result Promise|Object
      * ```
      *
-     * @execution series
+     * @description
+     * [all](/docs/all) that throws or rejects with an `AggregateError` of every error, with the index or key of each error in its `keys`.
      */
-    function series(...args: any[]): any;
+    function aggregate<V extends readonly unknown[] | []>(
+      resolversOrValues: V,
+    ): HasFunction<V> extends true
+      ? (...args: FirstFunctionArgs<V>) => AllResult<V>
+      : AllResult<V>
+
+    function aggregate<V extends { readonly [key: string]: unknown }>(
+      resolversOrValues: V,
+    ): HasFunction<V> extends true
+      ? (...args: FirstFunctionArgs<V>) => AllResult<V>
+      : AllResult<V>
+
+    function aggregate<V extends readonly unknown[] | { readonly [key: string]: unknown }>(
+      values: Promise<V>,
+    ): Promise<ResolvedValues<V>>
+
+    function aggregate<
+      A extends [unknown, ...unknown[]],
+      V extends readonly ((...args: AwaitedArgs<A>) => unknown)[] | [],
+    >(...args: [...A, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, ResolvedValues<V>>
+
+    function aggregate<
+      A extends [unknown, ...unknown[]],
+      V extends { readonly [key: string]: (...args: AwaitedArgs<A>) => unknown },
+    >(...args: [...A, V]): AsyncResult<ArgsAsyncness<A> | ValuesAsyncness<V>, ResolvedValues<V>>
+  }
 }
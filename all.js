@@ -6,10 +6,19 @@ const promiseObjectAll = require('./_internal/promiseObjectAll')
 const isArray = require('./_internal/isArray')
 const __ = require('./_internal/placeholder')
 const curry2 = require('./_internal/curry2')
+const curry3 = require('./_internal/curry3')
 const curryArgs2 = require('./_internal/curryArgs2')
+const curryArgs3 = require('./_internal/curryArgs3')
 const functionArrayAll = require('./_internal/functionArrayAll')
 const functionArrayAllSeries = require('./_internal/functionArrayAllSeries')
 const functionObjectAll = require('./_internal/functionObjectAll')
+const functionObjectAllGraph = require('./_internal/functionObjectAllGraph')
+const arrayMap = require('./_internal/arrayMap')
+const objectMap = require('./_internal/objectMap')
+const arrayMapPool = require('./_internal/arrayMapPool')
+const objectMapPool = require('./_internal/objectMapPool')
+const settle = require('./_internal/settle')
+const SettledAggregator = require('./_internal/SettledAggregator')
 
 /**
  * @name _allValues
@@ -214,4 +223,378 @@ all.series = function allSeries(...args) {
   return functionArrayAllSeries(funcs, args)
 }
 
+/**
+ * @name _allResolve
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _allResolve(resolverOrValue function|Promise|any, args Array) -> Promise|any
+ * ```
+ */
+const _allResolve = function (resolverOrValue, args) {
+  return typeof resolverOrValue == 'function'
+    ? resolverOrValue(...args)
+    : resolverOrValue
+}
+
+/**
+ * @name _allPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _allPool(
+ *   concurrency number,
+ *   resolversOrValues Array<function|Promise|any>,
+ *   args Array,
+ * ) -> result Promise|Array
+ *
+ * _allPool(
+ *   concurrency number,
+ *   resolversOrValues Object<function|Promise|any>,
+ *   args Array,
+ * ) -> result Promise|Object
+ * ```
+ */
+const _allPool = function (concurrency, resolversOrValues, args) {
+  return isArray(resolversOrValues)
+    ? arrayMapPool(resolversOrValues, concurrency, curry2(_allResolve, __, args))
+    : objectMapPool(resolversOrValues, concurrency, curry2(_allResolve, __, args))
+}
+
+/**
+ * @name all.pool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * all.pool(
+ *   ...args,
+ *   concurrency number,
+ *   resolversOrValues Array<function|Promise|any>,
+ * ) -> result Promise|Array
+ *
+ * all.pool(
+ *   concurrency number,
+ *   resolversOrValues Array<function|Promise|any>,
+ * )(...args) -> result Promise|Array
+ *
+ * all.pool(
+ *   ...args,
+ *   concurrency number,
+ *   resolversOrValues Object<function|Promise|any>,
+ * ) -> result Promise|Object
+ *
+ * all.pool(
+ *   concurrency number,
+ *   resolversOrValues Object<function|Promise|any>,
+ * )(...args) -> result Promise|Object
+ * ```
+ *
+ * @description
+ * [all](/docs/all) with at most `concurrency` resolver functions running at a time. `all.pool` calls the resolver functions in the order of `resolversOrValues`, and calls the next one whenever a running one resolves.
+ *
+ * ```javascript [playground]
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const fetchUser = id => async () => {
+ *   console.log('fetching', id)
+ *   await sleep(100)
+ *   return { id }
+ * }
+ *
+ * all.pool(2, [
+ *   fetchUser(1),
+ *   fetchUser(2),
+ *   fetchUser(3),
+ * ])().then(console.log)
+ * // fetching 1
+ * // fetching 2
+ * // fetching 3 after about 100ms
+ * // [{ id: 1 }, { id: 2 }, { id: 3 }] after about 200ms
+ * ```
+ *
+ * The results are returned in an array or object of the same shape as `resolversOrValues`. A concurrency of `1` is like [all.series](/docs/all.series), and a concurrency of `Infinity` is like `all`. Values, which are not functions, are set on the result as they are.
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * @execution concurrent
+ */
+all.pool = function allPool(...args) {
+  const resolversOrValues = args.pop()
+  const concurrency = args.pop()
+  if (args.length == 0) {
+    return curryArgs3(_allPool, concurrency, resolversOrValues, __)
+  }
+  if (areAnyValuesPromises(args)) {
+    return promiseAll(args)
+      .then(curry3(_allPool, concurrency, resolversOrValues, __))
+  }
+  return _allPool(concurrency, resolversOrValues, args)
+}
+
+/**
+ * @name all.graph
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Task = (...dependencyResults, ...args)=>Promise|any
+ *   |[dependencies Array<string>, (...dependencyResults, ...args)=>Promise|any]
+ *
+ * all.graph(...args, tasks Object<Task>) -> result Promise|Object
+ *
+ * all.graph(tasks Object<Task>)(...args) -> result Promise|Object
+ * ```
+ *
+ * @description
+ * Run an object of named tasks that depend on each other. A task is a function, or an array of the names of the tasks it depends on and a function. `all.graph` starts each task as soon as the tasks it depends on resolve, calling its function with their results in the order of its dependencies, followed by the arguments `args`. Tasks without dependencies start at once.
+ *
+ * ```javascript [playground]
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const deploy = all.graph({
+ *   build: async version => {
+ *     await sleep(100)
+ *     return `app-${version}.tar.gz`
+ *   },
+ *   database: async () => {
+ *     await sleep(50)
+ *     return 'db migrated'
+ *   },
+ *   upload: [['build'], async artifact => `uploaded ${artifact}`],
+ *   release: [['upload', 'database'], (upload, database, version) => `released ${version}`],
+ * })
+ *
+ * deploy('1.0.0').then(console.log)
+ * // {
+ * //   build: 'app-1.0.0.tar.gz',
+ * //   database: 'db migrated',
+ * //   upload: 'uploaded app-1.0.0.tar.gz',
+ * //   release: 'released 1.0.0',
+ * // }
+ * ```
+ *
+ * The results of the tasks are returned in an object with the same keys as `tasks`. The result is a promise if any task returns a promise. If a task throws or rejects, `all.graph` throws or rejects with the error and starts no more tasks.
+ *
+ * Before any task runs, `all.graph` throws a TypeError if a task depends on a task that does not exist, or if the dependencies of tasks form a cycle.
+ *
+ * ```javascript [playground]
+ * try {
+ *   all.graph({
+ *     a: [['c'], c => c],
+ *     b: [['a'], a => a],
+ *     c: [['b'], b => b],
+ *   })()
+ * } catch (error) {
+ *   console.log(error) // TypeError: cycle of dependencies a -> c -> b -> a
+ * }
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * @execution concurrent
+ */
+all.graph = function allGraph(...args) {
+  const tasks = args.pop()
+  if (args.length == 0) {
+    return curryArgs2(functionObjectAllGraph, tasks, __)
+  }
+  if (areAnyValuesPromises(args)) {
+    return promiseAll(args).then(curry2(functionObjectAllGraph, tasks, __))
+  }
+  return functionObjectAllGraph(tasks, args)
+}
+
+/**
+ * @name _allSettled
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _allSettled(
+ *   resolversOrValues Array<function|Promise|any>,
+ *   args Array,
+ * ) -> result Promise|Array<SettledRecord>
+ *
+ * _allSettled(
+ *   resolversOrValues Object<function|Promise|any>,
+ *   args Array,
+ * ) -> result Promise|Object<SettledRecord>
+ * ```
+ */
+const _allSettled = function (resolversOrValues, args) {
+  return isArray(resolversOrValues)
+    ? arrayMap(resolversOrValues, curry2(settle, __, args))
+    : objectMap(resolversOrValues, curry2(settle, __, args))
+}
+
+/**
+ * @name _allSettledAggregate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _allSettledAggregate(
+ *   resolversOrValues Array<function|Promise|any>,
+ *   args Array,
+ * ) -> result Promise|Array
+ *
+ * _allSettledAggregate(
+ *   resolversOrValues Object<function|Promise|any>,
+ *   args Array,
+ * ) -> result Promise|Object
+ * ```
+ */
+const _allSettledAggregate = function (resolversOrValues, args) {
+  const aggregator = SettledAggregator()
+  const aggregatingResolver = function (resolverOrValue, indexOrKey) {
+    return aggregator.settle(resolverOrValue, args, indexOrKey)
+  }
+  return aggregator.check(isArray(resolversOrValues)
+    ? arrayMap(resolversOrValues, aggregatingResolver)
+    : objectMap(resolversOrValues, aggregatingResolver))
+}
+
+/**
+ * @name _allSettledArgs
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _allSettledArgs(
+ *   f (resolversOrValues Array|Object, args Array)=>Promise|Array|Object,
+ *   args [...args, resolversOrValues Promise|Array|Object],
+ * ) -> result Promise|Array|Object|function
+ * ```
+ *
+ * @description
+ * Resolve the arguments of `all.settled` or `all.settled.aggregate` like [all](/docs/all).
+ */
+const _allSettledArgs = function (f, args) {
+  const resolversOrValues = args.pop()
+  if (args.length == 0) {
+    if (isPromise(resolversOrValues)) {
+      return resolversOrValues.then(curry2(f, __, []))
+    }
+    return areAllValuesNonfunctions(resolversOrValues)
+      ? f(resolversOrValues, [])
+      : curryArgs2(f, resolversOrValues, __)
+  }
+  if (areAnyValuesPromises(args)) {
+    return promiseAll(args).then(curry2(f, resolversOrValues, __))
+  }
+  return f(resolversOrValues, args)
+}
+
+/**
+ * @name all.settled
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type SettledRecord = { status: 'fulfilled', value: any }
+ *   |{ status: 'rejected', reason: any }
+ *
+ * all.settled(values Promise|Array<Promise|any>) -> result Promise|Array<SettledRecord>
+ * all.settled(values Promise|Object<Promise|any>) -> result Promise|Object<SettledRecord>
+ *
+ * all.settled(
+ *   ...args,
+ *   resolversOrValues Array<function|Promise|any>
+ * ) -> result Promise|Array<SettledRecord>
+ *
+ * all.settled(
+ *   resolversOrValues Array<function|Promise|any>
+ * )(...args) -> result Promise|Array<SettledRecord>
+ *
+ * all.settled(
+ *   ...args,
+ *   resolversOrValues Object<function|Promise|any>
+ * ) -> result Promise|Object<SettledRecord>
+ *
+ * all.settled(
+ *   resolversOrValues Object<function|Promise|any>
+ * )(...args) -> result Promise|Object<SettledRecord>
+ * ```
+ *
+ * @description
+ * [all](/docs/all) that does not stop at the first error. `all.settled` records the outcome of each resolver function or value like `Promise.allSettled`: `{ status: 'fulfilled', value }` if the function returns or resolves or the value resolves, or `{ status: 'rejected', reason }` if the function throws or rejects or the value rejects. The records are returned in an array or object of the same shape as `resolversOrValues`.
+ *
+ * ```javascript [playground]
+ * all.settled({
+ *   a: Promise.resolve(1),
+ *   b: Promise.reject(new Error('b failed')),
+ *   c: Promise.resolve(3),
+ * }).then(console.log)
+ * // {
+ * //   a: { status: 'fulfilled', value: 1 },
+ * //   b: { status: 'rejected', reason: Error: b failed },
+ * //   c: { status: 'fulfilled', value: 3 },
+ * // }
+ *
+ * const results = all.settled([
+ *   id => `user ${id}`,
+ *   id => {
+ *     throw new Error(`no posts for ${id}`)
+ *   },
+ * ])('1')
+ *
+ * console.log(results)
+ * // [
+ * //   { status: 'fulfilled', value: 'user 1' },
+ * //   { status: 'rejected', reason: Error: no posts for 1 },
+ * // ]
+ * ```
+ *
+ * The result is never a rejected promise, except when a promise passed in argument position rejects.
+ *
+ * See [all.settled.aggregate](/docs/all.settled.aggregate) to throw every error at once.
+ *
+ * @execution concurrent
+ */
+all.settled = function allSettled(...args) {
+  return _allSettledArgs(_allSettled, args)
+}
+
+/**
+ * @name all.settled.aggregate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * all.settled.aggregate(values Promise|Array<Promise|any>) -> result Promise|Array
+ * all.settled.aggregate(values Promise|Object<Promise|any>) -> result Promise|Object
+ *
+ * all.settled.aggregate(
+ *   ...args,
+ *   resolversOrValues Array<function|Promise|any>
+ * ) -> result Promise|Array
+ *
+ * all.settled.aggregate(
+ *   resolversOrValues Array<function|Promise|any>
+ * )(...args) -> result Promise|Array
+ *
+ * all.settled.aggregate(
+ *   ...args,
+ *   resolversOrValues Object<function|Promise|any>
+ * ) -> result Promise|Object
+ *
+ * all.settled.aggregate(
+ *   resolversOrValues Object<function|Promise|any>
+ * )(...args) -> result Promise|Object
+ * ```
+ *
+ * @description
+ * [all](/docs/all) that reports every error rather than only the first. If every resolver function or value succeeds, `all.settled.aggregate` returns the same result as `all`. Otherwise, it waits for every resolver function or value to settle, then throws or rejects with one [AggregateError](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/AggregateError) of the errors in the order of `resolversOrValues`. The `keys` of the `AggregateError` are the index or key of each error.
+ *
+ * ```javascript [playground]
+ * all.settled.aggregate({
+ *   a: Promise.resolve(1),
+ *   b: Promise.reject(new Error('b failed')),
+ *   c: Promise.reject(new Error('c failed')),
+ * }).catch(error => {
+ *   console.log(error.message) // 2 failed - b: b failed; c: c failed
+ *   console.log(error.keys) // ['b', 'c']
+ * })
+ * ```
+ *
+ * @execution concurrent
+ */
+all.settled.aggregate = function allSettledAggregate(...args) {
+  return _allSettledArgs(_allSettledAggregate, args)
+}
+
 module.exports = all
@@ -1,2 +1,14 @@
-export = always;
-import always = require("./_internal/always");
+export = always
+
+/**
+ * @name always
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * always(value any) -> getter ()=>value
+ * ```
+ *
+ * @description
+ * Create a function that always returns a value.
+ */
+declare function always<T>(value: T): () => T
@@ -1,4 +1,10 @@
-export = and;
+import {
+  ArgsAsyncness, AsyncResult, AwaitedArgs, FirstFunctionArgs, HasFunction,
+  LogicalResult, PredicatesOrValues, ShortCircuitAsyncness,
+} from './types'
+
+export = and
+
 /**
  * @name and
  *
@@ -12,34 +18,14 @@ export = and;
  * ```
  *
  * @description
- * Tests an array of boolean values, returning true if all boolean values are truthy.
- *
- * ```javascript [playground]
- * const oneIsLessThanThree = 1 < 3
- * const twoIsGreaterThanOne = 2 > 1
- * const threeIsEqualToThree = 3 === 3
- *
- * console.log(
- *   and([oneIsLessThanThree, twoIsGreaterThanOne, threeIsEqualToThree]),
- * ) // true
- * ```
- *
- * If any values in the array are synchronous or asynchronous predicate functions, `and` takes another argument to test concurrently against the predicate functions, returning true if all array values and resolved values from the predicates are truthy.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * const isPositive = number => number > 0
- *
- * const isLessThan3 = number => number < 3
- *
- * console.log(
- *   and([isOdd, isPositive, isLessThan3])(1),
- * ) // true
- * ```
- *
- * @execution series
- *
- * @note ...args slows down here by an order of magnitude
+ * Test an array of predicates or values, returning true if all test truthy. Predicates are called with the same arguments and stop at the first falsy result.
  */
-declare function and(...args: any[]): any;
+declare function and<V extends readonly unknown[] | []>(
+  predicatesOrValues: V,
+): HasFunction<V> extends true
+  ? (...args: FirstFunctionArgs<V>) => LogicalResult<V>
+  : LogicalResult<V>
+
+declare function and<A extends [unknown, ...unknown[]], V extends PredicatesOrValues<AwaitedArgs<A>>>(
+  ...args: [...A, V]
+): AsyncResult<ArgsAsyncness<A> | ShortCircuitAsyncness<V>, boolean>
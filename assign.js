@@ -1,16 +1,27 @@
 const isPromise = require('./_internal/isPromise')
-const objectAssign = require('./_internal/objectAssign')
 const __ = require('./_internal/placeholder')
 const curry2 = require('./_internal/curry2')
-const curry3 = require('./_internal/curry3')
 const functionObjectAll = require('./_internal/functionObjectAll')
+const isPersistent = require('./_internal/isPersistent')
 
-// _assign(object Object, funcs Object<function>) -> Promise|Object
+// _assignValues(object Object|PersistentObject, values Object) -> Object|PersistentObject
+const _assignValues = function (object, values) {
+  if (isPersistent(object)) {
+    let result = object
+    for (const key in values) {
+      result = result.set(key, values[key])
+    }
+    return result
+  }
+  return { ...object, ...values }
+}
+
+// _assign(object Object|PersistentObject, funcs Object<function>) -> Promise|Object|PersistentObject
 const _assign = function (object, funcs) {
   const result = functionObjectAll(funcs, [object])
   return isPromise(result)
-    ? result.then(curry3(objectAssign, {}, object, __))
-    : ({ ...object, ...result })
+    ? result.then(curry2(_assignValues, object, __))
+    : _assignValues(object, result)
 }
 
 /**
@@ -71,6 +82,8 @@ const _assign = function (object, funcs) {
  * }).then(console.log) // { a: 1, b: 2, c: 3, d: 0 }
  * ```
  *
+ * If the argument object is a persistent object created by [persistent](/docs/persistent), the resolved values are set with `.set` on a new persistent object, and the resolvers are provided the persistent object.
+ *
  * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
  *
  * ```javascript [playground]
@@ -0,0 +1,77 @@
+const TimeInLoopSuite = require('../_internal/TimeInLoopSuite')
+const persistent = require('../x/persistent')
+const get = require('../get')
+const set = require('../set')
+const omit = require('../omit')
+const assign = require('../assign')
+
+// a state of 1000 users with 10 fields each
+const plainState = { users: {}, settings: { theme: 'dark' } }
+for (let i = 0; i < 1000; i++) {
+  const user = {}
+  for (let j = 0; j < 10; j++) {
+    user[`field${j}`] = j
+  }
+  plainState.users[`user${i}`] = user
+}
+
+const persistentState = persistent(plainState)
+
+const suite = new TimeInLoopSuite({ loopCount: 1e2 })
+
+suite.add('rubico get plain', () => {
+  get(plainState, 'users.user500.field5')
+})
+
+suite.add('rubico get persistent', () => {
+  get(persistentState, 'users.user500.field5')
+})
+
+suite.add('rubico set plain', () => {
+  set(plainState, 'users.user500.field5', 10)
+})
+
+suite.add('rubico set persistent', () => {
+  set(persistentState, 'users.user500.field5', 10)
+})
+
+suite.add('rubico set 10 updates plain', () => {
+  let state = plainState
+  for (let i = 0; i < 10; i++) {
+    state = set(state, `users.user${i}.field0`, i)
+  }
+})
+
+suite.add('rubico set 10 updates persistent', () => {
+  let state = persistentState
+  for (let i = 0; i < 10; i++) {
+    state = set(state, `users.user${i}.field0`, i)
+  }
+})
+
+suite.add('rubico omit plain', () => {
+  omit(plainState, ['users.user500'])
+})
+
+suite.add('rubico omit persistent', () => {
+  omit(persistentState, ['users.user500'])
+})
+
+suite.add('rubico assign plain', () => {
+  assign(plainState.users, { user1000: { field0: 0 } })
+})
+
+suite.add('rubico assign persistent', () => {
+  assign(persistentState.get('users'), { user1000: { field0: 0 } })
+})
+
+suite.add('persistent.toJSON', () => {
+  persistent.toJSON(persistentState)
+})
+
+if (process.argv[1] == __filename) {
+  suite.on('caseBestRun', run => console.log(run.output))
+  suite.run()
+}
+
+module.exports = suite
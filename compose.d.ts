@@ -1,4 +1,9 @@
-export = compose;
+import {
+  ArgsAsyncness, AsyncResult, Asyncness, AwaitedArgs, LongFunctionArray,
+} from './types'
+
+export = compose
+
 /**
  * @name compose
  *
@@ -10,16 +15,178 @@ export = compose;
  * ```
  *
  * @description
- * Creates a function composition from an array of functions, where each function passes its return value as a single argument to the previous function until all functions have executed. The last function is called with the arguments to the composition, while the result of a function composition is the return value of its first function. If any function of the composition is asynchronous, the result of the execution is a Promise. `compose` is effectively `pipe` in reverse.
- *
- * ```javascript [playground]
- * const f = number => number * 2
- *
- * const g = number => number + 3
- *
- * console.log(
- *   compose(5, [f, g]),
- * ) // 16
- * ```
+ * [pipe](/docs/pipe) with the functions in reverse order. Compositions of up to ten functions are typed step by step; longer compositions fall back to `any`.
  */
-declare function compose(...args: any[]): any;
+declare function compose<A extends unknown[], R1>(funcs: [
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1>, Awaited<R1>>
+
+declare function compose<A extends unknown[], R1, R2>(funcs: [
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2>, Awaited<R2>>
+
+declare function compose<A extends unknown[], R1, R2, R3>(funcs: [
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3>, Awaited<R3>>
+
+declare function compose<A extends unknown[], R1, R2, R3, R4>(funcs: [
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4>, Awaited<R4>>
+
+declare function compose<A extends unknown[], R1, R2, R3, R4, R5>(funcs: [
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5>, Awaited<R5>>
+
+declare function compose<A extends unknown[], R1, R2, R3, R4, R5, R6>(funcs: [
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6>, Awaited<R6>>
+
+declare function compose<A extends unknown[], R1, R2, R3, R4, R5, R6, R7>(funcs: [
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7>, Awaited<R7>>
+
+declare function compose<A extends unknown[], R1, R2, R3, R4, R5, R6, R7, R8>(funcs: [
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8>, Awaited<R8>>
+
+declare function compose<A extends unknown[], R1, R2, R3, R4, R5, R6, R7, R8, R9>(funcs: [
+  (value: Awaited<R8>) => R9,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9>, Awaited<R9>>
+
+declare function compose<A extends unknown[], R1, R2, R3, R4, R5, R6, R7, R8, R9, R10>(funcs: [
+  (value: Awaited<R9>) => R10,
+  (value: Awaited<R8>) => R9,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9> | Asyncness<R10>, Awaited<R10>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1>, Awaited<R1>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2>(...args: [...A, [
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2>, Awaited<R2>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3>(...args: [...A, [
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3>, Awaited<R3>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3, R4>(...args: [...A, [
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4>, Awaited<R4>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5>(...args: [...A, [
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5>, Awaited<R5>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6>(...args: [...A, [
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6>, Awaited<R6>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7>(...args: [...A, [
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7>, Awaited<R7>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7, R8>(...args: [...A, [
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8>, Awaited<R8>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7, R8, R9>(...args: [...A, [
+  (value: Awaited<R8>) => R9,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9>, Awaited<R9>>
+
+declare function compose<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7, R8, R9, R10>(...args: [...A, [
+  (value: Awaited<R9>) => R10,
+  (value: Awaited<R8>) => R9,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R1>) => R2,
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9> | Asyncness<R10>, Awaited<R10>>
+
+declare function compose(funcs: LongFunctionArray): (...args: any[]) => any
+
+declare function compose(...args: [...unknown[], LongFunctionArray]): any
@@ -27,7 +27,14 @@ const distTest = async function main() {
         path.includes('Transducer.js')
         || path.includes('Transducer.min.js')
       ) {
-        assert.equal(Object.keys(required).length, 6)
+        assert.equal(Object.keys(required).length, 19)
+        assert.deepEqual(Object.keys(required), [
+          'map', 'filter', 'flatMap', 'forEach', 'passthrough', 'tryCatch',
+          'take', 'takeWhile', 'drop', 'dropWhile',
+          'chunk', 'window', 'partitionBy',
+          'scan', 'dedupe', 'uniqBy',
+          'bufferTime', 'sampleTime', 'debounceTime',
+        ])
       }
     }
   }
@@ -1,4 +1,7 @@
-export = every;
+import { LazyPredicate, Mappable, Mapper, PredicateResult } from './types'
+
+export = every
+
 /**
  * @name every
  *
@@ -12,41 +15,46 @@ export = every;
  * ```
  *
  * @description
- * Test a predicate concurrently across all items of a collection, returning true if all predications are truthy.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * console.log(
- *   every([1, 2, 3, 4, 5], isOdd),
- * ) // false
- *
- * console.log(
- *   every([1, 3, 5], isOdd),
- * ) // true
- * ```
- *
- * The collection can be any iterable, async iterable, or object values iterable collection. Below is an example of `every` accepting an async generator as the collection.
- *
- * ```javascript [playground]
- * const asyncNumbers = async function* () {
- *   yield 1; yield 2; yield 3; yield 4; yield 5
- * }
- *
- * every(asyncNumbers(), async number => number < 6).then(console.log) // true
- * ```
- *
- * `every` supports a lazy API for composability.
- *
- * ```javascript [playground]
- * pipe([1, 2, 3], [
- *   every(number => number < 5),
- *   console.log, // true
- * ])
- * ```
- *
- * @execution concurrent
- *
- * @muxing
+ * Test a predicate concurrently across all items of a collection, returning true if all test truthy.
  */
-declare function every(...args: any[]): any;
+declare function every<C, R>(
+  collection: Promise<C>,
+  predicate: Mapper<C, R>,
+): Promise<boolean>
+
+declare function every<C extends Mappable<unknown> | { reduce: Function }, R>(
+  collection: C,
+  predicate: Mapper<C, R>,
+): PredicateResult<C, R>
+
+declare function every<T, R>(
+  predicate: (value: T, indexOrKey: any, collection: any) => R,
+): LazyPredicate<T, R>
+
+declare namespace every {
+  /**
+   * @name every.series
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Foldable = Array|Iterable|AsyncIterable|{ reduce: function }|Object
+   *
+   * every.series(collection Promise|Foldable, predicate function) -> Promise|boolean
+   *
+   * every.series(predicate function)(collection Foldable) -> Promise|boolean
+   * ```
+   */
+  function series<C, R>(
+    collection: Promise<C>,
+    predicate: Mapper<C, R>,
+  ): Promise<boolean>
+
+  function series<C extends Mappable<unknown> | { reduce: Function }, R>(
+    collection: C,
+    predicate: Mapper<C, R>,
+  ): PredicateResult<C, R>
+
+  function series<T, R>(
+    predicate: (value: T, indexOrKey: any, collection: any) => R,
+  ): LazyPredicate<T, R>
+}
@@ -9,6 +9,9 @@ const objectValues = require('./_internal/objectValues')
 const reducerEvery = require('./_internal/reducerEvery')
 const symbolIterator = require('./_internal/symbolIterator')
 const symbolAsyncIterator = require('./_internal/symbolAsyncIterator')
+const arrayEverySeries = require('./_internal/arrayEverySeries')
+const iteratorEverySeries = require('./_internal/iteratorEverySeries')
+const asyncIteratorEverySeries = require('./_internal/asyncIteratorEverySeries')
 
 // _every(collection Array|Iterable|AsyncIterable|{ reduce: function }|Object, predicate function) -> Promise|boolean
 const _every = function (collection, predicate) {
@@ -101,4 +104,68 @@ const every = function (arg0, arg1) {
     : _every(arg0, arg1)
 }
 
+// _everySeries(collection Array|Iterable|AsyncIterable|{ reduce: function }|Object, predicate function) -> Promise|boolean
+const _everySeries = function (collection, predicate) {
+  if (isArray(collection)) {
+    return arrayEverySeries(collection, predicate)
+  }
+  if (collection == null) {
+    return predicate(collection)
+  }
+  if (typeof collection[symbolIterator] == 'function') {
+    return iteratorEverySeries(collection[symbolIterator](), predicate)
+  }
+  if (typeof collection[symbolAsyncIterator] == 'function') {
+    return asyncIteratorEverySeries(collection[symbolAsyncIterator](), predicate)
+  }
+  if (typeof collection.reduce == 'function') {
+    return collection.reduce(reducerEvery(predicate), true)
+  }
+  if (collection.constructor == Object) {
+    return arrayEverySeries(objectValues(collection), predicate)
+  }
+  return predicate(collection)
+}
+
+/**
+ * @name every.series
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Foldable = Array|Iterable|AsyncIterable|{ reduce: function }|Object
+ *
+ * every.series(collection Promise|Foldable, predicate function) -> Promise|boolean
+ *
+ * every.series(predicate function)(collection Foldable) -> Promise|boolean
+ * ```
+ *
+ * @description
+ * [every](/docs/every) with serial execution. The predicate is tested on one item at a time, returning false at the first execution that returns falsy. The predicate is not called on the remaining items, and iterators and async iterators are closed with `.return` without pulling further items.
+ *
+ * ```javascript [playground]
+ * const asyncIsOdd = async number => {
+ *   console.log(number)
+ *   return number % 2 == 1
+ * }
+ *
+ * every.series([1, 3, 4, 5], asyncIsOdd).then(console.log)
+ * // 1
+ * // 3
+ * // 4
+ * // false
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * @execution series
+ */
+every.series = function everySeries(arg0, arg1) {
+  if (typeof arg0 == 'function') {
+    return curry2(_everySeries, __, arg0)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry2(_everySeries, __, arg1))
+    : _everySeries(arg0, arg1)
+}
+
 module.exports = every
@@ -1,4 +1,9 @@
-export = filter;
+import {
+  FilterResult, LazyFilter, LazyPoolFilter, Mappable, Mapper, PoolMappable,
+} from './types'
+
+export = filter
+
 /**
  * @name filter
  *
@@ -13,136 +18,84 @@ export = filter;
  * )=>boolean
  *
  * filter(collection Filterable, predicate Predicate) -> result Promise|Filterable
+ *
  * filter(predicate Predicate)(collection Filterable) -> result Promise|Filterable
  * ```
  *
  * @description
- * Filter out items from a collection based on the results of their concurrent executions with a synchronous or asynchronous predicate function. `filter` accepts the following collections:
- *
- *  * `Array`
- *  * `Object`
- *  * `Set`
- *  * `Map`
- *  * `Iterator`/`Generator`
- *  * `AsyncIterator`/`AsyncGenerator`
- *
- * For arrays (type `Array`), `filter` applies the predicate function to each item of the array, returning a new array containing only the items that tested truthy by the predicate. The order of the items is preserved. On each iteration, the predicate is passed the item, the index of the item, and a reference to the array.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * const array = [1, 2, 3, 4, 5]
- *
- * console.log(filter(isOdd)(array)) // [1, 3, 5]
- * console.log(filter(array, isOdd)) // [1, 3, 5]
- * ```
- *
- * For objects (type `Object`), `filter` applies the predicate function to each value of the object, returning a new object containing only the values that tested truthy by the predicate. On each iteration, the predicate is passed the object value, the key of the object value, and a reference to the object.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * const obj = { a: 1, b: 2, c: 3, d: 4, e: 5 }
- *
- * console.log(filter(isOdd)(obj)) // { a: 1, c: 3, e: 5 }
- * console.log(filter(obj, isOdd)) // { a: 1, c: 3, e: 5 }
- * ```
- *
- * For sets (type `Set`), `filter` applies the predicate function to each item in the set, returning a new set containing only the items that tested truthy by the predicate. On each iteration, the predicate is passed the item, the same item as the key argument, and a reference to the set.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * const set = new Set([1, 2, 3, 4, 5])
- *
- * console.log(filter(isOdd)(set)) // Set { 1, 3, 5 }
- * console.log(filter(set, isOdd)) // Set { 1, 3, 5 }
- * ```
- *
- * For maps (type `Map`), `filter` applies the predicate function to the value of each entry of the map, returning a new map containing only the entries where the values tested truthy by the predicate. The order of the entries are preserved. On each iteration, the predicate is passed the map value, the key of the value, and a reference to the map.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * const obj = { a: 1, b: 2, c: 3, d: 4, e: 5 }
- * const m = new Map([['a', 1], ['b', 2], ['c', 3], ['d', 4], ['e', 5]])
- *
- * console.log(filter(isOdd)(m)) // Map(3) { 'a' => 1, 'c' => 3, 'e' => 5 }
- * console.log(filter(m, isOdd)) // Map(3) { 'a' => 1, 'c' => 3, 'e' => 5 }
- * ```
- *
- * For iterators (type `Iterator`) or generators (type `Generator`), `filter` returns a lazily filtered iterator/generator; all values that are normally yielded by the iterator/generator that test falsy by the predicate function are skipped by the lazily filtered iterator/generator. On each iteration, the predicate is passed the iteration value only.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * const numbersGeneratorFunction = function* () {
- *   yield 1; yield 2; yield 3; yield 4; yield 5
- * }
- *
- * const numbersGenerator = numbersGeneratorFunction()
- * const oddNumbersGenerator = filter(numbersGeneratorFunction(), isOdd)
- * const oddNumbersGenerator2 = filter(isOdd)(numbersGeneratorFunction())
- *
- * for (const number of numbersGenerator) {
- *   console.log(number) // 1
- *                       // 2
- *                       // 3
- *                       // 4
- *                       // 5
- * }
- *
- * for (const number of oddNumbersGenerator) {
- *   console.log(number) // 1
- *                       // 3
- *                       // 5
- * }
- *
- * for (const number of oddNumbersGenerator2) {
- *   console.log(number) // 1
- *                       // 3
- *                       // 5
- * }
- * ```
- *
- * With asyncIterators (type `AsyncIterator`) or asyncGenerators (type `AsyncGenerator`), `filter` returns a lazily filtered asyncIterator/asyncGenerator; all values that are normally yielded by the asyncIterator/asyncGenerator that test falsy by the predicate function are skipped by the lazily filtered asyncIterator/asyncGenerator. On each iteration, the predicate is passed the iteration value only.
- *
- * ```javascript [playground]
- * const asyncIsOdd = async number => number % 2 == 1
- *
- * const asyncNumbersGeneratorFunction = async function* () {
- *   yield 1; yield 2; yield 3; yield 4; yield 5
- * }
- *
- * const asyncNumbersGenerator = asyncNumbersGeneratorFunction()
- *
- * const asyncOddNumbersGenerator = filter(asyncNumbersGeneratorFunction(), asyncIsOdd)
- *
- * const asyncOddNumbersGenerator2 = filter(asyncIsOdd)(asyncNumbersGeneratorFunction())
- *
- * for await (const number of asyncNumbersGenerator) {
- *   console.log(number) // 1
- *                       // 2
- *                       // 3
- *                       // 4
- *                       // 5
- * }
- *
- * for await (const number of asyncOddNumbersGenerator) {
- *   console.log(number) // 1
- *                       // 3
- *                       // 5
- * }
- *
- * for await (const number of asyncOddNumbersGenerator2) {
- *   console.log(number) // 1
- *                       // 3
- *                       // 5
- * }
- * ```
- *
- * @execution concurrent
- *
- * @transducing
+ * Keep the items of a collection that test truthy by a predicate function, returning a collection of the same type. The result is a promise if the predicate function returns a promise.
  */
-declare function filter(...args: any[]): any;
+declare function filter<C, R>(
+  collection: Promise<C>,
+  predicate: Mapper<C, R>,
+): Promise<Awaited<FilterResult<C, R>>>
+
+declare function filter<C extends Mappable<unknown> | string, R>(
+  collection: C,
+  predicate: Mapper<C, R>,
+): FilterResult<C, R>
+
+declare function filter<T, R>(
+  predicate: (value: T, indexOrKey: any, collection: any) => R,
+): LazyFilter<T, R>
+
+declare namespace filter {
+  /**
+   * @name filter.series
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Filterable = Array|Object|Set|Map
+   *
+   * filter.series(collection Promise|Filterable, predicate Predicate)
+   *   -> result Promise|Filterable
+   *
+   * filter.series(predicate Predicate)(collection Filterable)
+   *   -> result Promise|Filterable
+   * ```
+   */
+  function series<C, R>(
+    collection: Promise<C>,
+    predicate: Mapper<C, R>,
+  ): Promise<Awaited<FilterResult<C, R>>>
+
+  function series<C extends PoolMappable<unknown>, R>(
+    collection: C,
+    predicate: Mapper<C, R>,
+  ): FilterResult<C, R>
+
+  function series<T, R>(
+    predicate: (value: T, indexOrKey: any, collection: any) => R,
+  ): LazyPoolFilter<T, R>
+
+  /**
+   * @name filter.pool
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Filterable = Array|Object|Set|Map
+   *
+   * filter.pool(concurrency number, predicate Predicate)(collection Filterable)
+   *   -> result Promise|Filterable
+   *
+   * filter.pool(collection Promise|Filterable, concurrency number, predicate Predicate)
+   *   -> result Promise|Filterable
+   * ```
+   */
+  function pool<C, R>(
+    collection: Promise<C>,
+    concurrency: number,
+    predicate: Mapper<C, R>,
+  ): Promise<Awaited<FilterResult<C, R>>>
+
+  function pool<C extends PoolMappable<unknown>, R>(
+    collection: C,
+    concurrency: number,
+    predicate: Mapper<C, R>,
+  ): FilterResult<C, R>
+
+  function pool<T, R>(
+    concurrency: number,
+    predicate: (value: T, indexOrKey: any, collection: any) => R,
+  ): LazyPoolFilter<T, R>
+}
@@ -1,5 +1,7 @@
 const __ = require('./_internal/placeholder')
 const curry2 = require('./_internal/curry2')
+const curry3 = require('./_internal/curry3')
+const isPromise = require('./_internal/isPromise')
 const FilteringIterator = require('./_internal/FilteringIterator')
 const FilteringAsyncIterator = require('./_internal/FilteringAsyncIterator')
 const isArray = require('./_internal/isArray')
@@ -8,6 +10,16 @@ const stringFilter = require('./_internal/stringFilter')
 const setFilter = require('./_internal/setFilter')
 const mapFilter = require('./_internal/mapFilter')
 const objectFilter = require('./_internal/objectFilter')
+const arrayFilterSeries = require('./_internal/arrayFilterSeries')
+const stringFilterSeries = require('./_internal/stringFilterSeries')
+const setFilterSeries = require('./_internal/setFilterSeries')
+const mapFilterSeries = require('./_internal/mapFilterSeries')
+const objectFilterSeries = require('./_internal/objectFilterSeries')
+const arrayFilterPool = require('./_internal/arrayFilterPool')
+const stringFilterPool = require('./_internal/stringFilterPool')
+const setFilterPool = require('./_internal/setFilterPool')
+const mapFilterPool = require('./_internal/mapFilterPool')
+const objectFilterPool = require('./_internal/objectFilterPool')
 const symbolIterator = require('./_internal/symbolIterator')
 const symbolAsyncIterator = require('./_internal/symbolAsyncIterator')
 
@@ -246,4 +258,197 @@ const filter = function (arg0, arg1) {
   return _filter(arg0, arg1)
 }
 
+/**
+ * @name _filterSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Filterable = Array|Object|Set|Map
+ *
+ * type Predicate = (
+ *   value any,
+ *   indexOrKey number|string|any,
+ *   collection Filterable,
+ * )=>Promise|boolean
+ *
+ * _filterSeries(collection Filterable, predicate Predicate) -> result Promise|Filterable
+ * ```
+ */
+const _filterSeries = function (collection, predicate) {
+  if (isArray(collection)) {
+    return arrayFilterSeries(collection, predicate)
+  }
+  if (collection == null) {
+    throw new TypeError(`invalid collection ${collection}`)
+  }
+
+  if (typeof collection == 'string' || collection.constructor == String) {
+    return stringFilterSeries(collection, predicate)
+  }
+  if (collection.constructor == Set) {
+    return setFilterSeries(collection, predicate)
+  }
+  if (collection.constructor == Map) {
+    return mapFilterSeries(collection, predicate)
+  }
+  if (collection.constructor == Object) {
+    return objectFilterSeries(collection, predicate)
+  }
+  throw new TypeError(`invalid collection ${collection}`)
+}
+
+/**
+ * @name filter.series
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Filterable = Array|Object|Set|Map
+ *
+ * type Predicate = (
+ *   value any,
+ *   indexOrKey number|string|any,
+ *   collection Filterable,
+ * )=>Promise|boolean
+ *
+ * filter.series(collection Promise|Filterable, predicate Predicate)
+ *   -> result Promise|Filterable
+ *
+ * filter.series(predicate Predicate)(collection Filterable)
+ *   -> result Promise|Filterable
+ * ```
+ *
+ * @description
+ * [filter](/docs/filter) with serial execution. The predicate is not called on the next item until the predication of the current item has resolved.
+ *
+ * ```javascript [playground]
+ * const delayedIsOdd = number => new Promise(function (resolve) {
+ *   setTimeout(function () {
+ *     console.log(number)
+ *     resolve(number % 2 == 1)
+ *   }, 1000)
+ * })
+ *
+ * filter.series([1, 2, 3, 4, 5], delayedIsOdd).then(console.log)
+ * // [1, 3, 5]
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * ```javascript [playground]
+ * const asyncIsOdd = async number => number % 2 == 1
+ *
+ * filter.series(Promise.resolve([1, 2, 3, 4, 5]), asyncIsOdd).then(console.log)
+ * // [1, 3, 5]
+ * ```
+ *
+ * @execution series
+ */
+filter.series = function filterSeries(arg0, arg1) {
+  if (typeof arg0 == 'function') {
+    return curry2(_filterSeries, __, arg0)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry2(_filterSeries, __, arg1))
+    : _filterSeries(arg0, arg1)
+}
+
+/**
+ * @name _filterPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Filterable = Array|Object|Set|Map
+ *
+ * _filterPool(
+ *   collection Filterable,
+ *   concurrency number,
+ *   predicate function,
+ * ) -> result Promise|Filterable
+ * ```
+ */
+const _filterPool = function (collection, concurrency, predicate) {
+  if (isArray(collection)) {
+    return arrayFilterPool(collection, concurrency, predicate)
+  }
+  if (collection == null) {
+    throw new TypeError(`invalid collection ${collection}`)
+  }
+  if (typeof collection == 'string' || collection.constructor == String) {
+    return stringFilterPool(collection, concurrency, predicate)
+  }
+  if (collection.constructor == Set) {
+    return setFilterPool(collection, concurrency, predicate)
+  }
+  if (collection.constructor == Map) {
+    return mapFilterPool(collection, concurrency, predicate)
+  }
+  if (collection.constructor == Object) {
+    return objectFilterPool(collection, concurrency, predicate)
+  }
+  throw new TypeError(`invalid collection ${collection}`)
+}
+
+/**
+ * @name filter.pool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Filterable = Array|Object|Set|Map
+ *
+ * type Predicate = (
+ *   value any,
+ *   indexOrKey number|string|any,
+ *   collection Filterable,
+ * )=>Promise|boolean
+ *
+ * filter.pool(
+ *   concurrency number,
+ *   predicate Predicate,
+ * )(collection Filterable) -> result Promise|Filterable
+ *
+ * filter.pool(
+ *   collection Promise|Filterable,
+ *   concurrency number,
+ *   predicate Predicate,
+ * ) -> result Promise|Filterable
+ * ```
+ *
+ * @description
+ * [filter](/docs/filter) with limited [concurrency](https://web.mit.edu/6.005/www/fa14/classes/17-concurrency/). At most `concurrency` predications are pending at any one time.
+ *
+ * ```javascript [playground]
+ * const ids = [1, 2, 3, 4, 5]
+ *
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const delayedIsOdd = async number => {
+ *   await sleep(1000)
+ *   console.log(number)
+ *   return number % 2 == 1
+ * }
+ *
+ * filter.pool(2, delayedIsOdd)(ids).then(console.log)
+ * // [1, 3, 5]
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * ```javascript [playground]
+ * const asyncIsOdd = async number => number % 2 == 1
+ *
+ * filter.pool(Promise.resolve([1, 2, 3, 4, 5]), 2, asyncIsOdd).then(console.log)
+ * // [1, 3, 5]
+ * ```
+ *
+ * @execution concurrent
+ */
+filter.pool = function filterPool(arg0, arg1, arg2) {
+  if (arg2 == null) {
+    return curry3(_filterPool, __, arg0, arg1)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry3(_filterPool, __, arg1, arg2))
+    : _filterPool(arg0, arg1, arg2)
+}
+
 module.exports = filter
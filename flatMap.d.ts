@@ -1,4 +1,10 @@
-export = flatMap;
+import {
+  FlatMapResult, ItemOf, LazyFlatMap, LazyPoolFlatMap, Mappable, Mapper,
+  PoolMappable,
+} from './types'
+
+export = flatMap
+
 /**
  * @name flatMap
  *
@@ -6,8 +12,6 @@ export = flatMap;
  * ```coffeescript [specscript]
  * type FlatMappable = Array|String|Set|Iterator|AsyncIterator
  *
- * type Iterable = Iterable|AsyncIterable|Object<value any>
- *
  * type FlatMapper = (
  *   item any,
  *   indexOrKey string,
@@ -15,95 +19,84 @@ export = flatMap;
  * )=>Promise|FlatMappable
  *
  * flatMap(collection FlatMappable, flatMapper FlatMapper) -> result Promise|FlatMappable
+ *
  * flatMap(flatMapper FlatMapper)(collection FlatMappable) -> result Promise|FlatMappable
  * ```
  *
  * @description
- * Applies a flatMapper function concurrently to each item of a collection, creating a new collection of the same type. A flatMapping operation iterates through each item of a collection and applies the flatMapper function to each item, flattening the result of the execution into the result collection. The result of an individual execution can be any iterable, async iterable, or object values iterable collection. The flatMapper function may be asynchronous.
- *
- *  * `Iterable` - the execution result is iterated and each item is added to the result collection
- *  * `AsyncIterable` - the execution result is asynchronously iterated and each item is added to the result collection
- *  * `Object` - the execution result values are added to the result collection
- *
- * The following example demonstrates various execution results being flattened into the same array.
- *
- * ```javascript [playground]
- * const identity = value => value
- *
- * flatMap(identity)([
- *   [1, 1], // array
- *   new Set([2, 2]), // set
- *   (function* () { yield 3; yield 3 })(), // generator
- *   (async function* () { yield 7; yield 7 })(), // asyncGenerator
- *   { a: 5, b: 5 }, // object
- *   new Uint8Array([8]), // typedArray
- * ]).then(console.log)
- * // [1, 1, 2, 3, 3, 5, 5, 8, 7, 7]
- * ```
- *
- * A flatMapping operation concatenates onto the resulting collection synchronous values and muxes any asynchronous values. Muxing, or asynchronously "mixing", is the process of combining multiple asynchronous sources into one source, with order determined by the asynchronous resolution of the individual items.
- *
- * ```javascript [playground]
- * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
- *
- * const repeat3 = function* (message) {
- *   yield message; yield message; yield message
- * }
- *
- * console.log( // sync is concatenated
- *   flatMap(['foo', 'bar', 'baz'], repeat3),
- * ) // ['foo', 'foo', 'foo', 'bar', 'bar', 'bar', 'baz', 'baz', 'baz']
- *
- * const asyncRepeat3 = async function* (message) {
- *   yield message
- *   await sleep(100)
- *   yield message
- *   await sleep(1000)
- *   yield message
- * }
- *
- * // async is muxed
- * flatMap(['foo', 'bar', 'baz'], asyncRepeat3).then(console.log)
- * // ['foo', 'bar', 'baz', 'foo', 'bar', 'baz', 'foo', 'bar', 'baz']
- * ```
- *
- * For arrays (type `Array`), `flatMap` applies the flatMapper function to each item, pushing (`.push`) the items of each execution into a new array.
- *
- * ```javascript [playground]
- * const duplicate = value => [value, value]
- *
- * console.log(
- *   flatMap([1, 2, 3, 4, 5], duplicate)
- * ) // [1, 1, 2, 2, 3, 3, 4, 4, 5, 5]
- * ```
- *
- * For strings (type `String`), `flatMap` applies the flatMapper function to each character, adding (`+`) the items of each execution into a new string
- *
- * ```javascript [playground]
- * const duplicate = value => [value, value]
- *
- * console.log(
- *   flatMap('12345', duplicate)
- * ) // 1122334455
- * ```
- *
- * For sets (type `Set`), `flatMap` applies the flatMapper function to each item, adding (`.add`) the items of each execution into a new set
- *
- * ```javascript [playground]
- * const pairPlus100 = value => [value, value + 100]
- *
- * console.log(
- *   flatMap(new Set([1, 2, 3, 4, 5]), pairPlus100)
- * ) // Set(10) { 1, 101, 2, 102, 3, 103, 4, 104, 5, 105 }
- * ```
- *
- * @execution concurrent
- *
- * @transducing
- *
- * @archive
- *  * For typed arrays (type [`TypedArray`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypedArray#typedarray_objects)) and Node.js buffers (type [`Buffer`](https://nodejs.org/api/buffer.html)), `flatMap` applies a flatMapper function to each value of the typed array/buffer, joining the result of each execution with `.set` into the resulting typed array
- *
- *  * For Node.js duplex streams (type [Stream](https://nodejs.org/api/stream.html#class-streamduplex)), `flatMap` applies a flatMapper function to each item of the stream, writing (`.write`) each item of each execution into the duplex stream
+ * Apply a function to each item of a collection and flatten the results into a collection of the same type. Arrays, sets, iterables, async iterables, and the values of plain objects returned by the flatMapper are flattened.
  */
-declare function flatMap(...args: any[]): any;
+declare function flatMap<C, R>(
+  collection: Promise<C>,
+  flatMapper: Mapper<C, R>,
+): Promise<Awaited<FlatMapResult<C, R>>>
+
+declare function flatMap<C extends Mappable<unknown> | string, R>(
+  collection: C,
+  flatMapper: Mapper<C, R>,
+): FlatMapResult<C, R>
+
+declare function flatMap<T, R>(
+  flatMapper: (item: T, indexOrKey: any, collection: any) => R,
+): LazyFlatMap<T, R>
+
+declare namespace flatMap {
+  /**
+   * @name flatMap.series
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type FlatMappable = Array|String|Set|Object
+   *
+   * flatMap.series(collection Promise|FlatMappable, flatMapper FlatMapper)
+   *   -> result Promise|FlatMappable
+   *
+   * flatMap.series(flatMapper FlatMapper)(collection FlatMappable)
+   *   -> result Promise|FlatMappable
+   * ```
+   */
+  function series<C, R>(
+    collection: Promise<C>,
+    flatMapper: Mapper<C, R>,
+  ): Promise<Awaited<FlatMapResult<C, R>>>
+
+  function series<C extends PoolMappable<unknown>, R>(
+    collection: C,
+    flatMapper: Mapper<C, R>,
+  ): FlatMapResult<C, R>
+
+  function series<T, R>(
+    flatMapper: (item: T, indexOrKey: any, collection: any) => R,
+  ): LazyPoolFlatMap<T, R>
+
+  /**
+   * @name flatMap.pool
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type FlatMappable = Array|String|Set|Object
+   *
+   * flatMap.pool(concurrency number, flatMapper FlatMapper)(collection FlatMappable)
+   *   -> result Promise|FlatMappable
+   *
+   * flatMap.pool(collection Promise|FlatMappable, concurrency number, flatMapper FlatMapper)
+   *   -> result Promise|FlatMappable
+   * ```
+   */
+  function pool<C, R>(
+    collection: Promise<C>,
+    concurrency: number,
+    flatMapper: (item: ItemOf<C>) => R,
+  ): Promise<Awaited<FlatMapResult<C, R>>>
+
+  function pool<C extends PoolMappable<unknown>, R>(
+    collection: C,
+    concurrency: number,
+    flatMapper: (item: ItemOf<C>) => R,
+  ): FlatMapResult<C, R>
+
+  function pool<T, R>(
+    concurrency: number,
+    flatMapper: (item: T) => R,
+  ): LazyPoolFlatMap<T, R>
+}
@@ -6,8 +6,17 @@ const arrayFlatMap = require('./_internal/arrayFlatMap')
 const objectFlatMap = require('./_internal/objectFlatMap')
 const setFlatMap = require('./_internal/setFlatMap')
 const stringFlatMap = require('./_internal/stringFlatMap')
+const arrayFlatMapSeries = require('./_internal/arrayFlatMapSeries')
+const objectFlatMapSeries = require('./_internal/objectFlatMapSeries')
+const setFlatMapSeries = require('./_internal/setFlatMapSeries')
+const stringFlatMapSeries = require('./_internal/stringFlatMapSeries')
+const arrayFlatMapPool = require('./_internal/arrayFlatMapPool')
+const objectFlatMapPool = require('./_internal/objectFlatMapPool')
+const setFlatMapPool = require('./_internal/setFlatMapPool')
+const stringFlatMapPool = require('./_internal/stringFlatMapPool')
 const symbolIterator = require('./_internal/symbolIterator')
 const curry2 = require('./_internal/curry2')
+const curry3 = require('./_internal/curry3')
 const __ = require('./_internal/placeholder')
 
 /**
@@ -182,4 +191,180 @@ const flatMap = (arg0, arg1) => {
     : _flatMap(arg0, arg1)
 }
 
+/**
+ * @name _flatMapSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type FlatMappable = Array|String|Set|Object
+ *
+ * _flatMapSeries(collection FlatMappable, flatMapper function)
+ *   -> result Promise|FlatMappable
+ * ```
+ */
+const _flatMapSeries = function (collection, flatMapper) {
+  if (isArray(collection)) {
+    return arrayFlatMapSeries(collection, flatMapper)
+  }
+  if (collection == null) {
+    throw new TypeError(`invalid collection ${collection}`)
+  }
+
+  if (typeof collection == 'string' || collection.constructor == String) {
+    return stringFlatMapSeries(collection, flatMapper)
+  }
+  if (collection.constructor == Set) {
+    return setFlatMapSeries(collection, flatMapper)
+  }
+  if (collection.constructor == Object) {
+    return objectFlatMapSeries(collection, flatMapper)
+  }
+  throw new TypeError(`invalid collection ${collection}`)
+}
+
+/**
+ * @name flatMap.series
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type FlatMappable = Array|String|Set|Object
+ *
+ * type FlatMapper = (
+ *   item any,
+ *   indexOrKey string,
+ *   collection FlatMappable
+ * )=>Promise|FlatMappable
+ *
+ * flatMap.series(collection Promise|FlatMappable, flatMapper FlatMapper)
+ *   -> result Promise|FlatMappable
+ *
+ * flatMap.series(flatMapper FlatMapper)(collection FlatMappable)
+ *   -> result Promise|FlatMappable
+ * ```
+ *
+ * @description
+ * [flatMap](/docs/flatMap) with serial execution. The flatMapper is not called on the next item until the execution for the current item has resolved. The execution results are flattened the same way as with `flatMap`. Each result is flattened as part of the execution for its item, so results read over time, like async iterables and streams, are read one at a time in the order of the items.
+ *
+ * ```javascript [playground]
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const delayedPair = async number => {
+ *   await sleep(1000)
+ *   console.log(number)
+ *   return [number, number]
+ * }
+ *
+ * flatMap.series([1, 2, 3], delayedPair).then(console.log)
+ * // [1, 1, 2, 2, 3, 3]
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * ```javascript [playground]
+ * flatMap.series(Promise.resolve([1, 2, 3]), n => [n, n]).then(console.log)
+ * // [1, 1, 2, 2, 3, 3]
+ * ```
+ *
+ * @execution series
+ */
+flatMap.series = function flatMapSeries(arg0, arg1) {
+  if (typeof arg0 == 'function') {
+    return curry2(_flatMapSeries, __, arg0)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry2(_flatMapSeries, __, arg1))
+    : _flatMapSeries(arg0, arg1)
+}
+
+/**
+ * @name _flatMapPool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type FlatMappable = Array|String|Set|Object
+ *
+ * _flatMapPool(
+ *   collection FlatMappable,
+ *   concurrency number,
+ *   flatMapper function,
+ * ) -> result Promise|FlatMappable
+ * ```
+ */
+const _flatMapPool = function (collection, concurrency, flatMapper) {
+  if (isArray(collection)) {
+    return arrayFlatMapPool(collection, concurrency, flatMapper)
+  }
+  if (collection == null) {
+    throw new TypeError(`invalid collection ${collection}`)
+  }
+  if (typeof collection == 'string' || collection.constructor == String) {
+    return stringFlatMapPool(collection, concurrency, flatMapper)
+  }
+  if (collection.constructor == Set) {
+    return setFlatMapPool(collection, concurrency, flatMapper)
+  }
+  if (collection.constructor == Object) {
+    return objectFlatMapPool(collection, concurrency, flatMapper)
+  }
+  throw new TypeError(`invalid collection ${collection}`)
+}
+
+/**
+ * @name flatMap.pool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type FlatMappable = Array|String|Set|Object
+ *
+ * type FlatMapper = (item any)=>Promise|FlatMappable
+ *
+ * flatMap.pool(
+ *   concurrency number,
+ *   flatMapper FlatMapper,
+ * )(collection FlatMappable) -> result Promise|FlatMappable
+ *
+ * flatMap.pool(
+ *   collection Promise|FlatMappable,
+ *   concurrency number,
+ *   flatMapper FlatMapper,
+ * ) -> result Promise|FlatMappable
+ * ```
+ *
+ * @description
+ * [flatMap](/docs/flatMap) with limited [concurrency](https://web.mit.edu/6.005/www/fa14/classes/17-concurrency/). At most `concurrency` executions of the flatMapper are pending at any one time. The execution results are flattened the same way as with `flatMap`. Each result is flattened as part of the execution for its item, so an execution whose result is read over time, like an async iterable or a stream, stays pending until the result is read, and the values of each result are kept together in the order of the items.
+ *
+ * ```javascript [playground]
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const fetchPage = async pageNumber => {
+ *   await sleep(1000)
+ *   return [`page ${pageNumber} item 1`, `page ${pageNumber} item 2`]
+ * }
+ *
+ * flatMap.pool(2, fetchPage)([1, 2, 3]).then(console.log)
+ * // [
+ * //   'page 1 item 1', 'page 1 item 2',
+ * //   'page 2 item 1', 'page 2 item 2',
+ * //   'page 3 item 1', 'page 3 item 2',
+ * // ]
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * ```javascript [playground]
+ * flatMap.pool(Promise.resolve([1, 2, 3]), 2, n => [n, n]).then(console.log)
+ * // [1, 1, 2, 2, 3, 3]
+ * ```
+ *
+ * @execution concurrent
+ */
+flatMap.pool = function flatMapPool(arg0, arg1, arg2) {
+  if (arg2 == null) {
+    return curry3(_flatMapPool, __, arg0, arg1)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry3(_flatMapPool, __, arg1, arg2))
+    : _flatMapPool(arg0, arg1, arg2)
+}
+
 module.exports = flatMap
@@ -1,4 +1,7 @@
-export = forEach;
+import { ForEachResult, LazyForEach, Mappable, Mapper } from './types'
+
+export = forEach
+
 /**
  * @name forEach
  *
@@ -6,30 +9,52 @@ export = forEach;
  * ```coffeescript [specscript]
  * type Collection = Array|Iterable|AsyncIterable|{ forEach: function }|Object
  *
- * forEach(collection Collection, callback function) -> collection Collection
+ * forEach(collection Collection, callback function) -> collection Promise|Collection
  *
- * forEach(callback function)(collection Collection) -> collection Collection
+ * forEach(callback function)(collection Collection) -> collection Promise|Collection
  * ```
  *
  * @description
- * Execute a callback for each item of a collection, returning a Promise if the execution is asynchronous.
- *
- * ```javascript [playground]
- * forEach([1, 2, 3, 4, 5l], console.log) // 1 2 3 4 5
- *
- * forEach({ a: 1, b: 2, c: 3 }, console.log) // 1 2 3
- * ```
- *
- * Omit the data argument for a composable API
- *
- * ```javascript [playground]
- * pipe([1, 2, 3, 4, 5], [
- *   filter(number => number % 2 == 1),
- *   map(number => number ** 2),
- *   forEach(console.log), // 1
- *                         // 9
- *                         // 25
- * ])
- * ```
+ * Execute a callback for each item of a collection, returning the collection. The result is a promise if the callback returns a promise or the collection is an async iterable.
  */
-declare function forEach(...args: any[]): any;
+declare function forEach<C, R>(
+  collection: Promise<C>,
+  callback: Mapper<C, R>,
+): Promise<C>
+
+declare function forEach<C extends Mappable<unknown> | string, R>(
+  collection: C,
+  callback: Mapper<C, R>,
+): ForEachResult<C, R>
+
+declare function forEach<T, R>(
+  callback: (value: T, indexOrKey: any, collection: any) => R,
+): LazyForEach<T, R>
+
+declare namespace forEach {
+  /**
+   * @name forEach.series
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Collection = Array|Iterable|AsyncIterable|{ forEach: function }|Object
+   *
+   * forEach.series(collection Collection, callback function) -> collection Promise|Collection
+   *
+   * forEach.series(callback function)(collection Collection) -> collection Promise|Collection
+   * ```
+   */
+  function series<C, R>(
+    collection: Promise<C>,
+    callback: Mapper<C, R>,
+  ): Promise<C>
+
+  function series<C extends Mappable<unknown> | string, R>(
+    collection: C,
+    callback: Mapper<C, R>,
+  ): ForEachResult<C, R>
+
+  function series<T, R>(
+    callback: (value: T, indexOrKey: any, collection: any) => R,
+  ): LazyForEach<T, R>
+}
@@ -4,10 +4,13 @@ const curry3 = require('./_internal/curry3')
 const isArray = require('./_internal/isArray')
 const isObject = require('./_internal/isObject')
 const getByPath = require('./_internal/getByPath')
+const isLens = require('./_internal/isLens')
 
 // _get(object Object, path string, defaultValue function|any)
 const _get = function (object, path, defaultValue) {
-  const result = object == null ? undefined : getByPath(object, path)
+  const result = object == null ? undefined
+    : isLens(path) ? path.get(object)
+    : getByPath(object, path)
   return result === undefined
     ? typeof defaultValue == 'function' ? defaultValue(object) : defaultValue
     : result
@@ -20,12 +23,12 @@ const _get = function (object, path, defaultValue) {
  * ```coffeescript [specscript]
  * get(
  *   object Promise|Object,
- *   path string|number|Array<string|number>,
+ *   path string|number|Array<string|number>|Lens,
  *   defaultValue? function|any
  * ) -> result Promise|Object
  *
  * get(
- *   path string|number|Array<string|number>,
+ *   path string|number|Array<string|number>|Lens,
  *   defaultValue? function|any
  * )(object Object) -> result Promise|Object
  * ```
@@ -67,6 +70,8 @@ const _get = function (object, path, defaultValue) {
  *  * bracket notation - `'a[0].value'`
  *  * an array of keys or indices - `['a', 0, 'value']`
  *
+ * Quoted keys in brackets may contain dots and brackets, e.g. `'a["b.c"][0]'`, and a backslash escapes the next character of a key, e.g. `'a\\.b'` for the key `'a.b'`. An unquoted integer is an index, which counts from the end of an array if it is negative, e.g. `'a[-1]'`. Numbers in an array path are indices, and strings in an array path are keys as they are.
+ *
  * ```javascript [playground]
  * const getABC0 = get('a.b.c[0]')
  *
@@ -79,8 +84,45 @@ const _get = function (object, path, defaultValue) {
  * console.log(get00000DotNotation([[[[['foo']]]]])) // foo
  * console.log(get00000BracketNotation([[[[['foo']]]]])) // foo
  * console.log(get00000ArrayNotation([[[[['foo']]]]])) // foo
+ *
+ * const headers = { 'content-type': 'text/html', sizes: [1, 2, 3] }
+ *
+ * console.log(get(headers, '["content-type"]')) // text/html
+ * console.log(get(headers, 'sizes[-1]')) // 3
  * ```
  *
+ * The wildcard `*` selects every index of an array, key of a Map or own key of an object, and `**` selects a value and every value nested in it through arrays, Maps and objects, at any depth. With a wildcard, `get` returns an array of every match in depth-first order, with indices and keys in order, and the default value is not used.
+ *
+ * ```javascript [playground]
+ * const store = {
+ *   orders: [
+ *     { items: [{ id: 1 }, { id: 2 }] },
+ *     { items: [{ id: 3 }] },
+ *   ],
+ * }
+ *
+ * console.log(get(store, 'orders[*].items[*].id')) // [1, 2, 3]
+ *
+ * const user = { password: 'a', settings: { password: 'b' } }
+ *
+ * console.log(get(user, '**.password')) // ['a', 'b']
+ * ```
+ *
+ * Maps along the path are read with `.get`, and a Set has each of its members at the member itself. Since unquoted indices of a path string are numbers, an index also reads the same key as a string from a Map that does not have the number as a key.
+ *
+ * ```javascript [playground]
+ * const state = {
+ *   users: new Map([['1', { name: 'George' }]]),
+ * }
+ *
+ * console.log(get(state, 'users[1].name')) // George
+ * console.log(get(state, 'users.*.name')) // ['George']
+ * ```
+ *
+ * A [lens](/docs/lens) may be given in place of a path, in which case `get` returns the focus of the lens.
+ *
+ * Persistent objects created by [persistent](/docs/persistent) are read with `.get` like Maps.
+ *
  * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
  *
  * ```javascript [playground]
@@ -89,7 +131,9 @@ const _get = function (object, path, defaultValue) {
  */
 
 const get = function (arg0, arg1, arg2) {
-  if (typeof arg0 == 'string' || typeof arg0 == 'number' || isArray(arg0)) {
+  if (isLens(arg0) || (
+    !isLens(arg1) && (typeof arg0 == 'string' || typeof arg0 == 'number' || isArray(arg0))
+  )) {
     return curry3(_get, __, arg0, arg1)
   }
   if (isPromise(arg0)) {
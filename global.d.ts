@@ -1 +1,37 @@
-export {};
+import rubico = require('./rubico')
+
+declare global {
+  var pipe: typeof rubico.pipe
+  var compose: typeof rubico.compose
+  var tap: typeof rubico.tap
+  var forEach: typeof rubico.forEach
+  var switchCase: typeof rubico.switchCase
+  var tryCatch: typeof rubico.tryCatch
+  var all: typeof rubico.all
+  var assign: typeof rubico.assign
+  var get: typeof rubico.get
+  var set: typeof rubico.set
+  var pick: typeof rubico.pick
+  var omit: typeof rubico.omit
+  var map: typeof rubico.map
+  var filter: typeof rubico.filter
+  var flatMap: typeof rubico.flatMap
+  var reduce: typeof rubico.reduce
+  var transform: typeof rubico.transform
+  var and: typeof rubico.and
+  var or: typeof rubico.or
+  var not: typeof rubico.not
+  var some: typeof rubico.some
+  var every: typeof rubico.every
+  var eq: typeof rubico.eq
+  var gt: typeof rubico.gt
+  var lt: typeof rubico.lt
+  var gte: typeof rubico.gte
+  var lte: typeof rubico.lte
+  var thunkify: typeof rubico.thunkify
+  var always: typeof rubico.always
+  var curry: typeof rubico.curry
+  var __: typeof rubico.__
+}
+
+export {}
@@ -1,49 +1,22 @@
-export = gt;
+import { ComparisonOperator } from './types'
+
+export = gt
+
 /**
  * @name gt
  *
  * @synopsis
  * ```coffeescript [specscript]
  * gt(leftValue Promise|any, rightValue Promise|any) -> boolean
- *
  * gt(leftValue Promise|any, right function)(...args) -> Promise|boolean
  * gt(...args, leftValue Promise|any, right function) -> Promise|boolean
- *
  * gt(left function, rightValue Promise|any)(...args) -> Promise|boolean
  * gt(...args, left function, rightValue Promise|any) -> Promise|boolean
- *
  * gt(left function, right function)(...args) -> Promise|boolean
  * gt(...args, left function, right function) -> Promise|boolean
  * ```
  *
  * @description
- * Test if a value is greater than (`>`) another value.
- *
- * ```javascript [playground]
- * const age = 40
- *
- * const isAgeGreaterThan21 = gt(age, 21)
- *
- * console.log(isAgeGreaterThan21) // true
- * ```
- *
- * If either of the two values are resolver functions, `gt` returns a function that resolves the values to compare from its arguments.
- *
- * ```javascript [playground]
- * const isOfLegalAge = gt(21, get('age'))
- *
- * const juvenile = { age: 16 }
- *
- * console.log(isOfLegalAge(juvenile)) // false
- * ```
- *
- * `gt` supports a lazy API for composability.
- *
- * ```javascript [playground]
- * pipe({ value: 1 }, [
- *   gt(5, get('value')),
- *   console.log, // true
- * ])
- * ```
+ * Test if a left value is greater than a right value. Either side may be a function of the arguments, in which case `gt` returns a function or, with arguments before the left and right sides, executes eagerly.
  */
-declare const gt: (...args: any[]) => any;
+declare const gt: ComparisonOperator
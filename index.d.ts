@@ -1 +1,3 @@
-export = rubico;
+import rubico = require('./rubico')
+
+export = rubico
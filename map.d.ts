@@ -1,4 +1,12 @@
-export = map;
+import {
+  EntriesMappable, EntryOf, ItemOf, LazyMap, LazyMapParallel, LazyMapPool, LazyPoolMap,
+  LazyMapSettled, LazyMapSettledAggregate, LazyRateMap, MapEntriesResult, MapResult,
+  MapSettledResult, Mappable, Mapper, ParallelOptions, PoolMapMappable, PoolMappable,
+  PoolOptions, RateMapResult, SettledMappable,
+} from './types'
+
+export = map
+
 /**
  * @name map
  *
@@ -8,239 +16,258 @@ export = map;
  *
  * type Mapper = (
  *   value any,
- *   indexOrKey number|string,
+ *   indexOrKey number|string|any,
  *   collection Mappable
- * )=>(mappedItem Promise|any)
+ * )=>(resultItem Promise|any)
  *
- * map(value Mappable, mapper Mapper) -> result Promise|Mappable
- * map(mapper Mapper)(value Mappable) -> result Promise|Mappable
- * ```
- *
- * @description
- * Applies a synchronous or asynchronous mapper function concurrently to each item of a collection, returning the results in a new collection of the same type. If order is implied by the collection, it is maintained in the result. `map` accepts the following collections:
- *
- *  * `Array`
- *  * `Object`
- *  * `Set`
- *  * `Map`
- *  * `Iterator`/`Generator`
- *  * `AsyncIterator`/`AsyncGenerator`
- *
- * With arrays (type `Array`), `map` applies the mapper function to each item of the array, returning the transformed results in a new array ordered the same as the original array.
- *
- * ```javascript [playground]
- * const square = number => number ** 2
- *
- * const array = [1, 2, 3, 4, 5]
- *
- * console.log(
- *   map(array, square)
- * ) // [1, 4, 9, 16, 25]
- *
- * console.log(
- *   map(square)(array)
- * ) // [1, 4, 9, 16, 25]
- * ```
- *
- * With objects (type `Object`), `map` applies the mapper function to each value of the object, returning the transformed results as values in a new object ordered by the keys of the original object
- *
- * ```javascript [playground]
- * const square = number => number ** 2
- *
- * const obj = { a: 1, b: 2, c: 3, d: 4, e: 5 }
- *
- * console.log(
- *   map(square)(obj)
- * ) // { a: 1, b: 4, c: 9, d: 16, e: 25 }
- *
- * console.log(
- *   map(obj, square)
- * ) // { a: 1, b: 4, c: 9, d: 16, e: 25 }
- * ```
- *
- * With sets (type `Set`), `map` applies the mapper function to each value of the set, returning the transformed results unordered in a new set.
- *
- * ```javascript [playground]
- * const square = number => number ** 2
- *
- * const set = new Set([1, 2, 3, 4, 5])
- *
- * console.log(
- *   map(set, square)
- * ) // [1, 4, 9, 16, 25]
- *
- * console.log(
- *   map(square)(set)
- * ) // [1, 4, 9, 16, 25]
- * ```
- *
- * With maps (type `Map`), `map` applies the mapper function to each value of the map, returning the results at the same keys in a new map. The entries of the resulting map are in the same order as those of the original map
- *
- * ```javascript [playground]
- * const square = number => number ** 2
- *
- * const m = new Map([['a', 1], ['b', 2], ['c', 3], ['d', 4], ['e', 5]])
- *
- * console.log(
- *   map(square)(m)
- * ) // Map { 'a' => 1, 'b' => 4, 'c' => 9, 'd' => 16, 'e' => 25 }
- *
- * console.log(
- *   map(m, square)
- * ) // Map { 'a' => 1, 'b' => 4, 'c' => 9, 'd' => 16, 'e' => 25 }
- * ```
- *
- * With iterators (type `Iterator`) or generators (type `Generator`), `map` applies the mapper function lazily to each value of the iterator/generator, creating a new iterator with transformed iterations.
- *
- * ```javascript [playground]
- * const capitalize = string => string.toUpperCase()
- *
- * const abcGeneratorFunc = function* () {
- *   yield 'a'; yield 'b'; yield 'c'
- * }
- *
- * const abcGenerator = abcGeneratorFunc()
- * const ABCGenerator = map(abcGeneratorFunc(), capitalize)
- * const ABCGenerator2 = map(capitalize)(abcGeneratorFunc())
- *
- * console.log([...abcGenerator]) // ['a', 'b', 'c']
- *
- * console.log([...ABCGenerator]) // ['A', 'B', 'C']
- *
- * console.log([...ABCGenerator2]) // ['A', 'B', 'C']
- * ```
- *
- * With asyncIterators (type `AsyncIterator`, or `AsyncGenerator`), `map` applies the mapper function lazily to each value of the asyncIterator, creating a new asyncIterator with transformed iterations
+ * map(collection Promise|Mappable, f Mapper) -> result Promise|Mappable
  *
- * ```javascript [playground]
- * const capitalize = string => string.toUpperCase()
- *
- * const abcAsyncGeneratorFunc = async function* () {
- *   yield 'a'; yield 'b'; yield 'c'
- * }
- *
- * const abcAsyncGenerator = abcAsyncGeneratorFunc()
- * const ABCGenerator = map(abcAsyncGeneratorFunc(), capitalize)
- * const ABCGenerator2 = map(capitalize)(abcAsyncGeneratorFunc())
- *
- * ;(async function () {
- *   for await (const letter of abcAsyncGenerator) {
- *     console.log(letter)
- *     // a
- *     // b
- *     // c
- *   }
- *
- *   for await (const letter of ABCGenerator) {
- *     console.log(letter)
- *     // A
- *     // B
- *     // C
- *   }
- *
- *   for await (const letter of ABCGenerator2) {
- *     console.log(letter)
- *     // A
- *     // B
- *     // C
- *   }
- * })()
+ * map(f Mapper)(collection Mappable) -> result Promise|Mappable
  * ```
  *
- * @execution concurrent
- *
- * @TODO streamMap
+ * @description
+ * Apply a function to each item of a collection, returning a collection of the same type. The result is a promise if the mapper function returns a promise.
  */
-declare function map(...args: any[]): any;
+declare function map<C, R>(
+  collection: Promise<C>,
+  mapper: Mapper<C, R>,
+): Promise<Awaited<MapResult<C, R>>>
+
+declare function map<C extends Mappable<unknown> | string, R>(
+  collection: C,
+  mapper: Mapper<C, R>,
+): MapResult<C, R>
+
+declare function map<T, R>(
+  mapper: (value: T, indexOrKey: any, collection: any) => R,
+): LazyMap<T, R>
+
 declare namespace map {
+  /**
+   * @name map.entries
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type EntriesMappable = Object|Map
+   *
+   * map.entries(value Promise|EntriesMappable, f Mapper) -> Promise|EntriesMappable
+   *
+   * map.entries(f Mapper)(value EntriesMappable) -> Promise|EntriesMappable
+   * ```
+   */
+  function entries<C extends EntriesMappable, R extends [unknown, unknown] | Promise<[unknown, unknown]>>(
+    value: C | Promise<C>,
+    mapper: (entry: EntryOf<C>) => R,
+  ): C extends PromiseLike<any> ? Promise<Awaited<MapEntriesResult<C, R>>> : MapEntriesResult<C, R>
+
+  function entries<K, V, R extends [unknown, unknown] | Promise<[unknown, unknown]>>(
+    mapper: (entry: [K, V]) => R,
+  ): <C extends Map<K, V> | { readonly [key: string]: V }>(value: C) => MapEntriesResult<C, R>
+
+  /**
+   * @name map.series
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Mappable = Array|Object|Set|Map
+   *
+   * map.series(collection Promise|Mappable, f Mapper) -> result Promise|Mappable
+   *
+   * map.series(f Mapper)(collection Mappable) -> result Promise|Mappable
+   * ```
+   */
+  function series<C, R>(
+    collection: Promise<C>,
+    mapper: Mapper<C, R>,
+  ): Promise<Awaited<MapResult<C, R>>>
+
+  function series<C extends PoolMappable<unknown>, R>(
+    collection: C,
+    mapper: Mapper<C, R>,
+  ): MapResult<C, R>
+
+  function series<T, R>(
+    mapper: (value: T, indexOrKey: any, collection: any) => R,
+  ): LazyPoolMap<T, R>
+
+  /**
+   * @name map.pool
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Mappable = Array|Object|Set|Map|AsyncIterable
+   *
+   * type PoolOptions = number|{ concurrency: number, ordered: boolean }
+   *
+   * map.pool(options PoolOptions, mapper (value any)=>Promise|any)(collection Mappable)
+   *   -> result Promise|Mappable|AsyncIterator
+   *
+   * map.pool(collection Promise|Mappable, options PoolOptions, mapper (value any)=>Promise|any)
+   *   -> result Promise|Mappable|AsyncIterator
+   * ```
+   */
+  function pool<C, R>(
+    collection: Promise<C>,
+    options: PoolOptions,
+    mapper: (value: ItemOf<C>) => R,
+  ): Promise<Awaited<MapResult<C, R>>>
+
+  function pool<C extends PoolMapMappable<unknown>, R>(
+    collection: C,
+    options: PoolOptions,
+    mapper: (value: ItemOf<C>) => R,
+  ): MapResult<C, R>
+
+  function pool<T, R>(
+    options: PoolOptions,
+    mapper: (value: T) => R,
+  ): LazyMapPool<T, R>
+
+  /**
+   * @name map.parallel
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type ParallelOptions = number|{ workers: number, transfer: boolean }
+   *
+   * map.parallel(options ParallelOptions, modulePathOrFn string|(value any)=>Promise|any)(
+   *   collection Array|AsyncIterable,
+   * ) -> result Promise<Array>|AsyncIterator
+   *
+   * map.parallel(
+   *   collection Promise|Array|AsyncIterable,
+   *   options ParallelOptions,
+   *   modulePathOrFn string|(value any)=>Promise|any,
+   * ) -> result Promise<Array>|AsyncIterator
+   * ```
+   *
+   * @description
+   * [map](/docs/map) on worker threads. A mapper function is copied into each worker thread by its source code, so it may not use variables from outside of itself. Results of a module path are typed `any`.
+   */
+  function parallel<T, R>(
+    collection: readonly T[] | Promise<readonly T[]>,
+    options: ParallelOptions,
+    mapper: (value: T) => R,
+  ): Promise<Awaited<R>[]>
+
+  function parallel<T, R>(
+    collection: AsyncIterable<T>,
+    options: ParallelOptions,
+    mapper: (value: T) => R,
+  ): AsyncIterableIterator<Awaited<R>>
+
+  function parallel(
+    collection: readonly unknown[] | Promise<readonly unknown[]>,
+    options: ParallelOptions,
+    modulePath: string,
+  ): Promise<any[]>
+
+  function parallel(
+    collection: AsyncIterable<unknown>,
+    options: ParallelOptions,
+    modulePath: string,
+  ): AsyncIterableIterator<any>
+
+  function parallel<T, R>(
+    options: ParallelOptions,
+    mapper: (value: T) => R,
+  ): LazyMapParallel<T, Awaited<R>>
+
+  function parallel(
+    options: ParallelOptions,
+    modulePath: string,
+  ): LazyMapParallel<unknown, any>
+
+  /**
+   * @name map.rate
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Mappable = Array|Object|Set|Map
+   *
+   * map.rate(rate number, f (value any)=>Promise|any)(collection Mappable)
+   *   -> result Promise|Mappable
+   *
+   * map.rate(collection Promise|Mappable, rate number, f (value any)=>Promise|any)
+   *   -> result Promise|Mappable
+   * ```
+   */
+  function rate<C, R>(
+    collection: Promise<C>,
+    rate: number,
+    mapper: Mapper<C, R>,
+  ): Promise<Awaited<MapResult<C, R>>>
+
+  function rate<C extends PoolMappable<unknown>, R>(
+    collection: C,
+    rate: number,
+    mapper: Mapper<C, R>,
+  ): RateMapResult<C, R>
+
+  function rate<T, R>(
+    rate: number,
+    mapper: (value: T, indexOrKey: any, collection: any) => R,
+  ): LazyRateMap<T, R>
+
+  /**
+   * @name map.settled
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * type Mappable = Array|Object|Set|Map
+   *
+   * type SettledRecord = { status: 'fulfilled', value: any }|{ status: 'rejected', reason: any }
+   *
+   * map.settled(collection Promise|Mappable, f Mapper) -> result Promise|Mappable<SettledRecord>
+   *
+   * map.settled(f Mapper)(collection Mappable) -> result Promise|Mappable<SettledRecord>
+   * ```
+   *
+   * @description
+   * [map](/docs/map) that records the outcome of each item like `Promise.allSettled` rather than rejecting on the first error.
+   */
+  function settled<C, R>(
+    collection: Promise<C>,
+    mapper: Mapper<C, R>,
+  ): Promise<Awaited<MapSettledResult<C, R>>>
+
+  function settled<C extends SettledMappable<unknown>, R>(
+    collection: C,
+    mapper: Mapper<C, R>,
+  ): MapSettledResult<C, R>
+
+  function settled<T, R>(
+    mapper: (value: T, indexOrKey: any, collection: any) => R,
+  ): LazyMapSettled<T, R>
+
+  namespace settled {
     /**
-     * @name map.entries
+     * @name map.settled.aggregate
      *
      * @synopsis
      * ```coffeescript [specscript]
-     * map.entries(
-     *   mapper ([key any, value any])=>Promise|[any, any],
-     * )(value Map|Object) -> Promise|Map|Object
-     * ```
-     *
-     * @description
-     * `map` over the entries rather than the values of a collection. Accepts collections of type `Map` or `Object`.
+     * type Mappable = Array|Object|Set|Map
      *
-     * ```javascript [playground]
-     * const upperCaseKeysAndSquareValues =
-     *   map.entries(([key, value]) => [key.toUpperCase(), value ** 2])
+     * map.settled.aggregate(collection Promise|Mappable, f Mapper) -> result Promise|Mappable
      *
-     * console.log(upperCaseKeysAndSquareValues({ a: 1, b: 2, c: 3 }))
-     * // { A: 1, B: 4, C: 9 }
-     *
-     * console.log(upperCaseKeysAndSquareValues(new Map([['a', 1], ['b', 2], ['c', 3]])))
-     * // Map(3) { 'A' => 1, 'B' => 4, 'C' => 9 }
-     * ```
-     *
-     * @since v1.7.0
-     */
-    function entries(mapper: any): (value: any) => any;
-    /**
-     * @name map.series
-     *
-     * @synopsis
-     * ```coffeescript [specscript]
-     * map.series(
-     *   mapperFunc (value any, index number)=>Promise|any,
-     * )(array Array) -> Promise|Array
+     * map.settled.aggregate(f Mapper)(collection Mappable) -> result Promise|Mappable
      * ```
      *
      * @description
-     * `map` with serial execution.
-     *
-     * ```javascript [playground]
-     * const delayedLog = number => new Promise(function (resolve) {
-     *   setTimeout(function () {
-     *     console.log(number)
-     *     resolve()
-     *   }, 1000)
-     * })
-     *
-     * console.log('start')
-     * map.series(delayedLog)([1, 2, 3, 4, 5])
-     * ```
-     *
-     * @execution series
-     */
-    function series(mapper: any, index: number): (value: any) => any;
-    /**
-     * @name map.pool
-     *
-     * @synopsis
-     * ```coffeescript [specscript]
-     * map.pool(
-     *   maxConcurrency number,
-     *   mapper (value any)=>Promise|any,
-     * )(array Array) -> result Promise|Array
-     * ```
-     *
-     * @description
-     * `map` that specifies the maximum concurrency (number of ongoing promises at any time) of the execution. Only works for arrays.
-     *
-     * ```javascript [playground]
-     * const ids = [1, 2, 3, 4, 5]
-     *
-     * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
-     *
-     * const delayedIdentity = async value => {
-     *   await sleep(1000)
-     *   return value
-     * }
-     *
-     * map.pool(2, pipe([
-     *   delayedIdentity,
-     *   console.log,
-     * ]))(ids)
-     * ```
-     *
-     * @TODO objectMapPool
-     *
-     * @execution concurrent
+     * [map](/docs/map) that throws or rejects with an `AggregateError` of every error, with the index or key of each error in its `keys`.
      */
-    function pool(concurrencyLimit: any, mapper: any): (value: any) => any[] | Promise<any>;
+    function aggregate<C, R>(
+      collection: Promise<C>,
+      mapper: Mapper<C, R>,
+    ): Promise<Awaited<MapResult<C, R>>>
+
+    function aggregate<C extends SettledMappable<unknown>, R>(
+      collection: C,
+      mapper: Mapper<C, R>,
+    ): MapResult<C, R>
+
+    function aggregate<T, R>(
+      mapper: (value: T, indexOrKey: any, collection: any) => R,
+    ): LazyMapSettledAggregate<T, R>
+  }
 }
@@ -1,6 +1,8 @@
 const isPromise = require('./_internal/isPromise')
 const MappingIterator = require('./_internal/MappingIterator')
 const MappingAsyncIterator = require('./_internal/MappingAsyncIterator')
+const PoolMappingAsyncIterator = require('./_internal/PoolMappingAsyncIterator')
+const ParallelMappingAsyncIterator = require('./_internal/ParallelMappingAsyncIterator')
 const __ = require('./_internal/placeholder')
 const curry2 = require('./_internal/curry2')
 const curry3 = require('./_internal/curry3')
@@ -21,8 +23,15 @@ const stringMapPool = require('./_internal/stringMapPool')
 const setMapPool = require('./_internal/setMapPool')
 const mapMapPool = require('./_internal/mapMapPool')
 const objectMapPool = require('./_internal/objectMapPool')
+const arrayMapParallel = require('./_internal/arrayMapParallel')
+const arrayMapRate = require('./_internal/arrayMapRate')
+const setMapRate = require('./_internal/setMapRate')
+const mapMapRate = require('./_internal/mapMapRate')
+const objectMapRate = require('./_internal/objectMapRate')
 const objectMapEntries = require('./_internal/objectMapEntries')
 const mapMapEntries = require('./_internal/mapMapEntries')
+const settle = require('./_internal/settle')
+const SettledAggregator = require('./_internal/SettledAggregator')
 const symbolIterator = require('./_internal/symbolIterator')
 const symbolAsyncIterator = require('./_internal/symbolAsyncIterator')
 
@@ -425,12 +434,19 @@ map.series = function mapSeries(arg0, arg1) {
  *
  * @synopsis
  * ```coffeescript [specscript]
- * type Mappable = Array|Object|Set|Map
+ * type Mappable = Array|Object|Set|Map|AsyncIterable
  *
- * _mapPool(collection Mappable, concurrency number, f function) -> result Promise|Mappable
+ * _mapPool(
+ *   collection Mappable,
+ *   options number|{ concurrency: number, ordered: boolean },
+ *   f function,
+ * ) -> result Promise|Mappable|AsyncIterator
  * ```
  */
-const _mapPool = function (collection, concurrency, f) {
+const _mapPool = function (collection, options, f) {
+  const isOptions = typeof options == 'object' && options != null
+  const concurrency = isOptions ? options.concurrency : options
+  const ordered = isOptions && options.ordered != null ? options.ordered : true
   if (isArray(collection)) {
     return arrayMapPool(collection, concurrency, f)
   }
@@ -449,6 +465,11 @@ const _mapPool = function (collection, concurrency, f) {
   if (collection.constructor == Object) {
     return objectMapPool(collection, concurrency, f)
   }
+  if (typeof collection[symbolAsyncIterator] == 'function') {
+    return PoolMappingAsyncIterator(
+      collection[symbolAsyncIterator](), concurrency, f, ordered,
+    )
+  }
   throw new TypeError(`invalid collection ${collection}`)
 }
 
@@ -457,18 +478,23 @@ const _mapPool = function (collection, concurrency, f) {
  *
  * @synopsis
  * ```coffeescript [specscript]
- * type Mappable = Array|Object|Set|Map
+ * type Mappable = Array|Object|Set|Map|AsyncIterable
+ *
+ * type PoolOptions = number|{
+ *   concurrency: number,
+ *   ordered: boolean, # default true
+ * }
  *
  * map.pool(
- *   concurrency number,
+ *   options PoolOptions,
  *   mapper (value any)=>Promise|any,
- * )(collection Mappable) -> result Promise|Array
+ * )(collection Mappable) -> result Promise|Mappable|AsyncIterator
  *
  * map.pool(
  *   collection Mappable,
- *   concurrency number,
+ *   options PoolOptions,
  *   mapper (value any)=>Promise|any,
- * ) -> result Promise|Array
+ * ) -> result Promise|Mappable|AsyncIterator
  * ```
  *
  * @description
@@ -499,6 +525,37 @@ const _mapPool = function (collection, concurrency, f) {
  * // [1, 4, 9, 16, 25]
  * ```
  *
+ * An async iterable is mapped into an async iterator that keeps up to `concurrency` items pulled from the async iterable but not yet consumed, with their mapper calls running concurrently. By default, the async iterator produces items in the order of the async iterable. With `ordered: false`, it produces items as soon as their mapper calls settle.
+ *
+ * ```javascript [playground]
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const generateDelays = async function* () {
+ *   yield 300
+ *   yield 100
+ *   yield 200
+ * }
+ *
+ * const delayedIdentity = async ms => {
+ *   await sleep(ms)
+ *   return ms
+ * }
+ *
+ * const main = async function () {
+ *   for await (const ms of map.pool(3, delayedIdentity)(generateDelays())) {
+ *     console.log(ms) // 300, 100, 200
+ *   }
+ *   const unordered = map.pool({ concurrency: 3, ordered: false }, delayedIdentity)
+ *   for await (const ms of unordered(generateDelays())) {
+ *     console.log(ms) // 100, 200, 300
+ *   }
+ * }
+ *
+ * main()
+ * ```
+ *
+ * The first error from the async iterable or the mapper rejects the pending pull from the async iterator and closes the async iterable.
+ *
  * @TODO objectMapPool
  *
  * @execution concurrent
@@ -512,6 +569,129 @@ map.pool = function mapPool(arg0, arg1, arg2) {
     : _mapPool(arg0, arg1, arg2)
 }
 
+/**
+ * @name _mapParallel
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _mapParallel(
+ *   collection Array|AsyncIterable,
+ *   options number|{ workers: number, transfer: boolean },
+ *   modulePathOrFn string|function,
+ * ) -> result Promise<Array>|AsyncIterator
+ * ```
+ */
+const _mapParallel = function (collection, options, modulePathOrFn) {
+  const isOptions = typeof options == 'object' && options != null
+  const workers = isOptions ? options.workers : options
+  const transfer = isOptions && Boolean(options.transfer)
+  if (isArray(collection)) {
+    return arrayMapParallel(collection, workers, modulePathOrFn, transfer)
+  }
+  if (collection != null && typeof collection[symbolAsyncIterator] == 'function') {
+    return ParallelMappingAsyncIterator(
+      collection[symbolAsyncIterator](), workers, modulePathOrFn, transfer,
+    )
+  }
+  throw new TypeError(`invalid collection ${collection}`)
+}
+
+/**
+ * @name map.parallel
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type ParallelOptions = number|{
+ *   workers: number,
+ *   transfer: boolean, # default false
+ * }
+ *
+ * map.parallel(
+ *   options ParallelOptions,
+ *   modulePathOrFn string|(value any)=>Promise|any,
+ * )(collection Array|AsyncIterable) -> result Promise<Array>|AsyncIterator
+ *
+ * map.parallel(
+ *   collection Promise|Array|AsyncIterable,
+ *   options ParallelOptions,
+ *   modulePathOrFn string|(value any)=>Promise|any,
+ * ) -> result Promise<Array>|AsyncIterator
+ * ```
+ *
+ * @description
+ * [map](/docs/map) on up to `workers` [worker threads](https://nodejs.org/api/worker_threads.html) of Node.js, for CPU-bound mappers that [map.pool](/docs/map.pool) cannot speed up. Each worker thread maps one item at a time.
+ *
+ * The mapper is either the export of the module `modulePathOrFn`, a path or package specifier, e.g. `./mapper.js` or `lodash/toUpper`, resolved from the current working directory, or the function `modulePathOrFn`. A mapper function is copied into each worker thread by its source code, so it may not use variables from outside of itself, though it may `require` modules.
+ *
+ * ```javascript
+ * // hash.js
+ * const crypto = require('crypto')
+ *
+ * module.exports = buffer => crypto.createHash('sha256').update(buffer).digest('hex')
+ * ```
+ *
+ * ```javascript
+ * map.parallel(images, 4, './hash.js').then(console.log)
+ * // [hash1, hash2, ...]
+ *
+ * map.parallel(4, number => {
+ *   let sum = 0
+ *   for (let i = 0; i < number; i++) {
+ *     sum += i
+ *   }
+ *   return sum
+ * })([1e8, 2e8]).then(console.log) // [4999999950000000, 19999999900000000]
+ * ```
+ *
+ * An array is mapped into a promise of an array in the same order. An async iterable is mapped into an async iterator in the same order, which maps up to `workers` items at a time.
+ *
+ * Items and results are copied between threads with the [structured clone algorithm](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm). With `transfer: true`, binary items and results, i.e. `ArrayBuffer`s, typed arrays and Buffers, are transferred instead: they become unusable in the sending thread and are not copied. Buffers arrive as `Uint8Array`s. Typed arrays and Buffers that view part of their `ArrayBuffer`, such as small Buffers from the shared pool of Node.js, are copied.
+ *
+ * If the mapper throws or rejects, or a worker thread fails, e.g. the module does not load, the result rejects with the first error and the worker threads are terminated. Errors from the mapper keep their name, message and stack.
+ *
+ * @execution parallel
+ */
+map.parallel = function mapParallel(arg0, arg1, arg2) {
+  if (arg2 == null) {
+    return curry3(_mapParallel, __, arg0, arg1)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry3(_mapParallel, __, arg1, arg2))
+    : _mapParallel(arg0, arg1, arg2)
+}
+
+/**
+ * @name _mapRate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Mappable = Array|Object|Set|Map
+ *
+ * _mapRate(collection Mappable, rate number, f function) -> result Promise|Mappable
+ * ```
+ */
+const _mapRate = function (collection, rate, f) {
+  if (!(Number.isInteger(rate) && rate > 0)) {
+    throw new RangeError(`invalid rate ${rate}`)
+  }
+  if (isArray(collection)) {
+    return arrayMapRate(collection, rate, f)
+  }
+  if (collection == null) {
+    throw new TypeError(`invalid collection ${collection}`)
+  }
+  if (collection.constructor == Set) {
+    return setMapRate(collection, rate, f)
+  }
+  if (collection.constructor == Map) {
+    return mapMapRate(collection, rate, f)
+  }
+  if (collection.constructor == Object) {
+    return objectMapRate(collection, rate, f)
+  }
+  throw new TypeError(`invalid collection ${collection}`)
+}
+
 /**
  * @name map.rate
  *
@@ -522,14 +702,216 @@ map.pool = function mapPool(arg0, arg1, arg2) {
  * map.rate(
  *   rate number,
  *   f (value any)=>Promise|any,
- * )(collection Mappable) -> result Promise|Array
+ * )(collection Mappable) -> result Promise|Mappable
  *
  * map.rate(
- *   collection Mappable,
+ *   collection Promise|Mappable,
  *   rate number,
  *   f (value any)=>Promise|any,
- * ) -> result Promise|Array
+ * ) -> result Promise|Mappable
+ * ```
+ *
+ * @description
+ * [map](/docs/map) with a limited rate of calls. `map.rate` calls the mapper function `f` at most `rate` times per second, returning the results in a new collection of the same type. If order is implied by the collection, it is maintained in the result. `rate` must be a positive integer, otherwise `map.rate` throws a RangeError.
+ *
+ * ```javascript [playground]
+ * const ids = [1, 2, 3, 4, 5]
+ *
+ * const logWithTime = id => {
+ *   console.log(id, new Date().toISOString())
+ *   return id
+ * }
+ *
+ * map.rate(2, logWithTime)(ids).then(console.log)
+ * // [1, 2, 3, 4, 5] after about two seconds
+ * ```
+ *
+ * If the mapper throws or rejects, `map.rate` stops calling it for the rest of the items and throws or rejects with the error.
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * ```javascript [playground]
+ * const asyncSquare = async n => n ** 2
+ *
+ * map.rate(Promise.resolve([1, 2, 3, 4, 5]), 5, asyncSquare).then(console.log)
+ * // [1, 4, 9, 16, 25]
+ * ```
+ *
+ * @execution concurrent
+ */
+map.rate = function mapRate(arg0, arg1, arg2) {
+  if (arg2 == null) {
+    return curry3(_mapRate, __, arg0, arg1)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry3(_mapRate, __, arg1, arg2))
+    : _mapRate(arg0, arg1, arg2)
+}
+
+/**
+ * @name _mapSettledCollection
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Mappable = Array|Object|Set|Map
+ *
+ * _mapSettledCollection(collection Mappable, mapper function) -> result Promise|Mappable
+ * ```
+ */
+const _mapSettledCollection = function (collection, mapper) {
+  if (isArray(collection)) {
+    return arrayMap(collection, mapper)
+  }
+  if (collection == null) {
+    throw new TypeError(`invalid collection ${collection}`)
+  }
+  if (collection.constructor == Set) {
+    return setMap(collection, mapper)
+  }
+  if (collection.constructor == Map) {
+    return mapMap(collection, mapper)
+  }
+  if (collection.constructor == Object) {
+    return objectMap(collection, mapper)
+  }
+  throw new TypeError(`invalid collection ${collection}`)
+}
+
+/**
+ * @name _mapSettled
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Mappable = Array|Object|Set|Map
+ *
+ * _mapSettled(collection Mappable, f function) -> result Promise|Mappable
+ * ```
+ */
+const _mapSettled = function (collection, f) {
+  return _mapSettledCollection(collection, function settlingMapper(...args) {
+    return settle(f, args)
+  })
+}
+
+/**
+ * @name map.settled
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Mappable = Array|Object|Set|Map
+ *
+ * type SettledRecord = { status: 'fulfilled', value: any }
+ *   |{ status: 'rejected', reason: any }
+ *
+ * map.settled(
+ *   collection Promise|Mappable,
+ *   f (value any, indexOrKey any, collection Mappable)=>Promise|any,
+ * ) -> result Promise|Mappable<SettledRecord>
+ *
+ * map.settled(
+ *   f (value any, indexOrKey any, collection Mappable)=>Promise|any,
+ * )(collection Mappable) -> result Promise|Mappable<SettledRecord>
+ * ```
+ *
+ * @description
+ * [map](/docs/map) that does not stop at the first error. `map.settled` calls the mapper function `f` concurrently on each item of the collection and records the outcome of each call like `Promise.allSettled`: `{ status: 'fulfilled', value }` if `f` returns or resolves, or `{ status: 'rejected', reason }` if `f` throws or rejects. The records are returned in a collection of the same type, at the same indices or keys as their items.
+ *
+ * ```javascript [playground]
+ * const importUser = async user => {
+ *   if (user.name == null) {
+ *     throw new TypeError('missing name')
+ *   }
+ *   return user.name
+ * }
+ *
+ * map.settled([{ name: 'George' }, {}], importUser).then(console.log)
+ * // [
+ * //   { status: 'fulfilled', value: 'George' },
+ * //   { status: 'rejected', reason: TypeError: missing name },
+ * // ]
+ * ```
+ *
+ * Like `map`, the result is a promise only if `f` returns a promise. The result is never a rejected promise, and `map.settled` does not throw for errors of `f`.
+ *
+ * See [map.settled.aggregate](/docs/map.settled.aggregate) to throw every error at once.
+ *
+ * @execution concurrent
+ */
+map.settled = function mapSettled(arg0, arg1) {
+  if (arg1 == null) {
+    return curry2(_mapSettled, __, arg0)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry2(_mapSettled, __, arg1))
+    : _mapSettled(arg0, arg1)
+}
+
+/**
+ * @name _mapSettledAggregate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Mappable = Array|Object|Set|Map
+ *
+ * _mapSettledAggregate(collection Mappable, f function) -> result Promise|Mappable
  * ```
  */
+const _mapSettledAggregate = function (collection, f) {
+  const aggregator = SettledAggregator()
+  return aggregator.check(_mapSettledCollection(
+    collection,
+    function aggregatingMapper(item, indexOrKey, collection) {
+      return aggregator.settle(f, [item, indexOrKey, collection], indexOrKey)
+    },
+  ))
+}
+
+/**
+ * @name map.settled.aggregate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Mappable = Array|Object|Set|Map
+ *
+ * map.settled.aggregate(
+ *   collection Promise|Mappable,
+ *   f (value any, indexOrKey any, collection Mappable)=>Promise|any,
+ * ) -> result Promise|Mappable
+ *
+ * map.settled.aggregate(
+ *   f (value any, indexOrKey any, collection Mappable)=>Promise|any,
+ * )(collection Mappable) -> result Promise|Mappable
+ * ```
+ *
+ * @description
+ * [map](/docs/map) that reports every error rather than only the first. If every call of the mapper function `f` returns or resolves, `map.settled.aggregate` returns the same result as `map`. Otherwise, it waits for every call to settle, then throws or rejects with one [AggregateError](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/AggregateError).
+ *
+ * The `errors` of the `AggregateError` are the errors of `f` in the order of the items of the collection, and its `keys` are the index or key of the item of each error, or the item itself for sets. The message lists each index or key with the message of its error.
+ *
+ * ```javascript [playground]
+ * const importUser = async user => {
+ *   if (user.name == null) {
+ *     throw new TypeError('missing name')
+ *   }
+ *   return user.name
+ * }
+ *
+ * map.settled.aggregate([{ name: 'George' }, {}, {}], importUser).catch(error => {
+ *   console.log(error.message) // 2 failed - 1: missing name; 2: missing name
+ *   console.log(error.keys) // [1, 2]
+ *   console.log(error.errors) // [TypeError: missing name, TypeError: missing name]
+ * })
+ * ```
+ *
+ * @execution concurrent
+ */
+map.settled.aggregate = function mapSettledAggregate(arg0, arg1) {
+  if (arg1 == null) {
+    return curry2(_mapSettledAggregate, __, arg0)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry2(_mapSettledAggregate, __, arg1))
+    : _mapSettledAggregate(arg0, arg1)
+}
 
 module.exports = map
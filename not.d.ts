@@ -1,4 +1,9 @@
-export = not;
+import {
+  ArgsAsyncness, AsyncResult, Asyncness, AwaitedArgs, PromiseResult,
+} from './types'
+
+export = not
+
 /**
  * @name not
  *
@@ -12,23 +17,14 @@ export = not;
  * ```
  *
  * @description
- * Negate a value like the [logical NOT (`!`)](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/Logical_NOT) operator.
- *
- * ```javascript [playground]
- * const myObj = { a: 1 }
- *
- * console.log(not('a' in myObj)) // false
- * console.log(not('b' in myObj)) // true
- * ```
- *
- * If provided a predicate function, `not` returns a logically inverted predicate that returns true everywhere the original predicate would have returned false.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * console.log(
- *   not(isOdd)(3),
- * ) // false
- * ```
+ * Negate a value, or the result of a predicate function called with the arguments.
  */
-declare function not(...args: any[]): any;
+declare function not<A extends unknown[], R>(
+  predicate: (...args: A) => R,
+): (...args: A) => PromiseResult<R, boolean>
+
+declare function not<A extends [unknown, ...unknown[]], R>(
+  ...args: [...A, (...args: AwaitedArgs<A>) => R]
+): AsyncResult<ArgsAsyncness<A> | Asyncness<R>, boolean>
+
+declare function not(value: unknown): boolean
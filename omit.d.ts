@@ -1,4 +1,7 @@
-export = omit;
+import { Omitted } from './types'
+
+export = omit
+
 /**
  * @name omit
  *
@@ -10,41 +13,18 @@ export = omit;
  * ```
  *
  * @description
- * Create a new object by excluding provided paths on a source object.
- *
- * ```javascript [playground]
- * console.log(
- *   omit({ _id: '1', name: 'George' }, ['_id']),
- * ) // { name: 'George' }
- * ```
- *
- * `omit` supports three types of path patterns for nested property access
- *
- *  * dot delimited - `'a.b.c'`
- *  * bracket notation - `'a[0].value'`
- *  * an array of keys or indices - `['a', 0, 'value']`
- *
- * ```javascript [playground]
- * console.log(
- *   omit(['a.b.d'])({
- *     a: {
- *       b: {
- *         c: 'hello',
- *         d: 'goodbye',
- *       },
- *     },
- *   }),
- * ) // { a: { b: { c: 'hello' } } }
- * ```
- *
- * Compose `omit` inside a `pipe` with its lazy API
- *
- * ```javascript [playground]
- * pipe({ a: 1, b: 2, c: 3 }, [
- *   map(number => number ** 2),
- *   omit(['a', 'b']),
- *   console.log, // { c: 9 }
- * ])
- * ```
+ * Create a new object without the keys of an object. Omitting nested paths results in a `Partial` of the object.
  */
-declare function omit(arg0: any, arg1: any): any;
+declare function omit<const K extends readonly string[]>(
+  paths: K,
+): <O extends object>(source: O) => Omitted<O, K[number]>
+
+declare function omit<O extends object, const K extends readonly string[]>(
+  source: Promise<O>,
+  paths: K,
+): Promise<Omitted<O, K[number]>>
+
+declare function omit<O extends object, const K extends readonly string[]>(
+  source: O,
+  paths: K,
+): Omitted<O, K[number]>
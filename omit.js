@@ -6,11 +6,11 @@ const __ = require('./_internal/placeholder')
 
 // _omit(source Object, paths Array<string>) -> result Object
 const _omit = function (source, paths) {
-  const pathsLength = paths.length,
-    result = copyDeep(source)
-  let pathsIndex = -1
+  const pathsLength = paths.length
+  let result = copyDeep(source),
+    pathsIndex = -1
   while (++pathsIndex < pathsLength) {
-    deleteByPath(result, paths[pathsIndex])
+    result = deleteByPath(result, paths[pathsIndex])
   }
   return result
 }
@@ -40,6 +40,8 @@ const _omit = function (source, paths) {
  *  * bracket notation - `'a[0].value'`
  *  * an array of keys or indices - `['a', 0, 'value']`
  *
+ * Quoted keys, escaped characters and negative indices are supported like the paths of [get](/docs/get).
+ *
  * ```javascript [playground]
  * console.log(
  *   omit(['a.b.d'])({
@@ -53,6 +55,16 @@ const _omit = function (source, paths) {
  * ) // { a: { b: { c: 'hello' } } }
  * ```
  *
+ * With the wildcards `*` and `**` of [get](/docs/get), `omit` excludes every match of a path.
+ *
+ * ```javascript [playground]
+ * console.log(
+ *   omit({ password: 'a', users: [{ name: 'George', password: 'b' }] }, ['**.password']),
+ * ) // { users: [{ name: 'George' }] }
+ * ```
+ *
+ * Keys of persistent objects created by [persistent](/docs/persistent) are excluded with `.delete`, so that `omit` returns a new persistent object that shares the unchanged parts of the source.
+ *
  * Compose `omit` inside a `pipe` with its lazy API
  *
  * ```javascript [playground]
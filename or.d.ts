@@ -1,4 +1,10 @@
-export = or;
+import {
+  ArgsAsyncness, AsyncResult, AwaitedArgs, FirstFunctionArgs, HasFunction,
+  LogicalResult, PredicatesOrValues, ShortCircuitAsyncness,
+} from './types'
+
+export = or
+
 /**
  * @name or
  *
@@ -12,32 +18,14 @@ export = or;
  * ```
  *
  * @description
- * Tests an array of boolean values, returning true if any boolean values are truthy.
- *
- * ```javascript [playground]
- * const oneIsLessThanZero = 1 < 0
- * const oneIsGreaterThanTwo = 1 > 2
- * const threeIsNotEqualToThree = 3 !== 3
- *
- * console.log(
- *   or([oneIsLessThanZero, oneIsGreaterThanTwo, threeIsNotEqualToThree]),
- * ) // false
- * ```
- *
- * If any values in the array are synchronous or asynchronous predicate functions, `or` takes another argument to test concurrently against the predicate functions, returning true if any array values or resolved values from the predicates are truthy.
- *
- * ```javascript [playground]
- * const isOdd = number => number % 2 == 1
- *
- * const isEven = number => number % 2 == 0
- *
- * console.log(
- *   or([isOdd, isEven])(0),
- * ) // true
- * ```
- *
- * @execution series
- *
- * @note ...args slows down here by an order of magnitude
+ * Test an array of predicates or values, returning true if any test truthy. Predicates are called with the same arguments and stop at the first truthy result.
  */
-declare function or(...args: any[]): any;
+declare function or<V extends readonly unknown[] | []>(
+  predicatesOrValues: V,
+): HasFunction<V> extends true
+  ? (...args: FirstFunctionArgs<V>) => LogicalResult<V>
+  : LogicalResult<V>
+
+declare function or<A extends [unknown, ...unknown[]], V extends PredicatesOrValues<AwaitedArgs<A>>>(
+  ...args: [...A, V]
+): AsyncResult<ArgsAsyncness<A> | ShortCircuitAsyncness<V>, boolean>
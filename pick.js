@@ -1,8 +1,9 @@
 const isPromise = require('./_internal/isPromise')
-const getByPath = require('./_internal/getByPath')
 const setByPath = require('./_internal/setByPath')
 const curry2 = require('./_internal/curry2')
 const __ = require('./_internal/placeholder')
+const propertyPathToArray = require('./_internal/propertyPathToArray')
+const pathMatches = require('./_internal/pathMatches')
 
 // _pick(source Object, keys Array<string>) -> result Object
 const _pick = function (source, keys) {
@@ -13,10 +14,11 @@ const _pick = function (source, keys) {
   let result = {}
   let keysIndex = -1
   while (++keysIndex < keysLength) {
-    const key = keys[keysIndex],
-      value = getByPath(source, key)
-    if (value != null) {
-      result = setByPath(result, value, key)
+    const matches = pathMatches(source, propertyPathToArray(keys[keysIndex]))
+    for (const [path, value] of matches) {
+      if (value != null) {
+        result = setByPath(result, value, path)
+      }
     }
   }
   return result
@@ -47,12 +49,22 @@ const _pick = function (source, keys) {
  *  * bracket notation - `'a[0].value'`
  *  * an array of keys or indices - `['a', 0, 'value']`
  *
+ * Quoted keys, escaped characters and negative indices are supported like the paths of [get](/docs/get).
+ *
  * ```javascript [playground]
  * const nested = { a: { b: { c: { d: 1, e: [2, 3] } } } }
  *
  * console.log(pick(['a.b.c.d'])(nested)) // { a: { b: { c: { d: 1 } } } }
  * ```
  *
+ * A path with the wildcards `*` and `**` of [get](/docs/get) picks every match.
+ *
+ * ```javascript [playground]
+ * console.log(
+ *   pick({ users: [{ id: 1, name: 'George' }, { id: 2, name: 'Jane' }] }, ['users[*].id']),
+ * ) // { users: [{ id: 1 }, { id: 2 }] }
+ * ```
+ *
  * Compose `pick` inside a `pipe` with its lazy API.
  *
  * ```javascript [playground]
@@ -1,4 +1,9 @@
-export = pipe;
+import {
+  ArgsAsyncness, AsyncResult, Asyncness, AwaitedArgs, LongFunctionArray,
+} from './types'
+
+export = pipe
+
 /**
  * @name pipe
  *
@@ -10,40 +15,178 @@ export = pipe;
  * ```
  *
  * @description
- * Creates a function pipeline from an array of functions, where each function passes its return value as a single argument to the next function until all functions have executed. The first function is called with the arguments to the pipeline, while the result of the pipeline execution is the return of its last function. If any function of the pipeline is asynchronous, the result of the execution is a Promise.
- *
- * ```javascript [playground]
- * const syncAdd123 = pipe([
- *   number => number + 1,
- *   number => number + 2,
- *   number => number + 3,
- * ])
- *
- * console.log(syncAdd123(5)) // 11
- *
- * const asyncAdd123 = pipe([
- *   async number => number + 1,
- *   async number => number + 2,
- *   async number => number + 3,
- * ])
- *
- * asyncAdd123(5).then(console.log) // 11
- * ```
- *
- * When passed any amount of arguments before the array of functions, `pipe` executes eagerly; the array of functions is immediately invoked with the supplied arguments.
- *
- * ```javascript [playground]
- * pipe(1, 2, 3, [
- *   Array.of,
- *   map(number => number * 3),
- *   console.log, // [3, 6, 9]
- * ])
- * ```
- *
- * @execution series
- *
- * @transducing
- *
- * @since 1.6.0
+ * Each function of `funcs` is called with the awaited return value of the previous function. The result is a promise if any function returns a promise, or if any argument of the eager form is a promise. Pipelines of up to ten functions are typed step by step; longer pipelines fall back to `any`.
  */
-declare function pipe(...args: any[]): any;
+declare function pipe<A extends unknown[], R1>(funcs: [
+  (...args: A) => R1,
+]): (...args: A) => AsyncResult<Asyncness<R1>, Awaited<R1>>
+
+declare function pipe<A extends unknown[], R1, R2>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2>, Awaited<R2>>
+
+declare function pipe<A extends unknown[], R1, R2, R3>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3>, Awaited<R3>>
+
+declare function pipe<A extends unknown[], R1, R2, R3, R4>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4>, Awaited<R4>>
+
+declare function pipe<A extends unknown[], R1, R2, R3, R4, R5>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5>, Awaited<R5>>
+
+declare function pipe<A extends unknown[], R1, R2, R3, R4, R5, R6>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6>, Awaited<R6>>
+
+declare function pipe<A extends unknown[], R1, R2, R3, R4, R5, R6, R7>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7>, Awaited<R7>>
+
+declare function pipe<A extends unknown[], R1, R2, R3, R4, R5, R6, R7, R8>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R7>) => R8,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8>, Awaited<R8>>
+
+declare function pipe<A extends unknown[], R1, R2, R3, R4, R5, R6, R7, R8, R9>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R8>) => R9,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9>, Awaited<R9>>
+
+declare function pipe<A extends unknown[], R1, R2, R3, R4, R5, R6, R7, R8, R9, R10>(funcs: [
+  (...args: A) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R8>) => R9,
+  (value: Awaited<R9>) => R10,
+]): (...args: A) => AsyncResult<Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9> | Asyncness<R10>, Awaited<R10>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1>, Awaited<R1>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2>, Awaited<R2>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3>, Awaited<R3>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3, R4>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4>, Awaited<R4>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5>, Awaited<R5>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6>, Awaited<R6>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7>, Awaited<R7>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7, R8>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R7>) => R8,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8>, Awaited<R8>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7, R8, R9>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R8>) => R9,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9>, Awaited<R9>>
+
+declare function pipe<A extends [unknown, ...unknown[]], R1, R2, R3, R4, R5, R6, R7, R8, R9, R10>(...args: [...A, [
+  (...args: AwaitedArgs<A>) => R1,
+  (value: Awaited<R1>) => R2,
+  (value: Awaited<R2>) => R3,
+  (value: Awaited<R3>) => R4,
+  (value: Awaited<R4>) => R5,
+  (value: Awaited<R5>) => R6,
+  (value: Awaited<R6>) => R7,
+  (value: Awaited<R7>) => R8,
+  (value: Awaited<R8>) => R9,
+  (value: Awaited<R9>) => R10,
+]]): AsyncResult<ArgsAsyncness<A> | Asyncness<R1> | Asyncness<R2> | Asyncness<R3> | Asyncness<R4> | Asyncness<R5> | Asyncness<R6> | Asyncness<R7> | Asyncness<R8> | Asyncness<R9> | Asyncness<R10>, Awaited<R10>>
+
+declare function pipe(funcs: LongFunctionArray): (...args: any[]) => any
+
+declare function pipe(...args: [...unknown[], LongFunctionArray]): any
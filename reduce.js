@@ -1,19 +1,24 @@
 const isPromise = require('./_internal/isPromise')
 const __ = require('./_internal/placeholder')
 const curry3 = require('./_internal/curry3')
-const genericReduce = require('./_internal/genericReduce')
+const curry5 = require('./_internal/curry5')
+const genericReduceComplete = require('./_internal/genericReduceComplete')
+const genericReducePool = require('./_internal/genericReducePool')
 
 // _reduce(collection any, reducer function, initialValue function|any) -> Promise
 const _reduce = function (collection, reducer, initialValue) {
+  if (initialValue === undefined && typeof reducer['@@transducer/init'] == 'function') {
+    return _reduce(collection, reducer, reducer['@@transducer/init'])
+  }
   if (typeof initialValue == 'function') {
     const actualInitialValue = initialValue(collection)
     return isPromise(actualInitialValue)
-      ? actualInitialValue.then(curry3(genericReduce, collection, reducer, __))
-      : genericReduce(collection, reducer, actualInitialValue)
+      ? actualInitialValue.then(curry3(genericReduceComplete, collection, reducer, __))
+      : genericReduceComplete(collection, reducer, actualInitialValue)
   }
   return isPromise(initialValue)
-    ? initialValue.then(curry3(genericReduce, collection, reducer, __))
-    : genericReduce(collection, reducer, initialValue)
+    ? initialValue.then(curry3(genericReduceComplete, collection, reducer, __))
+    : genericReduceComplete(collection, reducer, initialValue)
 }
 
 /**
@@ -92,6 +97,8 @@ const _reduce = function (collection, reducer, initialValue) {
  * // ['initial length 5', 1, 4, 9, 16, 25]
  * ```
  *
+ * If no initial value is provided and the reducer has an initialization step, i.e. a `'@@transducer/init'` method like the reducers of [AggregateReducer.all](/docs/AggregateReducer.all), the initialization step is treated as the resolver of the initial value.
+ *
  * For objects (type `Object`), `reduce` executes the reducer function for each value of the object. On each iteration, the reducer is passed the accumulator, the object value, the key of the object value, and a reference to the original object.
  *
  * ```javascript [playground]
@@ -199,4 +206,100 @@ const reduce = function (...args) {
   return _reduce(args[0], args[1], args[2])
 }
 
+// _reducePool(
+//   collection any,
+//   concurrency number,
+//   transducer function,
+//   reducer function,
+//   initialValue function|any,
+// ) -> Promise|any
+const _reducePool = function (
+  collection, concurrency, transducer, reducer, initialValue,
+) {
+  if (typeof initialValue == 'function') {
+    const actualInitialValue = initialValue(collection)
+    return isPromise(actualInitialValue)
+      ? actualInitialValue.then(curry5(
+        genericReducePool, collection, concurrency, transducer, reducer, __))
+      : genericReducePool(
+        collection, concurrency, transducer, reducer, actualInitialValue)
+  }
+  return isPromise(initialValue)
+    ? initialValue.then(curry5(
+      genericReducePool, collection, concurrency, transducer, reducer, __))
+    : genericReducePool(collection, concurrency, transducer, reducer, initialValue)
+}
+
+/**
+ * @name reduce.pool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Foldable = Array|Object|Map|Iterator|AsyncIterator
+ *
+ * type Reducer = (
+ *   accumulator any,
+ *   value any,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * type Resolver = (collection Foldable)=>Promise|any
+ *
+ * reduce.pool(
+ *   collection Promise|Foldable,
+ *   concurrency number,
+ *   transducer Transducer,
+ *   reducer Reducer,
+ *   initialValue? Resolver|any
+ * ) -> result Promise|any
+ *
+ * reduce.pool(
+ *   concurrency number,
+ *   transducer Transducer,
+ *   reducer Reducer,
+ *   initialValue? Resolver|any
+ * )(collection Foldable) -> result Promise|any
+ * ```
+ *
+ * @description
+ * [reduce](/docs/reduce) with a concurrent transducing stage. The transducer is run on up to `concurrency` items of the collection at a time, while the values it outputs are folded into the accumulator with the reducer one at a time in the order of the items. The result is the same as that of `reduce(collection, transducer(reducer), initialValue)`. Transducers that keep state between items, like [Transducer.take](/docs/Transducer.take) or [Transducer.scan](/docs/Transducer.scan), take items in the order of the items, so only the steps of the transducer before them run concurrently.
+ *
+ * ```javascript [playground]
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const delayedSquare = async number => {
+ *   await sleep(1000)
+ *   return number ** 2
+ * }
+ *
+ * const add = (a, b) => a + b
+ *
+ * reduce.pool(
+ *   [1, 2, 3, 4, 5],
+ *   5,
+ *   Transducer.map(delayedSquare),
+ *   add,
+ *   0,
+ * ).then(console.log) // 55 after about one second
+ * ```
+ *
+ * If the initial value is not supplied, the first item of the collection is used as the initial value as is, and the transducer is run on the rest of the items, as in [reduce](/docs/reduce).
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * @execution concurrent
+ *
+ * @transducing
+ */
+reduce.pool = function reducePool(...args) {
+  if (typeof args[1] == 'function') {
+    return curry5(_reducePool, __, args[0], args[1], args[2], args[3])
+  }
+  if (isPromise(args[0])) {
+    return args[0].then(curry5(_reducePool, __, args[1], args[2], args[3], args[4]))
+  }
+  return _reducePool(args[0], args[1], args[2], args[3], args[4])
+}
+
 module.exports = reduce
@@ -1,32 +1,61 @@
-import pipe = require("./pipe");
-import compose = require("./compose");
-import tap = require("./tap");
-import forEach = require("./forEach");
-import switchCase = require("./switchCase");
-import tryCatch = require("./tryCatch");
-import all = require("./all");
-import assign = require("./assign");
-import get = require("./get");
-import set = require("./set");
-import pick = require("./pick");
-import omit = require("./omit");
-import map = require("./map");
-import filter = require("./filter");
-import flatMap = require("./flatMap");
-import reduce = require("./reduce");
-import transform = require("./transform");
-import and = require("./and");
-import or = require("./or");
-import not = require("./not");
-import some = require("./some");
-import every = require("./every");
-import eq = require("./eq");
-import gt = require("./gt");
-import lt = require("./lt");
-import gte = require("./gte");
-import lte = require("./lte");
-import thunkify = require("./thunkify");
-import always = require("./_internal/always");
-import curry = require("./curry");
-import __ = require("./_internal/placeholder");
-export { pipe, compose, tap, forEach, switchCase, tryCatch, all, assign, get, set, pick, omit, map, filter, flatMap, reduce, transform, and, or, not, some, every, eq, gt, lt, gte, lte, thunkify, always, curry, __ };
+import pipe = require('./pipe')
+import compose = require('./compose')
+import tap = require('./tap')
+import forEach = require('./forEach')
+import switchCase = require('./switchCase')
+import tryCatch = require('./tryCatch')
+import all = require('./all')
+import assign = require('./assign')
+import get = require('./get')
+import set = require('./set')
+import pick = require('./pick')
+import omit = require('./omit')
+import map = require('./map')
+import filter = require('./filter')
+import flatMap = require('./flatMap')
+import reduce = require('./reduce')
+import transform = require('./transform')
+import and = require('./and')
+import or = require('./or')
+import not = require('./not')
+import some = require('./some')
+import every = require('./every')
+import eq = require('./eq')
+import gt = require('./gt')
+import lt = require('./lt')
+import gte = require('./gte')
+import lte = require('./lte')
+import thunkify = require('./thunkify')
+import always = require('./always')
+import curry = require('./curry')
+import __ = require('./__')
+
+export = rubico
+
+/**
+ * @name rubico
+ *
+ * @description
+ * The rubico core operators.
+ */
+declare const rubico: {
+  pipe: typeof pipe, compose: typeof compose,
+
+  tap: typeof tap, forEach: typeof forEach,
+
+  switchCase: typeof switchCase,
+
+  tryCatch: typeof tryCatch,
+
+  all: typeof all, assign: typeof assign, get: typeof get, set: typeof set,
+  pick: typeof pick, omit: typeof omit,
+
+  map: typeof map, filter: typeof filter, flatMap: typeof flatMap,
+  reduce: typeof reduce, transform: typeof transform,
+
+  and: typeof and, or: typeof or, not: typeof not, some: typeof some, every: typeof every,
+
+  eq: typeof eq, gt: typeof gt, lt: typeof lt, gte: typeof gte, lte: typeof lte,
+
+  thunkify: typeof thunkify, always: typeof always, curry: typeof curry, __: typeof __,
+}
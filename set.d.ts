@@ -1,4 +1,7 @@
-export = set;
+import { Lens, LensSetResult, Path, SetResult } from './types'
+
+export = set
+
 /**
  * @name set
  *
@@ -6,56 +9,49 @@ export = set;
  * ```coffeescript [specscript]
  * set(
  *   object Promise|Object,
- *   path string|Array<string|number>,
+ *   path string|Array<string|number>|Lens,
  *   value function|any,
  * ) -> result Promise|Object
  *
  * set(
- *   path string|Array<string|number>,
+ *   path string|Array<string|number>|Lens,
  *   value function|any,
  * )(object Object) -> result Promise|Object
  * ```
  *
  * @description
- * Sets a property on a new object shallow cloned from the argument object given a path denoted by a string, number, or an array of string or numbers.
- *
- * `set` supports three types of path patterns for nested property access.
- *
- *  * dot delimited - `'a.b.c'`
- *  * bracket notation - `'a[0].value'`
- *  * an array of keys or indices - `['a', 0, 'value']`
- *
- * ```javascript [playground]
- * console.log(set({ b: 2 }, 'a', 1)) // { a: 1, b: 2 }
- *
- * const nestedAC2 = { a: { c: 2 } }
- *
- * console.log(set(nestedAC2, 'a.b', 1)) // { a : { b: 1, c: 2 }}
- *
- * const nestedA0BC3 = { a: [{ b: { c: 3 } }] }
- *
- * console.log(set(nestedA0BC3, 'a[0].b.c', 4)) // { a: [{ b: { c: 4 } }] }
- * ```
- *
- * The property value may be a function, in which case it is treated as a resolver and provided the argument object to resolve the value to set.
- *
- * ```javascript [playground]
- * const myObj = { a: 1 }
- *
- * const myNewObj = set('b', obj => obj.a + 2)(myObj)
- *
- * console.log(myNewObj) // { a: 1, b: 3 }
- * ```
- *
- * `set` supports a lazy API for composability.
- *
- * ```javascript [playground]
- * pipe({ a: 1 }, [
- *   set('b', 2),
- *   console.log, // { a: 1, b: 2 }
- * ])
- * ```
- *
- * @since 1.7.0
+ * Set a value at a path of a new copy of an object, or the focus of a lens. The result type replaces the type at the path with the type of the value, or the resolved return type of a value function.
  */
-declare function set(arg0: any, arg1: any, arg2: any): any;
+declare function set<S, A, V extends A | PromiseLike<A> | ((object: S) => A | PromiseLike<A>)>(
+  lens: Lens<S, A>,
+  value: V,
+): (object: S) => LensSetResult<S, V>
+
+declare function set<S, A, V extends A | PromiseLike<A> | ((object: S) => A | PromiseLike<A>)>(
+  object: Promise<S>,
+  lens: Lens<S, A>,
+  value: V,
+): Promise<S>
+
+declare function set<S, A, V extends A | PromiseLike<A> | ((object: S) => A | PromiseLike<A>)>(
+  object: S,
+  lens: Lens<S, A>,
+  value: V,
+): LensSetResult<S, V>
+
+declare function set<const P extends Path, V>(
+  path: P,
+  value: V,
+): <T extends object>(object: T) => SetResult<T, P, V>
+
+declare function set<T extends object, const P extends Path, V>(
+  object: Promise<T>,
+  path: P,
+  value: V | ((object: T) => unknown),
+): Promise<Awaited<SetResult<T, P, V>>>
+
+declare function set<T extends object, const P extends Path, V>(
+  object: T,
+  path: P,
+  value: V,
+): SetResult<T, P, V>
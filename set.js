@@ -2,6 +2,19 @@ const isPromise = require('./_internal/isPromise')
 const setByPath = require('./_internal/setByPath')
 const curry3 = require('./_internal/curry3')
 const __ = require('./_internal/placeholder')
+const isLens = require('./_internal/isLens')
+
+/**
+ * @name _setValue
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _setValue(obj Object, value any, path string|Array<string|number>|Lens) -> result Object
+ * ```
+ */
+const _setValue = function (obj, value, path) {
+  return isLens(path) ? path.set(obj, value) : setByPath(obj, value, path)
+}
 
 /**
  * @name _set
@@ -10,7 +23,7 @@ const __ = require('./_internal/placeholder')
  * ```coffeescript [specscript]
  * _set(
  *   obj Object,
- *   path string|Array<string|number>,
+ *   path string|Array<string|number>|Lens,
  *   value function|any,
  * ) -> result Promise|Object
  * ```
@@ -20,17 +33,17 @@ const _set = function (obj, path, value) {
     const actualValue = value(obj)
     if (isPromise(actualValue)) {
       return actualValue.then(
-        curry3(setByPath, obj, __, path)
+        curry3(_setValue, obj, __, path)
       )
     }
-    return setByPath(obj, actualValue, path)
+    return _setValue(obj, actualValue, path)
   }
   if (isPromise(value)) {
     return value.then(
-      curry3(setByPath, obj, __, path)
+      curry3(_setValue, obj, __, path)
     )
   }
-  return setByPath(obj, value, path)
+  return _setValue(obj, value, path)
 }
 
 /**
@@ -40,12 +53,12 @@ const _set = function (obj, path, value) {
  * ```coffeescript [specscript]
  * set(
  *   object Promise|Object,
- *   path string|Array<string|number>,
+ *   path string|Array<string|number>|Lens,
  *   value function|any,
  * ) -> result Promise|Object
  *
  * set(
- *   path string|Array<string|number>,
+ *   path string|Array<string|number>|Lens,
  *   value function|any,
  * )(object Object) -> result Promise|Object
  * ```
@@ -59,6 +72,8 @@ const _set = function (obj, path, value) {
  *  * bracket notation - `'a[0].value'`
  *  * an array of keys or indices - `['a', 0, 'value']`
  *
+ * Path strings may also quote keys, escape characters and count indices from the end of arrays like the paths of [get](/docs/get).
+ *
  * ```javascript [playground]
  * console.log(set({ b: 2 }, 'a', 1)) // { a: 1, b: 2 }
  *
@@ -71,6 +86,81 @@ const _set = function (obj, path, value) {
  * console.log(set(nestedA0BC3, 'a[0].b.c', 4)) // { a: [{ b: { c: 4 } }] }
  * ```
  *
+ * Missing values along the path are created as arrays if the next segment of the path is an index, and as objects otherwise. Setting a negative index before the start of an array throws a RangeError.
+ *
+ * ```javascript [playground]
+ * console.log(set({}, 'users[0].name', 'George')) // { users: [{ name: 'George' }] }
+ *
+ * console.log(set({}, 'users["0"].name', 'George')) // { users: { '0': { name: 'George' } } }
+ *
+ * console.log(set({ scores: [1, 2, 3] }, 'scores[-1]', 4)) // { scores: [1, 2, 4] }
+ * ```
+ *
+ * With the wildcards `*` and `**` of [get](/docs/get), `set` sets the value at every match of the path. Only existing values are matched, so `set` does not create missing properties at wildcard paths.
+ *
+ * ```javascript [playground]
+ * const store = { orders: [{ status: 'new' }, { status: 'new' }] }
+ *
+ * console.log(set(store, 'orders[*].status', 'shipped'))
+ * // { orders: [{ status: 'shipped' }, { status: 'shipped' }] }
+ * ```
+ *
+ * Maps along the path are updated with `.set` on a copy of the Map. Since unquoted indices of a path string are numbers, an index sets the same key as a string in a Map that has it, and a new index of a Map whose keys are all strings is set as a string key. A new index of an empty Map or a Map with other keys is set as a number key. Copies of Maps, Sets and class instances keep their prototype, with the own enumerable properties of the original.
+ *
+ * ```javascript [playground]
+ * class User {
+ *   constructor(name) {
+ *     this.name = name
+ *   }
+ *
+ *   greet() {
+ *     return `Hello ${this.name}`
+ *   }
+ * }
+ *
+ * const state = {
+ *   users: new Map([['1', new User('George')]]),
+ * }
+ *
+ * const nextState = set(state, 'users[1].name', 'Jane')
+ *
+ * console.log(nextState.users.get('1').greet()) // Hello Jane
+ * console.log(state.users.get('1').greet()) // Hello George
+ * ```
+ *
+ * A copy by own properties does not keep private fields. A class with private fields or other internal state defines a `Symbol.for('rubico.copy')` method that returns a copy of the instance, which `set` uses instead. Built-in objects with internal state, e.g. Dates, RegExps and typed arrays, cannot be copied along a path, and `set` throws a TypeError for them.
+ *
+ * ```javascript [playground]
+ * class Account {
+ *   #balance
+ *
+ *   constructor(balance) {
+ *     this.#balance = balance
+ *   }
+ *
+ *   get balance() {
+ *     return this.#balance
+ *   }
+ *
+ *   set balance(balance) {
+ *     this.#balance = balance
+ *   }
+ *
+ *   [Symbol.for('rubico.copy')]() {
+ *     return new Account(this.#balance)
+ *   }
+ * }
+ *
+ * const state = { account: new Account(10) }
+ *
+ * console.log(set(state, 'account.balance', 20).account.balance) // 20
+ * console.log(state.account.balance) // 10
+ * ```
+ *
+ * A [lens](/docs/lens) may be given in place of a path, in which case `set` returns the result of the setter of the lens.
+ *
+ * Persistent objects created by [persistent](/docs/persistent) along the path are updated with `.set`, which shares the unchanged parts of the persistent object instead of copying them.
+ *
  * The property value may be a function, in which case it is treated as a resolver and provided the argument object to resolve the value to set.
  *
  * ```javascript [playground]
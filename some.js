@@ -9,6 +9,9 @@ const asyncIteratorSome = require('./_internal/asyncIteratorSome')
 const reducerSome = require('./_internal/reducerSome')
 const symbolIterator = require('./_internal/symbolIterator')
 const symbolAsyncIterator = require('./_internal/symbolAsyncIterator')
+const arraySomeSeries = require('./_internal/arraySomeSeries')
+const iteratorSomeSeries = require('./_internal/iteratorSomeSeries')
+const asyncIteratorSomeSeries = require('./_internal/asyncIteratorSomeSeries')
 
 // _some(collection Array|Iterable|AsyncIterable|{ reduce: function }|Object, predicate function) -> Promise|boolean
 const _some = function (collection, predicate) {
@@ -113,4 +116,67 @@ const some = function (arg0, arg1) {
     : _some(arg0, arg1)
 }
 
+// _someSeries(collection Array|Iterable|AsyncIterable|{ reduce: function }|Object, predicate function) -> Promise|boolean
+const _someSeries = function (collection, predicate) {
+  if (isArray(collection)) {
+    return arraySomeSeries(collection, predicate)
+  }
+  if (collection == null) {
+    return predicate(collection)
+  }
+  if (typeof collection[symbolIterator] == 'function') {
+    return iteratorSomeSeries(collection[symbolIterator](), predicate)
+  }
+  if (typeof collection[symbolAsyncIterator] == 'function') {
+    return asyncIteratorSomeSeries(collection[symbolAsyncIterator](), predicate)
+  }
+  if (typeof collection.reduce == 'function') {
+    return collection.reduce(reducerSome(predicate), false)
+  }
+  if (collection.constructor == Object) {
+    return arraySomeSeries(objectValues(collection), predicate)
+  }
+  return predicate(collection)
+}
+
+/**
+ * @name some.series
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Foldable = Array|Iterable|AsyncIterable|{ reduce: function }|Object
+ *
+ * some.series(collection Promise|Foldable, predicate function) -> Promise|boolean
+ *
+ * some.series(predicate function)(collection Foldable) -> Promise|boolean
+ * ```
+ *
+ * @description
+ * [some](/docs/some) with serial execution. The predicate is tested on one item at a time, returning true at the first execution that returns truthy. The predicate is not called on the remaining items, and iterators and async iterators are closed with `.return` without pulling further items.
+ *
+ * ```javascript [playground]
+ * const asyncIsOdd = async number => {
+ *   console.log(number)
+ *   return number % 2 == 1
+ * }
+ *
+ * some.series([2, 1, 4, 3], asyncIsOdd).then(console.log)
+ * // 2
+ * // 1
+ * // true
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * @execution series
+ */
+some.series = function someSeries(arg0, arg1) {
+  if (typeof arg0 == 'function') {
+    return curry2(_someSeries, __, arg0)
+  }
+  return isPromise(arg0)
+    ? arg0.then(curry2(_someSeries, __, arg1))
+    : _someSeries(arg0, arg1)
+}
+
 module.exports = some
@@ -1,53 +1,45 @@
-export = tap;
+import { ArgsAsyncness, AsyncResult, Asyncness, AwaitedArgs } from './types'
+
+export = tap
+
 /**
  * @name tap
  *
  * @synopsis
  * ```coffeescript [specscript]
- * tap(...args, func function) -> Promise|args[0]
- * tap(func function)(...args) -> Promise|args[0]
+ * tap(...args, f function) -> Promise|args[0]
+ * tap(f function)(...args) -> Promise|args[0]
  * ```
  *
  * @description
- * Call a function with any number of arguments, returning the first argument. Promises created by the tapper are resolved before returning the value.
- *
- * ```javascript [playground]
- * const pipeline = pipe([
- *   tap(value => console.log(value)),
- *   tap(value => console.log(value + 'bar')),
- *   tap(value => console.log(value + 'barbaz')),
- * ])
- *
- * pipeline('foo') // 'foo'
- *                 // 'foobar'
- *                 // 'foobarbaz'
- * ```
+ * Call a function with any number of arguments and return the first argument. The result is a promise if `f` returns a promise.
  */
-declare function tap(...args: any[]): any;
+declare function tap<A extends [unknown, ...unknown[]], R>(
+  f: (...args: A) => R,
+): (...args: A) => AsyncResult<Asyncness<R>, A[0]>
+
+declare function tap<A extends [unknown, ...unknown[]], R>(
+  ...args: [...A, (...args: AwaitedArgs<A>) => R]
+): AsyncResult<ArgsAsyncness<A> | Asyncness<R>, Awaited<A[0]>>
+
 declare namespace tap {
-    /**
-     * @name tap.if
-     *
-     * @synopsis
-     * ```coffeescript [specscript]
-     * tap.if(predicate function, func function)(...args) -> Promise|args[0]
-     * ```
-     *
-     * @description
-     * A version of `tap` that accepts a predicate function (a function that returns a boolean value) before the function to execute. Only executes the function if the predicate function tests true for the same arguments provided to the execution function.
-     *
-     * ```javascript [playground]
-     * const isOdd = number => number % 2 == 1
-     *
-     * const logIfOdd = tap.if(
-     *   isOdd,
-     *   number => console.log(number, 'is an odd number')
-     * )
-     *
-     * logIfOdd(2)
-     * logIfOdd(3) // 3 is an odd number
-     * ```
-     */
-    function _if(predicate: any, func: any): (...args: any[]) => any;
-    export { _if as if };
+  /**
+   * @name tap.if
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * tap.if(...args, predicate function, f function) -> Promise|args[0]
+   * tap.if(predicate function, f function)(...args) -> Promise|args[0]
+   * ```
+   */
+  function _if<A extends [unknown, ...unknown[]], P, R>(
+    predicate: (...args: A) => P,
+    f: (...args: A) => R,
+  ): (...args: A) => AsyncResult<Asyncness<P> | Asyncness<R>, A[0]>
+
+  function _if<A extends [unknown, ...unknown[]], P, R>(
+    ...args: [...A, (...args: AwaitedArgs<A>) => P, (...args: AwaitedArgs<A>) => R]
+  ): AsyncResult<ArgsAsyncness<A> | Asyncness<P> | Asyncness<R>, Awaited<A[0]>>
+
+  export { _if as if }
 }
@@ -652,6 +652,198 @@ describe('rubico', () => {
     })
   })
 
+  describe('all.pool', () => {
+    const tracked = function () {
+      const state = { running: 0, maxRunning: 0, started: [] }
+      state.task = (id, ms) => async () => {
+        state.started.push(id)
+        state.running += 1
+        state.maxRunning = Math.max(state.maxRunning, state.running)
+        await sleep(ms)
+        state.running -= 1
+        return id
+      }
+      return state
+    }
+
+    it('runs at most concurrency resolvers at a time', async () => {
+      const state = tracked()
+      const result = all.pool(2, [
+        state.task(1, 20),
+        state.task(2, 5),
+        state.task(3, 5),
+        state.task(4, 5),
+      ])()
+      aok(result instanceof Promise)
+      ade(state.started, [1, 2])
+      ade(await result, [1, 2, 3, 4])
+      ase(state.maxRunning, 2)
+      ade(state.started, [1, 2, 3, 4])
+    })
+    it('objects, values and arguments', async () => {
+      const state = tracked()
+      ade(await all.pool(1, {
+        a: state.task('a', 5),
+        b: state.task('b', 1),
+        c: 'c',
+      })(), { a: 'a', b: 'b', c: 'c' })
+      ase(state.maxRunning, 1)
+      ade(all.pool(1, 2, 3, [(a, b) => a + b, (a, b) => a * b]), [3, 2])
+      ade(all.pool(2, { sum: (a, b) => a + b })(1, 2), { sum: 3 })
+      ade(await all.pool(Promise.resolve(1), 2, [async number => number + 1]), [2])
+      ade(all.pool(2, [])(), [])
+    })
+    it('handles errors', async () => {
+      assert.throws(
+        () => all.pool(2, [() => { throw new Error('sync') }])(),
+        new Error('sync'),
+      )
+      await assert.rejects(
+        all.pool(2, [async () => { throw new Error('async') }, () => sleep(5)])(),
+        new Error('async'),
+      )
+    })
+  })
+
+  describe('all.graph', () => {
+    it('runs each task as soon as its dependencies resolve', async () => {
+      const started = []
+      const track = (name, ms, f) => async (...args) => {
+        started.push(name)
+        await sleep(ms)
+        return f(...args)
+      }
+      const deploy = all.graph({
+        build: track('build', 30, version => `app-${version}`),
+        database: track('database', 5, () => 'migrated'),
+        seed: [['database'], track('seed', 5, database => `${database} and seeded`)],
+        release: [['build', 'seed'], (build, seed, version) => [build, seed, version]],
+      })
+      const result = deploy('1.0')
+      aok(result instanceof Promise)
+      ade(await result, {
+        build: 'app-1.0',
+        database: 'migrated',
+        seed: 'migrated and seeded',
+        release: ['app-1.0', 'migrated and seeded', '1.0'],
+      })
+      ade(started, ['build', 'database', 'seed'])
+    })
+    it('sync tasks, eager arguments and result order', async () => {
+      const result = all.graph(2, {
+        c: [['b'], (b, number) => b * number],
+        a: number => number + 1,
+        b: [['a'], a => a * 10],
+      })
+      ade(result, { c: 60, a: 3, b: 30 })
+      ade(Object.keys(result), ['c', 'a', 'b'])
+      ade(await all.graph(Promise.resolve(1), { a: number => number }), { a: 1 })
+      ade(all.graph({})(), {})
+    })
+    it('throws TypeError for unknown dependencies and cycles before running', async () => {
+      let ran = false
+      const run = () => { ran = true }
+      assert.throws(
+        () => all.graph({ a: run, b: [['c'], run] })(),
+        new TypeError('unknown dependency c of b'),
+      )
+      assert.throws(
+        () => all.graph({ a: [['toString'], run] })(),
+        new TypeError('unknown dependency toString of a'),
+      )
+      assert.throws(
+        () => all.graph({ a: run, b: [['d'], run], c: [['b'], run], d: [['c'], run] })(),
+        new TypeError('cycle of dependencies b -> d -> c -> b'),
+      )
+      assert.throws(
+        () => all.graph({ a: [['a'], run] })(),
+        new TypeError('cycle of dependencies a -> a'),
+      )
+      ase(ran, false)
+    })
+    it('rejects with the first error and starts no more tasks', async () => {
+      let ran = false
+      await assert.rejects(
+        all.graph({
+          a: async () => { throw new Error('a failed') },
+          b: [['a'], () => { ran = true }],
+        })(),
+        new Error('a failed'),
+      )
+      await assert.rejects(
+        all.graph({
+          a: async () => 1,
+          b: [['a'], () => { throw new Error('b failed') }],
+        })(),
+        new Error('b failed'),
+      )
+      assert.throws(
+        () => all.graph({ a: () => { throw new Error('sync') } })(),
+        new Error('sync'),
+      )
+      ase(ran, false)
+    })
+  })
+
+  describe('all.settled', () => {
+    it('records the outcome of each value or resolver', async () => {
+      const error = new Error('failed')
+      ade(await all.settled([Promise.resolve(1), Promise.reject(error), 3]), [
+        { status: 'fulfilled', value: 1 },
+        { status: 'rejected', reason: error },
+        { status: 'fulfilled', value: 3 },
+      ])
+      ade(all.settled({ a: 1 }), { a: { status: 'fulfilled', value: 1 } })
+      ade(await all.settled(Promise.resolve({ a: Promise.reject(error) })), {
+        a: { status: 'rejected', reason: error },
+      })
+      ade(all.settled([
+        number => number + 1,
+        () => { throw error },
+      ])(1), [
+        { status: 'fulfilled', value: 2 },
+        { status: 'rejected', reason: error },
+      ])
+      ade(await all.settled(Promise.resolve(1), 2, {
+        sum: (a, b) => a + b,
+        failed: async () => { throw error },
+      }), {
+        sum: { status: 'fulfilled', value: 3 },
+        failed: { status: 'rejected', reason: error },
+      })
+    })
+    it('all.settled.aggregate', async () => {
+      aok(all.settled.aggregate([1, Promise.resolve(2)]) instanceof Promise)
+      ade(await all.settled.aggregate([1, Promise.resolve(2)]), [1, 2])
+      ade(all.settled.aggregate({ double: number => number * 2 })(3), { double: 6 })
+      assert.throws(
+        () => all.settled.aggregate(1, [
+          () => { throw new Error('a') },
+          number => number,
+          () => { throw new Error('c') },
+        ]),
+        error => {
+          aok(error instanceof AggregateError)
+          ase(error.message, '2 failed - 0: a; 2: c')
+          ade(error.keys, [0, 2])
+          return true
+        },
+      )
+      await assert.rejects(
+        all.settled.aggregate({
+          a: sleep(10).then(() => { throw new Error('a') }),
+          b: Promise.reject(new Error('b')),
+          c: 3,
+        }),
+        error => {
+          ade(error.keys, ['a', 'b'])
+          ade(error.errors, [new Error('a'), new Error('b')])
+          return true
+        },
+      )
+    })
+  })
+
   describe('assign', () => {
     it('API coverage', async () => {
       ade(await assign({}, {
@@ -892,6 +1084,127 @@ describe('rubico', () => {
     })
   })
 
+  describe('tryCatch.retry', () => {
+    const makeFlaky = function (failures, value) {
+      const calls = []
+      const flaky = function (...args) {
+        calls.push(args)
+        if (calls.length <= failures) {
+          throw new Error(`failure ${calls.length}`)
+        }
+        return value
+      }
+      flaky.calls = calls
+      return flaky
+    }
+
+    it('retries a sync tryer until it succeeds', async () => {
+      const flaky = makeFlaky(2, 'ok')
+      const result = tryCatch.retry({ attempts: 3, delay: 1 }, flaky, () => 'caught')(1, 2)
+      aok(result instanceof Promise)
+      ase(await result, 'ok')
+      ade(flaky.calls, [[1, 2], [1, 2], [1, 2]])
+    })
+
+    it('retries an async tryer until it succeeds', async () => {
+      let calls = 0
+      const asyncFlaky = async x => {
+        calls += 1
+        if (calls < 3) {
+          throw new Error('failure')
+        }
+        return x + 1
+      }
+      ase(await tryCatch.retry({ attempts: 3, delay: 1 }, asyncFlaky, () => 'caught')(1), 2)
+      ase(calls, 3)
+    })
+
+    it('returns synchronously when the first attempt succeeds', async () => {
+      ase(tryCatch.retry(3, x => x + 1, () => 'caught')(1), 2)
+    })
+
+    it('falls through to the catcher with the last error and all arguments after the last attempt', async () => {
+      const flaky = makeFlaky(Infinity, 'ok')
+      const result = await tryCatch.retry({ attempts: 3, delay: 1 }, flaky, (error, ...args) => [error.message, args])(1, 2)
+      ade(result, ['failure 3', [1, 2]])
+      ase(flaky.calls.length, 3)
+    })
+
+    it('calls the catcher synchronously when attempts is 1', async () => {
+      const flaky = makeFlaky(Infinity, 'ok')
+      ase(tryCatch.retry(1, flaky, error => error.message)(), 'failure 1')
+    })
+
+    it('calls the catcher without retrying when shouldRetry returns falsy', async () => {
+      const flaky = makeFlaky(Infinity, 'ok')
+      const shouldRetryCalls = []
+      const result = tryCatch.retry({
+        attempts: 5,
+        delay: 1,
+        shouldRetry(error, attempt) {
+          shouldRetryCalls.push([error.message, attempt])
+          return attempt < 2
+        },
+      }, flaky, error => error.message)()
+      ase(await result, 'failure 2')
+      ade(shouldRetryCalls, [['failure 1', 1], ['failure 2', 2]])
+      ase(flaky.calls.length, 2)
+    })
+
+    it('calls the catcher synchronously when a sync shouldRetry returns falsy for a sync tryer', async () => {
+      const flaky = makeFlaky(Infinity, 'ok')
+      ase(tryCatch.retry({ shouldRetry: () => false }, flaky, error => error.message)(), 'failure 1')
+    })
+
+    it('resolves an async shouldRetry', async () => {
+      const flaky = makeFlaky(Infinity, 'ok')
+      const result = await tryCatch.retry({
+        attempts: 5,
+        delay: 1,
+        shouldRetry: async (error, attempt) => attempt < 3,
+      }, flaky, error => error.message)()
+      ase(result, 'failure 3')
+    })
+
+    it('waits an exponential backoff between attempts', async () => {
+      const flaky = makeFlaky(3, 'ok')
+      const start = Date.now()
+      ase(await tryCatch.retry({ attempts: 4, delay: 10, factor: 2 }, flaky, () => 'caught')(), 'ok')
+      const duration = Date.now() - start
+      aok(duration >= 65, `${duration}`) // 10 + 20 + 40
+    })
+
+    it('caps the backoff at maxDelay', async () => {
+      const flaky = makeFlaky(3, 'ok')
+      const start = Date.now()
+      ase(await tryCatch.retry({ attempts: 4, delay: 10, factor: 10, maxDelay: 15 }, flaky, () => 'caught')(), 'ok')
+      const duration = Date.now() - start
+      aok(duration >= 40 && duration < 300, `${duration}`) // 10 + 15 + 15
+    })
+
+    it('jitters the backoff between zero and the computed delay', async () => {
+      const flaky = makeFlaky(3, 'ok')
+      const start = Date.now()
+      ase(await tryCatch.retry({ attempts: 4, delay: 50, jitter: true, factor: 1 }, flaky, () => 'caught')(), 'ok')
+      aok(Date.now() - start < 300)
+    })
+
+    it('behaves eagerly when supplied any amount of arguments before the options, tryer, and catcher', async () => {
+      const flaky = makeFlaky(1, 'ok')
+      ase(await tryCatch.retry(1, Promise.resolve(2), { delay: 1 }, flaky, () => 'caught'), 'ok')
+      ade(flaky.calls, [[1, 2], [1, 2]])
+    })
+
+    it('fits into pipe', async () => {
+      const flaky = makeFlaky(1, 'ok')
+      ase(await pipe(1, [
+        number => number + 1,
+        tryCatch.retry({ delay: 1 }, flaky, () => 'caught'),
+      ]), 'ok')
+      ade(flaky.calls, [[2], [2]])
+    })
+  })
+
   describe('switchCase', () => {
     it('API coverage', async () => {
       ase(
@@ -1626,6 +1939,469 @@ then(() => {
 
     it('sets', async () => {
     })
+
+    describe('async iterators', () => {
+      const delays = async function* () {
+        yield 30
+        yield 10
+        yield 20
+        yield 0
+      }
+      const collect = async asyncIterator => {
+        const result = []
+        for await (const item of asyncIterator) {
+          result.push(item)
+        }
+        return result
+      }
+
+      it('maps into an async iterator in order', async () => {
+        let inFlight = 0
+        let maxInFlight = 0
+        const delayedIdentity = async ms => {
+          inFlight += 1
+          maxInFlight = Math.max(maxInFlight, inFlight)
+          await sleep(ms)
+          inFlight -= 1
+          return ms
+        }
+        const mapped = map.pool(2, delayedIdentity)(delays())
+        aok(typeof mapped[symbolAsyncIterator] == 'function')
+        ade(await collect(mapped), [30, 10, 20, 0])
+        ase(maxInFlight, 2)
+        ade(await collect(map.pool(delays(), 9, ms => ms * 2)), [60, 20, 40, 0])
+        ade(await collect(map.pool({ concurrency: 1 }, async ms => ms)(delays())), [30, 10, 20, 0])
+      })
+
+      it('maps into an async iterator in the order the mapper calls settle with ordered: false', async () => {
+        const delayedIdentity = async ms => {
+          await sleep(ms)
+          return ms
+        }
+        ade(await collect(
+          map.pool({ concurrency: 4, ordered: false }, delayedIdentity)(delays()),
+        ), [0, 10, 20, 30])
+        ade(await collect(
+          map.pool({ concurrency: 1, ordered: false }, delayedIdentity)(delays()),
+        ), [30, 10, 20, 0])
+      })
+
+      it('keeps no more than concurrency items unconsumed', async () => {
+        let pulled = 0
+        const numbers = async function* () {
+          while (true) {
+            pulled += 1
+            yield pulled
+          }
+        }
+        for (const ordered of [true, false]) {
+          pulled = 0
+          const mapped = map.pool({ concurrency: 3, ordered }, async number => number)(numbers())
+          ade(await mapped.next(), { value: 1, done: false })
+          await sleep(10)
+          ase(pulled, 3)
+          ade(await mapped.return(), { value: undefined, done: true })
+          ade(await mapped.next(), { value: undefined, done: true })
+        }
+      })
+
+      it('handles concurrent calls to next', async () => {
+        for (const ordered of [true, false]) {
+          const mapped = map.pool({ concurrency: 1, ordered }, async ms => {
+            await sleep(ms)
+            return ms
+          })(delays())
+          ade(await Promise.all([mapped.next(), mapped.next(), mapped.next(), mapped.next(), mapped.next()]), [
+            { value: 30, done: false },
+            { value: 10, done: false },
+            { value: 20, done: false },
+            { value: 0, done: false },
+            { value: undefined, done: true },
+          ])
+        }
+      })
+
+      it('ends for an empty async iterator', async () => {
+        const empty = async function* () {}
+        ade(await collect(map.pool(2, x => x)(empty())), [])
+        ade(await collect(map.pool({ concurrency: 2, ordered: false }, x => x)(empty())), [])
+      })
+
+      it('rejects with the first mapper error and closes the source', async () => {
+        for (const ordered of [true, false]) {
+          let closed = false
+          const numbers = async function* () {
+            try {
+              yield 1
+              yield 2
+              yield 3
+            } finally {
+              closed = true
+            }
+          }
+          const mapped = map.pool({ concurrency: 2, ordered }, async number => {
+            if (number == 2) {
+              throw new Error(`throwing ${number}`)
+            }
+            return number
+          })(numbers())
+          ade(await mapped.next(), { value: 1, done: false })
+          await assert.rejects(mapped.next(), new Error('throwing 2'))
+          await sleep(0)
+          ase(closed, true)
+          ade(await mapped.next(), { value: undefined, done: true })
+        }
+      })
+
+      it('rejects with errors from the source', async () => {
+        const numbers = async function* () {
+          yield 1
+          throw new Error('source')
+        }
+        for (const ordered of [true, false]) {
+          await assert.rejects(
+            collect(map.pool({ concurrency: 2, ordered }, number => number)(numbers())),
+            new Error('source'),
+          )
+        }
+      })
+
+      it('closes the source when the consumer stops early', async () => {
+        let closed = false
+        const numbers = async function* () {
+          try {
+            let number = 0
+            while (true) {
+              number += 1
+              yield number
+            }
+          } finally {
+            closed = true
+          }
+        }
+        for await (const number of map.pool(2, async x => x)(numbers())) {
+          if (number == 3) {
+            break
+          }
+        }
+        ase(closed, true)
+      })
+    })
+  })
+
+  describe('map.parallel', () => {
+    const sha256Path = path.join(__dirname, '_internal/sha256.js')
+
+    it('maps arrays on worker threads in order', async () => {
+      const words = ['a', 'b', 'c', 'd', 'e']
+      ade(await map.parallel(words, 2, sha256Path), words.map(sha256))
+      ade(await map.parallel({ workers: 3 }, sha256Path)(words), words.map(sha256))
+      ade(await map.parallel(Promise.resolve(words), 2, sha256Path), words.map(sha256))
+      ade(await map.parallel([3, 1, 2], 2, async number => {
+        await new Promise(resolve => setTimeout(resolve, number * 10))
+        return number * 2
+      }), [6, 2, 4])
+      ade(await map.parallel([], 2, number => number), [])
+    })
+
+    it('runs the mapper off the main thread', async () => {
+      const threadIds = await map.parallel([1, 2], 2, () => require('worker_threads').threadId)
+      aok(threadIds.every(threadId => threadId != 0))
+    })
+
+    it('maps async iterables in order', async () => {
+      const numbers = async function* () {
+        yield 1
+        yield 2
+        yield 3
+      }
+      const mapped = map.parallel(2, number => number ** 2)(numbers())
+      ade(await mapped.next(), { value: 1, done: false })
+      ade(await mapped.next(), { value: 4, done: false })
+      ade(await mapped.next(), { value: 9, done: false })
+      ade(await mapped.next(), { value: undefined, done: true })
+
+      const words = async function* () {
+        yield 'a'
+        yield 'b'
+        yield 'c'
+      }
+      const hashes = []
+      for await (const hash of map.parallel(words(), 2, sha256Path)) {
+        hashes.push(hash)
+      }
+      ade(hashes, ['a', 'b', 'c'].map(sha256))
+    })
+
+    it('rejects with errors from the mapper and worker threads', async () => {
+      await assert.rejects(map.parallel([1, 2, 3], 2, number => {
+        if (number == 2) {
+          throw new RangeError(`bad number ${number}`)
+        }
+        return number
+      }), { name: 'RangeError', message: 'bad number 2' })
+      await assert.rejects(
+        map.parallel([1], 1, path.join(__dirname, 'does-not-exist.js')),
+        { code: 'MODULE_NOT_FOUND' },
+      )
+      await assert.rejects(
+        map.parallel([1], 1, path.join(__dirname, 'package.json')),
+        new TypeError(`${path.join(__dirname, 'package.json')} does not export a function`),
+      )
+      const numbers = async function* () {
+        yield 1
+        yield 2
+      }
+      const mapped = map.parallel(numbers(), 1, number => Promise.reject(new Error(`rejected ${number}`)))
+      await assert.rejects(mapped.next(), new Error('rejected 1'))
+      ade(await mapped.next(), { value: undefined, done: true })
+      assert.throws(() => map.parallel(new Set([1]), 1, number => number), TypeError)
+    })
+
+    it('rejects the item of a worker thread that exits and replaces the worker thread', async () => {
+      await assert.rejects(map.parallel([1, 2], 1, number => {
+        if (number == 1) {
+          process.exit(3) // eslint-disable-line no-process-exit
+        }
+        return number
+      }), new Error('worker thread exited with code 3'))
+      const numbers = async function* () {
+        yield 1
+        yield 2
+      }
+      const mapped = map.parallel(numbers(), 1, number => {
+        if (number == 1) {
+          process.exit(0) // eslint-disable-line no-process-exit
+        }
+        return number
+      })
+      await assert.rejects(mapped.next(), new Error('worker thread exited with code 0'))
+    })
+
+    it('loads mappers by package specifiers and relative paths', async () => {
+      ade(await map.parallel(['a', 'b'], 2, 'lodash/toUpper'), ['A', 'B'])
+      ade(await map.parallel(['a'], 1, './_internal/sha256.js'), [sha256('a')])
+    })
+
+    it('transfers binary items and results with transfer: true', async () => {
+      const items = [new Uint8Array([1, 2, 3]), new Uint8Array([4, 5, 6]).buffer]
+      const [bytes, buffer] = await map.parallel(items, { workers: 2, transfer: true }, item => {
+        const view = item instanceof ArrayBuffer ? new Uint8Array(item) : item
+        view[0] = 0
+        return item
+      })
+      ade([...bytes], [0, 2, 3])
+      ade([...new Uint8Array(buffer)], [0, 5, 6])
+      ase(items[0].byteLength, 0)
+      ase(items[1].byteLength, 0)
+
+      const copied = new Uint8Array([1, 2, 3])
+      await map.parallel([copied], 1, item => item)
+      ase(copied.byteLength, 3)
+    })
+  })
+
+  describe('map.rate', () => {
+    it('maps within the rate for Arrays', async () => {
+      const square = n => n ** 2
+      const asyncSquare = async n => n ** 2
+      ade(map.rate([1, 2, 3, 4, 5], 5, square), [1, 4, 9, 16, 25])
+      ade(map.rate(5, square)([1, 2, 3, 4, 5]), [1, 4, 9, 16, 25])
+      aok(map.rate(5, asyncSquare)([1, 2, 3, 4, 5]) instanceof Promise)
+      ade(await map.rate(5, asyncSquare)([1, 2, 3, 4, 5]), [1, 4, 9, 16, 25])
+      ade(await map.rate(Promise.resolve([1, 2, 3]), 5, asyncSquare), [1, 4, 9])
+      ade(map.rate(1, square)([]), [])
+    })
+    it('dispatches at most rate calls per second and keeps order', async () => {
+      const dispatchTimes = []
+      const start = Date.now()
+      const result = await map.rate([1, 2, 3, 4, 5], 2, async n => {
+        dispatchTimes.push(Date.now() - start)
+        await sleep(5 * (5 - n))
+        return n ** 2
+      })
+      ade(result, [1, 4, 9, 16, 25])
+      ase(dispatchTimes.length, 5)
+      aok(dispatchTimes[1] < 500)
+      aok(dispatchTimes[2] >= 990)
+      aok(dispatchTimes[3] >= 990)
+      aok(dispatchTimes[4] >= 1990)
+    }).timeout(5000)
+    it('maps within the rate for Objects, Sets, and Maps', async () => {
+      const asyncSquare = async n => n ** 2
+      ade(
+        await map.rate({ a: 1, b: 2, c: 3 }, 3, asyncSquare),
+        { a: 1, b: 4, c: 9 },
+      )
+      ade(map.rate({ a: 1, b: 2 }, 2, square), { a: 1, b: 4 })
+      ade(
+        [...await map.rate(new Set([1, 2, 3]), 3, asyncSquare)],
+        [1, 4, 9],
+      )
+      ade(map.rate(new Set([1, 2]), 2, square), new Set([1, 4]))
+      ade(
+        [...await map.rate(new Map([['a', 1], ['b', 2], ['c', 3]]), 3, asyncSquare)],
+        [['a', 1], ['b', 4], ['c', 9]],
+      )
+      ade(
+        map.rate(new Map([['a', 1]]), 2, square),
+        new Map([['a', 1]]),
+      )
+    })
+    it('passes key and collection to the mapper', async () => {
+      const object = { a: 1 }
+      ade(map.rate(object, 1, (value, key, o) => [value, key, o === object]), { a: [1, 'a', true] })
+      const m = new Map([['a', 1]])
+      ade(map.rate(m, 1, (value, key, mm) => [value, key, mm === m]), new Map([['a', [1, 'a', true]]]))
+    })
+    it('null/invalid', async () => {
+      assert.throws(
+        () => map.rate(null, 1, () => {}),
+        new TypeError('invalid collection null')
+      )
+      assert.throws(
+        () => map.rate(1, 1, () => {}),
+        new TypeError('invalid collection 1')
+      )
+    })
+    it('handles errors', async () => {
+      assert.throws(
+        () => map.rate(1, x => { throw new Error(`throwing ${x}`) })(['yo']),
+        new Error('throwing yo')
+      )
+      await assert.rejects(
+        () => map.rate(1, async x => { throw new Error(`throwing ${x}`) })(['yo']),
+        new Error('throwing yo'),
+      )
+    })
+    it('stops dispatching after an early rejection', async () => {
+      const unhandled = []
+      const onUnhandledRejection = reason => unhandled.push(reason)
+      process.on('unhandledRejection', onUnhandledRejection)
+      const dispatched = []
+      await assert.rejects(
+        map.rate([1, 2, 3], 1, async n => {
+          dispatched.push(n)
+          throw new Error(`throwing ${n}`)
+        }),
+        new Error('throwing 1'),
+      )
+      await sleep(10)
+      process.off('unhandledRejection', onUnhandledRejection)
+      ade(dispatched, [1])
+      ade(unhandled, [])
+    }).timeout(5000)
+    it('throws a RangeError for a rate that is not a positive integer', async () => {
+      assert.throws(() => map.rate([1], 0, square), new RangeError('invalid rate 0'))
+      assert.throws(() => map.rate(-1, square)([1]), new RangeError('invalid rate -1'))
+      assert.throws(() => map.rate([1], 1.5, square), new RangeError('invalid rate 1.5'))
+    })
+  })
+
+  describe('map.settled', () => {
+    const failOdd = number => {
+      if (number % 2 == 1) {
+        throw new Error(`odd ${number}`)
+      }
+      return number * 10
+    }
+    const asyncFailOdd = async number => failOdd(number)
+
+    it('records the outcome of each item in the shape of the collection', async () => {
+      const oddError = new Error('odd 1')
+      ade(map.settled([1, 2], failOdd), [
+        { status: 'rejected', reason: oddError },
+        { status: 'fulfilled', value: 20 },
+      ])
+      ade(await map.settled(asyncFailOdd)({ a: 1, b: 2 }), {
+        a: { status: 'rejected', reason: oddError },
+        b: { status: 'fulfilled', value: 20 },
+      })
+      ade(await map.settled(new Map([['a', 1], ['b', 2]]), asyncFailOdd), new Map([
+        ['a', { status: 'rejected', reason: oddError }],
+        ['b', { status: 'fulfilled', value: 20 }],
+      ]))
+      ade(map.settled(new Set([2, 4]), failOdd), new Set([
+        { status: 'fulfilled', value: 20 },
+        { status: 'fulfilled', value: 40 },
+      ]))
+      ade(await map.settled(Promise.resolve([2]), asyncFailOdd), [{ status: 'fulfilled', value: 20 }])
+      ade(map.settled([], failOdd), [])
+    })
+    it('waits for every item after a rejection', async () => {
+      const finished = []
+      const result = await map.settled([1, 2, 3], async number => {
+        await sleep(5 * number)
+        finished.push(number)
+        if (number == 1) {
+          throw new Error('first')
+        }
+        return number
+      })
+      ade(finished, [1, 2, 3])
+      ade(result.map(record => record.status), ['rejected', 'fulfilled', 'fulfilled'])
+    })
+    it('passes index or key and collection to the mapper', async () => {
+      const array = ['a']
+      ade(map.settled(array, (value, index, a) => [value, index, a === array]), [
+        { status: 'fulfilled', value: ['a', 0, true] },
+      ])
+    })
+    it('map.settled.aggregate', async () => {
+      ade(map.settled.aggregate([2, 4], failOdd), [20, 40])
+      ade(await map.settled.aggregate(asyncFailOdd)({ a: 2 }), { a: 20 })
+      ade(await map.settled.aggregate(Promise.resolve(new Set([2])), asyncFailOdd), new Set([20]))
+
+      assert.throws(
+        () => map.settled.aggregate({ a: 1, b: 2, c: 3 }, failOdd),
+        error => {
+          aok(error instanceof AggregateError)
+          ase(error.message, '2 failed - a: odd 1; c: odd 3')
+          ade(error.keys, ['a', 'c'])
+          ade(error.errors, [new Error('odd 1'), new Error('odd 3')])
+          return true
+        },
+      )
+
+      const slowFirst = async number => {
+        await sleep(5 * (4 - number))
+        return failOdd(number)
+      }
+      await assert.rejects(
+        map.settled.aggregate([1, 2, 3], slowFirst),
+        error => {
+          ade(error.keys, [0, 2])
+          ade(error.errors, [new Error('odd 1'), new Error('odd 3')])
+          return true
+        },
+      )
+      const notAnError = 'not an error'
+      await assert.rejects(
+        map.settled.aggregate(new Map([['x', 1]]), () => Promise.reject(notAnError)),
+        error => {
+          ase(error.message, '1 failed - x: not an error')
+          ade(error.errors, ['not an error'])
+          return true
+        },
+      )
+      await assert.rejects(
+        map.settled.aggregate(new Set([3, 1]), slowFirst),
+        error => {
+          ade(error.keys, [3, 1])
+          return true
+        },
+      )
+    })
+    it('null/invalid', async () => {
+      assert.throws(
+        () => map.settled(null, failOdd),
+        new TypeError('invalid collection null')
+      )
+      assert.throws(
+        () => map.settled.aggregate('abc', failOdd),
+        new TypeError('invalid collection abc')
+      )
+    })
   })
 
   describe('filter', () => {
@@ -1852,6 +2628,139 @@ then(() => {
     })
   })
 
+  describe('filter.series', () => {
+    it('filters in series for Arrays and strings', async () => {
+      const asyncIsOdd = async number => number % 2 == 1
+      const variadicAsyncIsOdd = number => number % 2 == 1 ? Promise.resolve(true) : false
+      ade(filter.series([1, 2, 3, 4, 5], isOdd), [1, 3, 5])
+      ade(filter.series(isOdd)([1, 2, 3, 4, 5]), [1, 3, 5])
+      aok(filter.series(asyncIsOdd)([1, 2, 3, 4, 5]) instanceof Promise)
+      ade(await filter.series(asyncIsOdd)([1, 2, 3, 4, 5]), [1, 3, 5])
+      ade(await filter.series(variadicAsyncIsOdd)([2, 3, 4, 5, 6]), [3, 5])
+      ade(await filter.series(Promise.resolve([1, 2, 3]), asyncIsOdd), [1, 3])
+      ade(filter.series([], isOdd), [])
+      ade(filter.series('abcde', char => char != 'c'), 'abde')
+      ade(await filter.series('abcde', async char => char != 'c'), 'abde')
+    })
+    it('filters in series for Objects, Sets, and Maps', async () => {
+      const asyncIsOdd = async number => number % 2 == 1
+      ade(filter.series({ a: 1, b: 2, c: 3 }, isOdd), { a: 1, c: 3 })
+      ade(await filter.series({ a: 1, b: 2, c: 3 }, asyncIsOdd), { a: 1, c: 3 })
+      ade(filter.series(new Set([1, 2, 3]), isOdd), new Set([1, 3]))
+      ade([...await filter.series(new Set([1, 2, 3]), asyncIsOdd)], [1, 3])
+      ade(
+        [...await filter.series(new Map([['a', 1], ['b', 2], ['c', 3]]), asyncIsOdd)],
+        [['a', 1], ['c', 3]],
+      )
+      ade(
+        filter.series({ a: 1, b: 2 }, (value, key, object) => key == 'b' && object.a == 1),
+        { b: 2 },
+      )
+    })
+    it('runs one predicate at a time', async () => {
+      let running = 0
+      let maxRunning = 0
+      const calls = []
+      const result = await filter.series([5, 4, 3, 2, 1], async number => {
+        running += 1
+        maxRunning = Math.max(maxRunning, running)
+        calls.push(number)
+        await sleep(number)
+        running -= 1
+        return number % 2 == 1
+      })
+      ade(result, [5, 3, 1])
+      ade(calls, [5, 4, 3, 2, 1])
+      ase(maxRunning, 1)
+    })
+    it('null/invalid', async () => {
+      assert.throws(
+        () => filter.series(null, isOdd),
+        new TypeError('invalid collection null'),
+      )
+      assert.throws(
+        () => filter.series(1, isOdd),
+        new TypeError('invalid collection 1'),
+      )
+    })
+    it('handles errors', async () => {
+      assert.throws(
+        () => filter.series(['yo'], x => { throw new Error(`throwing ${x}`) }),
+        new Error('throwing yo'),
+      )
+      await assert.rejects(
+        filter.series([1, 'yo'], async x => { throw new Error(`throwing ${x}`) }),
+        new Error('throwing 1'),
+      )
+    })
+  })
+
+  describe('filter.pool', () => {
+    it('filters with limited concurrency for Arrays and strings', async () => {
+      const asyncIsOdd = async number => number % 2 == 1
+      const variadicAsyncIsOdd = number => number % 2 == 1 ? Promise.resolve(true) : false
+      ade(filter.pool([1, 2, 3, 4, 5], 2, isOdd), [1, 3, 5])
+      ade(filter.pool(2, isOdd)([1, 2, 3, 4, 5]), [1, 3, 5])
+      aok(filter.pool(2, asyncIsOdd)([1, 2, 3, 4, 5]) instanceof Promise)
+      ade(await filter.pool(1, asyncIsOdd)([1, 2, 3, 4, 5]), [1, 3, 5])
+      ade(await filter.pool(100, asyncIsOdd)([1, 2, 3, 4, 5]), [1, 3, 5])
+      ade(await filter.pool(2, variadicAsyncIsOdd)([2, 3, 4, 5, 6]), [3, 5])
+      ade(await filter.pool(Promise.resolve([1, 2, 3]), 2, asyncIsOdd), [1, 3])
+      ade(filter.pool([], 2, isOdd), [])
+      ade(filter.pool('abcde', 2, char => char != 'c'), 'abde')
+      ade(await filter.pool('abcde', 2, async char => char != 'c'), 'abde')
+    })
+    it('filters with limited concurrency for Objects, Sets, and Maps', async () => {
+      const asyncIsOdd = async number => number % 2 == 1
+      ade(filter.pool({ a: 1, b: 2, c: 3 }, 2, isOdd), { a: 1, c: 3 })
+      ade(await filter.pool({ a: 1, b: 2, c: 3 }, 2, asyncIsOdd), { a: 1, c: 3 })
+      ade(filter.pool(new Set([1, 2, 3]), 2, isOdd), new Set([1, 3]))
+      ade([...await filter.pool(new Set([1, 2, 3]), 2, asyncIsOdd)], [1, 3])
+      ade(
+        [...await filter.pool(new Map([['a', 1], ['b', 2], ['c', 3]]), 2, asyncIsOdd)],
+        [['a', 1], ['c', 3]],
+      )
+    })
+    it('abides by the concurrency limit', async () => {
+      let running = 0
+      let maxRunning = 0
+      const plusSleepMinus = async number => {
+        running += 1
+        maxRunning = Math.max(maxRunning, running)
+        await sleep(10)
+        running -= 1
+        return number % 2 == 1
+      }
+      ade(await filter.pool(2, plusSleepMinus)([1, 2, 3, 4, 5, 6]), [1, 3, 5])
+      ase(maxRunning, 2)
+      ase(running, 0)
+      maxRunning = 0
+      ade(await filter.pool(3, plusSleepMinus)(new Set([1, 2, 3, 4, 5, 6])), new Set([1, 3, 5]))
+      ase(maxRunning, 3)
+      ase(running, 0)
+    })
+    it('null/invalid', async () => {
+      assert.throws(
+        () => filter.pool(null, 1, isOdd),
+        new TypeError('invalid collection null'),
+      )
+      assert.throws(
+        () => filter.pool(1, 1, isOdd),
+        new TypeError('invalid collection 1'),
+      )
+    })
+    it('handles errors', async () => {
+      assert.throws(
+        () => filter.pool(1, x => { throw new Error(`throwing ${x}`) })(['yo']),
+        new Error('throwing yo'),
+      )
+      await assert.rejects(
+        filter.pool(1, async x => { throw new Error(`throwing ${x}`) })(['yo']),
+        new Error('throwing yo'),
+      )
+    })
+  })
+
   describe('reduce', () => {
     it('eager', async () => {
       const numbers = [1, 2, 3, 4, 5]
@@ -2254,6 +3163,99 @@ reduce(
     })
   })
 
+  describe('reduce.pool', () => {
+    const add = (a, b) => a + b
+    const asyncSquare = async x => x ** 2
+    it('folds the transduced values in order', async () => {
+      ade(reduce.pool([1, 2, 3, 4, 5], 2, Transducer.map(square), add, 0), 55)
+      ade(reduce.pool(2, Transducer.map(square), add, 0)([1, 2, 3, 4, 5]), 55)
+      aok(reduce.pool(2, Transducer.map(asyncSquare), add, 0)([1, 2, 3]) instanceof Promise)
+      ade(await reduce.pool(2, Transducer.map(asyncSquare), add, 0)([1, 2, 3, 4, 5]), 55)
+      ade(await reduce.pool(Promise.resolve([1, 2, 3]), 2, Transducer.map(asyncSquare), add, 0), 14)
+      ade(await reduce.pool([1, 2, 3], 2, Transducer.map(asyncSquare), add, async () => 1), 15)
+      ade(await reduce.pool([1, 2, 3], 2, Transducer.map(asyncSquare), add), 14)
+      ade(await reduce.pool([], 2, Transducer.map(asyncSquare), add, 0), 0)
+    })
+    it('uses the first item as the initial value like reduce without an initial value', async () => {
+      const double = number => number * 2
+      const asyncDouble = async number => number * 2
+      const asyncNumbers = async function* () {
+        yield 2
+        yield 3
+        yield 4
+      }
+      ase(reduce([2, 3, 4], Transducer.map(double)(add)), 16)
+      ase(reduce.pool([2, 3, 4], 2, Transducer.map(double), add), 16)
+      ase(await reduce.pool([2, 3, 4], 2, Transducer.map(asyncDouble), add), 16)
+      ase(reduce.pool({ a: 2, b: 3, c: 4 }, 2, Transducer.map(double), add), 16)
+      ase(await reduce.pool(asyncNumbers(), 2, Transducer.map(asyncDouble), add), 16)
+      ase(reduce.pool([], 2, Transducer.map(double), add), undefined)
+      ase(await reduce.pool(asyncNumbers(), 2, Transducer.map(double), add), await reduce(asyncNumbers(), Transducer.map(double)(add)))
+    })
+    it('keeps the order of the fold regardless of resolution order', async () => {
+      const delayedIdentity = async x => {
+        await sleep(10 * (5 - x))
+        return x
+      }
+      const concat = (array, value) => array.concat([value])
+      ade(
+        await reduce.pool([1, 2, 3, 4, 5], 5, Transducer.map(delayedIdentity), concat, []),
+        [1, 2, 3, 4, 5],
+      )
+      ade(
+        await reduce.pool(
+          new Map([['a', 1], ['b', 2], ['c', 3]]),
+          3,
+          Transducer.map(delayedIdentity),
+          concat,
+          [],
+        ),
+        [1, 2, 3],
+      )
+      ade(
+        await reduce.pool({ a: 1, b: 2, c: 3 }, 3, Transducer.map(delayedIdentity), concat, []),
+        [1, 2, 3],
+      )
+    })
+    it('abides by the concurrency limit', async () => {
+      let running = 0
+      let maxRunning = 0
+      const plusSleepMinus = async x => {
+        running += 1
+        maxRunning = Math.max(maxRunning, running)
+        await sleep(10)
+        running -= 1
+        return x
+      }
+      ade(await reduce.pool(makeAsyncNumbers(), 2, Transducer.map(plusSleepMinus), add, 0), 15)
+      ase(maxRunning, 2)
+      ase(running, 0)
+      maxRunning = 0
+      ade(await reduce.pool(makeNumbers(), 3, Transducer.map(plusSleepMinus), add, 0), 15)
+      ase(maxRunning, 3)
+      ase(running, 0)
+    })
+    it('composes filter and flatMap transducers', async () => {
+      const asyncIsOdd = async x => x % 2 == 1
+      const concat = (array, value) => array.concat([value])
+      ade(
+        await reduce.pool([1, 2, 3, 4, 5], 2, compose([
+          Transducer.filter(asyncIsOdd),
+          Transducer.flatMap(async x => [x, x]),
+        ]), concat, []),
+        [1, 1, 3, 3, 5, 5],
+      )
+    })
+    it('handles errors', async () => {
+      await assert.rejects(
+        reduce.pool([1, 2, 3], 2, Transducer.map(async x => {
+          throw new Error(`throwing ${x}`)
+        }), add, 0),
+        new Error('throwing 1'),
+      )
+    })
+  })
+
   describe('transform', () => {
     describe(`
 transform(
@@ -2563,6 +3565,76 @@ transform(
     })
   })
 
+  describe('transform.pool', () => {
+    const delayedSquare = async x => {
+      await sleep(10 * (5 - x))
+      return x ** 2
+    }
+    it('transforms with limited concurrency in order', async () => {
+      ade(transform.pool([1, 2, 3], 2, Transducer.map(square), []), [1, 4, 9])
+      ade(transform.pool(2, Transducer.map(square), [])([1, 2, 3]), [1, 4, 9])
+      ade(await transform.pool(makeAsyncNumbers(), 5, Transducer.map(delayedSquare), []), [1, 4, 9, 16, 25])
+      ade(await transform.pool(2, Transducer.map(delayedSquare), [])([1, 2, 3, 4, 5]), [1, 4, 9, 16, 25])
+      ade(await transform.pool(Promise.resolve([1, 2, 3]), 2, Transducer.map(delayedSquare), () => []), [1, 4, 9])
+      ade(await transform.pool([1, 2, 3], 3, Transducer.map(delayedSquare), ''), '149')
+      ade(await transform.pool([1, 2, 3], 3, Transducer.map(delayedSquare), new Set()), new Set([1, 4, 9]))
+      ade(
+        await transform.pool([1, 2, 3], 3, Transducer.map(async x => ({ [x]: x })), {}),
+        { 1: 1, 2: 2, 3: 3 },
+      )
+      ade(
+        await transform.pool([1, 2, 3], 3, Transducer.map(delayedSquare), new Uint8Array()),
+        new Uint8Array([1, 4, 9]),
+      )
+      ade(await transform.pool([1, 2, 3], 3, Transducer.map(delayedSquare), null), null)
+    })
+    it('gives the same result as transform', async () => {
+      const transducer = compose([
+        Transducer.map(delayedSquare),
+        Transducer.filter(async x => x % 2 == 1),
+        Transducer.flatMap(x => [x, x]),
+      ])
+      ade(
+        await transform.pool([1, 2, 3, 4, 5], 3, transducer, []),
+        await transform([1, 2, 3, 4, 5], transducer, []),
+      )
+    })
+    it('passes items to stateful transducers in order while mapping concurrently', async () => {
+      const add = (a, b) => a + b
+      let running = 0
+      let maxRunning = 0
+      const delayed = async number => {
+        running += 1
+        maxRunning = Math.max(maxRunning, running)
+        await sleep(5 * number)
+        running -= 1
+        return number
+      }
+      ade(
+        await transform.pool([5, 1, 4, 2, 3], 5, compose([Transducer.map(delayed), Transducer.take(2)]), []),
+        [5, 1],
+      )
+      ase(maxRunning, 5)
+      ade(
+        await transform.pool([5, 1, 4, 2, 3], 5, compose([Transducer.map(delayed), Transducer.scan(add, 0)]), []),
+        [5, 6, 10, 12, 15],
+      )
+      ade(
+        await transform.pool([1, 2, 2, 1], 4, compose([Transducer.map(delayed), Transducer.dedupe()]), []),
+        [1, 2, 1],
+      )
+      const chunkTransducer = compose([
+        Transducer.map(delayed),
+        Transducer.chunk(3),
+        Transducer.map(async group => group.join('')),
+      ])
+      ade(
+        await transform.pool([4, 1, 3, 2], 2, chunkTransducer, []),
+        await transform([4, 1, 3, 2], chunkTransducer, []),
+      )
+    })
+  })
+
   describe('transform - misc', () => {
     const squareOdds = compose([Transducer.filter(isOdd), Transducer.map(square)])
     const asyncEvens = Transducer.filter(asyncIsEven)
@@ -3304,6 +4376,197 @@ flatMap(
     })
   })
 
+  describe('flatMap.series', () => {
+    const duplicate = x => [x, x]
+    const asyncDuplicate = async x => [x, x]
+    it('flatMaps in series for Arrays, strings, Sets, and Objects', async () => {
+      ade(flatMap.series([1, 2, 3], duplicate), [1, 1, 2, 2, 3, 3])
+      ade(flatMap.series(duplicate)([1, 2, 3]), [1, 1, 2, 2, 3, 3])
+      aok(flatMap.series(asyncDuplicate)([1, 2, 3]) instanceof Promise)
+      ade(await flatMap.series([1, 2, 3], asyncDuplicate), [1, 1, 2, 2, 3, 3])
+      ade(await flatMap.series(Promise.resolve([1, 2]), asyncDuplicate), [1, 1, 2, 2])
+      ade(flatMap.series('abc', duplicate), 'aabbcc')
+      ade(await flatMap.series('abc', asyncDuplicate), 'aabbcc')
+      ade(flatMap.series(new Set([1, 2]), x => [x, x + 10]), new Set([1, 11, 2, 12]))
+      ade(await flatMap.series(new Set([1, 2]), async x => [x, x + 10]), new Set([1, 11, 2, 12]))
+      ade(
+        await flatMap.series({ a: 1, b: 2 }, async x => ({ [`x${x}`]: x })),
+        { x1: 1, x2: 2 },
+      )
+    })
+    it('flattens every result type that flatMap flattens', async () => {
+      const result = await flatMap.series([1, 2, 3, 4, 5, 6], x => {
+        switch (x) {
+          case 1: return [x, x]
+          case 2: return new Set([x])
+          case 3: return (function* () { yield x; yield x })()
+          case 4: return (async function* () { yield x; yield x })()
+          case 5: return Readable.from([x])
+          default: return { chain: f => f(x) }
+        }
+      })
+      ade(result, [1, 1, 2, 3, 3, 4, 4, 5, 6])
+    })
+    it('reads each async iterable result before calling the flatMapper on the next item', async () => {
+      let reading = 0
+      let maxReading = 0
+      const fetchPages = async function* (pageCount) {
+        reading += 1
+        maxReading = Math.max(maxReading, reading)
+        for (let page = 1; page <= pageCount; page++) {
+          await sleep(5 - pageCount)
+          yield `${pageCount}.${page}`
+        }
+        reading -= 1
+      }
+      ade(
+        await flatMap.series([3, 1, 4, 2], fetchPages),
+        ['3.1', '3.2', '3.3', '1.1', '4.1', '4.2', '4.3', '4.4', '2.1', '2.2'],
+      )
+      ase(maxReading, 1)
+      ade(await flatMap.series('ab', async function* (character) {
+        await sleep(character == 'a' ? 5 : 0)
+        yield character
+        yield character.toUpperCase()
+      }), 'aAbB')
+      ade(
+        await flatMap.series(new Set([2, 1]), number => fetchPages(number)),
+        new Set(['2.1', '2.2', '1.1']),
+      )
+      ade(
+        await flatMap.series({ a: 2, b: 1 }, async function* (number) {
+          await sleep(2 - number)
+          yield { [`first${number}`]: number }
+          yield { last: number }
+        }),
+        { first2: 2, first1: 1, last: 1 },
+      )
+    })
+    it('runs one flatMapper at a time', async () => {
+      let running = 0
+      let maxRunning = 0
+      const calls = []
+      const result = await flatMap.series([3, 2, 1], async x => {
+        running += 1
+        maxRunning = Math.max(maxRunning, running)
+        calls.push(x)
+        await sleep(x)
+        running -= 1
+        return [x, x]
+      })
+      ade(result, [3, 3, 2, 2, 1, 1])
+      ade(calls, [3, 2, 1])
+      ase(maxRunning, 1)
+    })
+    it('null/invalid', async () => {
+      assert.throws(
+        () => flatMap.series(null, duplicate),
+        new TypeError('invalid collection null'),
+      )
+      assert.throws(
+        () => flatMap.series(1, duplicate),
+        new TypeError('invalid collection 1'),
+      )
+    })
+  })
+
+  describe('flatMap.pool', () => {
+    const duplicate = x => [x, x]
+    const asyncDuplicate = async x => [x, x]
+    it('flatMaps with limited concurrency for Arrays, strings, Sets, and Objects', async () => {
+      ade(flatMap.pool([1, 2, 3], 2, duplicate), [1, 1, 2, 2, 3, 3])
+      ade(flatMap.pool(2, duplicate)([1, 2, 3]), [1, 1, 2, 2, 3, 3])
+      aok(flatMap.pool(2, asyncDuplicate)([1, 2, 3]) instanceof Promise)
+      ade(await flatMap.pool([1, 2, 3], 1, asyncDuplicate), [1, 1, 2, 2, 3, 3])
+      ade(await flatMap.pool([1, 2, 3], 100, asyncDuplicate), [1, 1, 2, 2, 3, 3])
+      ade(await flatMap.pool(Promise.resolve([1, 2]), 2, asyncDuplicate), [1, 1, 2, 2])
+      ade(flatMap.pool('abc', 2, duplicate), 'aabbcc')
+      ade(await flatMap.pool('abc', 2, asyncDuplicate), 'aabbcc')
+      ade(flatMap.pool(new Set([1, 2]), 2, x => [x, x + 10]), new Set([1, 11, 2, 12]))
+      ade(await flatMap.pool(new Set([1, 2]), 2, async x => [x, x + 10]), new Set([1, 11, 2, 12]))
+      ade(
+        await flatMap.pool({ a: 1, b: 2 }, 2, async x => ({ [`x${x}`]: x })),
+        { x1: 1, x2: 2 },
+      )
+    })
+    it('flattens async iterables and streams', async () => {
+      const result = await flatMap.pool([1, 2, 3], 2, async x => x == 1
+        ? (async function* () { yield x; yield x })()
+        : Readable.from([x, x]))
+      ade(result, [1, 1, 2, 2, 3, 3])
+    })
+    it('reads each async iterable result in its place in the pool and keeps the order', async () => {
+      let reading = 0
+      let maxReading = 0
+      const fetchPages = async function* (pageCount) {
+        reading += 1
+        maxReading = Math.max(maxReading, reading)
+        for (let page = 1; page <= pageCount; page++) {
+          await sleep(5 - pageCount)
+          yield `${pageCount}.${page}`
+        }
+        reading -= 1
+      }
+      ade(
+        await flatMap.pool([3, 1, 4, 2], 2, fetchPages),
+        ['3.1', '3.2', '3.3', '1.1', '4.1', '4.2', '4.3', '4.4', '2.1', '2.2'],
+      )
+      ase(maxReading, 2)
+      ase(reading, 0)
+      ade(await flatMap.pool('ab', 2, async function* (character) {
+        await sleep(character == 'a' ? 5 : 0)
+        yield character
+        yield character.toUpperCase()
+      }), 'aAbB')
+      ade(
+        await flatMap.pool(new Set([2, 1]), 2, number => fetchPages(number)),
+        new Set(['2.1', '2.2', '1.1']),
+      )
+      ade(
+        [...await flatMap.pool(new Set([2, 1]), 2, number => fetchPages(number))],
+        ['2.1', '2.2', '1.1'],
+      )
+      ade(
+        Object.keys(await flatMap.pool({ a: 2, b: 1 }, 2, async function* (number) {
+          await sleep(2 - number)
+          yield { [`first${number}`]: number }
+          yield { last: number }
+        })),
+        ['first2', 'last', 'first1'],
+      )
+    })
+    it('abides by the concurrency limit', async () => {
+      let running = 0
+      let maxRunning = 0
+      const plusSleepMinus = async x => {
+        running += 1
+        maxRunning = Math.max(maxRunning, running)
+        await sleep(10)
+        running -= 1
+        return [x, x]
+      }
+      ade(await flatMap.pool(2, plusSleepMinus)([1, 2, 3, 4, 5]), [1, 1, 2, 2, 3, 3, 4, 4, 5, 5])
+      ase(maxRunning, 2)
+      ase(running, 0)
+    })
+    it('null/invalid', async () => {
+      assert.throws(
+        () => flatMap.pool(null, 1, duplicate),
+        new TypeError('invalid collection null'),
+      )
+      assert.throws(
+        () => flatMap.pool(1, 1, duplicate),
+        new TypeError('invalid collection 1'),
+      )
+    })
+    it('handles errors', async () => {
+      await assert.rejects(
+        flatMap.pool(1, async x => { throw new Error(`throwing ${x}`) })(['yo']),
+        new Error('throwing yo'),
+      )
+    })
+  })
+
   describe('forEach', () => {
     describe(`
      Reducer<T> = (any, T)=>Promise|any
@@ -3590,6 +4853,12 @@ flatMap(
       ase(await get(Promise.resolve({ a: 1 }), 'a'), 1)
       ase(get('a')({ a: 1 }), 1)
     })
+    it('reads the empty path as the key \'\'', async () => {
+      ase(get({ a: 1 }, ''), undefined)
+      ase(get({ a: 1 }, '', 'default'), 'default')
+      ase(get({ '': 1 }, ''), 1)
+      ase(get({ '': { '': 2 } }, ['', '']), 2)
+    })
     it('accesses a property of an object by name', async () => {
       ase(get('a')({ a: 1 }), 1)
       ase(get('b')({ a: 1 }), undefined)
@@ -3633,6 +4902,93 @@ flatMap(
     })
     it('clears cache at size 500', async () => {
     })
+    it('accesses quoted keys, escaped keys and negative indices', async () => {
+      const headers = { 'content-type': 'text/html', 'a.b': { 'c]': [1, 2, 3] } }
+      ase(get('["content-type"]')(headers), 'text/html')
+      ase(get('[\'a.b\']["c]"][0]')(headers), 1)
+      ase(get('a\\.b.c\\][-1]')(headers), 3)
+      ase(get('["say \\"hi\\""]')({ 'say "hi"': 1 }), 1)
+      ase(get('[-1][-2]')([[1, 2], [3, 4]]), 3)
+      ase(get('a.-1')({ a: [1, 2] }), 2)
+      ase(get(['a', -1])({ a: [1, 2] }), 2)
+      ase(get('[-3]')([1, 2]), undefined)
+      ase(get('a[-1]')({ a: { '-1': 'key' } }), 'key')
+      ase(get('a["-1"]')({ a: [1, 2] }), undefined)
+      ase(get('a|b')({ 'a|b': 1 }), 1)
+    })
+    it('gets every match of * and ** as an array', async () => {
+      const data = {
+        orders: [
+          { id: 1, items: [{ id: 'a' }, { id: 'b' }] },
+          { id: 2, items: [{ id: 'c' }] },
+        ],
+      }
+      ade(get('orders[*].items[*].id')(data), ['a', 'b', 'c'])
+      ade(get(data, 'orders.*.id'), [1, 2])
+      ade(get(data, '**.id'), [1, 'a', 'b', 2, 'c'])
+      ade(get(data, 'orders[*].missing'), [])
+      ade(get(data, 'orders[*].missing', 'default'), [])
+      ade(get({ a: { '*': 1, b: 2 } }, 'a["*"]'), 1)
+      ade(get({ a: { '*': 1, b: 2 } }, 'a.\\*'), 1)
+      ade(get({ a: { b: 1 } }, '**'), [{ a: { b: 1 } }, { b: 1 }, 1])
+      ade(get(new Set(['a']), '*'), [])
+      ade(await get(Promise.resolve(data), 'orders[*].id'), [1, 2])
+    })
+    it('matches ** through circular references once', async () => {
+      const shared = { id: 2 }
+      const node = { id: 1, a: shared, b: shared }
+      node.self = node
+      shared.parent = node
+      ade(get(node, '**.id'), [1, 2, 2])
+      const redacted = set(node, '**.id', 0)
+      ase(redacted.id, 0)
+      ase(redacted.a.id, 0)
+      ase(redacted.self, node)
+      const omitted = omit(node, ['**.id'])
+      ase(omitted.id, undefined)
+      ase(omitted.a.id, undefined)
+      ase(omitted.self, omitted)
+      ase(node.id, 1)
+    })
+    it('omits from each reference to a shared object or array separately', async () => {
+      const shared = { x: 1, y: 2 }
+      ade(omit({ a: shared, b: shared }, ['a.x']), { a: { y: 2 }, b: { x: 1, y: 2 } })
+      ade(shared, { x: 1, y: 2 })
+      const sharedArray = [{ x: 1 }]
+      const omitted = omit({ a: sharedArray, b: sharedArray }, ['a[0].x'])
+      ade(omitted, { a: [{}], b: [{ x: 1 }] })
+      aok(omitted.a != omitted.b)
+    })
+    it('reads Maps, Sets and class instances along the path', async () => {
+      const User = function (name) {
+        this.name = name
+      }
+      const member = { id: 1 }
+      const state = {
+        users: new Map([['1', new User('a')], [2, new User('b')]]),
+        tags: new Set(['x', member]),
+      }
+      ase(get(state, 'users[1].name'), 'a')
+      ase(get(state, 'users.2.name'), 'b')
+      ase(get(state, ['users', '1', 'name']), 'a')
+      ase(get(state, 'users.3.name'), undefined)
+      ase(get(state, 'tags.x'), 'x')
+      ase(get(state, ['tags', member, 'id']), 1)
+      ase(get(state, 'tags.y'), undefined)
+      ade(get(state, 'users.*.name'), ['a', 'b'])
+      ade(get(state, '**.name'), ['a', 'b'])
+      ade(get(state, 'tags.*'), [])
+    })
+    it('shares one parser cache with set, pick and omit', async () => {
+      const propertyPathToArray = require('./_internal/propertyPathToArray')
+      const path = 'shared["cache"].path[-1].value'
+      get(path)({})
+      set(path, 1)({ shared: { cache: { path: [{}] } } })
+      pick([path])({})
+      omit([path])({})
+      ade(propertyPathToArray.cache.get(path), ['shared', 'cache', 'path', -1, 'value'])
+      aok(propertyPathToArray(path) === propertyPathToArray.cache.get(path))
+    })
   })
 
   describe('set', () => {
@@ -3641,6 +4997,8 @@ flatMap(
       ade(set('a', 1)(undefined), undefined)
       ade(set('a', 1)('yo'), 'yo')
       ade(set('a', 1)({ b: 2 }), { a: 1, b: 2 })
+      ade(set({ a: 1 }, '', 2), { a: 1, '': 2 })
+      ade(set('', 2)({ '': 1 }), { '': 2 })
       ade(await set('a', Promise.resolve(1))({ b: 2 }), { a: 1, b: 2 })
       ade(set('a.b', 1)({ a: { c: 2 } }), { a: { b: 1, c: 2 } })
       ade(set('a.b', 1)({ a: 1 }), { a: { b: 1 } })
@@ -3663,6 +5021,138 @@ flatMap(
       ade(await set({}, 'a.b.c.d', Promise.resolve(1)), { a: { b: { c: { d: 1 } } } })
     })
 
+    it('creates arrays for indices and objects for keys', async () => {
+      ade(set({}, 'a[0].b', 1), { a: [{ b: 1 }] })
+      ade(set({}, 'a.0.b', 1), { a: [{ b: 1 }] })
+      ade(set({}, ['a', 0, 'b'], 1), { a: [{ b: 1 }] })
+      ade(set({}, ['a', '0', 'b'], 1), { a: { 0: { b: 1 } } })
+      ade(set({}, 'a["0"].b', 1), { a: { 0: { b: 1 } } })
+      ade(set({ a: 'string' }, 'a[1]', 1), { a: [, 1] })
+      ade(set({}, 'a["b.c"]', 1), { a: { 'b.c': 1 } })
+      ade(set({}, 'a\\.b', 1), { 'a.b': 1 })
+      ade(set([1, 2], '[0]', 3), [3, 2])
+      aok(Array.isArray(set([1, 2], '[0]', 3)))
+    })
+
+    it('sets negative indices from the end of arrays', async () => {
+      const scores = { scores: [1, 2, 3] }
+      ade(set(scores, 'scores[-1]', 4), { scores: [1, 2, 4] })
+      ade(scores, { scores: [1, 2, 3] })
+      ade(set({ a: [[1], [2]] }, 'a[-1][-1]', 3), { a: [[1], [3]] })
+      ade(set({ a: { b: 1 } }, 'a[-1]', 2), { a: { b: 1, '-1': 2 } })
+      assert.throws(
+        () => set({ a: [1] }, 'a[-2]', 2),
+        new RangeError('index -2 out of range for array of length 1'),
+      )
+    })
+
+    it('sets every existing match of * and **', async () => {
+      const data = {
+        user: { name: 'a', password: 'x', friends: [{ name: 'b', password: 'y' }] },
+        password: 'z',
+      }
+      const redacted = set(data, '**.password', '***')
+      ade(redacted, {
+        user: { name: 'a', password: '***', friends: [{ name: 'b', password: '***' }] },
+        password: '***',
+      })
+      ase(data.user.password, 'x')
+      ase(data.user.friends[0].password, 'y')
+      ade(set({ a: [1, 2, 3] }, 'a[*]', 0), { a: [0, 0, 0] })
+      aok(Array.isArray(set({ a: [1, 2, 3] }, 'a[*]', 0).a))
+      ade(set({ a: [{ b: 1 }, {}] }, 'a[*].b', 2), { a: [{ b: 2 }, {}] })
+      ade(set({ a: [] }, 'a[*].b', 2), { a: [] })
+      ade(set({ a: 1 }, '**', 2), { a: 2 })
+      ade(await set({ a: [1, 2] }, 'a[*]', Promise.resolve(3)), { a: [3, 3] })
+      ade(set({ a: [1, 2] }, 'a[*]', obj => obj.a.length), { a: [2, 2] })
+    })
+
+    it('copies Maps, Sets and class instances along the path', async () => {
+      const User = function (name) {
+        this.name = name
+      }
+      User.prototype.greet = function () {
+        return `hi ${this.name}`
+      }
+      const member = { id: 1 }
+      const state = {
+        users: new Map([['1', new User('a')], [2, new User('b')]]),
+        tags: new Set(['x', member, 'y']),
+      }
+      const renamed = set(state, 'users[1].name', 'c')
+      aok(renamed.users instanceof Map)
+      aok(renamed.users !== state.users)
+      aok(renamed.users.get('1') instanceof User)
+      ase(renamed.users.get('1').greet(), 'hi c')
+      ase(renamed.users.get(2), state.users.get(2))
+      ase(state.users.get('1').name, 'a')
+      ase(set(state, 'users[3].name', 'd').users.get(3).name, 'd')
+      ade([...set(state, 'users[3].name', 'd').users.keys()], ['1', 2, 3])
+      ade([...set(state, 'users[1].name', 'd').users.keys()], ['1', 2])
+      ade([...set(new Map([[2, 'b'], ['1', 'a']]), '3', 'c').keys()], [2, '1', 3])
+      const named = new Map([['1', 'a'], ['x', 'b']])
+      ade([...set(named, '3', 'c').keys()], ['1', 'x', '3'])
+      ase(get(set(named, '3', 'c'), '["3"]'), 'c')
+      ade([...set(new Map([[1, 'a']]), '2', 'b').keys()], [1, 2])
+      ade([...set(new Map(), '2', 'b').keys()], [2])
+      ase(set(new User('a'), 'name', 'b').greet(), 'hi b')
+      ade(set(state, 'users.*.name', 'e').users, new Map([['1', new User('e')], [2, new User('e')]]))
+      ade(set(state, ['tags', member, 'id'], 2).tags, new Set(['x', { id: 2 }, 'y']))
+      ase(member.id, 1)
+      ade([...set(state, 'tags.x', 'z').tags], ['z', member, 'y'])
+      ade([...set(state, 'tags.w', 'z').tags], ['x', member, 'y', 'z'])
+
+      const Users = function (entries) {
+        return Reflect.construct(Map, [entries], Users)
+      }
+      Object.setPrototypeOf(Users.prototype, Map.prototype)
+      const users = set(new Users([['a', 1]]), 'a', 2)
+      aok(users instanceof Users)
+      ase(users.get('a'), 2)
+    })
+
+    it('copies instances with private state by their Symbol.for(\'rubico.copy\') method', async () => {
+      const privateStates = new WeakMap()
+      const privateState = account => {
+        if (!privateStates.has(account)) {
+          throw new TypeError('not an Account')
+        }
+        return privateStates.get(account)
+      }
+      const Account = function (owner, balance) {
+        privateStates.set(this, { owner, balance })
+      }
+      Object.defineProperty(Account.prototype, 'balance', {
+        get() {
+          return privateState(this).balance
+        },
+        set(balance) {
+          privateState(this).balance = balance
+        },
+      })
+      Account.prototype.describe = function () {
+        return `${privateState(this).owner}: ${this.balance}`
+      }
+      Account.prototype[Symbol.for('rubico.copy')] = function () {
+        const { owner, balance } = privateState(this)
+        return new Account(owner, balance)
+      }
+      const state = { accounts: new Map([['1', new Account('George', 10)]]) }
+      const nextState = set(state, 'accounts[1].balance', 20)
+      ase(nextState.accounts.get('1').describe(), 'George: 20')
+      ase(state.accounts.get('1').describe(), 'George: 10')
+      ase(set(state, 'accounts.*.balance', 30).accounts.get('1').describe(), 'George: 30')
+    })
+
+    it('throws a TypeError for built-in objects with internal state along the path', async () => {
+      const when = new Date(0)
+      assert.throws(() => set({ when }, 'when.x', 1), new TypeError('cannot copy [object Date] along a path'))
+      assert.throws(() => set({ pattern: /a/ }, 'pattern.x', 1), new TypeError('cannot copy [object RegExp] along a path'))
+      assert.throws(() => set({ bytes: new Uint8Array(2) }, 'bytes[0]', 1), TypeError)
+      ade(set({ when }, 'when', 1), { when: 1 })
+      ase(when.x, undefined)
+    })
+
     it('the property value may be a resolver', async () => {
       { // sync
         const myObj = { a: 1 }
@@ -3700,6 +5190,18 @@ flatMap(
     })
     it('picks nested properties', async () => {
       assert.deepEqual(pick(['a.b.c.d'])(nested), { a: { b: { c: { d: 1 } } } })
+      assert.deepEqual(pick(['a.b.c.e[0]'])(nested), { a: { b: { c: { e: [2] } } } })
+      assert.deepEqual(pick(['a.b.c.e[-1]'])(nested), { a: { b: { c: { e: [, 3] } } } })
+      assert.deepEqual(pick(['["a.b"]'])({ 'a.b': 1, a: { b: 2 } }), { 'a.b': 1 })
+      assert.deepEqual(pick(['a.*.c.d'])(nested), { a: { b: { c: { d: 1 } } } })
+      assert.deepEqual(
+        pick(['users[*].name'])({ users: [{ name: 'a', age: 1 }, { name: 'b', age: 2 }] }),
+        { users: [{ name: 'a' }, { name: 'b' }] },
+      )
+      assert.deepEqual(
+        pick(['**.id'])({ id: 1, a: { id: 2, b: 3 }, c: [{ id: 4, d: 5 }] }),
+        { id: 1, a: { id: 2 }, c: [{ id: 4 }] },
+      )
       // assert.deepEqual(pick(['a.b.f.g'])(nested), nested)
       // assert.deepEqual(pick(['a.b.c.d', 'a.b.c.e[0]'])(nested), { a: { b: { c: { e: [, 3] } } } })
       // assert.deepEqual(pick(['a[0][0].d'])({ a: [[{ b: 1, c: 2, d: 3 }]] }), { a: [[{ b: 1, c: 2 }]] })
@@ -3740,6 +5242,18 @@ flatMap(
       assert.deepEqual(omit(['a.b.c.d', 'a.b.c.e[0]'])(nested), { a: { b: { c: { e: [, 3] } } } })
       assert.deepEqual(omit(['a[0][0].d'])({ a: [[{ b: 1, c: 2, d: 3 }]] }), { a: [[{ b: 1, c: 2 }]] })
       assert.deepEqual(omit(['a[0][0].d'])({ a: [[{ b: 1, c: 2, d: null }]] }), { a: [[{ b: 1, c: 2 }]] })
+      assert.deepEqual(omit(['a.b.c.e[-1]'])(nested), { a: { b: { c: { d: 1, e: [2, ,] } } } })
+      assert.deepEqual(omit(['["a.b"]', 'c\\[0\\]'])({ 'a.b': 1, a: { b: 2 }, 'c[0]': 3 }), { a: { b: 2 } })
+      assert.deepEqual(omit(['a.*.c.d'])(nested), { a: { b: { c: { e: [2, 3] } } } })
+      assert.deepEqual(
+        omit(['users[*].password'])({ users: [{ name: 'a', password: 'x' }, { name: 'b' }] }),
+        { users: [{ name: 'a' }, { name: 'b' }] },
+      )
+      assert.deepEqual(
+        omit(['**.password'])({ password: 1, a: { password: 2, b: [{ password: 3, c: 4 }] } }),
+        { a: { b: [{ c: 4 }] } },
+      )
+      assert.deepEqual(omit(['a["*"]'])({ a: { '*': 1, b: 2 } }), { a: { b: 2 } })
     })
     it('more nested',
       Test(
@@ -3881,6 +5395,76 @@ flatMap(
     })
   })
 
+  describe('some.series', () => {
+    const asyncIsOdd = async number => number % 2 == 1
+    it('tests one item at a time and stops at the first truthy', async () => {
+      const calls = []
+      const trackedAsyncIsOdd = async number => {
+        calls.push(number)
+        await sleep(1)
+        return number % 2 == 1
+      }
+      ase(await some.series([2, 4, 5, 6, 7], trackedAsyncIsOdd), true)
+      ade(calls, [2, 4, 5])
+      ase(some.series([2, 4, 5], isOdd), true)
+      ase(some.series([2, 4, 6], isOdd), false)
+      ase(some.series(isOdd)([2, 4, 6]), false)
+      ase(await some.series([2, 4, 6], asyncIsOdd), false)
+      ase(await some.series(Promise.resolve([2, 3]), asyncIsOdd), true)
+      ase(some.series([], isOdd), false)
+    })
+    it('objects and foldables', async () => {
+      ase(await some.series({ a: 2, b: 3 }, asyncIsOdd), true)
+      ase(await some.series({ a: 2, b: 4 }, asyncIsOdd), false)
+      ase(await some.series({ reduce: (reducer, init) => [2, 3].reduce(reducer, init) }, asyncIsOdd), true)
+      ase(await some.series({ reduce: (reducer, init) => [2, 4].reduce(reducer, init) }, asyncIsOdd), false)
+    })
+    it('closes iterators and async iterators early', async () => {
+      let pulled = 0
+      let closed = false
+      const numbers = function* () {
+        try {
+          for (let i = 1; i <= 10; i++) {
+            pulled += 1
+            yield i
+          }
+        } finally {
+          closed = true
+        }
+      }
+      ase(some.series(numbers(), n => n == 2), true)
+      ase(pulled, 2)
+      ase(closed, true)
+      pulled = 0
+      closed = false
+      ase(await some.series(numbers(), async n => n == 3), true)
+      ase(pulled, 3)
+      ase(closed, true)
+      pulled = 0
+      closed = false
+      const asyncNumbers = async function* () {
+        try {
+          for (let i = 1; i <= 10; i++) {
+            pulled += 1
+            yield i
+          }
+        } finally {
+          closed = true
+        }
+      }
+      ase(await some.series(asyncNumbers(), n => n == 4), true)
+      ase(pulled, 4)
+      ase(closed, true)
+      ase(await some.series(makeAsyncNumbers(), async n => n > 5), false)
+    })
+    it('handles errors', async () => {
+      await assert.rejects(
+        some.series([1, 2], async x => { throw new Error(`throwing ${x}`) }),
+        new Error('throwing 1'),
+      )
+    })
+  })
+
   describe('some - v1.5.15 regression', () => {
     const numbers = [1, 2, 3, 4, 5]
     const numbersObject = { a: 1, b: 2, c: 3, d: 4, e: 5 }
@@ -4015,6 +5599,58 @@ flatMap(
     })
   })
 
+  describe('every.series', () => {
+    const asyncIsOdd = async number => number % 2 == 1
+    it('tests one item at a time and stops at the first falsy', async () => {
+      const calls = []
+      const trackedAsyncIsOdd = async number => {
+        calls.push(number)
+        await sleep(1)
+        return number % 2 == 1
+      }
+      ase(await every.series([1, 3, 4, 5, 6], trackedAsyncIsOdd), false)
+      ade(calls, [1, 3, 4])
+      ase(every.series([1, 3, 4], isOdd), false)
+      ase(every.series([1, 3, 5], isOdd), true)
+      ase(every.series(isOdd)([1, 3, 5]), true)
+      ase(await every.series([1, 3, 5], asyncIsOdd), true)
+      ase(await every.series(Promise.resolve([1, 2]), asyncIsOdd), false)
+      ase(every.series([], isOdd), true)
+    })
+    it('objects and foldables', async () => {
+      ase(await every.series({ a: 1, b: 3 }, asyncIsOdd), true)
+      ase(await every.series({ a: 1, b: 2 }, asyncIsOdd), false)
+      ase(await every.series({ reduce: (reducer, init) => [1, 3].reduce(reducer, init) }, asyncIsOdd), true)
+      ase(await every.series({ reduce: (reducer, init) => [1, 2].reduce(reducer, init) }, asyncIsOdd), false)
+    })
+    it('closes iterators and async iterators early', async () => {
+      let pulled = 0
+      let closed = false
+      const asyncNumbers = async function* () {
+        try {
+          for (let i = 1; i <= 10; i++) {
+            pulled += 1
+            yield i
+          }
+        } finally {
+          closed = true
+        }
+      }
+      ase(await every.series(asyncNumbers(), async n => n < 3), false)
+      ase(pulled, 3)
+      ase(closed, true)
+      ase(every.series(makeNumbers(), n => n < 10), true)
+      ase(await every.series(makeNumbers(), async n => n < 10), true)
+      ase(await every.series(makeAsyncNumbers(), n => n < 10), true)
+    })
+    it('handles errors', async () => {
+      await assert.rejects(
+        every.series([1, 2], async x => { throw new Error(`throwing ${x}`) }),
+        new Error('throwing 1'),
+      )
+    })
+  })
+
   describe('every - v1.5.15 regression', () => {
     const numbers = [1, 2, 3, 4, 5]
     const numbersObject = { a: 1, b: 2, c: 3, d: 4, e: 5 }
@@ -1,4 +1,5 @@
-export = thunkify;
+export = thunkify
+
 /**
  * @name thunkify
  *
@@ -8,14 +9,9 @@ export = thunkify;
  * ```
  *
  * @description
- * Create a thunk function from another function and any number of arguments. The thunk function takes no arguments, and when called, executes the other function with the provided arguments. The other function is said to be "thunkified".
- *
- * ```javascript [playground]
- * const add = (a, b) => a + b
- *
- * const thunkAdd12 = thunkify(add, 1, 2)
- *
- * console.log(thunkAdd12()) // 3
- * ```
+ * Create a function that calls `func` with the arguments when called.
  */
-declare function thunkify(func: any, ...args: any[]): () => any;
+declare function thunkify<A extends unknown[], R>(
+  func: (...args: A) => R,
+  ...args: A
+): () => R
@@ -1,7 +1,9 @@
 const isPromise = require('./_internal/isPromise')
 const __ = require('./_internal/placeholder')
 const curry3 = require('./_internal/curry3')
+const curry4 = require('./_internal/curry4')
 const genericTransform = require('./_internal/genericTransform')
+const genericTransformPool = require('./_internal/genericTransformPool')
 
 // _transform(collection any, transducer function, initialValue function|any) -> Promise
 const _transform = function (collection, transducer, initialValue) {
@@ -183,4 +185,99 @@ const transform = function (...args) {
   return _transform(args[0], args[1], args[2])
 }
 
+// _transformPool(
+//   collection any,
+//   concurrency number,
+//   transducer function,
+//   initialValue function|any,
+// ) -> Promise
+const _transformPool = function (
+  collection, concurrency, transducer, initialValue,
+) {
+  if (typeof initialValue == 'function') {
+    const actualInitialValue = initialValue(collection)
+    return isPromise(actualInitialValue)
+      ? actualInitialValue.then(curry4(
+        genericTransformPool, collection, concurrency, transducer, __))
+      : genericTransformPool(collection, concurrency, transducer, actualInitialValue)
+  }
+  return isPromise(initialValue)
+    ? initialValue.then(curry4(
+      genericTransformPool, collection, concurrency, transducer, __))
+    : genericTransformPool(collection, concurrency, transducer, initialValue)
+}
+
+/**
+ * @name transform.pool
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Foldable = Iterable|AsyncIterable|Object<value any>
+ *
+ * type Reducer = (
+ *   accumulator any,
+ *   value any,
+ * )=>(nextAccumulator Promise|any)
+ *
+ * type Transducer = Reducer=>Reducer
+ *
+ * type Transformable =
+ *   Array|String|Set|TypedArray|{ concat: function }|{ write: function }|Object
+ *
+ * type TransformableResolver = (collection Foldable)=>Promise|Transformable
+ *
+ * transform.pool(
+ *   collection Promise|Foldable,
+ *   concurrency number,
+ *   transducer Transducer,
+ *   initialValue? Transformable|TransformableResolver,
+ * ) -> result Promise|Transformable
+ *
+ * transform.pool(
+ *   concurrency number,
+ *   transducer Transducer,
+ *   initialValue? Transformable|TransformableResolver,
+ * )(collection Foldable) -> result Promise|Transformable
+ * ```
+ *
+ * @description
+ * [transform](/docs/transform) with a concurrent transducing stage. The transducer is run on up to `concurrency` items of the collection at a time, while the values it outputs are added to the initial value one at a time in the order of the items. The result is the same as that of `transform(collection, transducer, initialValue)`. Transducers that keep state between items, like [Transducer.take](/docs/Transducer.take) or [Transducer.scan](/docs/Transducer.scan), take items in the order of the items, so only the steps of the transducer before them run concurrently.
+ *
+ * ```javascript [playground]
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const fetchUser = async id => {
+ *   await sleep(1000)
+ *   return { id, name: `user${id}` }
+ * }
+ *
+ * const generateIds = async function* () {
+ *   yield 1; yield 2; yield 3; yield 4; yield 5
+ * }
+ *
+ * transform.pool(
+ *   generateIds(),
+ *   5,
+ *   Transducer.map(fetchUser),
+ *   [],
+ * ).then(console.log)
+ * // [{ id: 1, name: 'user1' }, ..., { id: 5, name: 'user5' }] after about one second
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ *
+ * @execution concurrent
+ *
+ * @transducing
+ */
+transform.pool = function transformPool(...args) {
+  if (typeof args[1] == 'function') {
+    return curry4(_transformPool, __, args[0], args[1], args[2])
+  }
+  if (isPromise(args[0])) {
+    return args[0].then(curry4(_transformPool, __, args[1], args[2], args[3]))
+  }
+  return _transformPool(args[0], args[1], args[2], args[3])
+}
+
 module.exports = transform
@@ -1,4 +1,9 @@
-export = tryCatch;
+import {
+  ArgsAsyncness, AwaitedArgs, RetryOptions, RetryResult, TryCatchResult,
+} from './types'
+
+export = tryCatch
+
 /**
  * @name tryCatch
  *
@@ -10,38 +15,56 @@ export = tryCatch;
  * ```
  *
  * @description
- * Handles errors with a `tryer` and a `catcher` function. Calls the `tryer` function with the provided arguments and catches any errors thrown by the `tryer` function with the `catcher` function. If the `tryer` function is asynchronous and returns a rejected promise, the `catcher` function will execute with the value of the rejected promise. The `catcher` function is called with the error and all arguments supplied to the `tryer` function.
- *
- * ```javascript [playground]
- * const throwsIfOdd = number => {
- *   if (number % 2 == 1) {
- *     throw new Error(`${number} is odd`)
- *   }
- *   console.log('did not throw for', number)
- * }
- *
- * const errorHandler = tryCatch(throwsIfOdd, (error, number) => {
- *   console.log('caught error from number', number)
- *   console.log(error)
- * })
- *
- * errorHandler(2) // did not throw for 2
- * errorHandler(3) // caught error from number 3
- *                 // Error: 3 is odd
- *
- * ```
- *
- * `tryCatch` behaves eagerly (executes immediately with a single call and not with multiple calls like a higher order function) when passed any amount of nonfunction (primitive or object) arguments before the `tryer` and `catcher` functions.
- *
- * ```javascript [playground]
- * const add = (a, b) => a + b
- *
- * tryCatch(1, 2, 3, function throwSum(...numbers) {
- *   const sum = numbers.reduce(add)
- *   throw new Error(`the sum is ${sum}`)
- * }, function logErrorMessage(error) {
- *   console.error(error.message) // the sum is 6
- * })
- * ```
+ * Try the `tryer` function with the arguments, and call the `catcher` function with the error and the arguments if it throws or rejects.
  */
-declare function tryCatch(...args: any[]): any;
+declare function tryCatch<A extends unknown[], T, C>(
+  tryer: (...args: A) => T,
+  catcher: (error: any, ...args: A) => C,
+): (...args: A) => TryCatchResult<T, C>
+
+declare function tryCatch<A extends [unknown, ...unknown[]], T, C>(
+  ...args: [...A, (...args: AwaitedArgs<A>) => T, (error: any, ...args: AwaitedArgs<A>) => C]
+): 'async' extends ArgsAsyncness<A>
+  ? Promise<Awaited<T> | Awaited<C>>
+  : TryCatchResult<T, C> | ('maybe' extends ArgsAsyncness<A> ? Promise<Awaited<T> | Awaited<C>> : never)
+
+declare namespace tryCatch {
+  /**
+   * @name tryCatch.retry
+   *
+   * @synopsis
+   * ```coffeescript [specscript]
+   * tryCatch.retry(
+   *   options RetryOptions,
+   *   tryer function,
+   *   catcher function,
+   * )(...args) -> Promise|any
+   *
+   * tryCatch.retry(
+   *   ...args,
+   *   options RetryOptions,
+   *   tryer function,
+   *   catcher function,
+   * ) -> Promise|any
+   * ```
+   *
+   * @description
+   * [tryCatch](/docs/tryCatch) that calls the `tryer` function again when it throws or rejects, and calls the `catcher` function after the last failed attempt. Retries are always asynchronous.
+   */
+  function retry<A extends unknown[], T, C>(
+    options: RetryOptions,
+    tryer: (...args: A) => T,
+    catcher: (error: any, ...args: A) => C,
+  ): (...args: A) => RetryResult<T, C>
+
+  function retry<A extends [unknown, ...unknown[]], T, C>(
+    ...args: [
+      ...A,
+      RetryOptions,
+      (...args: AwaitedArgs<A>) => T,
+      (error: any, ...args: AwaitedArgs<A>) => C,
+    ]
+  ): 'async' extends ArgsAsyncness<A>
+    ? Promise<Awaited<T> | Awaited<C>>
+    : RetryResult<T, C> | ('maybe' extends ArgsAsyncness<A> ? Promise<Awaited<T> | Awaited<C>> : never)
+}
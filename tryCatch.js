@@ -4,6 +4,9 @@ const __ = require('./_internal/placeholder')
 const curry3 = require('./_internal/curry3')
 const catcherApply = require('./_internal/catcherApply')
 const areAnyValuesPromises = require('./_internal/areAnyValuesPromises')
+const backoffDelay = require('./_internal/backoffDelay')
+const sleep = require('./_internal/sleep')
+const always = require('./_internal/always')
 
 // _tryCatch(tryer function, catcher function, args Array) -> Promise
 const _tryCatch = function (tryer, catcher, args) {
@@ -95,4 +98,169 @@ const tryCatch = function (...args) {
   }
 }
 
+// _retryOptions(options number|Object) -> Object
+const _retryOptions = function (options) {
+  if (typeof options == 'number') {
+    options = { attempts: options }
+  }
+  return {
+    attempts: options.attempts == null ? 3 : options.attempts,
+    delay: options.delay == null ? 100 : options.delay,
+    factor: options.factor == null ? 2 : options.factor,
+    maxDelay: options.maxDelay == null ? Infinity : options.maxDelay,
+    jitter: options.jitter == null ? false : options.jitter,
+    shouldRetry: options.shouldRetry == null ? always(true) : options.shouldRetry,
+  }
+}
+
+// _retryAttempt(
+//   options Object,
+//   tryer function,
+//   catcher function,
+//   args Array,
+//   attempt number,
+// ) -> Promise
+const _retryAttempt = async function (options, tryer, catcher, args, attempt) {
+  await sleep(backoffDelay(options, attempt - 1))
+  try {
+    return await tryer(...args)
+  } catch (error) {
+    return _retryOrCatch(options, tryer, catcher, args, error, attempt)
+  }
+}
+
+// _retryOrCatch(
+//   options Object,
+//   tryer function,
+//   catcher function,
+//   args Array,
+//   error any,
+//   attempt number,
+// ) -> Promise|any
+const _retryOrCatch = function (options, tryer, catcher, args, error, attempt) {
+  if (attempt >= options.attempts) {
+    return catcherApply(catcher, error, args)
+  }
+  const shouldRetry = options.shouldRetry(error, attempt)
+  if (isPromise(shouldRetry)) {
+    return shouldRetry.then(function retryOrCatch(resolvedShouldRetry) {
+      return resolvedShouldRetry
+        ? _retryAttempt(options, tryer, catcher, args, attempt + 1)
+        : catcherApply(catcher, error, args)
+    })
+  }
+  return shouldRetry
+    ? _retryAttempt(options, tryer, catcher, args, attempt + 1)
+    : catcherApply(catcher, error, args)
+}
+
+// _tryCatchRetry(options Object, tryer function, catcher function, args Array) -> Promise|any
+const _tryCatchRetry = function (options, tryer, catcher, args) {
+  try {
+    const result = tryer(...args)
+    return isPromise(result)
+      ? result.catch(function retryOrCatch(error) {
+        return _retryOrCatch(options, tryer, catcher, args, error, 1)
+      })
+      : result
+  } catch (error) {
+    return _retryOrCatch(options, tryer, catcher, args, error, 1)
+  }
+}
+
+/**
+ * @name tryCatch.retry
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type RetryOptions = number|{
+ *   attempts: number, # default 3
+ *   delay: number, # default 100
+ *   factor: number, # default 2
+ *   maxDelay: number, # default Infinity
+ *   jitter: boolean, # default false
+ *   shouldRetry: (error any, attempt number)=>Promise|boolean,
+ * }
+ *
+ * tryCatch.retry(
+ *   options RetryOptions,
+ *   tryer function,
+ *   catcher function,
+ * )(...args) -> Promise|any
+ *
+ * tryCatch.retry(
+ *   ...args,
+ *   options RetryOptions,
+ *   tryer function,
+ *   catcher function,
+ * ) -> Promise|any
+ * ```
+ *
+ * @description
+ * [tryCatch](/docs/tryCatch) that calls the `tryer` function again with the same arguments when it throws or returns a rejected promise. The `tryer` function is called at most `attempts` times. If the last attempt fails, the `catcher` function is called with the error and all arguments supplied to the `tryer` function.
+ *
+ * ```javascript [playground]
+ * let calls = 0
+ *
+ * const flakyFetch = async id => {
+ *   calls += 1
+ *   if (calls < 3) {
+ *     throw new Error('service unavailable')
+ *   }
+ *   return { id }
+ * }
+ *
+ * const fetchWithRetries = tryCatch.retry(5, flakyFetch, (error, id) => {
+ *   console.error(`could not fetch ${id}`, error)
+ * })
+ *
+ * fetchWithRetries(1).then(console.log) // { id: 1 }
+ * ```
+ *
+ * Before each retry, `tryCatch.retry` waits for `delay` milliseconds multiplied by `factor` once for each earlier retry, up to `maxDelay` milliseconds. With `jitter`, each wait is a random number of milliseconds between zero and that delay. A `shouldRetry` function decides whether to retry after the error of a failed attempt and the number of that attempt. When `shouldRetry` returns falsy, the `catcher` function is called without further attempts.
+ *
+ * ```javascript [playground]
+ * const fetchUser = async id => {
+ *   throw Object.assign(new Error('not found'), { status: 404 })
+ * }
+ *
+ * const fetchUserWithRetries = tryCatch.retry({
+ *   attempts: 5,
+ *   delay: 200,
+ *   factor: 2,
+ *   maxDelay: 2000,
+ *   jitter: true,
+ *   shouldRetry: error => error.status >= 500,
+ * }, fetchUser, error => {
+ *   console.log(error.status) // 404
+ * })
+ *
+ * fetchUserWithRetries(1)
+ * ```
+ *
+ * When the first call of the `tryer` function succeeds synchronously, the result is returned synchronously. Retries are always asynchronous.
+ *
+ * `tryCatch.retry` behaves eagerly when passed any amount of nonfunction arguments before the options, `tryer`, and `catcher`. Any promises passed in argument position are resolved for their values before further execution.
+ */
+tryCatch.retry = function tryCatchRetry(...args) {
+  if (args.length > 3) {
+    const catcher = args.pop(),
+      tryer = args.pop(),
+      options = _retryOptions(args.pop())
+    if (areAnyValuesPromises(args)) {
+      return promiseAll(args).then(function tryCatchRetryResolved(args) {
+        return _tryCatchRetry(options, tryer, catcher, args)
+      })
+    }
+    return _tryCatchRetry(options, tryer, catcher, args)
+  }
+
+  const options = _retryOptions(args[0]),
+    tryer = args[1],
+    catcher = args[2]
+  return function tryCatchRetrier(...args) {
+    return _tryCatchRetry(options, tryer, catcher, args)
+  }
+}
+
 module.exports = tryCatch
@@ -0,0 +1,593 @@
+/**
+ * Shared type declarations for rubico's hand-written typings.
+ *
+ * rubico functions return a promise only when some step returns a promise. The
+ * `Asyncness` and `AsyncResult` types model that behavior: each step's return
+ * type is tagged as `'sync'`, `'async'`, or `'maybe'`, and the tags of all
+ * steps decide whether the result type is a value, a promise, or either.
+ */
+
+export type Promisable<T> = T | Promise<T>
+
+export type AnyFunction = (...args: any[]) => any
+
+/**
+ * Arrays of functions that are longer than the typed overloads of `pipe` and `compose`.
+ */
+export type LongFunctionArray = readonly [
+  AnyFunction, AnyFunction, AnyFunction, AnyFunction, AnyFunction, AnyFunction,
+  AnyFunction, AnyFunction, AnyFunction, AnyFunction, AnyFunction, ...AnyFunction[],
+]
+
+export type Asyncness<R> =
+  [Exclude<R, PromiseLike<any>>] extends [never] ? 'async'
+    : [Extract<R, PromiseLike<any>>] extends [never] ? 'sync'
+      : 'maybe'
+
+export type AsyncResult<Tags, T> =
+  'async' extends Tags ? Promise<T>
+    : 'maybe' extends Tags ? T | Promise<T>
+      : T
+
+export type PromiseResult<R, T> = AsyncResult<Asyncness<R>, T>
+
+export type Simplify<T> = { [K in keyof T]: T[K] } & {}
+
+export type Widen<T> =
+  T extends string ? string
+    : T extends number ? number
+      : T extends boolean ? boolean
+        : T extends bigint ? bigint
+          : T
+
+export type Resolved<V> = V extends AnyFunction ? ReturnType<V> : V
+
+export type HasFunction<V> =
+  [Extract<V extends readonly unknown[] ? V[number] : V[keyof V], AnyFunction>] extends [never]
+    ? false
+    : true
+
+export type FirstFunctionArgs<V> =
+  V extends readonly [infer First, ...infer Rest]
+    ? First extends AnyFunction ? Parameters<First> : FirstFunctionArgs<Rest>
+    : V extends readonly (infer Item)[]
+      ? Parameters<Extract<Item, AnyFunction>>
+      : Parameters<Extract<V[keyof V], AnyFunction>>
+
+export type ResolvedValues<V> = { -readonly [K in keyof V]: Awaited<Resolved<V[K]>> }
+
+export type ValuesAsyncness<V> =
+  V extends readonly unknown[]
+    ? { [K in keyof V]: Asyncness<Resolved<V[K]>> }[number]
+    : { [K in keyof V]-?: Asyncness<Resolved<V[K]>> }[keyof V]
+
+export type DowngradeAsyncness<Tag> = Tag extends 'async' ? 'maybe' : Tag
+
+export type AwaitedArgs<A extends readonly unknown[]> = {
+  -readonly [K in keyof A]: Awaited<A[K]>
+}
+
+export type ArgsAsyncness<A extends readonly unknown[]> =
+  { [K in keyof A]: Asyncness<A[K]> }[number]
+
+export type Reducer<A = any, T = any> = (
+  accumulator: A,
+  value: T,
+  indexOrKey?: any,
+  collection?: any,
+) => Promisable<A>
+
+/**
+ * A reducer with an initialization step, which `reduce` uses to resolve the initial value when none is provided.
+ */
+export interface InitializingReducer<A = any, T = any, R = Promisable<A>, I = Promisable<A>> {
+  (accumulator: A, value: T, indexOrKey?: any, collection?: any): R
+  '@@transducer/init'(collection?: any): I
+}
+
+export type Transducer<T = any, U = any> =
+  (reducer: Reducer<any, U>) => Reducer<any, T>
+
+export type Foldable<T> =
+  | readonly T[]
+  | Iterable<T>
+  | AsyncIterable<T>
+  | Map<any, T>
+  | Readonly<Record<string, T>>
+
+export type ItemOf<C> =
+  C extends string ? string
+    : C extends readonly (infer T)[] ? T
+      : C extends Map<any, infer V> ? V
+        : C extends Iterable<infer T> ? T
+          : C extends AsyncIterable<infer T> ? T
+            : C[keyof C]
+
+export type CollectionAsyncness<C> = C extends AsyncIterable<any> ? 'async' : 'sync'
+
+export type PathSegment = string | number
+
+export type Path = PathSegment | readonly PathSegment[]
+
+export type PathSegments<P> =
+  P extends readonly PathSegment[] ? { -readonly [K in keyof P]: P[K] extends PathSegment ? `${P[K]}` : never }
+    : P extends number ? [`${P}`]
+      : P extends '' ? ['']
+        : P extends string ? StringPathSegments<P>
+          : never
+
+type StringPathSegments<P extends string> =
+  string extends P ? string[]
+    : P extends `${string}\\${string}` ? string[]
+      : P extends `${infer Head}[${infer Index}]${infer Rest}`
+        ? BracketSegment<Index> extends [infer Segment]
+          ? [...StringPathSegments<Head>, Segment, ...StringPathSegments<Rest>]
+          : string[]
+        : P extends `${infer Head}.${infer Rest}`
+          ? [...StringPathSegments<Head>, ...StringPathSegments<Rest>]
+          : P extends '' ? []
+            : [P]
+
+type BracketSegment<Index extends string> =
+  Index extends `"${infer Key}"` | `'${infer Key}'` ? [Key]
+    : Index extends `"${string}` | `'${string}` ? []
+      : [Index]
+
+type ValueAtSegment<T, K extends string> =
+  T extends PersistentObject<infer O> ? K extends keyof O ? Persistent<O[K]> : any
+    : T extends ReadonlyMap<any, infer V> ? V | undefined
+      : T extends ReadonlySet<infer M> ? M | undefined
+        : T extends readonly unknown[]
+          ? K extends keyof T ? T[K]
+            : K extends `${number}` ? T[number] | undefined
+              : undefined
+          : K extends keyof T ? T[K]
+            : string extends keyof T ? T[string] | undefined
+              : undefined
+
+type ValueAtSegments<T, S> =
+  S extends [] ? T
+    : string[] extends S ? any
+      : S extends [infer K extends string, ...infer Rest]
+        ? T extends null | undefined ? undefined
+          : ValueAtSegments<ValueAtSegment<T, K>, Rest>
+        : any
+
+export type PathValue<T, P> = ValueAtSegments<T, PathSegments<P>>
+
+type SetAtSegments<T, S, V> =
+  S extends [] ? V
+    : string[] extends S ? any
+      : S extends [infer K extends string, ...infer Rest]
+        ? T extends readonly unknown[]
+          ? K extends `${number}` ? Array<T[number] | SetAtSegments<T[number], Rest, V>> : any
+          : T extends PersistentObject<infer O> ? PersistentObject<SetAtObject<O, K, Rest, V>>
+            : T extends Map<infer MK, infer MV> ? Map<MK, SetAtEntry<MV, SetAtSegments<MV, Rest, V>>>
+              : T extends Set<infer M> ? Set<SetAtEntry<M, SetAtSegments<M, Rest, V>>>
+                : T extends object ? SetAtObject<T, K, Rest, V>
+                  : K extends `${number}` ? SetAtSegments<undefined, Rest, V>[]
+                    : SetAtObject<{}, K, Rest, V>
+        : any
+
+// the entries of a Map or Set keep their type if the set value fits it
+type SetAtEntry<T, U> = [U] extends [T] ? T : T | U
+
+type SetAtObject<T, K extends string, Rest, V> = Simplify<
+  { [P in keyof T]: P extends K ? SetAtSegments<T[P], Rest, V> : T[P] }
+  & { [P in Exclude<K, keyof T>]: SetAtSegments<undefined, Rest, V> }
+>
+
+export type SetPathValue<T, P, V> = SetAtSegments<T, PathSegments<P>, V>
+
+export type Mappable<T> =
+  | readonly T[]
+  | Set<T>
+  | Map<any, T>
+  | Iterable<T>
+  | AsyncIterable<T>
+  | { readonly [key: string]: T }
+
+export type PoolMappable<T> =
+  | readonly T[]
+  | Set<T>
+  | Map<any, T>
+  | (T extends string ? string : never)
+  | { readonly [key: string]: T }
+
+export type IndexOrKeyOf<C> =
+  C extends string | readonly unknown[] ? number
+    : C extends Map<infer K, any> ? K
+      : C extends Set<infer T> ? T
+        : C extends Iterable<any> | AsyncIterable<any> ? any
+          : keyof C & string
+
+export type MapResult<C, R> =
+  C extends string ? PromiseResult<R, string>
+    : C extends readonly unknown[] ? PromiseResult<R, Awaited<R>[]>
+      : C extends Set<any> ? PromiseResult<R, Set<Awaited<R>>>
+        : C extends Map<infer K, any> ? PromiseResult<R, Map<K, Awaited<R>>>
+          : C extends AsyncIterable<any> ? AsyncIterableIterator<Awaited<R>>
+            : C extends Iterable<any> ? IterableIterator<R>
+              : PromiseResult<R, { -readonly [K in keyof C]: Awaited<R> }>
+
+export type FilterResult<C, R> =
+  C extends AsyncIterable<any> | IterableIterator<any> ? C
+    : PromiseResult<R, C extends readonly (infer T)[] ? T[] : C>
+
+export type Mapper<C, R> = (
+  value: ItemOf<C>,
+  indexOrKey: IndexOrKeyOf<C>,
+  collection: C,
+) => R
+
+/**
+ * The lazy form of a mapping operator. The last signature types the mapper from the array of a previous step in a [pipe](/docs/pipe).
+ */
+export interface LazyMap<T, R> {
+  <C extends Mappable<T>>(collection: C): MapResult<C, R>
+  (array: readonly T[]): PromiseResult<R, Awaited<R>[]>
+}
+
+export interface LazyPoolMap<T, R> {
+  <C extends PoolMappable<T>>(collection: C): MapResult<C, R>
+  (array: readonly T[]): PromiseResult<R, Awaited<R>[]>
+}
+
+export type PoolOptions = number | { concurrency: number, ordered?: boolean }
+
+export type PoolMapMappable<T> = PoolMappable<T> | AsyncIterable<T>
+
+/**
+ * The lazy form of [map.pool](/docs/map.pool), which also maps async iterables.
+ */
+export interface LazyMapPool<T, R> {
+  <C extends PoolMapMappable<T>>(collection: C): MapResult<C, R>
+  (array: readonly T[]): PromiseResult<R, Awaited<R>[]>
+}
+
+export type ParallelOptions = number | { workers: number, transfer?: boolean }
+
+/**
+ * The lazy form of [map.parallel](/docs/map.parallel).
+ */
+export interface LazyMapParallel<T, R> {
+  (collection: AsyncIterable<T>): AsyncIterableIterator<R>
+  (array: readonly T[] | Promise<readonly T[]>): Promise<R[]>
+}
+
+/**
+ * The outcome of an item of [map.settled](/docs/map.settled) or [all.settled](/docs/all.settled), like a result of `Promise.allSettled`.
+ */
+export type SettledRecord<T> =
+  | { status: 'fulfilled', value: T }
+  | { status: 'rejected', reason: any }
+
+export type SettledMappable<T> =
+  | readonly T[]
+  | Set<T>
+  | Map<any, T>
+  | { readonly [key: string]: T }
+
+export type MapSettledResult<C, R> =
+  C extends readonly unknown[] ? PromiseResult<R, SettledRecord<Awaited<R>>[]>
+    : C extends Set<any> ? PromiseResult<R, Set<SettledRecord<Awaited<R>>>>
+      : C extends Map<infer K, any> ? PromiseResult<R, Map<K, SettledRecord<Awaited<R>>>>
+        : PromiseResult<R, { -readonly [K in keyof C]: SettledRecord<Awaited<R>> }>
+
+/**
+ * The lazy form of [map.settled](/docs/map.settled).
+ */
+export interface LazyMapSettled<T, R> {
+  <C extends SettledMappable<T>>(collection: C): MapSettledResult<C, R>
+  (array: readonly T[]): PromiseResult<R, SettledRecord<Awaited<R>>[]>
+}
+
+/**
+ * The lazy form of [map.settled.aggregate](/docs/map.settled.aggregate).
+ */
+export interface LazyMapSettledAggregate<T, R> {
+  <C extends SettledMappable<T>>(collection: C): MapResult<C, R>
+  (array: readonly T[]): PromiseResult<R, Awaited<R>[]>
+}
+
+export type SettledValues<V> = {
+  -readonly [K in keyof V]: SettledRecord<Awaited<Resolved<V[K]>>>
+}
+
+export type AllSettledResult<V> = AsyncResult<ValuesAsyncness<V>, SettledValues<V>>
+
+export interface LazyFilter<T, R> {
+  <C extends Mappable<T>>(collection: C): FilterResult<C, R>
+  (array: readonly T[]): PromiseResult<R, T[]>
+}
+
+export interface LazyPoolFilter<T, R> {
+  <C extends PoolMappable<T>>(collection: C): FilterResult<C, R>
+  (array: readonly T[]): PromiseResult<R, T[]>
+}
+
+export type FlatItem<X> =
+  X extends readonly (infer U)[] ? U
+    : X extends null | undefined ? X
+      : X extends string ? string
+        : X extends Iterable<infer U> ? U
+          : X extends AsyncIterable<infer U> ? U
+            : X extends { chain: AnyFunction } | { flatMap: AnyFunction } | { reduce: AnyFunction } ? any
+              : X extends object ? X[keyof X]
+                : X
+
+export type FlatMapAsyncness<R> =
+  | Asyncness<R>
+  | ([Extract<Awaited<R>, AsyncIterable<any>>] extends [never] ? never
+    : [Exclude<Awaited<R>, AsyncIterable<any>>] extends [never] ? 'async'
+      : 'maybe')
+
+export type FlatMapResult<C, R> =
+  C extends string ? AsyncResult<FlatMapAsyncness<R>, string>
+    : C extends readonly unknown[] ? AsyncResult<FlatMapAsyncness<R>, FlatItem<Awaited<R>>[]>
+      : C extends Set<any> ? AsyncResult<FlatMapAsyncness<R>, Set<FlatItem<Awaited<R>>>>
+        : C extends AsyncIterable<any> ? AsyncIterableIterator<FlatItem<Awaited<R>>>
+          : C extends Iterable<any> ? IterableIterator<FlatItem<Awaited<R>>>
+            : AsyncResult<FlatMapAsyncness<R>, { [key: string]: any }>
+
+export interface LazyFlatMap<T, R> {
+  <C extends Mappable<T>>(collection: C): FlatMapResult<C, R>
+  (array: readonly T[]): AsyncResult<FlatMapAsyncness<R>, FlatItem<Awaited<R>>[]>
+}
+
+export interface LazyPoolFlatMap<T, R> {
+  <C extends PoolMappable<T>>(collection: C): FlatMapResult<C, R>
+  (array: readonly T[]): AsyncResult<FlatMapAsyncness<R>, FlatItem<Awaited<R>>[]>
+}
+
+export type ReduceResult<C, A, R> =
+  AsyncResult<Asyncness<R> | CollectionAsyncness<C>, A | Awaited<R>>
+
+export type InitialValue<C, A> = A | Promise<A> | ((collection: C) => A | Promise<A>)
+
+export type TransformResult<Init, U> =
+  Init extends string ? string
+    : Init extends readonly unknown[] ? (Init extends readonly [] ? U[] : Array<Init[number] | U>)
+      : Init extends Set<infer T> ? Set<T | U>
+        : Init
+
+export type Transformable =
+  | string
+  | readonly unknown[]
+  | Set<unknown>
+  | ArrayBufferView
+  | { concat: AnyFunction }
+  | { write: AnyFunction }
+  | object
+
+export type AllResult<V> = AsyncResult<ValuesAsyncness<V>, ResolvedValues<V>>
+
+/**
+ * A task of [all.graph](/docs/all.graph), a function or an array of the names of the tasks it depends on and a function.
+ */
+export type GraphTask = AnyFunction | readonly [readonly string[], AnyFunction]
+
+export type GraphResolvers<T> = {
+  [K in keyof T]: T[K] extends readonly [readonly string[], infer F] ? F : T[K]
+}
+
+export type GraphResult<T> = AsyncResult<
+  ValuesAsyncness<GraphResolvers<T>>,
+  ResolvedValues<GraphResolvers<T>>
+>
+
+export type Assigned<O, V> =
+  O extends PersistentObject<infer P> ? PersistentObject<Omit<P, keyof V> & ResolvedValues<V>>
+    : Omit<O, keyof V> & ResolvedValues<V>
+
+export type PredicateResult<C, R> = AsyncResult<Asyncness<R> | CollectionAsyncness<C>, boolean>
+
+export interface LazyPredicate<T, R> {
+  <C extends Mappable<T> | { reduce: Function }>(collection: C): PredicateResult<C, R>
+  (array: readonly T[]): PredicateResult<readonly T[], R>
+}
+
+export type ForEachResult<C, R> = AsyncResult<Asyncness<R> | CollectionAsyncness<C>, C>
+
+export interface LazyForEach<T, R> {
+  <C extends Mappable<T> | { forEach: (callback: (value: T) => unknown) => unknown }>(
+    collection: C,
+  ): ForEachResult<C, R>
+  (array: readonly T[]): PromiseResult<R, T[]>
+}
+
+// whether a path string has an unquoted, unescaped * or ** segment, as read by get
+export type IsWildcardPath<P> =
+  string extends P ? false
+    : P extends string ? HasWildcardSegment<Unescaped<P>>
+      : false
+
+// escaped characters are replaced by a character that is neither a delimiter nor a wildcard
+type Unescaped<P extends string> =
+  P extends `${infer Head}\\${string}${infer Rest}` ? `${Head}_${Unescaped<Rest>}` : P
+
+type HasWildcardSegment<P extends string> =
+  P extends `${infer Head}[${infer Index}]${infer Rest}`
+    ? Index extends '*' | '**' ? true
+      : HasWildcardSegment<Head> extends true ? true
+        : HasWildcardSegment<Rest>
+    : P extends `${infer Head}.${infer Rest}`
+      ? Head extends '*' | '**' ? true : HasWildcardSegment<Rest>
+      : P extends '*' | '**' ? true : false
+
+export type GetResult<T, P, D> =
+  IsWildcardPath<P> extends true ? any[]
+    : [D] extends [undefined] ? PathValue<T, P>
+      : Exclude<PathValue<T, P>, undefined> | Resolved<D>
+
+export type EntriesMappable = Map<any, any> | { readonly [key: string]: any }
+
+export type EntryOf<C> = C extends Map<infer K, infer V> ? [K, V] : [string, C[keyof C]]
+
+export type MapEntriesResult<C, R> =
+  Awaited<R> extends [infer K, infer V]
+    ? PromiseResult<R, C extends Map<any, any> ? Map<K, V> : { [key: string]: V }>
+    : never
+
+// map.rate waits asynchronously once more than rate items are dispatched
+export type RateMapResult<C, R> = MapResult<C, R> | Promise<Awaited<MapResult<C, R>>>
+
+export interface LazyRateMap<T, R> {
+  <C extends PoolMappable<T>>(collection: C): RateMapResult<C, R>
+  (array: readonly T[]): RateMapResult<readonly T[], R>
+}
+
+export type Omitted<O, K extends string> =
+  O extends PersistentObject<infer P> ? PersistentObject<Omitted<P, K>>
+    : [Exclude<K, keyof O>] extends [never] ? Omit<O, K> : Partial<O>
+
+export type Picked<O, K extends string> =
+  [Exclude<K, keyof O>] extends [never] ? Pick<O, K & keyof O> : Partial<O>
+
+export interface LazyReduce<T, A, R> {
+  <C extends Mappable<T>>(collection: C): ReduceResult<C, A, R>
+  (array: readonly T[]): ReduceResult<readonly T[], A, R>
+}
+
+// set at a wildcard path only replaces existing values
+export type SetResult<T, P, V> =
+  V extends (object: any) => infer R
+    ? PromiseResult<R, IsWildcardPath<P> extends true ? T : SetPathValue<T, P, Widen<Awaited<R>>>>
+    : IsWildcardPath<P> extends true ? T : SetPathValue<T, P, Widen<V>>
+
+export interface TimeoutError extends Error {
+  name: 'TimeoutError'
+  ms: number
+}
+
+export interface TimeoutErrorConstructor {
+  new (ms: number): TimeoutError
+  readonly prototype: TimeoutError
+}
+
+// the options of debounce and throttle
+export interface DebounceOptions {
+  leading?: boolean
+  trailing?: boolean
+}
+
+export interface Lens<S = any, A = any> {
+  readonly path: readonly (PathSegment | symbol)[] | null
+  get(object: S): A
+  set(object: S, value: A): S
+}
+
+export type LensGetResult<A, D> =
+  [D] extends [undefined] ? A : Exclude<A, undefined> | Resolved<D>
+
+export type LensSetResult<S, V> =
+  V extends (object: any) => infer R ? PromiseResult<R, S>
+    : V extends PromiseLike<any> ? Promise<S>
+      : S
+
+export interface PersistentObject<T extends object = any> {
+  readonly size: number
+  get<K extends keyof T & string>(key: K): Persistent<T[K]>
+  get(key: string): any
+  has(key: string): boolean
+  set(key: string, value: any): PersistentObject
+  delete(key: string): PersistentObject
+  keys(): string[]
+  values(): any[]
+  entries(): [string, any][]
+  toJSON(): T
+}
+
+// the plain objects of a value converted by persistent
+export type Persistent<T> =
+  T extends readonly unknown[] ? { [K in keyof T]: Persistent<T[K]> }
+    : T extends PersistentObject<any> | Function | Date | RegExp | Map<any, any> | Set<any> | PromiseLike<any> ? T
+      : T extends object ? PersistentObject<T>
+        : T
+
+// the persistent objects of a value converted back by persistent.toJSON
+export type Unpersistent<T> =
+  T extends PersistentObject<infer O> ? O
+    : T extends readonly unknown[] ? { [K in keyof T]: Unpersistent<T[K]> }
+      : T
+
+export type UpdateValue<T, P> = IsWildcardPath<P> extends true ? any : PathValue<T, P>
+
+export type UpdateResult<T, P, R> = SetResult<T, P, (value: any) => R>
+
+export type UpdateBatch =
+  | readonly (readonly [Path | Lens, (value: any) => unknown])[]
+  | { readonly [path: string]: (value: any) => unknown }
+
+type UpdateBatchAsyncness<U> =
+  U extends readonly unknown[]
+    ? { [K in keyof U]: U[K] extends readonly [any, (value: any) => infer R] ? Asyncness<R> : never }[number]
+    : { [K in keyof U]: U[K] extends (value: any) => infer R ? Asyncness<R> : never }[keyof U]
+
+export type UpdateBatchResult<T, U> = AsyncResult<UpdateBatchAsyncness<U>, T>
+
+export type CaseResults<V> =
+  V extends readonly [unknown, infer Result, ...infer Rest] ? Resolved<Result> | CaseResults<Rest>
+    : V extends readonly [infer Default] ? Resolved<Default>
+      : V extends readonly (infer Item)[] ? Resolved<Item>
+        : never
+
+// only the first predicate or condition is always evaluated
+export type ShortCircuitAsyncness<V> =
+  V extends readonly [infer First, ...infer Rest]
+    ? Asyncness<Resolved<First>> | DowngradeAsyncness<{ [K in keyof Rest]: Asyncness<Resolved<Rest[K]>> }[number]>
+    : V extends readonly (infer Item)[] ? DowngradeAsyncness<Asyncness<Resolved<Item>>>
+      : never
+
+export type SwitchCaseResult<V> = AsyncResult<ShortCircuitAsyncness<V>, Awaited<CaseResults<V>>>
+
+export type TryCatchResult<T, C> =
+  T extends PromiseLike<infer U> ? Promise<U | Awaited<C>> : T | C
+
+export type RetryResult<T, C> =
+  T extends PromiseLike<infer U> ? Promise<U | Awaited<C>> : T | C | Promise<T | Awaited<C>>
+
+export type RetryOptions = number | {
+  attempts?: number,
+  delay?: number,
+  factor?: number,
+  maxDelay?: number,
+  jitter?: boolean,
+  shouldRetry?: (error: any, attempt: number) => unknown,
+}
+
+export interface ComparisonOperator {
+  <A extends unknown[], L, R>(
+    left: (...args: A) => L,
+    right: (...args: A) => R,
+  ): (...args: A) => AsyncResult<Asyncness<L> | Asyncness<R>, boolean>
+
+  <A extends unknown[], L, V>(
+    left: (...args: A) => L,
+    rightValue: V,
+  ): (...args: A) => AsyncResult<Asyncness<L> | Asyncness<V>, boolean>
+
+  <A extends unknown[], V, R>(
+    leftValue: V,
+    right: (...args: A) => R,
+  ): (...args: A) => AsyncResult<Asyncness<V> | Asyncness<R>, boolean>
+
+  <A extends [unknown, ...unknown[]], L, R>(
+    ...args: [...A, (...args: AwaitedArgs<A>) => L, (...args: AwaitedArgs<A>) => R]
+  ): AsyncResult<ArgsAsyncness<A> | Asyncness<L> | Asyncness<R>, boolean>
+
+  <A extends [unknown, ...unknown[]], L, V>(
+    ...args: [...A, (...args: AwaitedArgs<A>) => L, V]
+  ): AsyncResult<ArgsAsyncness<A> | Asyncness<L> | Asyncness<V>, boolean>
+
+  <A extends [unknown, ...unknown[]], V, R>(
+    ...args: [...A, V, (...args: AwaitedArgs<A>) => R]
+  ): AsyncResult<ArgsAsyncness<A> | Asyncness<V> | Asyncness<R>, boolean>
+
+  <L, R>(leftValue: L, rightValue: R): AsyncResult<Asyncness<L> | Asyncness<R>, boolean>
+}
+
+export type PredicatesOrValues<A extends unknown[]> =
+  readonly (((...args: A) => unknown) | {} | null | undefined)[] | []
+
+export type LogicalResult<V> = AsyncResult<ShortCircuitAsyncness<V>, boolean>
@@ -0,0 +1,700 @@
+/**
+ * Type tests for the hand-written declaration files, checked by `tsc --noEmit`.
+ *
+ * `assertType<A, B>(true)` fails to compile unless `A` and `B` are identical types.
+ */
+
+import pipe from './pipe'
+import compose from './compose'
+import tap from './tap'
+import tryCatch from './tryCatch'
+import all from './all'
+import switchCase from './switchCase'
+import assign from './assign'
+import get from './get'
+import set from './set'
+import pick from './pick'
+import omit from './omit'
+import map from './map'
+import filter from './filter'
+import flatMap from './flatMap'
+import forEach from './forEach'
+import reduce from './reduce'
+import transform from './transform'
+import some from './some'
+import every from './every'
+import and from './and'
+import or from './or'
+import not from './not'
+import eq from './eq'
+import gt from './gt'
+import thunkify from './thunkify'
+import always from './always'
+import curry from './curry'
+import __ from './__'
+import Transducer from './Transducer'
+import AggregateReducer from './AggregateReducer'
+import Reducer from './Reducer'
+import lens from './x/lens'
+import update from './x/update'
+import persistent from './x/persistent'
+import abortable from './x/abortable'
+import timeout from './x/timeout'
+import debounce from './x/debounce'
+import throttle from './x/throttle'
+import * as rubicoX from './x'
+import { Lens, PersistentObject, SettledRecord, TimeoutError } from './types'
+import rubico from './rubico'
+import rubicoIndex from './index'
+import rubicoES from './es'
+import './global'
+
+type Equals<A, B> =
+  (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false
+
+const expectType = <T>(value: T) => value
+
+const assertType = <A, B>(equal: Equals<A, B>) => equal
+
+// pipe
+{
+  const syncPipeline = pipe([
+    (a: number, b: number) => a + b,
+    sum => `${sum}`,
+    string => string.length,
+  ])
+  assertType<ReturnType<typeof syncPipeline>, number>(true)
+  assertType<Parameters<typeof syncPipeline>, [a: number, b: number]>(true)
+
+  const asyncPipeline = pipe([
+    (a: number) => a + 1,
+    async number => `${number}`,
+    string => string.length,
+  ])
+  assertType<ReturnType<typeof asyncPipeline>, Promise<number>>(true)
+
+  const maybeAsyncPipeline = pipe([
+    (a: number) => a > 0 ? a : Promise.resolve(a),
+    number => number + 1,
+  ])
+  assertType<ReturnType<typeof maybeAsyncPipeline>, number | Promise<number>>(true)
+
+  const eagerResult = pipe(1, 'a', [
+    (number, string) => `${number}${string}`,
+  ])
+  assertType<typeof eagerResult, string>(true)
+
+  const eagerPromiseResult = pipe(Promise.resolve(1), [
+    number => number + 1,
+  ])
+  assertType<typeof eagerPromiseResult, Promise<number>>(true)
+
+  // @ts-expect-error
+  pipe([(a: number) => a, (value: string) => value])
+}
+
+// compose
+{
+  const composed = compose([
+    (string: string) => string.length,
+    async (number: number) => `${number}`,
+  ])
+  assertType<ReturnType<typeof composed>, Promise<number>>(true)
+  expectType<(number: number) => Promise<number>>(composed)
+}
+
+// tap
+{
+  const logged = tap((number: number) => console.log(number))
+  assertType<ReturnType<typeof logged>, number>(true)
+  const asyncLogged = tap(async (number: number, string: string) => console.log(number, string))
+  assertType<ReturnType<typeof asyncLogged>, Promise<number>>(true)
+  const eagerTapped = tap('hello', string => string.toUpperCase())
+  assertType<typeof eagerTapped, string>(true)
+
+  const tappedIf = tap.if((number: number) => number > 1, number => console.log(number))
+  assertType<ReturnType<typeof tappedIf>, number>(true)
+  const eagerTappedIf = tap.if(Promise.resolve(1), number => number > 1, number => console.log(number))
+  assertType<typeof eagerTappedIf, Promise<number>>(true)
+}
+
+// tryCatch
+{
+  const parsed = tryCatch((json: string) => JSON.parse(json) as object, () => null)
+  assertType<ReturnType<typeof parsed>, object | null>(true)
+  const fetched = tryCatch(async (id: number) => ({ id }), (error, id) => ({ id, error: true }))
+  assertType<ReturnType<typeof fetched>, Promise<{ id: number } | { id: number, error: boolean }>>(true)
+  const eagerCaught = tryCatch(Promise.resolve(1), number => number + 1, () => 0)
+  assertType<typeof eagerCaught, Promise<number>>(true)
+
+  const retried = tryCatch.retry({ attempts: 3 }, async (id: number) => id, () => null)
+  assertType<ReturnType<typeof retried>, Promise<number | null>>(true)
+}
+
+// all
+{
+  const values = all([1, Promise.resolve('a')])
+  assertType<typeof values, Promise<[number, string]>>(true)
+  const syncValues = all({ a: 1, b: 'b' })
+  assertType<typeof syncValues, { a: number, b: string }>(true)
+
+  const getters = all([(user: { id: number }) => user.id, async (user: { id: number }) => `${user.id}`])
+  assertType<ReturnType<typeof getters>, Promise<[number, string]>>(true)
+  const objectGetters = all({ id: (user: { id: number }) => user.id })
+  assertType<ReturnType<typeof objectGetters>, { id: number }>(true)
+
+  const eagerAll = all({ id: 1 }, [user => user.id, user => `${user.id}`])
+  assertType<typeof eagerAll, [number, string]>(true)
+  const eagerObjectAll = all(Promise.resolve({ id: 1 }), { id: user => user.id })
+  assertType<typeof eagerObjectAll, Promise<{ id: number }>>(true)
+
+  const series = all.series([(number: number) => number, async (number: number) => number])
+  assertType<ReturnType<typeof series>, Promise<[number, number]>>(true)
+
+  const pooled = all.pool(2, [(id: number) => id, async (id: number) => `${id}`])
+  assertType<ReturnType<typeof pooled>, Promise<[number, string]>>(true)
+  const eagerPooled = all.pool({ id: 1 }, 2, { id: user => user.id })
+  assertType<typeof eagerPooled, { id: number }>(true)
+
+  const graph = all.graph({
+    build: async (version: string) => `app-${version}`,
+    upload: [['build'], (artifact: string) => artifact.length],
+  })
+  assertType<ReturnType<typeof graph>, Promise<{ build: string, upload: number }>>(true)
+  const syncGraph = all.graph(Promise.resolve(1), { a: (number: number) => number })
+  assertType<typeof syncGraph, Promise<{ a: number }>>(true)
+
+  const settledValues = all.settled([1, Promise.resolve('a')])
+  assertType<typeof settledValues, Promise<[SettledRecord<number>, SettledRecord<string>]>>(true)
+  const settledGetters = all.settled({ id: (user: { id: number }) => user.id })
+  assertType<ReturnType<typeof settledGetters>, { id: SettledRecord<number> }>(true)
+  const eagerSettled = all.settled({ id: 1 }, [async user => user.id])
+  assertType<typeof eagerSettled, Promise<[SettledRecord<number>]>>(true)
+  const aggregated = all.settled.aggregate({ id: 1 }, { id: async user => user.id })
+  assertType<typeof aggregated, Promise<{ id: number }>>(true)
+  const aggregatedGetters = all.settled.aggregate([(number: number) => number])
+  assertType<ReturnType<typeof aggregatedGetters>, [number]>(true)
+}
+
+// switchCase
+{
+  const sign = switchCase([
+    (number: number) => number > 0, () => 'positive',
+    (number: number) => number < 0, async () => 'negative',
+    0,
+  ])
+  assertType<ReturnType<typeof sign>, string | number | Promise<string | number>>(true)
+  assertType<Parameters<typeof sign>, [number: number]>(true)
+
+  const eagerSign = switchCase(1, [number => number > 0, 'positive', 'nonpositive'])
+  assertType<typeof eagerSign, string>(true)
+
+  const value = switchCase([false, 1, 'default'])
+  assertType<typeof value, number | string>(true)
+}
+
+interface User {
+  id: number
+  name: string
+  address: { city: string, zip?: string }
+  tags: string[]
+  friends: [{ id: number }]
+}
+
+declare const user: User
+
+// assign
+{
+  const assigned = assign(user, { greeting: (user: User) => `hi ${user.name}`, id: 'a' })
+  assertType<typeof assigned['greeting'], string>(true)
+  assertType<typeof assigned['id'], string>(true)
+  assertType<typeof assigned['name'], string>(true)
+  const asyncAssigned = assign({ size: async (user: User) => user.tags.length })(user)
+  assertType<Awaited<typeof asyncAssigned>['size'], number>(true)
+  expectType<Promise<unknown>>(asyncAssigned)
+}
+
+// get
+{
+  const getCity = get('address.city')<User>
+  assertType<ReturnType<typeof getCity>, string>(true)
+  const eagerCity = get(user, 'address.city')
+  assertType<typeof eagerCity, string>(true)
+  const eagerZip = get(user, 'address.zip')
+  assertType<typeof eagerZip, string | undefined>(true)
+  const defaultZip = get(user, 'address.zip', '00000')
+  assertType<typeof defaultZip, string>(true)
+  const firstTag = get(user, 'tags[0]')
+  assertType<typeof firstTag, string | undefined>(true)
+  const friendId = get(user, ['friends', 0, 'id'])
+  assertType<typeof friendId, number>(true)
+  const missing = get(user, 'address.country')
+  assertType<typeof missing, undefined>(true)
+  const promised = get(Promise.resolve(user), 'id')
+  assertType<typeof promised, Promise<number>>(true)
+  const dynamicPath: string = 'id'
+  const dynamic = get(user, dynamicPath)
+  assertType<typeof dynamic, any>(true)
+  const lastTag = get(user, 'tags[-1]')
+  assertType<typeof lastTag, string | undefined>(true)
+  const quoted = get({ 'content-type': 'text/html', a: { 'b.c': 1 } }, 'a["b.c"]')
+  assertType<typeof quoted, number>(true)
+  const escaped = get({ 'a.b': 1 }, 'a\\.b')
+  assertType<typeof escaped, any>(true)
+  const friendIds = get(user, 'friends[*].id')
+  assertType<typeof friendIds, any[]>(true)
+  const lazyMatches = get('**.id')(user)
+  assertType<typeof lazyMatches, any[]>(true)
+  const emptyKey = get({ '': 1, a: 'b' }, '')
+  assertType<typeof emptyKey, number>(true)
+  const quotedStar = get({ a: { '*': 1 } }, 'a["*"]')
+  assertType<typeof quotedStar, number>(true)
+  const escapedStar = get({ a: { '*': 1 } }, 'a.\\*')
+  assertType<typeof escapedStar, any>(true)
+  const starInKey = get({ 'a*b': 1 }, 'a*b')
+  assertType<typeof starInKey, number>(true)
+  const escapedThenStar = get(user, 'friends.\\*.*')
+  assertType<typeof escapedThenStar, any[]>(true)
+  const state = { users: new Map<string, User>(), tags: new Set<string>() }
+  const mapUserName = get(state, 'users.a.name')
+  assertType<typeof mapUserName, string | undefined>(true)
+  const setTag = get(state, 'tags.a')
+  assertType<typeof setTag, string | undefined>(true)
+}
+
+// set
+{
+  const withCity = set(user, 'address.city', 1)
+  assertType<typeof withCity['address']['city'], number>(true)
+  assertType<typeof withCity['address']['zip'], string | undefined>(true)
+  assertType<typeof withCity['name'], string>(true)
+  const created = set({}, 'a.b', true)
+  assertType<typeof created, { a: { b: boolean } }>(true)
+  const createdArray = set({}, 'a[0].b', 1)
+  assertType<typeof createdArray, { a: { b: number }[] }>(true)
+  const everyFriend = set(user, 'friends[*].id', 0)
+  assertType<typeof everyFriend, User>(true)
+  const mapUser = set({ users: new Map<string, User>() }, 'users.a.name', 'b')
+  assertType<typeof mapUser['users'], Map<string, User>>(true)
+  assertType<Awaited<typeof asyncSet>['name'], number>(true)
+  const asyncSet = set(user, 'name', async (user: User) => user.name.length)
+  expectType<Promise<unknown>>(asyncSet)
+  const lazySet = set('id', 'a')
+  assertType<ReturnType<typeof lazySet<User>>['id'], string>(true)
+}
+
+// pick and omit
+{
+  const picked = pick(user, ['id', 'name'])
+  assertType<typeof picked, Pick<User, 'id' | 'name'>>(true)
+  const pickedNested = pick(['address.city'])(user)
+  assertType<typeof pickedNested, Partial<User>>(true)
+  const omitted = omit(user, ['tags', 'friends'])
+  assertType<typeof omitted, Omit<User, 'tags' | 'friends'>>(true)
+  const omittedPromise = omit(Promise.resolve(user), ['tags'])
+  assertType<typeof omittedPromise, Promise<Omit<User, 'tags'>>>(true)
+}
+
+// map
+{
+  const squares = map([1, 2, 3], number => number ** 2)
+  assertType<typeof squares, number[]>(true)
+  const asyncSquares = map([1, 2, 3], async number => number ** 2)
+  assertType<typeof asyncSquares, Promise<number[]>>(true)
+  const promisedSquares = map(Promise.resolve([1, 2, 3]), number => number ** 2)
+  assertType<typeof promisedSquares, Promise<number[]>>(true)
+  const setLengths = map(new Set(['a', 'bb']), string => string.length)
+  assertType<typeof setLengths, Set<number>>(true)
+  const mapLengths = map(new Map([[1, 'a']]), (string, key) => `${key}${string}`)
+  assertType<typeof mapLengths, Map<number, string>>(true)
+  const objectLengths = map({ a: 'a', b: 'bb' }, (string, key) => `${key}${string}`.length)
+  assertType<typeof objectLengths, { a: number, b: number }>(true)
+  const iteratorSquares = map([1, 2][Symbol.iterator](), number => number ** 2)
+  assertType<typeof iteratorSquares, IterableIterator<number>>(true)
+  const asyncIteratorSquares = map((async function* () { yield 1 })(), async number => number ** 2)
+  assertType<typeof asyncIteratorSquares, AsyncIterableIterator<number>>(true)
+
+  const lazySquares = map((number: number) => number ** 2)
+  assertType<ReturnType<typeof lazySquares<Set<number>>>, Set<number>>(true)
+  const pipeline = pipe([
+    (numbers: number[]) => numbers,
+    map(number => number + 1),
+    map(async number => `${number}`),
+  ])
+  assertType<ReturnType<typeof pipeline>, Promise<string[]>>(true)
+
+  const entries = map.entries({ a: 1 }, ([key, value]) => [key.toUpperCase(), `${value}`])
+  assertType<typeof entries, { [key: string]: string }>(true)
+
+  const series = map.series([1, 2], async number => number * 2)
+  assertType<typeof series, Promise<number[]>>(true)
+  const pooled = map.pool(2, async (number: number) => `${number}`)([1, 2])
+  assertType<typeof pooled, Promise<string[]>>(true)
+  const pooledObject = map.pool({ a: 1 }, 2, number => number > 1)
+  assertType<typeof pooledObject, { a: boolean }>(true)
+  const rated = map.rate(Promise.resolve([1]), 10, async number => number)
+  assertType<typeof rated, Promise<number[]>>(true)
+  const pooledAsync = map.pool({ concurrency: 2, ordered: false }, async (number: number) => `${number}`)(
+    (async function* () { yield 1 })(),
+  )
+  assertType<typeof pooledAsync, AsyncIterableIterator<string>>(true)
+  // @ts-expect-error
+  map.pool([1, 2][Symbol.iterator](), 2, (number: number) => number)
+  const parallel = map.parallel([1, 2], 2, (number: number) => `${number}`)
+  assertType<typeof parallel, Promise<string[]>>(true)
+  const parallelAsync = map.parallel({ workers: 2, transfer: true }, async (bytes: Uint8Array) => bytes.length)(
+    (async function* () { yield new Uint8Array(1) })(),
+  )
+  assertType<typeof parallelAsync, AsyncIterableIterator<number>>(true)
+  const parallelModule = map.parallel(2, './hash.js')(['a'])
+  assertType<typeof parallelModule, Promise<any[]>>(true)
+  // @ts-expect-error
+  map.parallel(new Set([1]), 2, (number: number) => number)
+  const settled = map.settled([1, 2], async (number: number) => `${number}`)
+  assertType<typeof settled, Promise<SettledRecord<string>[]>>(true)
+  const settledMap = map.settled(new Map([['a', 1]]), number => number + 1)
+  assertType<typeof settledMap, Map<string, SettledRecord<number>>>(true)
+  const settledObject = map.settled((number: number) => number > 0)({ a: 1, b: 2 })
+  assertType<typeof settledObject, { a: SettledRecord<boolean>, b: SettledRecord<boolean> }>(true)
+  const aggregated = map.settled.aggregate(new Set([1]), async number => number * 2)
+  assertType<typeof aggregated, Promise<Set<number>>>(true)
+  const lazyAggregated = map.settled.aggregate((number: number) => `${number}`)([1])
+  assertType<typeof lazyAggregated, string[]>(true)
+  // @ts-expect-error
+  map.settled('abc', (letter: string) => letter)
+}
+
+// filter
+{
+  const odds = filter([1, 2, 3], number => number % 2 == 1)
+  assertType<typeof odds, number[]>(true)
+  const asyncOdds = filter(new Set([1, 2, 3]), async number => number % 2 == 1)
+  assertType<typeof asyncOdds, Promise<Set<number>>>(true)
+  const objectOdds = filter({ a: 1, b: 2 }, number => number % 2 == 1)
+  assertType<typeof objectOdds, { a: number, b: number }>(true)
+  const pipeline = pipe([
+    (numbers: readonly number[]) => numbers,
+    filter(number => number > 1),
+    map(number => `${number}`),
+  ])
+  assertType<ReturnType<typeof pipeline>, string[]>(true)
+  const series = filter.series(Promise.resolve([1, 2]), async number => number > 1)
+  assertType<typeof series, Promise<number[]>>(true)
+  const pooled = filter.pool(2, async (number: number) => number > 1)([1, 2])
+  assertType<typeof pooled, Promise<number[]>>(true)
+}
+
+// flatMap
+{
+  const duplicated = flatMap([1, 2], number => [number, number])
+  assertType<typeof duplicated, number[]>(true)
+  const asyncDuplicated = flatMap([1, 2], async number => new Set([`${number}`]))
+  assertType<typeof asyncDuplicated, Promise<string[]>>(true)
+  const generated = flatMap([1, 2], async function* (number) { yield number })
+  assertType<typeof generated, Promise<number[]>>(true)
+  const setDuplicated = flatMap(new Set([1]), number => [number, `${number}`])
+  assertType<typeof setDuplicated, Set<number | string>>(true)
+  const pooled = flatMap.pool(2, async (number: number) => [number])([1])
+  assertType<typeof pooled, Promise<number[]>>(true)
+  const series = flatMap.series(['a'], string => [string.length])
+  assertType<typeof series, number[]>(true)
+}
+
+// forEach
+{
+  const logged = forEach([1, 2], number => console.log(number))
+  assertType<typeof logged, number[]>(true)
+  const asyncLogged = forEach.series(new Set([1]), async number => console.log(number))
+  assertType<typeof asyncLogged, Promise<Set<number>>>(true)
+  const lazyLogged = forEach((number: number) => console.log(number))([1])
+  assertType<typeof lazyLogged, number[]>(true)
+}
+
+// reduce
+{
+  const sum = reduce([1, 2, 3], (total, number) => total + number, 0)
+  assertType<typeof sum, number>(true)
+  const asyncSum = reduce([1, 2, 3], async (total: number, number) => total + number, 0)
+  assertType<typeof asyncSum, Promise<number>>(true)
+  const joined = reduce(new Map([['a', 1]]), (string: string, number) => `${string}${number}`, () => '')
+  assertType<typeof joined, string>(true)
+  const asyncIteratorSum = reduce((async function* () { yield 1 })(), (total: number, number) => total + number, 0)
+  assertType<typeof asyncIteratorSum, Promise<number>>(true)
+  const lazySum = reduce((total: number, number: number) => total + number, 0)
+  assertType<ReturnType<typeof lazySum<number[]>>, number>(true)
+  const pipeline = pipe([
+    (numbers: number[]) => numbers,
+    reduce((total: number, number) => total + number, 0),
+  ])
+  assertType<ReturnType<typeof pipeline>, number>(true)
+}
+
+// transform
+{
+  const squares = transform([1, 2], compose([
+    (reducer: (accumulator: any, value: number) => any) => (accumulator: any, value: number) => reducer(accumulator, value ** 2),
+  ]), [])
+  expectType<number[] | Promise<number[]>>(squares)
+  const joined = transform([1, 2], (reducer: (accumulator: any, value: string) => any) => (accumulator: any, value: number) => reducer(accumulator, `${value}`), '')
+  assertType<typeof joined, string | Promise<string>>(true)
+}
+
+// some and every
+{
+  const anyOdd = some([1, 2], number => number % 2 == 1)
+  assertType<typeof anyOdd, boolean>(true)
+  const allOdd = every.series(Promise.resolve([1, 2]), async number => number % 2 == 1)
+  assertType<typeof allOdd, Promise<boolean>>(true)
+  const lazyAllOdd = every(async (number: number) => number % 2 == 1)([1])
+  assertType<typeof lazyAllOdd, Promise<boolean>>(true)
+}
+
+// and, or, and not
+{
+  const isPositiveEven = and([(number: number) => number > 0, (number: number) => number % 2 == 0])
+  assertType<ReturnType<typeof isPositiveEven>, boolean>(true)
+  const isPositiveOrAsyncEven = or([(number: number) => number > 0, async (number: number) => number % 2 == 0])
+  assertType<ReturnType<typeof isPositiveOrAsyncEven>, boolean | Promise<boolean>>(true)
+  const eagerAnd = and(Promise.resolve(1), [number => number > 0])
+  assertType<typeof eagerAnd, Promise<boolean>>(true)
+  const allTruthy = and([true, 1])
+  assertType<typeof allTruthy, boolean>(true)
+  const isNotPositive = not((number: number) => number > 0)
+  assertType<ReturnType<typeof isNotPositive>, boolean>(true)
+  const negated = not(true)
+  assertType<typeof negated, boolean>(true)
+}
+
+// comparison operators
+{
+  const equal = eq(1, 1)
+  assertType<typeof equal, boolean>(true)
+  const isGeorge = eq((user: User) => user.name, 'George')
+  assertType<Parameters<typeof isGeorge>, [user: User]>(true)
+  assertType<ReturnType<typeof isGeorge>, boolean>(true)
+  const isAsyncGreater = gt(async (a: number, b: number) => a, (a: number, b: number) => b)
+  assertType<ReturnType<typeof isAsyncGreater>, Promise<boolean>>(true)
+  const eagerGreater = gt(user, user => user.id, 0)
+  assertType<typeof eagerGreater, boolean>(true)
+}
+
+// thunkify, always, curry, and __
+{
+  const thunk = thunkify((a: number, b: string) => `${a}${b}`, 1, 'a')
+  assertType<typeof thunk, () => string>(true)
+  // @ts-expect-error
+  thunkify((a: number) => a, 'a')
+  assertType<ReturnType<typeof always<number>>, () => number>(true)
+  expectType<any>(curry((a: number, b: number) => a + b, __, 2))
+  expectType<symbol>(__)
+}
+
+// Transducer
+{
+  const squaredOdds = transform([1, 2, 3], compose([
+    Transducer.filter((number: number) => number % 2 == 1),
+    Transducer.map(async (number: number) => `${number ** 2}`),
+  ]), [])
+  assertType<typeof squaredOdds, string[] | Promise<string[]>>(true)
+  const flattened = transform([1, 2], Transducer.flatMap((number: number) => [number, number]), [])
+  assertType<typeof flattened, number[] | Promise<number[]>>(true)
+  const summed = reduce.pool([1, 2], 2, Transducer.map(async (number: number) => number * 2), (total: number, number) => total + number, 0)
+  assertType<typeof summed, number | Promise<number>>(true)
+  const firstOdds = transform([1, 2, 3, 4, 5], compose([
+    Transducer.dropWhile((number: number) => number < 2),
+    Transducer.filter((number: number) => number % 2 == 1),
+    Transducer.take<number>(2),
+  ]), [])
+  assertType<typeof firstOdds, number[] | Promise<number[]>>(true)
+  const leading = transform([1, 2, 3], compose([
+    Transducer.drop<number>(1),
+    Transducer.takeWhile((number: number) => number < 3),
+  ]), [])
+  assertType<typeof leading, number[] | Promise<number[]>>(true)
+  const groups = transform([1, 2, 3], compose([
+    Transducer.partitionBy((number: number) => number % 2),
+    Transducer.map((group: number[]) => group.length),
+  ]), [])
+  assertType<typeof groups, number[] | Promise<number[]>>(true)
+  const chunks = transform([1, 2, 3], compose([
+    Transducer.chunk<number>(2),
+    Transducer.map((chunk: number[]) => chunk.length),
+  ]), [])
+  assertType<typeof chunks, number[] | Promise<number[]>>(true)
+  const windows = transform(['a', 'b', 'c'], compose([
+    Transducer.window<string>(2, 1),
+    Transducer.map((window: string[]) => window.join('')),
+  ]), [])
+  assertType<typeof windows, string[] | Promise<string[]>>(true)
+  const runningTotals = transform([1, 2, 3], Transducer.scan((total: number, number: number) => total + number, 0), [])
+  assertType<typeof runningTotals, number[] | Promise<number[]>>(true)
+  const asyncTotals = transform([1, 2, 3], Transducer.scan(async (total: number, number: number) => total + number, 0), [])
+  assertType<typeof asyncTotals, number[] | Promise<number[]>>(true)
+  const deduped = transform(['a', 'a', 'b'], compose([
+    Transducer.dedupe<string>(),
+    Transducer.uniqBy(async (letter: string) => letter.toLowerCase()),
+  ]), [])
+  assertType<typeof deduped, string[] | Promise<string[]>>(true)
+  const clock = {
+    now: () => 0,
+    setTimeout: (callback: () => void, ms: number) => setTimeout(callback, ms),
+    clearTimeout: (timer: ReturnType<typeof setTimeout>) => clearTimeout(timer),
+  }
+  const messages = async function* () {
+    yield 'a'
+  }
+  const bufferSizes = transform(messages(), compose([
+    Transducer.bufferTime<string>(100, 10, clock),
+    Transducer.map((buffer: string[]) => buffer.length),
+  ]), [])
+  assertType<typeof bufferSizes, number[] | Promise<number[]>>(true)
+  const settledMessages = transform(messages(), compose([
+    Transducer.sampleTime<string>(100),
+    Transducer.debounceTime<string>(100, clock),
+  ]), [])
+  assertType<typeof settledMessages, string[] | Promise<string[]>>(true)
+}
+
+// AggregateReducer
+{
+  const stats = AggregateReducer.all({
+    count: [(count: number) => count + 1, 0],
+    max: [(max: number, number: number) => number > max ? number : max, -Infinity],
+  })
+  const syncStats = reduce([1, 2, 3], stats)
+  assertType<typeof syncStats, { count: number, max: number }>(true)
+  const lazyStats = reduce(stats)([1, 2, 3])
+  assertType<typeof lazyStats, { count: number, max: number }>(true)
+  const asyncStats = reduce([1, 2, 3], AggregateReducer.all([
+    [async (total: number, number: number) => total + number, 0],
+    [(numbers: number[], number: number) => [...numbers, number], (): number[] => []],
+  ]))
+  assertType<typeof asyncStats, [number, number[]] | Promise<[number, number[]]>>(true)
+  expectType<(accumulator: string, value: string) => string | Promise<string>>(
+    AggregateReducer([(a: string, b: string) => a + b]))
+}
+
+// Reducer
+{
+  const mean = reduce([1, 2, 3], Reducer.mean())
+  assertType<typeof mean, number>(true)
+  const lazyCount = reduce(Reducer.count())(new Map([['a', 'b']]))
+  assertType<typeof lazyCount, number>(true)
+  const numbers = async function* () {
+    yield 1
+  }
+  const p99 = reduce(numbers(), Reducer.percentile(99))
+  assertType<typeof p99, Promise<number>>(true)
+  const histogram = reduce(['a', 'b'], Reducer.histogram((letter: string) => letter.length))
+  assertType<typeof histogram, Map<number, number>>(true)
+  const asyncHistogram = reduce(['a', 'b'], Reducer.histogram(async (letter: string) => letter))
+  assertType<typeof asyncHistogram, Map<string, number> | Promise<Map<string, number>>>(true)
+  const stats = reduce([1, 2, 3], AggregateReducer.all({
+    count: Reducer.count(),
+    variance: Reducer.variance({ sample: true }),
+    last: [(last: number, number: number) => number, 0],
+  }))
+  assertType<typeof stats, { count: number, variance: number, last: number }>(true)
+}
+
+// lens and update
+{
+  type Stats = { count: number, label: string }
+  const stats: Stats = { count: 1, label: 'a' }
+  const count = lens((stats: Stats) => stats.count, (stats, count) => ({ ...stats, count }))
+  assertType<typeof count, Lens<Stats, number>>(true)
+  const gotCount = get(stats, count)
+  assertType<typeof gotCount, number>(true)
+  const lazyCount = get(count)
+  assertType<ReturnType<typeof lazyCount>, number>(true)
+  const setCount = set(stats, count, 2)
+  assertType<typeof setCount, Stats>(true)
+  const asyncSetCount = set(stats, count, async (stats: Stats) => stats.count + 1)
+  assertType<typeof asyncSetCount, Promise<Stats>>(true)
+  const pathLens = lens.compose('a', lens('b'))
+  assertType<typeof pathLens, Lens>(true)
+
+  const incremented = update(stats, 'count', count => count + 1)
+  assertType<typeof incremented, { count: number, label: string }>(true)
+  const relabeled = update(stats, 'label', async label => label.length)
+  assertType<typeof relabeled, Promise<{ count: number, label: number }>>(true)
+  const lensUpdated = update(stats, count, count => count + 1)
+  assertType<typeof lensUpdated, Stats>(true)
+  const lazyUpdate = update('count', (count: number) => count + 1)
+  assertType<ReturnType<typeof lazyUpdate<Stats>>, { count: number, label: string }>(true)
+  const batched = update.batch(stats, { count: (count: number) => count + 1 })
+  assertType<typeof batched, Stats>(true)
+  const asyncBatched = update.batch(stats, [['count', async (count: number) => count + 1]])
+  assertType<typeof asyncBatched, Promise<Stats>>(true)
+}
+
+// persistent
+{
+  type State = { user: { name: string, visits: number }, tags: string[] }
+  const state = persistent({ user: { name: 'George', visits: 0 }, tags: ['a'] })
+  assertType<typeof state, PersistentObject<State>>(true)
+  const visits = get(state, 'user.visits')
+  assertType<typeof visits, number>(true)
+  const user = state.get('user')
+  assertType<typeof user, PersistentObject<{ name: string, visits: number }>>(true)
+  const visited = set(state, 'user.visits', 1)
+  assertType<typeof visited, PersistentObject<State>>(true)
+  const tagged = set(state, 'tag', 'b')
+  assertType<typeof tagged, PersistentObject<{ user: { name: string, visits: number }, tags: string[], tag: string }>>(true)
+  const anonymous = omit(state, ['user'])
+  assertType<typeof anonymous, PersistentObject<{ tags: string[] }>>(true)
+  const assigned = assign(state, { count: 1 })
+  assertType<typeof assigned, PersistentObject<Omit<State, 'count'> & { count: number }>>(true)
+  const plain = persistent.toJSON(state)
+  assertType<typeof plain, State>(true)
+  const count: number = 1
+  const scalar = persistent(count)
+  assertType<typeof scalar, number>(true)
+}
+
+// abortable, timeout, debounce and throttle
+{
+  const signal = new AbortController().signal
+  const square = async (number: number) => number ** 2
+  const abortableSquare = abortable(signal, square)
+  assertType<typeof abortableSquare, (number: number) => Promise<number>>(true)
+  const abortableSteps = abortable(signal, [square, async (number: number) => `${number}`])
+  assertType<Awaited<ReturnType<typeof abortableSteps[1]>>, string>(true)
+  const numbers = async function* () {
+    yield 1
+  }
+  const abortableNumbers = abortable(signal, numbers())
+  assertType<typeof abortableNumbers, AsyncIterableIterator<number>>(true)
+
+  const timedSquare = timeout(100, square)
+  assertType<typeof timedSquare, (number: number) => Promise<number>>(true)
+  const fallbackSquare = timeout(100, square, null)
+  assertType<ReturnType<typeof fallbackSquare>, Promise<number | null>>(true)
+  const fallbackFunctionSquare = timeout(100, square, (number: number) => `${number}`)
+  assertType<ReturnType<typeof fallbackFunctionSquare>, Promise<number | string>>(true)
+  const timeoutError = new timeout.TimeoutError(100)
+  assertType<typeof timeoutError, TimeoutError>(true)
+  assertType<typeof timeoutError.ms, number>(true)
+
+  const debouncedSquare = debounce(100, (number: number) => number ** 2)
+  assertType<typeof debouncedSquare, (number: number) => Promise<number>>(true)
+  const leadingSquare = debounce(100, square, { leading: true, trailing: false })
+  assertType<ReturnType<typeof leadingSquare>, Promise<number | undefined>>(true)
+  const throttledSquare = throttle(100, square, { leading: false })
+  assertType<typeof throttledSquare, (number: number) => Promise<number>>(true)
+  const leadingThrottledSquare = throttle(100, square, { trailing: false })
+  assertType<ReturnType<typeof leadingThrottledSquare>, Promise<number | undefined>>(true)
+
+  assertType<typeof rubicoX.abortable, typeof abortable>(true)
+  assertType<typeof rubicoX.timeout, typeof timeout>(true)
+  assertType<typeof rubicoX.debounce, typeof debounce>(true)
+  assertType<typeof rubicoX.throttle, typeof throttle>(true)
+}
+
+// rubico, index, es, and global
+{
+  assertType<typeof rubico.map, typeof map>(true)
+  assertType<typeof rubicoIndex.pipe, typeof pipe>(true)
+  assertType<typeof rubicoES.get, typeof get>(true)
+  assertType<typeof globalThis.filter, typeof filter>(true)
+}
@@ -0,0 +1,114 @@
+const isArray = require('../_internal/isArray')
+const isPromise = require('../_internal/isPromise')
+const __ = require('../_internal/placeholder')
+const curry2 = require('../_internal/curry2')
+const promiseAbortable = require('../_internal/promiseAbortable')
+const abortSignalReason = require('../_internal/abortSignalReason')
+const AbortableAsyncIterator = require('../_internal/AbortableAsyncIterator')
+const symbolAsyncIterator = require('../_internal/symbolAsyncIterator')
+
+/**
+ * @name _abortableFunction
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _abortableFunction(signal AbortSignal, func function) -> abortableFunc function
+ * ```
+ */
+const _abortableFunction = (signal, func) => function abortableFunc(...args) {
+  if (signal.aborted) {
+    throw abortSignalReason(signal)
+  }
+  const result = func(...args)
+  return isPromise(result) ? promiseAbortable(result, signal) : result
+}
+
+/**
+ * @name abortable
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * abortable(signal AbortSignal, func function) -> abortableFunc function
+ *
+ * abortable(signal AbortSignal, funcs Array<function>) -> abortableFuncs Array<function>
+ *
+ * abortable(signal AbortSignal, asyncIterable AsyncIterable) -> abortableAsyncIterator AsyncIterator
+ * ```
+ *
+ * @description
+ * Make a function, an array of functions, or an async iterable stop when an [AbortSignal](https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal) is aborted.
+ *
+ * An abortable function throws the abort reason instead of calling the original function once the signal is aborted, and its pending promises reject with the abort reason as soon as the signal is aborted. Pass an abortable function to operators like [map.pool](/docs/map.pool) or [forEach.series](/docs/forEach.series) to stop scheduling new items and reject with the abort reason.
+ *
+ * ```javascript [playground]
+ * import abortable from 'https://unpkg.com/rubico/dist/x/abortable.es.js'
+ *
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const controller = new AbortController()
+ *
+ * const slowSquare = async number => {
+ *   await sleep(1000)
+ *   return number ** 2
+ * }
+ *
+ * map.pool(2, abortable(controller.signal, slowSquare))([1, 2, 3, 4, 5])
+ *   .catch(error => console.log(error.name)) // AbortError
+ *
+ * setTimeout(() => controller.abort(), 1500)
+ * ```
+ *
+ * An array of functions is made abortable function by function, so that an abortable [pipe](/docs/pipe) does not run any further functions once the signal is aborted.
+ *
+ * ```javascript [playground]
+ * import abortable from 'https://unpkg.com/rubico/dist/x/abortable.es.js'
+ *
+ * const controller = new AbortController()
+ *
+ * const pipeline = pipe(abortable(controller.signal, [
+ *   async number => number + 1,
+ *   async number => {
+ *     controller.abort()
+ *     return number + 1
+ *   },
+ *   async number => number + 1,
+ * ]))
+ *
+ * pipeline(1).catch(error => console.log(error.name)) // AbortError
+ * ```
+ *
+ * An async iterable is made into an async iterator that rejects with the abort reason once the signal is aborted. The source async iterator is closed and no further items are pulled from it.
+ *
+ * ```javascript [playground]
+ * import abortable from 'https://unpkg.com/rubico/dist/x/abortable.es.js'
+ *
+ * const controller = new AbortController()
+ *
+ * const numbers = async function* () {
+ *   let number = 0
+ *   while (true) {
+ *     yield number += 1
+ *   }
+ * }
+ *
+ * forEach(abortable(controller.signal, numbers()), number => {
+ *   if (number == 3) {
+ *     controller.abort()
+ *   }
+ * }).catch(error => console.log(error.name)) // AbortError
+ * ```
+ */
+const abortable = function (signal, value) {
+  if (typeof value == 'function') {
+    return _abortableFunction(signal, value)
+  }
+  if (isArray(value)) {
+    return value.map(curry2(abortable, signal, __))
+  }
+  if (value != null && typeof value[symbolAsyncIterator] == 'function') {
+    return AbortableAsyncIterator(value[symbolAsyncIterator](), signal)
+  }
+  throw new TypeError(`${value} is not a function, array, or async iterable`)
+}
+
+module.exports = abortable
@@ -0,0 +1,146 @@
+const assert = require('assert')
+const abortable = require('./abortable')
+const map = require('../map')
+const forEach = require('../forEach')
+const pipe = require('../pipe')
+const transform = require('../transform')
+const Transducer = require('../Transducer')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('abortable', () => {
+  it('calls the function while the signal is not aborted', async () => {
+    const controller = new AbortController()
+    const square = abortable(controller.signal, number => number ** 2)
+    assert.strictEqual(square(3), 9)
+    const asyncSquare = abortable(controller.signal, async number => number ** 2)
+    assert.strictEqual(await asyncSquare(3), 9)
+  })
+
+  it('throws the abort reason once the signal is aborted', async () => {
+    const controller = new AbortController()
+    let calls = 0
+    const square = abortable(controller.signal, number => {
+      calls += 1
+      return number ** 2
+    })
+    controller.abort(new Error('stop'))
+    assert.throws(() => square(3), new Error('stop'))
+    assert.strictEqual(calls, 0)
+  })
+
+  it('rejects pending promises with the abort reason', async () => {
+    const controller = new AbortController()
+    const slowSquare = abortable(controller.signal, async number => {
+      await sleep(1000)
+      return number ** 2
+    })
+    const promise = slowSquare(3)
+    controller.abort(new Error('stop'))
+    await assert.rejects(promise, new Error('stop'))
+  })
+
+  it('map.pool stops scheduling new items and rejects with the abort reason', async () => {
+    const controller = new AbortController()
+    const calls = []
+    const promise = map.pool(2, abortable(controller.signal, async number => {
+      calls.push(number)
+      await sleep(20)
+      return number
+    }))([1, 2, 3, 4, 5, 6])
+    await sleep(30)
+    controller.abort(new Error('stop'))
+    const callsAtAbort = calls.slice()
+    await assert.rejects(promise, new Error('stop'))
+    await sleep(50)
+    assert.deepEqual(calls, callsAtAbort)
+    assert(calls.length < 6)
+  })
+
+  it('forEach.series stops between items', async () => {
+    const controller = new AbortController()
+    const calls = []
+    await assert.rejects(
+      forEach.series([1, 2, 3, 4, 5], abortable(controller.signal, async number => {
+        calls.push(number)
+        if (number == 2) {
+          controller.abort(new Error('stop'))
+        }
+      })),
+      new Error('stop'),
+    )
+    assert.deepEqual(calls, [1, 2])
+  })
+
+  it('pipe does not run any further functions once aborted', async () => {
+    const controller = new AbortController()
+    const calls = []
+    const pipeline = pipe(abortable(controller.signal, [
+      async number => {
+        calls.push(1)
+        return number + 1
+      },
+      async number => {
+        calls.push(2)
+        controller.abort()
+        return number + 1
+      },
+      async number => {
+        calls.push(3)
+        return number + 1
+      },
+    ]))
+    await assert.rejects(pipeline(1), error => error.name == 'AbortError')
+    assert.deepEqual(calls, [1, 2])
+  })
+
+  it('async iterables stop pulling from the source', async () => {
+    const controller = new AbortController()
+    let pulled = 0
+    let closed = false
+    const numbers = async function* () {
+      try {
+        while (true) {
+          pulled += 1
+          yield pulled
+        }
+      } finally {
+        closed = true
+      }
+    }
+    await assert.rejects(
+      forEach(abortable(controller.signal, numbers()), number => {
+        if (number == 3) {
+          controller.abort(new Error('stop'))
+        }
+      }),
+      new Error('stop'),
+    )
+    await sleep(10)
+    assert.strictEqual(pulled, 3)
+    assert.strictEqual(closed, true)
+  })
+
+  it('async iterables work with transform', async () => {
+    const controller = new AbortController()
+    const numbers = async function* () {
+      yield 1; yield 2; yield 3
+    }
+    assert.deepEqual(
+      await transform(
+        abortable(controller.signal, numbers()),
+        Transducer.map(number => number ** 2),
+        [],
+      ),
+      [1, 4, 9],
+    )
+  })
+
+  it('throws TypeError for other values', async () => {
+    const controller = new AbortController()
+    assert.throws(
+      () => abortable(controller.signal, 1),
+      new TypeError('1 is not a function, array, or async iterable'),
+    )
+  })
+})
@@ -35,4 +35,4 @@ export = append;
  *
  * @since 1.7.3
  */
-declare function append(item: any): (value: any) => string | any[];
+declare const append: (item: any) => (value: any) => string | any[];
@@ -17,4 +17,4 @@ export = callProp;
  * console.log('priceRoundedDown:', priceRoundedDown) // '5.99'
  * ```
  */
-declare function callProp(property: any, ...args: any[]): (object: any) => any;
+declare const callProp: (property: any, ...args: any[]) => (object: any) => any;
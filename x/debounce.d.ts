@@ -0,0 +1,59 @@
+import { DebounceOptions } from '../types'
+
+export = debounce;
+/**
+ * @name debounce
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * debounce(ms number, func function) -> debounced function
+ *
+ * debounce(
+ *   ms number,
+ *   func function,
+ *   options {
+ *     leading: boolean, # default false
+ *     trailing: boolean, # default true
+ *   },
+ * ) -> debounced function
+ *
+ * debounced(...args) -> Promise
+ * ```
+ *
+ * @description
+ * Delay calls to a function until `ms` milliseconds have passed since the last call. Every call to the debounced function returns a promise that resolves to the result of the invocation that the call is grouped into. The invocation uses the arguments of the last call.
+ *
+ * ```javascript [playground]
+ * import debounce from 'https://unpkg.com/rubico/dist/x/debounce.es.js'
+ *
+ * const search = debounce(100, async query => `results for ${query}`)
+ *
+ * search('r')
+ * search('ru')
+ * search('rub').then(console.log) // results for rub
+ * ```
+ *
+ * With `leading: true`, the first call of a burst invokes `func` at once and resolves to that result. With `trailing: false`, calls after the first of a burst do not schedule an invocation and resolve to the result of the last invocation instead.
+ *
+ * ```javascript [playground]
+ * import debounce from 'https://unpkg.com/rubico/dist/x/debounce.es.js'
+ *
+ * const save = debounce(100, tap(console.log), { leading: true })
+ *
+ * save('a') // a
+ * save('b')
+ * save('c') // c (after 100ms)
+ * ```
+ *
+ * If `func` throws or rejects, the promises of every call grouped into that invocation reject with the error.
+ */
+declare function debounce<A extends any[], R>(
+  ms: number,
+  func: (...args: A) => R,
+  options: DebounceOptions & { trailing: false },
+): (...args: A) => Promise<Awaited<R> | undefined>;
+declare function debounce<A extends any[], R>(
+  ms: number,
+  func: (...args: A) => R,
+  options?: DebounceOptions,
+): (...args: A) => Promise<Awaited<R>>;
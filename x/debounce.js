@@ -0,0 +1,95 @@
+const promiseApply = require('../_internal/promiseApply')
+
+/**
+ * @name debounce
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * debounce(ms number, func function) -> debounced function
+ *
+ * debounce(
+ *   ms number,
+ *   func function,
+ *   options {
+ *     leading: boolean, # default false
+ *     trailing: boolean, # default true
+ *   },
+ * ) -> debounced function
+ *
+ * debounced(...args) -> Promise
+ * ```
+ *
+ * @description
+ * Delay calls to a function until `ms` milliseconds have passed since the last call. Every call to the debounced function returns a promise that resolves to the result of the invocation that the call is grouped into. The invocation uses the arguments of the last call.
+ *
+ * ```javascript [playground]
+ * import debounce from 'https://unpkg.com/rubico/dist/x/debounce.es.js'
+ *
+ * const search = debounce(100, async query => `results for ${query}`)
+ *
+ * search('r')
+ * search('ru')
+ * search('rub').then(console.log) // results for rub
+ * ```
+ *
+ * With `leading: true`, the first call of a burst invokes `func` at once and resolves to that result. With `trailing: false`, calls after the first of a burst do not schedule an invocation and resolve to the result of the last invocation instead.
+ *
+ * ```javascript [playground]
+ * import debounce from 'https://unpkg.com/rubico/dist/x/debounce.es.js'
+ *
+ * const save = debounce(100, tap(console.log), { leading: true })
+ *
+ * save('a') // a
+ * save('b')
+ * save('c') // c (after 100ms)
+ * ```
+ *
+ * If `func` throws or rejects, the promises of every call grouped into that invocation reject with the error.
+ */
+const debounce = function (ms, func, options = {}) {
+  const leading = options.leading == null ? false : options.leading
+  const trailing = options.trailing == null ? true : options.trailing
+  let timer = null
+  let trailingArgs = null
+  let trailingPromise = null
+  let resolveTrailing = null
+  let lastPromise = Promise.resolve(undefined)
+
+  const onTimer = function () {
+    timer = null
+    if (trailingArgs == null) {
+      return
+    }
+    const args = trailingArgs
+    const resolve = resolveTrailing
+    trailingArgs = null
+    trailingPromise = null
+    resolveTrailing = null
+    lastPromise = promiseApply(func, args)
+    resolve(lastPromise)
+  }
+
+  return function debounced(...args) {
+    const isFirstCall = timer == null
+    if (!isFirstCall) {
+      clearTimeout(timer)
+    }
+    timer = setTimeout(onTimer, ms)
+    if (leading && isFirstCall) {
+      lastPromise = promiseApply(func, args)
+      return lastPromise
+    }
+    if (!trailing) {
+      return lastPromise
+    }
+    trailingArgs = args
+    if (trailingPromise == null) {
+      trailingPromise = new Promise(function executor(resolve) {
+        resolveTrailing = resolve
+      })
+    }
+    return trailingPromise
+  }
+}
+
+module.exports = debounce
@@ -0,0 +1,113 @@
+const assert = require('assert')
+const FakeTimers = require('@sinonjs/fake-timers')
+const debounce = require('./debounce')
+const pipe = require('../pipe')
+const tap = require('../tap')
+
+describe('debounce', () => {
+  let clock = null
+  beforeEach(() => {
+    clock = FakeTimers.install()
+  })
+  afterEach(() => {
+    clock.uninstall()
+  })
+
+  it('invokes the function once with the last arguments after a burst of calls', async () => {
+    const calls = []
+    const debounced = debounce(100, value => {
+      calls.push(value)
+      return value * 2
+    })
+    const promises = [debounced(1), debounced(2)]
+    await clock.tickAsync(50)
+    promises.push(debounced(3))
+    await clock.tickAsync(99)
+    assert.deepStrictEqual(calls, [])
+    await clock.tickAsync(1)
+    assert.deepStrictEqual(calls, [3])
+    assert.deepStrictEqual(await Promise.all(promises), [6, 6, 6])
+  })
+
+  it('starts a new burst after the wait', async () => {
+    const calls = []
+    const debounced = debounce(100, async value => {
+      calls.push(value)
+      return value
+    })
+    const first = debounced(1)
+    await clock.tickAsync(100)
+    const second = debounced(2)
+    await clock.tickAsync(100)
+    assert.deepStrictEqual(calls, [1, 2])
+    assert.strictEqual(await first, 1)
+    assert.strictEqual(await second, 2)
+  })
+
+  it('invokes the function at once on the first call with leading: true', async () => {
+    const calls = []
+    const debounced = debounce(100, value => {
+      calls.push(value)
+      return value
+    }, { leading: true })
+    const first = debounced(1)
+    assert.deepStrictEqual(calls, [1])
+    assert.strictEqual(await first, 1)
+    const second = debounced(2)
+    const third = debounced(3)
+    await clock.tickAsync(100)
+    assert.deepStrictEqual(calls, [1, 3])
+    assert.strictEqual(await second, 3)
+    assert.strictEqual(await third, 3)
+  })
+
+  it('skips the trailing invocation for a single leading call', async () => {
+    const calls = []
+    const debounced = debounce(100, value => calls.push(value), { leading: true })
+    debounced(1)
+    await clock.tickAsync(200)
+    assert.deepStrictEqual(calls, [1])
+  })
+
+  it('resolves calls to the last result with trailing: false', async () => {
+    const calls = []
+    const debounced = debounce(100, value => {
+      calls.push(value)
+      return value
+    }, { leading: true, trailing: false })
+    const first = debounced(1)
+    const second = debounced(2)
+    await clock.tickAsync(100)
+    assert.deepStrictEqual(calls, [1])
+    assert.strictEqual(await first, 1)
+    assert.strictEqual(await second, 1)
+  })
+
+  it('rejects every grouped call when the function throws or rejects', async () => {
+    const debounced = debounce(100, () => {
+      throw new Error('sync')
+    })
+    const rejections = Promise.all([
+      assert.rejects(debounced(), new Error('sync')),
+      assert.rejects(debounced(), new Error('sync')),
+    ])
+    await clock.tickAsync(100)
+    await rejections
+    const asyncDebounced = debounce(100, async () => {
+      throw new Error('async')
+    }, { leading: true })
+    await assert.rejects(asyncDebounced(), new Error('async'))
+  })
+
+  it('works inside pipe with tap', async () => {
+    const saved = []
+    const save = debounce(100, value => saved.push(value))
+    const promises = [1, 2, 3].map(pipe([
+      value => value * 10,
+      tap(save),
+    ]))
+    await clock.tickAsync(100)
+    assert.deepStrictEqual(await Promise.all(promises), [10, 20, 30])
+    assert.deepStrictEqual(saved, [30])
+  })
+})
@@ -39,4 +39,4 @@ export = defaultsDeep;
  * // }
  * ```
  */
-declare function defaultsDeep(defaultCollection: any): (value: any) => any;
+declare const defaultsDeep: (defaultCollection: any) => (value: any) => any;
@@ -22,4 +22,4 @@ export = differenceWith;
  * ) // [{ a: 1 }, { c: 3 }]
  * ```
  */
-declare function differenceWith(comparator: any, allValues: any): (values: any) => any;
+declare const differenceWith: (comparator: any, allValues: any) => (values: any) => any;
@@ -36,4 +36,4 @@ export = filterOut;
  * @description
  * The inverse of `filter`. Values that test true by the predicate are filtered out, or "rejected".
  */
-declare function filterOut(predicate: any): any;
+declare const filterOut: (predicate: any) => Promise<any>;
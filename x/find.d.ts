@@ -31,4 +31,4 @@ export = find;
  * ) // { name: 'George', age: 51 }
  * ```
  */
-declare function find(predicate: any): (value: any) => any;
+declare const find: (predicate: any) => (value: any) => any;
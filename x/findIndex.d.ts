@@ -22,4 +22,4 @@ export = findIndex;
  *
  * @since 1.6.26
  */
-declare function findIndex(predicate: any): (array: any) => any;
+declare const findIndex: (predicate: any) => (array: any) => any;
@@ -20,4 +20,4 @@ export = first;
  * console.log(first([])) // undefined
  * ```
  */
-declare function first(value: any): any;
+declare const first: (value: any) => any;
@@ -54,4 +54,4 @@ export = flatten;
  *
  * @TODO flatten for each type
  */
-declare function flatten(value: any): any;
+declare const flatten: (value: any) => any;
@@ -47,4 +47,4 @@ export = groupBy;
  * ) // Map { 'hello' => ['Hello', 'hello'], 'hey' => ['Hey'] }
  * ```
  */
-declare function groupBy(propertyOrResolver: any): any;
+declare const groupBy: (propertyOrResolver: any) => import("../types").LazyReduce<any, Map<any, any>, any>;
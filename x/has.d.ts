@@ -4,11 +4,13 @@ export = has;
  *
  * @synopsis
  * ```coffeescript [specscript]
- * has(key any)(container Set|Map|{ has: function }|Object) -> Promise|boolean
+ * has(key any)(container Set|Map|{ has: function }|Object) -> boolean
+ *
+ * has(path string|Array<string|number>)(container any) -> boolean
  * ```
  *
  * @description
- * Check if a collection has a key.
+ * Check if a collection has a key. A container with a `.has` method, like a Set or a Map, is checked with `.has`. Any other object, including arrays and class instances, has a key if its value at the key is not `null` or `undefined`.
  *
  * ```javascript [playground]
  * import has from 'https://unpkg.com/rubico/dist/x/has.es.js'
@@ -21,5 +23,18 @@ export = has;
  *   has('a')({}),
  * ) // false
  * ```
+ *
+ * If the container does not have the key, a string or array key is a path with the same syntax as [get](/docs/get). The path is walked through objects, arrays, Maps and Sets, and the container has the path if the last container along the path has the last key.
+ *
+ * ```javascript [playground]
+ * import has from 'https://unpkg.com/rubico/dist/x/has.es.js'
+ *
+ * const state = {
+ *   users: new Map([['1', { name: 'George' }]]),
+ * }
+ *
+ * console.log(has('users[1].name')(state)) // true
+ * console.log(has('users[2].name')(state)) // false
+ * ```
  */
-declare function has(key: any): (container: any) => any;
+declare function has(key: any): (container: any) => boolean;
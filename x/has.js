@@ -1,18 +1,58 @@
+const isArray = require('../_internal/isArray')
+const propertyPathToArray = require('../_internal/propertyPathToArray')
+const resolvePathKey = require('../_internal/resolvePathKey')
+const getPathEntry = require('../_internal/getPathEntry')
+const isWildcardPath = require('../_internal/isWildcardPath')
+const pathMatches = require('../_internal/pathMatches')
+
 // (object Object, key string) -> boolean
 const objectHas = function (object, key) {
   return object[key] != null
 }
 
+// (container any, key any) -> boolean
+const containerHas = function (container, key) {
+  if (container == null) {
+    return false
+  }
+  if (typeof container.has == 'function') {
+    return container.has(resolvePathKey(container, key))
+  }
+  if (typeof container == 'object') {
+    return objectHas(container, resolvePathKey(container, key))
+  }
+  return false
+}
+
+// (container any, pathArray Array<string|number|symbol>) -> boolean
+const pathHas = function (container, pathArray) {
+  if (isWildcardPath(pathArray)) {
+    return pathMatches(container, pathArray).some(match => match[1] != null)
+  }
+  const lastIndex = pathArray.length - 1
+  let index = -1,
+    nested = container
+  while (++index < lastIndex) {
+    if (nested == null) {
+      return false
+    }
+    nested = getPathEntry(nested, resolvePathKey(nested, pathArray[index]))
+  }
+  return lastIndex >= 0 && containerHas(nested, pathArray[lastIndex])
+}
+
 /**
  * @name has
  *
  * @synopsis
  * ```coffeescript [specscript]
- * has(key any)(container Set|Map|{ has: function }|Object) -> Promise|boolean
+ * has(key any)(container Set|Map|{ has: function }|Object) -> boolean
+ *
+ * has(path string|Array<string|number>)(container any) -> boolean
  * ```
  *
  * @description
- * Check if a collection has a key.
+ * Check if a collection has a key. A container with a `.has` method, like a Set or a Map, is checked with `.has`. Any other object, including arrays and class instances, has a key if its value at the key is not `null` or `undefined`.
  *
  * ```javascript [playground]
  * import has from 'https://unpkg.com/rubico/dist/x/has.es.js'
@@ -25,16 +65,26 @@ const objectHas = function (object, key) {
  *   has('a')({}),
  * ) // false
  * ```
+ *
+ * If the container does not have the key, a string or array key is a path with the same syntax as [get](/docs/get). The path is walked through objects, arrays, Maps and Sets, and the container has the path if the last container along the path has the last key.
+ *
+ * ```javascript [playground]
+ * import has from 'https://unpkg.com/rubico/dist/x/has.es.js'
+ *
+ * const state = {
+ *   users: new Map([['1', { name: 'George' }]]),
+ * }
+ *
+ * console.log(has('users[1].name')(state)) // true
+ * console.log(has('users[2].name')(state)) // false
+ * ```
  */
 const has = key => function hasKey(container) {
-  if (container == null) {
-    return false
-  }
-  if (typeof container.has == 'function') {
-    return container.has(key)
+  if (containerHas(container, key)) {
+    return true
   }
-  if (container.constructor == Object) {
-    return objectHas(container, key)
+  if (typeof key == 'string' || isArray(key)) {
+    return pathHas(container, propertyPathToArray(key))
   }
   return false
 }
@@ -17,4 +17,38 @@ describe('has', () => {
       assert.strictEqual(hasB(15), false)
     })
   )
+
+  it('checks paths through objects, arrays, Maps and Sets', async () => {
+    class User {
+      constructor(name) {
+        this.name = name
+      }
+    }
+    const state = {
+      users: new Map([['1', new User('a')], ['2', null]]),
+      tags: new Set(['x']),
+      'a.b': 1,
+    }
+    assert.strictEqual(has('users[1].name')(state), true)
+    assert.strictEqual(has(['users', '1', 'name'])(state), true)
+    assert.strictEqual(has('users[1].age')(state), false)
+    assert.strictEqual(has('users[2]')(state), true)
+    assert.strictEqual(has('users[2].name')(state), false)
+    assert.strictEqual(has('users[3]')(state), false)
+    assert.strictEqual(has('tags.x')(state), true)
+    assert.strictEqual(has('tags.y')(state), false)
+    assert.strictEqual(has('a.b')(state), true)
+    assert.strictEqual(has('users.*.name')(state), true)
+    assert.strictEqual(has('users.*.age')(state), false)
+    assert.strictEqual(has('name')(new User('a')), true)
+    assert.strictEqual(has(-1)([1, 2]), true)
+    assert.strictEqual(has('')(state), false)
+  })
+
+  it('searches ** through circular references', async () => {
+    const node = { a: { b: 1 } }
+    node.a.parent = node
+    assert.strictEqual(has('**.b')(node), true)
+    assert.strictEqual(has('**.c')(node), false)
+  })
 })
@@ -18,4 +18,4 @@ export = identity;
  * ) // 1
  * ```
  */
-declare function identity(value: any): any;
+declare const identity: (value: any) => any;
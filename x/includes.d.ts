@@ -22,4 +22,4 @@ export = includes;
  * ) // false
  * ```
  */
-declare function includes(value: any): (container: any) => any;
+declare const includes: (value: any) => (container: any) => any;
@@ -1,34 +1,83 @@
-import append = require("./append");
-import callProp = require("./callProp");
-import defaultsDeep = require("./defaultsDeep");
-import differenceWith = require("./differenceWith");
-import filterOut = require("./filterOut");
-import find = require("./find");
-import findIndex = require("./findIndex");
-import first = require("./first");
-import flatten = require("./flatten");
-import groupBy = require("./groupBy");
-import has = require("./has");
-import identity = require("./identity");
-import includes = require("./includes");
-import isDeepEqual = require("./isDeepEqual");
-import isEmpty = require("./isEmpty");
-import isEqual = require("./isEqual");
-import isFunction = require("./isFunction");
-import isObject = require("../_internal/isObject");
-import isString = require("./isString");
-import keys = require("./keys");
-import last = require("./last");
-import maxBy = require("./maxBy");
-import noop = require("./noop");
-import pluck = require("./pluck");
-import prepend = require("./prepend");
-import size = require("./size");
-import trace = require("./trace");
-import unionWith = require("./unionWith");
-import uniq = require("./uniq");
-import unless = require("./unless");
-import values = require("./values");
-import when = require("./when");
-import isIn = require("./isIn");
-export { append, callProp, defaultsDeep, differenceWith, filterOut, find, findIndex, first, flatten, groupBy, has, identity, includes, isDeepEqual, isEmpty, isEqual, isFunction, isObject, isString, keys, last, maxBy, noop, pluck, prepend, size, trace, unionWith, uniq, unless, values, when, isIn };
+export = rubicoX;
+import abortable = require('./abortable');
+import append = require('./append');
+import callProp = require('./callProp');
+import debounce = require('./debounce');
+import defaultsDeep = require('./defaultsDeep');
+import differenceWith = require('./differenceWith');
+import filterOut = require('./filterOut');
+import find = require('./find');
+import findIndex = require('./findIndex');
+import first = require('./first');
+import flatten = require('./flatten');
+import groupBy = require('./groupBy');
+import has = require('./has');
+import identity = require('./identity');
+import includes = require('./includes');
+import isDeepEqual = require('./isDeepEqual');
+import isEmpty = require('./isEmpty');
+import isEqual = require('./isEqual');
+import isFunction = require('./isFunction');
+import isObject = require('./isObject');
+import isString = require('./isString');
+import keys = require('./keys');
+import last = require('./last');
+import lens = require('./lens');
+import maxBy = require('./maxBy');
+import noop = require('./noop');
+import persistent = require('./persistent');
+import pluck = require('./pluck');
+import prepend = require('./prepend');
+import size = require('./size');
+import throttle = require('./throttle');
+import timeout = require('./timeout');
+import trace = require('./trace');
+import unionWith = require('./unionWith');
+import update = require('./update');
+import uniq = require('./uniq');
+import unless = require('./unless');
+import values = require('./values');
+import when = require('./when');
+import isIn = require('./isIn');
+declare const rubicoX: {
+    abortable: typeof abortable;
+    append: typeof append;
+    callProp: typeof callProp;
+    debounce: typeof debounce;
+    defaultsDeep: typeof defaultsDeep;
+    differenceWith: typeof differenceWith;
+    filterOut: typeof filterOut;
+    find: typeof find;
+    findIndex: typeof findIndex;
+    first: typeof first;
+    flatten: typeof flatten;
+    groupBy: typeof groupBy;
+    has: typeof has;
+    identity: typeof identity;
+    includes: typeof includes;
+    isDeepEqual: typeof isDeepEqual;
+    isEmpty: typeof isEmpty;
+    isEqual: typeof isEqual;
+    isFunction: typeof isFunction;
+    isObject: typeof isObject;
+    isString: typeof isString;
+    keys: typeof keys;
+    last: typeof last;
+    lens: typeof lens;
+    maxBy: typeof maxBy;
+    noop: typeof noop;
+    persistent: typeof persistent;
+    pluck: typeof pluck;
+    prepend: typeof prepend;
+    size: typeof size;
+    throttle: typeof throttle;
+    timeout: typeof timeout;
+    trace: typeof trace;
+    unionWith: typeof unionWith;
+    update: typeof update;
+    uniq: typeof uniq;
+    unless: typeof unless;
+    values: typeof values;
+    when: typeof when;
+    isIn: typeof isIn;
+};
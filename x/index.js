@@ -1,5 +1,7 @@
+const abortable = require('./abortable')
 const append = require('./append')
 const callProp = require('./callProp')
+const debounce = require('./debounce')
 const defaultsDeep = require('./defaultsDeep')
 const differenceWith = require('./differenceWith')
 const filterOut = require('./filterOut')
@@ -19,13 +21,18 @@ const isObject = require('./isObject')
 const isString = require('./isString')
 const keys = require('./keys')
 const last = require('./last')
+const lens = require('./lens')
 const maxBy = require('./maxBy')
 const noop = require('./noop')
+const persistent = require('./persistent')
 const pluck = require('./pluck')
 const prepend = require('./prepend')
 const size = require('./size')
+const throttle = require('./throttle')
+const timeout = require('./timeout')
 const trace = require('./trace')
 const unionWith = require('./unionWith')
+const update = require('./update')
 const uniq = require('./uniq')
 const unless = require('./unless')
 const values = require('./values')
@@ -33,8 +40,10 @@ const when = require('./when')
 const isIn = require('./isIn')
 
 const rubicoX = {
+  abortable,
   append,
   callProp,
+  debounce,
   defaultsDeep,
   differenceWith,
   filterOut,
@@ -54,13 +63,18 @@ const rubicoX = {
   isString,
   keys,
   last,
+  lens,
   maxBy,
   noop,
+  persistent,
   pluck,
   prepend,
   size,
+  throttle,
+  timeout,
   trace,
   unionWith,
+  update,
   uniq,
   unless,
   values,
@@ -1,2 +1,2 @@
 export = is;
-declare function is(constructor: any): (x: any) => boolean;
+declare const is: (constructor: any) => (x: any) => boolean;
@@ -39,4 +39,4 @@ export = isDeepEqual;
  * ) // true
  * ```
  */
-declare function isDeepEqual(left: any, right: any): any;
+declare const isDeepEqual: (left: any, right: any) => any;
@@ -21,4 +21,4 @@ export = isEmpty;
  * console.log({ a: 1, b: 2, c: 3 }, isEmpty({ a: 1, b: 2, c: 3 })) // false
  * ```
  */
-declare function isEmpty(value: any): boolean;
+declare const isEmpty: (value: any) => boolean;
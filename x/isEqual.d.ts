@@ -1,2 +1,2 @@
 export = isEqual;
-declare function isEqual(a: any, b: any): boolean;
+declare const isEqual: (a: any, b: any) => boolean;
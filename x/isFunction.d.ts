@@ -20,4 +20,4 @@ export = isFunction;
  * ) // true
  * ```
  */
-declare function isFunction(value: any): boolean;
+declare const isFunction: (value: any) => boolean;
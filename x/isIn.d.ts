@@ -58,4 +58,4 @@ export = isIn;
  * ) // false
  * ```
  */
-declare function isIn(...args: any[]): any;
+declare const isIn: (...args: any[]) => any;
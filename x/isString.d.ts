@@ -18,4 +18,4 @@ export = isString;
  * ) // true
  * ```
  */
-declare function isString(value: any): boolean;
+declare const isString: (value: any) => boolean;
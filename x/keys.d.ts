@@ -20,4 +20,4 @@ export = keys;
  *
  * @since 1.6.25
  */
-declare function keys(object: any): any[];
+declare const keys: (object: any) => any[];
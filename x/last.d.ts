@@ -19,4 +19,4 @@ export = last;
  * console.log(last([])) // undefined
  * ```
  */
-declare function last(value: any): any;
+declare const last: (value: any) => any;
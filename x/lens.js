@@ -0,0 +1,144 @@
+const isLens = require('../_internal/isLens')
+const symbolLens = require('../_internal/symbolLens')
+const propertyPathToArray = require('../_internal/propertyPathToArray')
+const getByPath = require('../_internal/getByPath')
+const setByPath = require('../_internal/setByPath')
+
+/**
+ * @name _pathLens
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _pathLens(pathArray Array<string|number|symbol>) -> Lens
+ * ```
+ */
+const _pathLens = pathArray => ({
+  [symbolLens]: true,
+  path: pathArray,
+  get: object => object == null ? undefined : getByPath(object, pathArray),
+  set: (object, value) => setByPath(object, value, pathArray),
+})
+
+/**
+ * @name _toLens
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _toLens(pathOrLens string|number|Array<string|number>|Lens) -> Lens
+ * ```
+ */
+const _toLens = pathOrLens => isLens(pathOrLens) ? pathOrLens
+  : _pathLens(propertyPathToArray(pathOrLens))
+
+/**
+ * @name _composeLens
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _composeLens(outer Lens, inner Lens) -> Lens
+ * ```
+ *
+ * @description
+ * Focus on the focus of `inner` in the focus of `outer`. Two path lenses compose into the path lens of both paths.
+ */
+const _composeLens = function (outer, inner) {
+  if (outer.path != null && inner.path != null) {
+    return _pathLens([...outer.path, ...inner.path])
+  }
+  return {
+    [symbolLens]: true,
+    path: null,
+    get: object => inner.get(outer.get(object)),
+    set: (object, value) => outer.set(object, inner.set(outer.get(object), value)),
+  }
+}
+
+/**
+ * @name lens
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * type Lens = {
+ *   get: (object any)=>(value any),
+ *   set: (object any, value any)=>(newObject any),
+ * }
+ *
+ * lens(path string|number|Array<string|number>) -> Lens
+ *
+ * lens(
+ *   getter (object any)=>(value any),
+ *   setter (object any, value any)=>(newObject any),
+ * ) -> Lens
+ *
+ * lens.compose(...pathsOrLenses Array<string|number|Array<string|number>|Lens>) -> Lens
+ * ```
+ *
+ * @description
+ * Create a lens, a value that focuses on a part of an object. [get](/docs/get), [set](/docs/set) and [update](/docs/update) accept a lens in place of a path.
+ *
+ * A lens of a path gets and sets the value at the path like `get` and `set`.
+ *
+ * ```javascript [playground]
+ * import lens from 'https://unpkg.com/rubico/dist/x/lens.es.js'
+ * import get from 'https://unpkg.com/rubico/dist/get.es.js'
+ * import set from 'https://unpkg.com/rubico/dist/set.es.js'
+ *
+ * const count = lens('stats.count')
+ *
+ * const state = { stats: { count: 1 } }
+ *
+ * console.log(get(state, count)) // 1
+ * console.log(set(state, count, 2)) // { stats: { count: 2 } }
+ * ```
+ *
+ * A lens of a getter and a setter focuses on any part of an object that the getter reads, and the setter returns a new object with a new value for that part. The getter and setter must be synchronous and should not mutate the object.
+ *
+ * ```javascript [playground]
+ * import lens from 'https://unpkg.com/rubico/dist/x/lens.es.js'
+ * import get from 'https://unpkg.com/rubico/dist/get.es.js'
+ * import set from 'https://unpkg.com/rubico/dist/set.es.js'
+ *
+ * const celsius = lens(
+ *   weather => (weather.fahrenheit - 32) * 5 / 9,
+ *   (weather, celsius) => ({ ...weather, fahrenheit: celsius * 9 / 5 + 32 }),
+ * )
+ *
+ * const weather = { fahrenheit: 212 }
+ *
+ * console.log(get(weather, celsius)) // 100
+ * console.log(set(weather, celsius, 0)) // { fahrenheit: 32 }
+ * ```
+ *
+ * `lens.compose` focuses through each path or lens in order. Composed lenses of paths are the lens of the joined path.
+ *
+ * ```javascript [playground]
+ * import lens from 'https://unpkg.com/rubico/dist/x/lens.es.js'
+ * import get from 'https://unpkg.com/rubico/dist/get.es.js'
+ * import set from 'https://unpkg.com/rubico/dist/set.es.js'
+ *
+ * const first = lens(
+ *   array => array[0],
+ *   (array, value) => [value, ...array.slice(1)],
+ * )
+ *
+ * const firstUserName = lens.compose('users', first, 'name')
+ *
+ * const state = { users: [{ name: 'George' }, { name: 'Jane' }] }
+ *
+ * console.log(get(state, firstUserName)) // George
+ * console.log(set(state, firstUserName, 'Jim'))
+ * // { users: [{ name: 'Jim' }, { name: 'Jane' }] }
+ * ```
+ */
+const lens = function (pathOrGetter, setter) {
+  if (typeof pathOrGetter == 'function') {
+    return { [symbolLens]: true, path: null, get: pathOrGetter, set: setter }
+  }
+  return _toLens(pathOrGetter)
+}
+
+lens.compose = function (...pathsOrLenses) {
+  return pathsOrLenses.map(_toLens).reduce(_composeLens, _pathLens([]))
+}
+
+module.exports = lens
@@ -0,0 +1,47 @@
+const assert = require('assert')
+const lens = require('./lens')
+const get = require('../get')
+const set = require('../set')
+
+const first = lens(
+  array => array[0],
+  (array, value) => [value, ...array.slice(1)],
+)
+
+describe('lens', () => {
+  it('focuses on the value at a path', async () => {
+    const count = lens('stats.count')
+    const state = { stats: { count: 1, total: 2 } }
+    assert.strictEqual(get(state, count), 1)
+    assert.strictEqual(get(count)(state), 1)
+    assert.strictEqual(get({}, count, 0), 0)
+    assert.strictEqual(get(null, count, 0), 0)
+    assert.deepEqual(set(state, count, 2), { stats: { count: 2, total: 2 } })
+    assert.deepEqual(state, { stats: { count: 1, total: 2 } })
+    assert.deepEqual(set(count, state => state.stats.total)(state), { stats: { count: 2, total: 2 } })
+    assert.deepEqual(await set(Promise.resolve(state), count, Promise.resolve(3)), { stats: { count: 3, total: 2 } })
+    assert.deepEqual(count.path, ['stats', 'count'])
+    assert.strictEqual(lens(count), count)
+  })
+
+  it('focuses with a getter and a setter', async () => {
+    assert.strictEqual(get([1, 2], first), 1)
+    assert.deepEqual(set([1, 2], first, 3), [3, 2])
+    assert.deepEqual(await set([1, 2], first, async array => array.length), [2, 2])
+    assert.strictEqual(first.path, null)
+  })
+
+  it('composes paths and lenses', async () => {
+    const state = { users: [{ name: 'George' }, { name: 'Jane' }] }
+    const firstUserName = lens.compose('users', first, 'name')
+    assert.strictEqual(get(state, firstUserName), 'George')
+    assert.deepEqual(set(state, firstUserName, 'Jim'), { users: [{ name: 'Jim' }, { name: 'Jane' }] })
+    assert.strictEqual(state.users[0].name, 'George')
+
+    const secondUserName = lens.compose(lens('users'), '[1]', ['name'])
+    assert.deepEqual(secondUserName.path, ['users', 1, 'name'])
+    assert.strictEqual(get(state, secondUserName), 'Jane')
+    assert.deepEqual(get(state, lens.compose('users', '[*].name')), ['George', 'Jane'])
+    assert.strictEqual(get(state, lens.compose()), state)
+  })
+})
@@ -38,4 +38,4 @@ export = maxBy;
  * console.log(maxItem) // { a: { b: { c: 9 } } }
  * ```
  */
-declare function maxBy(...args: any[]): any;
+declare const maxBy: (...args: any[]) => any;
@@ -18,4 +18,4 @@ export = noop;
  * ) // undefined
  * ```
  */
-declare function noop(): void;
+declare const noop: () => void;
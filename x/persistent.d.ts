@@ -0,0 +1,56 @@
+import { Persistent, Unpersistent } from '../types'
+
+export = persistent;
+/**
+ * @name persistent
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * persistent(value Object|Array|any) -> PersistentObject|Array|any
+ *
+ * persistent.toJSON(value PersistentObject|Object|Array|any) -> Object|Array|any
+ *
+ * persistent.isPersistent(value any) -> boolean
+ * ```
+ *
+ * @description
+ * Convert the plain objects of a value, including the plain objects nested in its objects and arrays, to persistent objects. A persistent object is an immutable object that shares its unchanged parts between versions, so that a small update of a large object allocates a small amount of memory. [get](/docs/get) and [has](/docs/has) read persistent objects, and [set](/docs/set), [omit](/docs/omit), [assign](/docs/assign) and [update](/docs/update) return new persistent objects.
+ *
+ * ```javascript [playground]
+ * import persistent from 'https://unpkg.com/rubico/dist/x/persistent.es.js'
+ * import get from 'https://unpkg.com/rubico/dist/get.es.js'
+ * import set from 'https://unpkg.com/rubico/dist/set.es.js'
+ *
+ * const state = persistent({
+ *   users: { '1': { name: 'George', visits: 0 } },
+ *   settings: { theme: 'dark' },
+ * })
+ *
+ * const nextState = set(state, 'users.1.visits', 1)
+ *
+ * console.log(get(nextState, 'users.1.visits')) // 1
+ * console.log(get(state, 'users.1.visits')) // 0
+ * console.log(nextState.get('settings') === state.get('settings')) // true
+ * ```
+ *
+ * Persistent objects are worth it for large objects that are updated many times, e.g. the state of an application updated in a loop. For small objects, plain objects are faster. Arrays stay arrays and are copied on update, like the arrays of plain objects.
+ *
+ * `persistent.toJSON` converts persistent objects back to plain objects at the edges of a program. `JSON.stringify` serializes persistent objects like plain objects.
+ *
+ * ```javascript [playground]
+ * import persistent from 'https://unpkg.com/rubico/dist/x/persistent.es.js'
+ * import omit from 'https://unpkg.com/rubico/dist/omit.es.js'
+ *
+ * const state = omit(persistent({ a: 1, b: { c: 2, d: 3 } }), ['b.d'])
+ *
+ * console.log(persistent.toJSON(state)) // { a: 1, b: { c: 2 } }
+ * console.log(JSON.stringify(state)) // {"a":1,"b":{"c":2}}
+ * ```
+ *
+ * A persistent object also has the methods `.get`, `.has`, `.set` and `.delete` of a key, `.keys`, `.values` and `.entries` arrays in insertion order, and a `.size`, see [PersistentObject](/docs/PersistentObject).
+ */
+declare function persistent<T>(value: T): Persistent<T>;
+declare namespace persistent {
+    function toJSON<T>(value: T): Unpersistent<T>;
+    function isPersistent(value: any): boolean;
+}
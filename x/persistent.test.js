@@ -0,0 +1,98 @@
+const assert = require('assert')
+const persistent = require('./persistent')
+const has = require('./has')
+const update = require('./update')
+const get = require('../get')
+const set = require('../set')
+const omit = require('../omit')
+const pick = require('../pick')
+const assign = require('../assign')
+
+describe('persistent', () => {
+  it('converts plain objects to persistent objects', async () => {
+    const state = persistent({ user: { name: 'George' }, tags: [{ id: 1 }], date: null })
+    assert(persistent.isPersistent(state))
+    assert(persistent.isPersistent(state.get('user')))
+    assert(persistent.isPersistent(state.get('tags')[0]))
+    assert.strictEqual(state.size, 3)
+    assert.deepEqual(state.keys(), ['user', 'tags', 'date'])
+    assert.strictEqual(persistent(state), state)
+    assert.strictEqual(persistent(1), 1)
+    const date = new Date()
+    assert.strictEqual(persistent(date), date)
+  })
+
+  it('converts back to plain objects with toJSON', async () => {
+    const value = { a: 1, b: { c: [{ d: 2 }] } }
+    const state = persistent(value)
+    assert.deepEqual(persistent.toJSON(state), value)
+    assert.strictEqual(JSON.stringify(state), JSON.stringify(value))
+    assert.deepEqual(persistent.toJSON([state]), [value])
+  })
+
+  it('get', async () => {
+    const state = persistent({ users: [{ name: 'George' }, { name: 'Jane' }], a: { b: 1 } })
+    assert.strictEqual(get(state, 'a.b'), 1)
+    assert.strictEqual(get(state, 'users[1].name'), 'Jane')
+    assert.strictEqual(get(state, 'a.c', 0), 0)
+    assert.deepEqual(get(state, 'users[*].name'), ['George', 'Jane'])
+    assert.deepEqual(get(state, '**.b'), [1])
+    assert.strictEqual(has('a.b')(state), true)
+    assert.strictEqual(has('a.c')(state), false)
+  })
+
+  it('set shares the unchanged parts', async () => {
+    const state = persistent({ a: { b: 1, c: 2 }, d: { e: 3 } })
+    const nextState = set(state, 'a.b', 10)
+    assert(persistent.isPersistent(nextState))
+    assert.deepEqual(persistent.toJSON(nextState), { a: { b: 10, c: 2 }, d: { e: 3 } })
+    assert.deepEqual(persistent.toJSON(state), { a: { b: 1, c: 2 }, d: { e: 3 } })
+    assert.strictEqual(nextState.get('d'), state.get('d'))
+    assert.deepEqual(persistent.toJSON(set(state, 'f.g[0]', 1)), {
+      a: { b: 1, c: 2 }, d: { e: 3 }, f: { g: [1] },
+    })
+    assert.deepEqual(persistent.toJSON(set(state, '*.b', 0)), {
+      a: { b: 0, c: 2 }, d: { e: 3 },
+    })
+    assert.strictEqual(set(state, 'a.b', 1), state)
+  })
+
+  it('set in plain objects and arrays of persistent objects', async () => {
+    const state = { list: [persistent({ a: 1 })] }
+    const nextState = set(state, 'list[0].a', 2)
+    assert(persistent.isPersistent(nextState.list[0]))
+    assert.strictEqual(nextState.list[0].get('a'), 2)
+    assert.strictEqual(state.list[0].get('a'), 1)
+  })
+
+  it('omit', async () => {
+    const state = persistent({ a: 1, b: { c: 2, password: 3 }, password: 4 })
+    const omitted = omit(state, ['a', 'b.c'])
+    assert(persistent.isPersistent(omitted))
+    assert.deepEqual(persistent.toJSON(omitted), { b: { password: 3 }, password: 4 })
+    assert.deepEqual(persistent.toJSON(omit(state, ['**.password'])), { a: 1, b: { c: 2 } })
+    assert.deepEqual(persistent.toJSON(state), { a: 1, b: { c: 2, password: 3 }, password: 4 })
+    assert.strictEqual(omit(state, ['x.y']), state)
+  })
+
+  it('assign', async () => {
+    const state = persistent({ a: 1, b: 2 })
+    const assigned = assign(state, { b: 3, c: object => object.get('a') + 1 })
+    assert(persistent.isPersistent(assigned))
+    assert.deepEqual(persistent.toJSON(assigned), { a: 1, b: 3, c: 2 })
+    const asyncAssigned = await assign(state, { c: async () => 4 })
+    assert.deepEqual(persistent.toJSON(asyncAssigned), { a: 1, b: 2, c: 4 })
+  })
+
+  it('pick returns a plain object', async () => {
+    const state = persistent({ a: 1, b: { c: 2 } })
+    assert.deepEqual(pick(state, ['a']), { a: 1 })
+  })
+
+  it('update', async () => {
+    const state = persistent({ stats: { count: 1 }, other: {} })
+    const nextState = update.batch(state, { 'stats.count': count => count + 1 })
+    assert.deepEqual(persistent.toJSON(nextState), { stats: { count: 2 }, other: {} })
+    assert.strictEqual(nextState.get('other'), state.get('other'))
+  })
+})
@@ -31,5 +31,18 @@ export = pluck;
  *
  * console.log(usernames) // ['George', 'Jane', 'Jim']
  * ```
+ *
+ * With the wildcards `*` and `**` of [get](/docs/get), each item is plucked into an array of its matches.
+ *
+ * ```javascript [playground]
+ * import pluck from 'https://unpkg.com/rubico/dist/x/pluck.es.js'
+ *
+ * const orders = [
+ *   { items: [{ id: 1 }, { id: 2 }] },
+ *   { items: [{ id: 3 }] },
+ * ]
+ *
+ * console.log(pluck(orders, 'items[*].id')) // [[1, 2], [3]]
+ * ```
  */
 declare function pluck(...args: any[]): any;
@@ -15,4 +15,9 @@ describe('pluck', () => {
       [1, 2, 3],
     )
   })
+
+  it('gets an array of matches from every item for wildcard paths', async () => {
+    const orders = [{ items: [{ id: 1 }, { id: 2 }] }, { items: [{ id: 3 }] }]
+    assert.deepEqual(pluck(orders, 'items[*].id'), [[1, 2], [3]])
+  })
 })
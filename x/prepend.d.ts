@@ -35,4 +35,4 @@ export = prepend;
  *
  * @since 1.7.3
  */
-declare function prepend(item: any): (value: any) => string | any[];
+declare const prepend: (item: any) => (value: any) => string | any[];
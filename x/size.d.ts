@@ -18,4 +18,4 @@ export = size;
  * console.log(size(new Set([1, 2, 3]))) // 3
  * ```
  */
-declare function size(value: any): any;
+declare const size: (value: any) => any;
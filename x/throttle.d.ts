@@ -0,0 +1,51 @@
+import { DebounceOptions } from '../types'
+
+export = throttle;
+/**
+ * @name throttle
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * throttle(ms number, func function) -> throttled function
+ *
+ * throttle(
+ *   ms number,
+ *   func function,
+ *   options {
+ *     leading: boolean, # default true
+ *     trailing: boolean, # default true
+ *   },
+ * ) -> throttled function
+ *
+ * throttled(...args) -> Promise
+ * ```
+ *
+ * @description
+ * Invoke a function at most once every `ms` milliseconds. Every call to the throttled function returns a promise that resolves to the result of the invocation that the call is grouped into.
+ *
+ * The first call invokes `func` at once. Calls made in the following `ms` milliseconds are grouped into one trailing invocation at the end of the interval, which uses the arguments of the last call.
+ *
+ * ```javascript [playground]
+ * import throttle from 'https://unpkg.com/rubico/dist/x/throttle.es.js'
+ *
+ * const report = throttle(100, async position => `at ${position}`)
+ *
+ * report(1).then(console.log) // at 1
+ * report(2).then(console.log) // at 3
+ * report(3).then(console.log) // at 3
+ * ```
+ *
+ * With `leading: false`, the first call is grouped into the trailing invocation. With `trailing: false`, calls made during the interval do not schedule an invocation and resolve to the result of the last invocation instead.
+ *
+ * If `func` throws or rejects, the promises of every call grouped into that invocation reject with the error.
+ */
+declare function throttle<A extends any[], R>(
+  ms: number,
+  func: (...args: A) => R,
+  options: DebounceOptions & { trailing: false },
+): (...args: A) => Promise<Awaited<R> | undefined>;
+declare function throttle<A extends any[], R>(
+  ms: number,
+  func: (...args: A) => R,
+  options?: DebounceOptions,
+): (...args: A) => Promise<Awaited<R>>;
@@ -0,0 +1,99 @@
+const assert = require('assert')
+const FakeTimers = require('@sinonjs/fake-timers')
+const throttle = require('./throttle')
+const pipe = require('../pipe')
+const tap = require('../tap')
+
+describe('throttle', () => {
+  let clock = null
+  beforeEach(() => {
+    clock = FakeTimers.install()
+  })
+  afterEach(() => {
+    clock.uninstall()
+  })
+
+  it('invokes the function at once, then once more at the end of the interval', async () => {
+    const calls = []
+    const throttled = throttle(100, value => {
+      calls.push(value)
+      return value * 2
+    })
+    const first = throttled(1)
+    assert.deepStrictEqual(calls, [1])
+    const second = throttled(2)
+    const third = throttled(3)
+    await clock.tickAsync(99)
+    assert.deepStrictEqual(calls, [1])
+    await clock.tickAsync(1)
+    assert.deepStrictEqual(calls, [1, 3])
+    assert.strictEqual(await first, 2)
+    assert.strictEqual(await second, 6)
+    assert.strictEqual(await third, 6)
+  })
+
+  it('invokes the function at most once per interval', async () => {
+    const calls = []
+    const throttled = throttle(100, value => calls.push(value))
+    for (let tick = 0; tick < 30; tick += 1) {
+      throttled(tick)
+      await clock.tickAsync(10)
+    }
+    await clock.tickAsync(200)
+    assert.deepStrictEqual(calls, [0, 9, 19, 29])
+  })
+
+  it('groups the first call into the trailing invocation with leading: false', async () => {
+    const calls = []
+    const throttled = throttle(100, async value => {
+      calls.push(value)
+      return value
+    }, { leading: false })
+    const first = throttled(1)
+    const second = throttled(2)
+    assert.deepStrictEqual(calls, [])
+    await clock.tickAsync(100)
+    assert.deepStrictEqual(calls, [2])
+    assert.strictEqual(await first, 2)
+    assert.strictEqual(await second, 2)
+  })
+
+  it('resolves calls during the interval to the last result with trailing: false', async () => {
+    const calls = []
+    const throttled = throttle(100, value => {
+      calls.push(value)
+      return value
+    }, { trailing: false })
+    const first = throttled(1)
+    const second = throttled(2)
+    await clock.tickAsync(100)
+    const third = throttled(3)
+    assert.deepStrictEqual(calls, [1, 3])
+    assert.deepStrictEqual(await Promise.all([first, second, third]), [1, 1, 3])
+  })
+
+  it('rejects every grouped call when the function throws or rejects', async () => {
+    const throttled = throttle(100, async value => {
+      throw new Error(`error ${value}`)
+    })
+    const rejections = Promise.all([
+      assert.rejects(throttled(1), new Error('error 1')),
+      assert.rejects(throttled(2), new Error('error 3')),
+      assert.rejects(throttled(3), new Error('error 3')),
+    ])
+    await clock.tickAsync(100)
+    await rejections
+  })
+
+  it('works inside pipe with tap', async () => {
+    const reported = []
+    const report = throttle(100, value => reported.push(value))
+    const promises = [1, 2, 3].map(pipe([
+      value => value * 10,
+      tap(report),
+    ]))
+    await clock.tickAsync(100)
+    assert.deepStrictEqual(await Promise.all(promises), [10, 20, 30])
+    assert.deepStrictEqual(reported, [10, 30])
+  })
+})
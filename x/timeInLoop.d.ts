@@ -1,4 +1,5 @@
 export = timeInLoop;
+import _timeInLoop = require('../_internal/timeInLoop');
 /**
  * @name timeInLoop
  *
@@ -14,8 +15,4 @@ export = timeInLoop;
  *
  * Reference: https://gist.github.com/funfunction/91b5876a5f562e1e352aed0fcabc3858
  */
-declare const timeInLoop: (description: any, loopCount: any, fn: any, options?: {}) => {
-    description: any;
-    loopCount: any;
-    duration: number;
-};
+declare const timeInLoop: typeof _timeInLoop;
@@ -0,0 +1,98 @@
+const isPromise = require('../_internal/isPromise')
+const promiseTimeout = require('../_internal/promiseTimeout')
+const TimeoutError = require('../_internal/TimeoutError')
+
+/**
+ * @name timeout
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * timeout(ms number, func function) -> timedFunc function
+ *
+ * timeout(
+ *   ms number,
+ *   func function,
+ *   fallback function|any,
+ * ) -> timedFunc function
+ *
+ * timeout.TimeoutError -> TimeoutError
+ * ```
+ *
+ * @description
+ * Put a time limit on a function that returns a promise. If the promise does not settle within `ms` milliseconds, the returned promise rejects with a `TimeoutError`.
+ *
+ * ```javascript [playground]
+ * import timeout from 'https://unpkg.com/rubico/dist/x/timeout.es.js'
+ *
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const slowSquare = async number => {
+ *   await sleep(1000)
+ *   return number ** 2
+ * }
+ *
+ * timeout(100, slowSquare)(3).catch(error => {
+ *   console.log(error.name) // TimeoutError
+ *   console.log(error instanceof timeout.TimeoutError) // true
+ * })
+ * ```
+ *
+ * With a `fallback` other than `undefined`, the returned promise resolves to the fallback instead of rejecting. A fallback function is called with the same arguments as `func`.
+ *
+ * ```javascript [playground]
+ * import timeout from 'https://unpkg.com/rubico/dist/x/timeout.es.js'
+ *
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const fetchPrice = async id => {
+ *   await sleep(1000)
+ *   return 100
+ * }
+ *
+ * map.pool(2, timeout(100, fetchPrice, id => null))([1, 2, 3]).then(
+ *   console.log, // [null, null, null]
+ * )
+ * ```
+ *
+ * The time limit applies only when `func` returns a promise. Synchronous results are returned as is. The timer does not stop the work started by `func`. Combine `timeout` with [abortable](/docs/abortable) to stop it.
+ *
+ * Use `timeout.TimeoutError` to recognize a timeout in a [tryCatch](/docs/tryCatch) catcher.
+ *
+ * ```javascript [playground]
+ * import timeout from 'https://unpkg.com/rubico/dist/x/timeout.es.js'
+ *
+ * const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+ *
+ * const slowStep = async value => {
+ *   await sleep(1000)
+ *   return value
+ * }
+ *
+ * tryCatch(pipe([
+ *   timeout(100, slowStep),
+ * ]), error => {
+ *   if (error instanceof timeout.TimeoutError) {
+ *     return 'timed out'
+ *   }
+ *   throw error
+ * })('hello').then(console.log) // timed out
+ * ```
+ */
+const timeout = function (ms, func, fallback) {
+  return function timedFunc(...args) {
+    const result = func(...args)
+    if (!isPromise(result)) {
+      return result
+    }
+    return promiseTimeout(result, ms, function onTimeout() {
+      if (fallback === undefined) {
+        throw new TimeoutError(ms)
+      }
+      return typeof fallback == 'function' ? fallback(...args) : fallback
+    })
+  }
+}
+
+timeout.TimeoutError = TimeoutError
+
+module.exports = timeout
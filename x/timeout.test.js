@@ -0,0 +1,91 @@
+const assert = require('assert')
+const timeout = require('./timeout')
+const map = require('../map')
+const all = require('../all')
+const pipe = require('../pipe')
+const tryCatch = require('../tryCatch')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const delayedIdentity = ms => async value => {
+  await sleep(ms)
+  return value
+}
+
+describe('timeout', () => {
+  it('resolves with the result when the promise settles in time', async () => {
+    assert.strictEqual(await timeout(100, delayedIdentity(1))('hey'), 'hey')
+  })
+
+  it('rejects with a TimeoutError when the promise does not settle in time', async () => {
+    await assert.rejects(
+      timeout(10, delayedIdentity(100))('hey'),
+      error => {
+        assert(error instanceof timeout.TimeoutError)
+        assert(error instanceof Error)
+        assert.strictEqual(error.name, 'TimeoutError')
+        assert.strictEqual(error.message, 'Operation timed out after 10ms')
+        assert.strictEqual(error.ms, 10)
+        return true
+      },
+    )
+  })
+
+  it('passes through rejections that happen in time', async () => {
+    await assert.rejects(
+      timeout(100, async () => {
+        throw new Error('boom')
+      })(),
+      new Error('boom'),
+    )
+  })
+
+  it('returns synchronous results as is', async () => {
+    assert.strictEqual(timeout(10, number => number ** 2)(3), 9)
+    assert.throws(() => timeout(10, () => {
+      throw new Error('sync')
+    })(), new Error('sync'))
+  })
+
+  it('resolves to a fallback value on timeout', async () => {
+    assert.strictEqual(await timeout(10, delayedIdentity(100), 'fallback')('hey'), 'fallback')
+    assert.strictEqual(await timeout(10, delayedIdentity(100), null)('hey'), null)
+  })
+
+  it('calls a fallback function with the arguments on timeout', async () => {
+    assert.strictEqual(
+      await timeout(10, delayedIdentity(100), (a, b) => a + b)(1, 2),
+      3,
+    )
+    assert.strictEqual(
+      await timeout(10, delayedIdentity(100), async value => `${value}!`)('hey'),
+      'hey!',
+    )
+    await assert.rejects(
+      timeout(10, delayedIdentity(100), () => {
+        throw new Error('fallback')
+      })(),
+      new Error('fallback'),
+    )
+  })
+
+  it('works inside pipe and is recognized by a tryCatch catcher', async () => {
+    const result = await tryCatch(pipe([
+      value => value + 1,
+      timeout(10, delayedIdentity(100)),
+    ]), error => error instanceof timeout.TimeoutError ? 'timed out' : 'other')(1)
+    assert.strictEqual(result, 'timed out')
+  })
+
+  it('works inside map.pool and all', async () => {
+    const timedIdentity = timeout(50, async value => {
+      await sleep(value)
+      return value
+    }, -1)
+    assert.deepStrictEqual(await map.pool(2, timedIdentity)([1, 100, 2]), [1, -1, 2])
+    assert.deepStrictEqual(await all([
+      timeout(50, delayedIdentity(1)),
+      timeout(10, delayedIdentity(100), 'slow'),
+    ])('hey'), ['hey', 'slow'])
+  })
+})
@@ -27,4 +27,4 @@ export = trace;
  * console.log('check your console')
  * ```
  */
-declare function trace(...args: any[]): any;
+declare const trace: (...args: any[]) => unknown;
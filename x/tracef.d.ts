@@ -4,4 +4,4 @@ export = tracef;
  *
  * @DEPRECATED
  */
-declare function tracef(f: any): any;
+declare const tracef: (f: any) => (args_0: unknown, ...args: unknown[]) => unknown;
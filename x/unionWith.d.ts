@@ -28,4 +28,4 @@ export = unionWith;
  *
  * @TODO setUnionWith
  */
-declare function unionWith(comparator: any): (value: any) => any;
+declare const unionWith: (comparator: any) => (value: any) => any;
@@ -21,4 +21,4 @@ export = uniq;
  * ) // [1, 2, 3]
  * ```
  */
-declare function uniq(arr: any): any[];
+declare const uniq: (arr: any) => any[];
@@ -25,4 +25,4 @@ export = unless;
  *
  * @since 1.7.3
  */
-declare function unless(predicate: any, func: any): (value: any) => any;
+declare const unless: (predicate: any, func: any) => (value: any) => any;
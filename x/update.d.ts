@@ -0,0 +1,117 @@
+import {
+  Lens, Path, PromiseResult, UpdateBatch, UpdateBatchResult, UpdateResult, UpdateValue,
+} from '../types'
+
+export = update;
+/**
+ * @name update
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * update(
+ *   object Promise|Object,
+ *   path string|number|Array<string|number>|Lens,
+ *   updater any=>Promise|any,
+ * ) -> result Promise|Object
+ *
+ * update(
+ *   path string|number|Array<string|number>|Lens,
+ *   updater any=>Promise|any,
+ * )(object Object) -> result Promise|Object
+ *
+ * update.batch(
+ *   object Promise|Object,
+ *   updates Array<[path string|number|Array<string|number>|Lens, updater any=>Promise|any]>
+ *     |Object<updater any=>Promise|any>,
+ * ) -> result Promise|Object
+ *
+ * update.batch(
+ *   updates Array<[path string|number|Array<string|number>|Lens, updater any=>Promise|any]>
+ *     |Object<updater any=>Promise|any>,
+ * )(object Object) -> result Promise|Object
+ * ```
+ *
+ * @description
+ * Sets the value at a path of a new object shallow cloned from the argument object to the result of calling an updater with the current value at the path. The updater receives `undefined` if the path is missing, and may be asynchronous. Paths are like the paths of [set](/docs/set), and may also be a [lens](/docs/lens).
+ *
+ * ```javascript [playground]
+ * import update from 'https://unpkg.com/rubico/dist/x/update.es.js'
+ *
+ * const state = { stats: { count: 1 } }
+ *
+ * console.log(update(state, 'stats.count', count => count + 1))
+ * // { stats: { count: 2 } }
+ *
+ * update(state, 'stats.count', async count => count * 10).then(console.log)
+ * // { stats: { count: 10 } }
+ * ```
+ *
+ * At a path with `*` or `**` segments, the updater is called for every match.
+ *
+ * ```javascript [playground]
+ * import update from 'https://unpkg.com/rubico/dist/x/update.es.js'
+ *
+ * const cart = { items: [{ price: 1.005 }, { price: 2.5 }] }
+ *
+ * console.log(update(cart, 'items[*].price', Math.round))
+ * // { items: [{ price: 1 }, { price: 3 }] }
+ * ```
+ *
+ * `update.batch` applies several updates in order, given as an array of path and updater pairs or an object of updaters by path. Each updater receives the value at its path after the updates before it. Updates of paths copy each object or array along the paths once for the whole batch.
+ *
+ * ```javascript [playground]
+ * import update from 'https://unpkg.com/rubico/dist/x/update.es.js'
+ *
+ * const state = { stats: { count: 1, total: 10 }, log: [] }
+ *
+ * console.log(update.batch(state, {
+ *   'stats.count': count => count + 1,
+ *   'stats.total': total => total + 5,
+ *   log: log => [...log, 'added 5'],
+ * }))
+ * // { stats: { count: 2, total: 15 }, log: ['added 5'] }
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ */
+declare function update<S, A, R extends A | PromiseLike<A>>(
+  lens: Lens<S, A>,
+  updater: (value: A) => R,
+): (object: S) => PromiseResult<R, S>;
+declare function update<S, A, R extends A | PromiseLike<A>>(
+  object: Promise<S>,
+  lens: Lens<S, A>,
+  updater: (value: A) => R,
+): Promise<S>;
+declare function update<S, A, R extends A | PromiseLike<A>>(
+  object: S,
+  lens: Lens<S, A>,
+  updater: (value: A) => R,
+): PromiseResult<R, S>;
+declare function update<const P extends Path, R>(
+  path: P,
+  updater: (value: any) => R,
+): <T extends object>(object: T) => UpdateResult<T, P, R>;
+declare function update<T extends object, const P extends Path, R>(
+  object: Promise<T>,
+  path: P,
+  updater: (value: UpdateValue<T, P>) => R,
+): Promise<Awaited<UpdateResult<T, P, R>>>;
+declare function update<T extends object, const P extends Path, R>(
+  object: T,
+  path: P,
+  updater: (value: UpdateValue<T, P>) => R,
+): UpdateResult<T, P, R>;
+declare namespace update {
+    function batch<const U extends UpdateBatch>(
+      updates: U,
+    ): <T extends object>(object: T) => UpdateBatchResult<T, U>;
+    function batch<T extends object, const U extends UpdateBatch>(
+      object: Promise<T>,
+      updates: U,
+    ): Promise<T>;
+    function batch<T extends object, const U extends UpdateBatch>(
+      object: T,
+      updates: U,
+    ): UpdateBatchResult<T, U>;
+}
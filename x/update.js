@@ -0,0 +1,252 @@
+const isPromise = require('../_internal/isPromise')
+const isArray = require('../_internal/isArray')
+const isObject = require('../_internal/isObject')
+const isLens = require('../_internal/isLens')
+const propertyPathToArray = require('../_internal/propertyPathToArray')
+const isWildcardPath = require('../_internal/isWildcardPath')
+const pathMatches = require('../_internal/pathMatches')
+const getByPath = require('../_internal/getByPath')
+const PathWriter = require('../_internal/PathWriter')
+const promiseAll = require('../_internal/promiseAll')
+const __ = require('../_internal/placeholder')
+const curry2 = require('../_internal/curry2')
+const curry3 = require('../_internal/curry3')
+const curry5 = require('../_internal/curry5')
+const thunkify4 = require('../_internal/thunkify4')
+
+/**
+ * @name _setMatches
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _setMatches(
+ *   pathWriter PathWriter,
+ *   matches Array<[path Array<string|number>, value any]>,
+ *   values Array,
+ * ) -> ()
+ * ```
+ */
+const _setMatches = function (pathWriter, matches, values) {
+  const length = matches.length
+  let index = -1
+  while (++index < length) {
+    pathWriter.set(matches[index][0], values[index])
+  }
+}
+
+/**
+ * @name _updatePath
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _updatePath(
+ *   pathWriter PathWriter,
+ *   pathArray Array<string|number|symbol>,
+ *   updater any=>Promise|any,
+ * ) -> Promise|()
+ * ```
+ *
+ * @description
+ * Replace the value at a path of the result of a [PathWriter](/docs/PathWriter) with the result of calling `updater` with the value. For a path with `*` or `**` segments, `updater` is called concurrently for every match.
+ */
+const _updatePath = function (pathWriter, pathArray, updater) {
+  const current = pathWriter.result()
+  const matches = isWildcardPath(pathArray)
+    ? pathMatches(current, pathArray)
+    : [[pathArray, getByPath(current, pathArray)]]
+  const values = matches.map(match => updater(match[1]))
+  if (values.some(isPromise)) {
+    return promiseAll(values).then(curry3(_setMatches, pathWriter, matches, __))
+  }
+  return _setMatches(pathWriter, matches, values)
+}
+
+/**
+ * @name _updateSeries
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _updateSeries(
+ *   object any,
+ *   pathWriter PathWriter|null,
+ *   updates Array<[path string|number|Array<string|number>|Lens, updater function]>,
+ *   index number,
+ * ) -> result Promise|any
+ * ```
+ *
+ * @description
+ * Apply updates in order after `index`. Consecutive updates of paths share one [PathWriter](/docs/PathWriter) of the current object, so each container is copied at most once. A lens of a getter and a setter is applied to the current object with its getter and setter.
+ */
+const _updateSeries = function (object, pathWriter, updates, index) {
+  const length = updates.length
+  while (++index < length) {
+    const [pathOrLens, updater] = updates[index]
+    if (isLens(pathOrLens) && pathOrLens.path == null) {
+      const current = pathWriter == null ? object : pathWriter.result()
+      const value = updater(pathOrLens.get(current))
+      if (isPromise(value)) {
+        return value.then(
+          curry5(_setLensThenUpdate, pathOrLens, current, __, updates, index))
+      }
+      object = pathOrLens.set(current, value)
+      pathWriter = null
+    } else if (pathWriter != null || isObject(object)) {
+      if (pathWriter == null) {
+        pathWriter = PathWriter(object)
+      }
+      const operation = _updatePath(
+        pathWriter,
+        isLens(pathOrLens) ? pathOrLens.path : propertyPathToArray(pathOrLens),
+        updater)
+      if (isPromise(operation)) {
+        return operation.then(
+          thunkify4(_updateSeries, object, pathWriter, updates, index))
+      }
+    }
+  }
+  return pathWriter == null ? object : pathWriter.result()
+}
+
+/**
+ * @name _setLensThenUpdate
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _setLensThenUpdate(
+ *   lens Lens,
+ *   object any,
+ *   value any,
+ *   updates Array<[path string|number|Array<string|number>|Lens, updater function]>,
+ *   index number,
+ * ) -> result Promise|any
+ * ```
+ */
+const _setLensThenUpdate = function (lens, object, value, updates, index) {
+  return _updateSeries(lens.set(object, value), null, updates, index)
+}
+
+/**
+ * @name _update
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _update(
+ *   object any,
+ *   path string|number|Array<string|number>|Lens,
+ *   updater any=>Promise|any,
+ * ) -> result Promise|any
+ * ```
+ */
+const _update = function (object, path, updater) {
+  return _updateSeries(object, null, [[path, updater]], -1)
+}
+
+/**
+ * @name _updateBatch
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * _updateBatch(
+ *   object any,
+ *   updates Array<[path string|number|Array<string|number>|Lens, updater function]>
+ *     |Object<updater function>,
+ * ) -> result Promise|any
+ * ```
+ */
+const _updateBatch = function (object, updates) {
+  return _updateSeries(
+    object, null, isArray(updates) ? updates : Object.entries(updates), -1)
+}
+
+/**
+ * @name update
+ *
+ * @synopsis
+ * ```coffeescript [specscript]
+ * update(
+ *   object Promise|Object,
+ *   path string|number|Array<string|number>|Lens,
+ *   updater any=>Promise|any,
+ * ) -> result Promise|Object
+ *
+ * update(
+ *   path string|number|Array<string|number>|Lens,
+ *   updater any=>Promise|any,
+ * )(object Object) -> result Promise|Object
+ *
+ * update.batch(
+ *   object Promise|Object,
+ *   updates Array<[path string|number|Array<string|number>|Lens, updater any=>Promise|any]>
+ *     |Object<updater any=>Promise|any>,
+ * ) -> result Promise|Object
+ *
+ * update.batch(
+ *   updates Array<[path string|number|Array<string|number>|Lens, updater any=>Promise|any]>
+ *     |Object<updater any=>Promise|any>,
+ * )(object Object) -> result Promise|Object
+ * ```
+ *
+ * @description
+ * Sets the value at a path of a new object shallow cloned from the argument object to the result of calling an updater with the current value at the path. The updater receives `undefined` if the path is missing, and may be asynchronous. Paths are like the paths of [set](/docs/set), and may also be a [lens](/docs/lens).
+ *
+ * ```javascript [playground]
+ * import update from 'https://unpkg.com/rubico/dist/x/update.es.js'
+ *
+ * const state = { stats: { count: 1 } }
+ *
+ * console.log(update(state, 'stats.count', count => count + 1))
+ * // { stats: { count: 2 } }
+ *
+ * update(state, 'stats.count', async count => count * 10).then(console.log)
+ * // { stats: { count: 10 } }
+ * ```
+ *
+ * At a path with `*` or `**` segments, the updater is called for every match.
+ *
+ * ```javascript [playground]
+ * import update from 'https://unpkg.com/rubico/dist/x/update.es.js'
+ *
+ * const cart = { items: [{ price: 1.005 }, { price: 2.5 }] }
+ *
+ * console.log(update(cart, 'items[*].price', Math.round))
+ * // { items: [{ price: 1 }, { price: 3 }] }
+ * ```
+ *
+ * `update.batch` applies several updates in order, given as an array of path and updater pairs or an object of updaters by path. Each updater receives the value at its path after the updates before it. Updates of paths copy each object or array along the paths once for the whole batch.
+ *
+ * ```javascript [playground]
+ * import update from 'https://unpkg.com/rubico/dist/x/update.es.js'
+ *
+ * const state = { stats: { count: 1, total: 10 }, log: [] }
+ *
+ * console.log(update.batch(state, {
+ *   'stats.count': count => count + 1,
+ *   'stats.total': total => total + 5,
+ *   log: log => [...log, 'added 5'],
+ * }))
+ * // { stats: { count: 2, total: 15 }, log: ['added 5'] }
+ * ```
+ *
+ * Any promises passed in argument position are resolved for their values before further execution. This only applies to the eager version of the API.
+ */
+const update = function (arg0, arg1, arg2) {
+  if (arg2 == null) {
+    return curry3(_update, __, arg0, arg1)
+  }
+  if (isPromise(arg0)) {
+    return arg0.then(curry3(_update, __, arg1, arg2))
+  }
+  return _update(arg0, arg1, arg2)
+}
+
+update.batch = function (arg0, arg1) {
+  if (arg1 == null) {
+    return curry2(_updateBatch, __, arg0)
+  }
+  if (isPromise(arg0)) {
+    return arg0.then(curry2(_updateBatch, __, arg1))
+  }
+  return _updateBatch(arg0, arg1)
+}
+
+module.exports = update
@@ -0,0 +1,57 @@
+const assert = require('assert')
+const update = require('./update')
+const lens = require('./lens')
+
+describe('update', () => {
+  const state = { stats: { count: 1, total: 10 }, log: [], users: [{ name: 'a' }, { name: 'b' }] }
+
+  it('updates the value at a path with the current value', async () => {
+    assert.deepEqual(update(state, 'stats.count', count => count + 1).stats, { count: 2, total: 10 })
+    assert.deepEqual(update('stats.count', count => count + 1)(state).stats, { count: 2, total: 10 })
+    assert.deepEqual((await update(state, 'stats.count', async count => count * 10)).stats, { count: 10, total: 10 })
+    assert.deepEqual((await update(Promise.resolve(state), ['stats', 'total'], total => total - 1)).stats, { count: 1, total: 9 })
+    assert.deepEqual(update({}, 'a.b[0]', value => value == null), { a: { b: [true] } })
+    assert.strictEqual(update(state, 'log', log => log).users, state.users)
+    assert.deepEqual(state.stats, { count: 1, total: 10 })
+    assert.strictEqual(update(null, 'a', () => 1), null)
+    assert.strictEqual(update(1, 'a', () => 1), 1)
+  })
+
+  it('updates every match of a wildcard path', async () => {
+    assert.deepEqual(update(state, 'users[*].name', name => name.toUpperCase()).users, [{ name: 'A' }, { name: 'B' }])
+    assert.deepEqual((await update(state, '**.name', async name => `${name}!`)).users, [{ name: 'a!' }, { name: 'b!' }])
+    assert.deepEqual(update({ a: [] }, 'a[*]', value => value + 1), { a: [] })
+  })
+
+  it('updates the focus of a lens', async () => {
+    const first = lens(array => array[0], (array, value) => [value, ...array.slice(1)])
+    const firstUserName = lens.compose('users', first, 'name')
+    assert.deepEqual(update(state, firstUserName, name => name + name).users, [{ name: 'aa' }, { name: 'b' }])
+    assert.deepEqual(await update(first, async value => value * 2)([1, 2]), [2, 2])
+    assert.deepEqual(update(state, lens('stats.total'), total => total + 1).stats, { count: 1, total: 11 })
+  })
+
+  it('batch applies updates in order with one copy', async () => {
+    const result = update.batch(state, {
+      'stats.count': count => count + 1,
+      'stats.total': total => total + 5,
+      log: log => [...log, 'added'],
+    })
+    assert.deepEqual(result, { stats: { count: 2, total: 15 }, log: ['added'], users: state.users })
+    assert.strictEqual(result.users, state.users)
+    assert.deepEqual(state, { stats: { count: 1, total: 10 }, log: [], users: [{ name: 'a' }, { name: 'b' }] })
+
+    assert.strictEqual(update.batch([['stats.count', count => count + 1], ['stats.count', count => count * 3]])(state).stats.count, 6)
+    assert.deepEqual(update.batch(state, [['stats', () => ({ count: 0 })], ['stats.count', count => count + 1]]).stats, { count: 1 })
+
+    const first = lens(array => array[0], (array, value) => [value, ...array.slice(1)])
+    const asyncResult = await update.batch(Promise.resolve(state), [
+      ['stats.count', async count => count + 1],
+      [lens.compose('users', first, 'name'), async name => `${name}!`],
+      ['users[*].name', name => `${name}?`],
+    ])
+    assert.deepEqual(asyncResult.stats, { count: 2, total: 10 })
+    assert.deepEqual(asyncResult.users, [{ name: 'a!?' }, { name: 'b?' }])
+    assert.strictEqual(update.batch(state, []), state)
+  })
+})
@@ -20,4 +20,4 @@ export = values;
  * console.log(values(new Map([[1, 'hello'], [2, 'world']]))) // ['hello', 'world']
  * ```
  */
-declare function values(object: any): any;
+declare const values: (object: any) => any[];
@@ -25,4 +25,4 @@ export = when;
  *
  * @since 1.7.1
  */
-declare function when(predicate: any, func: any): (value: any) => any;
+declare const when: (predicate: any, func: any) => (value: any) => any;